@@ -6,23 +6,103 @@
 (function() {
     'use strict';
     
+    // localStorage keys are per user so agents sharing a browser don't see each other's drafts
+    const STORAGE_PREFIX = `wc-admin-order-notes:${wcOrderNotes.currentUserId || 0}:`;
+    const DRAFT_TTL = 7 * 24 * 60 * 60 * 1000;
+    const RETRY_BASE_DELAY = 5000;
+    const RETRY_MAX_DELAY = 5 * 60 * 1000;
+    
+    // What the current user may do; the REST API enforces the same
+    const capabilities = Object.assign(
+        { read: true, add: true, addCustomer: true, delete: true },
+        wcOrderNotes.capabilities
+    );
+    
     // State management
     const state = {
         currentOrderId: null,
+        currentOrderNumber: '',
+        panelContext: '',
+        bulkOrderIds: [],
+        templates: [],
+        mentions: {
+            start: -1,
+            users: [],
+            activeIndex: 0,
+            timer: null,
+            requestId: 0
+        },
         isLoading: false,
         debounceTimer: null,
-        maxNoteLength: wcOrderNotes.maxNoteLength || 1000
+        maxNoteLength: wcOrderNotes.maxNoteLength || 1000,
+        notes: [],
+        notesPerPage: wcOrderNotes.notesPerPage || 20,
+        pagination: {
+            page: 1,
+            totalPages: 1,
+            isLoadingMore: false
+        },
+        loadMoreObserver: null,
+        includeSystem: Boolean(wcOrderNotes.showSystemNotes),
+        liveUpdates: {
+            since: Number(wcOrderNotes.serverTime) || 0,
+            modalSince: 0,
+            newNotesCount: 0
+        },
+        draftTimer: null,
+        nonceRefresh: null,
+        retryQueue: {
+            timer: null,
+            isProcessing: false
+        },
+        rateLimit: {
+            timer: null,
+            until: 0
+        },
+        // Files uploaded for the note being written
+        attachments: {
+            pending: [],
+            uploading: 0
+        },
+        filters: {
+            search: '',
+            types: new Set(),
+            dateFrom: '',
+            dateTo: ''
+        }
     };
     
-    // DOM elements cache
+    // DOM elements cache; the panel parts belong to the mounted panel
     const elements = {
         modal: null,
         modalContent: null,
         closeBtn: null,
+        panel: null,
         notesList: null,
         addNoteBtn: null,
         newNoteTextarea: null,
-        modalTitle: null
+        noteTypeInputs: [],
+        customerNoteWarning: null,
+        searchInput: null,
+        filterChips: [],
+        dateFromInput: null,
+        dateToInput: null,
+        showSystemToggle: null,
+        newNotesBanner: null,
+        shortcutsHelp: null,
+        shortcutsBtn: null,
+        exportButtons: [],
+        templateSelect: null,
+        mentionSuggestions: null,
+        markdownPreview: null,
+        markdownPreviewToggle: null,
+        addNoteSection: null,
+        attachInput: null,
+        pendingAttachmentsList: null,
+        dueDateInput: null,
+        assigneeSelect: null,
+        modalTitle: null,
+        characterCount: null
     };
     
     /**
@@ -34,20 +114,288 @@
         
         // Bind events
         bindEvents();
+        
+        // The modal's panel is the default one on the orders list
+        mountPanel(getModalPanel());
+        
+        // Live updates from other users
+        bindHeartbeat();
+        
+        // Notes section of the order preview popup
+        bindOrderPreview();
+        
+        // Notes that failed to send in an earlier visit
+        pruneDrafts();
+        renderPendingIndicators();
+        scheduleRetryQueue();
+        
+        // The metabox on the order edit screen shows its order right away
+        const metabox = document.querySelector('.wc-admin-order-notes-panel[data-context="metabox"]');
+        if (metabox) {
+            openInlinePanel(metabox);
+        }
+        
+        // Deep links (#order-notes=123) open the modal directly
+        openFromHash();
+    }
+    
+    /**
+     * Hide the add-note form and note type choice from users without those capabilities
+     */
+    function applyCapabilities(root) {
+        const addSection = root.querySelector('.add-note-section');
+        if (addSection) {
+            addSection.hidden = !capabilities.add;
+        }
+        
+        const typeToggle = root.querySelector('.note-type-toggle');
+        if (typeToggle) {
+            // Private is the only choice left, so the toggle goes entirely
+            typeToggle.hidden = !capabilities.addCustomer;
+        }
+        
+        if (!capabilities.addCustomer) {
+            root.querySelectorAll('.note-type-input').forEach(input => {
+                input.checked = input.value === 'private';
+                input.disabled = input.value === 'customer';
+            });
+        }
+    }
+    
+    /**
+     * Get the panel inside the notes modal
+     */
+    function getModalPanel() {
+        return elements.modal ? elements.modal.querySelector('.wc-admin-order-notes-panel') : null;
+    }
+    
+    /**
+     * Make a panel the one the composer, list and filters work on
+     */
+    function mountPanel(root) {
+        if (root === elements.panel) return;
+        
+        // The draft belongs to the panel being left
+        saveDraftNow();
+        hideMentionSuggestions();
+        
+        cachePanelElements(root);
+        state.panelContext = root ? root.dataset.context : '';
+        if (!root) return;
+        
+        applyCapabilities(root);
+        bindPanelEvents(root);
+    }
+    
+    /**
+     * Show an order's notes in a panel outside the modal (metabox or order preview)
+     */
+    function openInlinePanel(root) {
+        const orderId = root.dataset.orderId;
+        if (!orderId || !/^\d+$/.test(orderId)) return;
+        
+        mountPanel(root);
+        resetFilters();
+        
+        state.currentOrderId = orderId;
+        state.currentOrderNumber = '';
+        state.liveUpdates.modalSince = 0;
+        
+        restoreDraft(orderId);
+        loadOrderNotes(orderId);
+        loadTemplates(orderId);
+    }
+    
+    /**
+     * Mount the notes section whenever WooCommerce opens the order preview popup
+     */
+    function bindOrderPreview() {
+        const $ = window.jQuery;
+        if (!$) return;
+        
+        $(document.body).on('wc_backbone_modal_loaded', handlePreviewLoaded);
+        $(document.body).on('wc_backbone_modal_removed', handlePreviewRemoved);
+    }
+    
+    /**
+     * Load the notes of the previewed order
+     */
+    function handlePreviewLoaded(e, target) {
+        if (target !== 'wc-modal-view-order') return;
+        
+        const root = document.querySelector('.wc-backbone-modal .wc-admin-order-notes-panel[data-context="preview"]');
+        if (root) {
+            openInlinePanel(root);
+        }
+    }
+    
+    /**
+     * Hand the composer back to the modal once the preview closes
+     */
+    function handlePreviewRemoved(e, target) {
+        if (target !== 'wc-modal-view-order' || state.panelContext !== 'preview') return;
+        
+        mountPanel(getModalPanel());
+        
+        state.currentOrderId = null;
+        state.currentOrderNumber = '';
+        state.liveUpdates.modalSince = 0;
+        resetFilters();
+    }
+    
+    /**
+     * Open the notes modal for the order named in the URL hash (#order-notes=123)
+     */
+    function openFromHash() {
+        const match = window.location.hash.match(/^#order-notes=(\d+)$/);
+        if (!match || !elements.modal) return;
+        
+        openOrderNotes(match[1]);
+    }
+    
+    /**
+     * Show the notes of an order, opening the modal if needed
+     */
+    function openOrderNotes(orderId) {
+        if (!orderId || !/^\d+$/.test(String(orderId)) || !elements.modal) return;
+        
+        if (isModalOpen() && state.bulkOrderIds.length === 0) {
+            switchOrder(orderId);
+            return;
+        }
+        
+        mountPanel(getModalPanel());
+        state.currentOrderId = String(orderId);
+        openModal();
+        restoreDraft(state.currentOrderId);
+        loadOrderNotes(state.currentOrderId);
+        updateLocationHash();
+    }
+    
+    /**
+     * Switch the open modal to another order without closing it
+     */
+    function switchOrder(orderId) {
+        orderId = String(orderId);
+        if (orderId === String(state.currentOrderId)) return;
+        
+        // The composer belongs to the current order; park its text as that order's draft
+        saveDraftNow();
+        
+        state.currentOrderId = orderId;
+        state.currentOrderNumber = '';
+        state.liveUpdates.modalSince = 0;
+        hideNewNotesBanner();
+        hideMentionSuggestions();
+        restoreDraft(orderId);
+        
+        loadOrderNotes(orderId);
+        loadTemplates(orderId);
+        updateLocationHash();
+        
+        // Keep the order's row in view behind the modal
+        const notePreview = document.querySelector(`.note-preview[data-order-id="${orderId}"]`);
+        if (notePreview) {
+            notePreview.scrollIntoView({ block: 'nearest' });
+        }
+    }
+    
+    /**
+     * Move to the next (1) or previous (-1) order of the list
+     */
+    function switchToAdjacentOrder(step) {
+        const orderIds = getListOrderIds();
+        const index = orderIds.indexOf(String(state.currentOrderId));
+        if (index === -1) return;
+        
+        const nextId = orderIds[index + step];
+        if (nextId) {
+            switchOrder(nextId);
+        }
+    }
+    
+    /**
+     * Get the IDs of the orders in the list, in display order
+     */
+    function getListOrderIds() {
+        return Array.from(document.querySelectorAll('.note-preview[data-order-id]'))
+            .map(notePreview => notePreview.dataset.orderId);
+    }
+    
+    /**
+     * Reflect the open order in the URL so the link can be shared
+     */
+    function updateLocationHash() {
+        if (!state.currentOrderId) return;
+        
+        const hash = `#order-notes=${state.currentOrderId}`;
+        if (window.location.hash !== hash) {
+            history.replaceState(null, '', window.location.pathname + window.location.search + hash);
+        }
+    }
+    
+    /**
+     * Follow deep links pasted into the address bar of an open page
+     */
+    function handleHashChange() {
+        const match = window.location.hash.match(/^#order-notes=(\d+)$/);
+        if (match && match[1] !== String(state.currentOrderId)) {
+            openOrderNotes(match[1]);
+        }
+    }
+    
+    /**
+     * Check whether the notes modal is open
+     */
+    function isModalOpen() {
+        return Boolean(elements.modal) && elements.modal.getAttribute('aria-hidden') === 'false';
     }
     
     /**
-     * Cache DOM elements
+     * Cache DOM elements of the modal itself
      */
     function cacheElements() {
         elements.modal = document.getElementById('order-notes-modal');
         elements.modalContent = document.querySelector('.order-notes-modal-content');
         elements.closeBtn = document.querySelector('.order-notes-modal-close');
-        elements.notesList = document.getElementById('notes-list');
-        elements.addNoteBtn = document.getElementById('add-note-btn');
-        elements.newNoteTextarea = document.getElementById('new-note-content');
+        elements.shortcutsBtn = document.querySelector('.order-notes-shortcuts-btn');
         elements.modalTitle = document.getElementById('modal-title');
-        elements.characterCount = document.getElementById('character-count');
+    }
+    
+    /**
+     * Cache the parts of a notes panel
+     */
+    function cachePanelElements(root) {
+        const find = selector => root ? root.querySelector(selector) : null;
+        const findAll = selector => root ? Array.from(root.querySelectorAll(selector)) : [];
+        
+        elements.panel = root;
+        elements.notesList = find('.notes-list');
+        elements.addNoteBtn = find('.add-note-btn');
+        elements.newNoteTextarea = find('.new-note-content');
+        elements.noteTypeInputs = findAll('.note-type-input');
+        elements.customerNoteWarning = find('.customer-note-warning');
+        elements.searchInput = find('.notes-search');
+        elements.filterChips = findAll('.notes-filter-chip');
+        elements.dateFromInput = find('.notes-date-from');
+        elements.dateToInput = find('.notes-date-to');
+        elements.showSystemToggle = find('.notes-show-system');
+        elements.templateSelect = find('.note-template-select');
+        elements.exportButtons = findAll('.notes-export-btn');
+        elements.characterCount = find('.character-count');
+        elements.newNotesBanner = find('.notes-new-banner');
+        elements.mentionSuggestions = find('.mention-suggestions');
+        elements.markdownPreview = find('.markdown-preview');
+        elements.markdownPreviewToggle = find('.markdown-preview-toggle');
+        elements.addNoteSection = find('.add-note-section');
+        elements.attachInput = find('.note-attach-input');
+        elements.pendingAttachmentsList = find('.note-attachments-pending');
+        elements.dueDateInput = find('.note-due-input');
+        elements.assigneeSelect = find('.note-assignee-select');
+        
+        if (elements.showSystemToggle) {
+            elements.showSystemToggle.checked = state.includeSystem;
+        }
     }
     
     /**
@@ -57,6 +405,9 @@
         // Note preview clicks with event delegation
         document.addEventListener('click', handleDocumentClick, true);
         
+        // "Add note to selected" bulk action
+        document.addEventListener('submit', handleBulkActionSubmit, true);
+        
         // Modal close button
         if (elements.closeBtn) {
             elements.closeBtn.addEventListener('click', closeModal);
@@ -67,9 +418,46 @@
             elements.modal.addEventListener('click', handleModalBackdropClick);
         }
         
-        // Escape key
+        // Escape key and modal shortcuts
         document.addEventListener('keydown', handleKeyDown);
         
+        // Retry queue
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('storage', handleStorageChange);
+        
+        // Deep links
+        window.addEventListener('hashchange', handleHashChange);
+        
+        // Shortcuts help
+        if (elements.shortcutsBtn) {
+            elements.shortcutsBtn.addEventListener('click', toggleShortcutsHelp);
+        }
+    }
+    
+    /**
+     * Bind event listeners to the parts of a notes panel, once per panel
+     */
+    function bindPanelEvents(root) {
+        if (root.dataset.bound) return;
+        root.dataset.bound = '1';
+        
+        // Enter in the toolbar must not submit anything, such as the order form around the metabox
+        root.addEventListener('keydown', e => {
+            if (e.key === 'Enter' && e.target.tagName === 'INPUT') {
+                e.preventDefault();
+            }
+        });
+        
+        // Edit / delete actions on individual notes
+        if (elements.notesList) {
+            elements.notesList.addEventListener('click', handleNotesListClick);
+        }
+        
+        // Export of the open order's notes
+        elements.exportButtons.forEach(button => {
+            button.addEventListener('click', handleModalExport);
+        });
+        
         // Add note button
         if (elements.addNoteBtn) {
             elements.addNoteBtn.addEventListener('click', handleAddNote);
@@ -79,6 +467,61 @@
         if (elements.newNoteTextarea) {
             elements.newNoteTextarea.addEventListener('keydown', handleTextareaKeyDown);
             elements.newNoteTextarea.addEventListener('input', handleTextareaInput);
+            elements.newNoteTextarea.addEventListener('blur', hideMentionSuggestions);
+        }
+        
+        // Private / customer note toggle
+        elements.noteTypeInputs.forEach(input => {
+            input.addEventListener('change', handleNoteTypeChange);
+            input.addEventListener('change', scheduleDraftSave);
+        });
+        
+        // Template picker
+        if (elements.templateSelect) {
+            elements.templateSelect.addEventListener('change', handleTemplateSelect);
+        }
+        
+        // Markdown preview
+        if (elements.markdownPreviewToggle) {
+            elements.markdownPreviewToggle.addEventListener('click', toggleMarkdownPreview);
+        }
+        
+        // File attachments, picked or dropped onto the composer
+        if (elements.attachInput) {
+            elements.attachInput.addEventListener('change', handleAttachInputChange);
+        }
+        if (elements.addNoteSection) {
+            elements.addNoteSection.addEventListener('dragover', handleComposerDragOver);
+            elements.addNoteSection.addEventListener('dragleave', handleComposerDragLeave);
+            elements.addNoteSection.addEventListener('drop', handleComposerDrop);
+        }
+        if (elements.pendingAttachmentsList) {
+            elements.pendingAttachmentsList.addEventListener('click', handlePendingAttachmentClick);
+        }
+        
+        // Reminder of the note being written
+        [elements.dueDateInput, elements.assigneeSelect].forEach(input => {
+            if (input) {
+                input.addEventListener('change', scheduleDraftSave);
+            }
+        });
+        
+        // Search and filters
+        if (elements.searchInput) {
+            elements.searchInput.addEventListener('input', handleFiltersChange);
+        }
+        elements.filterChips.forEach(chip => {
+            chip.addEventListener('click', handleFilterChipClick);
+        });
+        [elements.dateFromInput, elements.dateToInput].forEach(input => {
+            if (input) {
+                input.addEventListener('change', handleFiltersChange);
+            }
+        });
+        
+        // Show / hide system notes
+        if (elements.showSystemToggle) {
+            elements.showSystemToggle.addEventListener('change', handleShowSystemChange);
         }
     }
     
@@ -90,6 +533,14 @@
             return;
         }
         
+        // Date range export above the orders list
+        const rangeExportButton = e.target.closest('.wc-admin-order-notes-export-range');
+        if (rangeExportButton) {
+            e.preventDefault();
+            handleRangeExport(rangeExportButton);
+            return;
+        }
+        
         // Check if click is on note preview or its children
         const notePreview = e.target.closest('.note-preview');
         
@@ -101,9 +552,7 @@
             
             const orderId = notePreview.dataset.orderId;
             if (orderId) {
-                state.currentOrderId = orderId;
-                openModal();
-                loadOrderNotes(orderId);
+                openOrderNotes(orderId);
             }
             
             return false;
@@ -121,9 +570,7 @@
                 
                 const orderId = notePreviewInCell.dataset.orderId;
                 if (orderId) {
-                    state.currentOrderId = orderId;
-                    openModal();
-                    loadOrderNotes(orderId);
+                    openOrderNotes(orderId);
                 }
                 
                 return false;
@@ -144,8 +591,133 @@
      * Handle keyboard events
      */
     function handleKeyDown(e) {
-        if (e.key === 'Escape' && elements.modal && elements.modal.style.display !== 'none') {
-            closeModal();
+        if (!isModalOpen()) {
+            // Panels outside the modal only take Ctrl+Enter, and only from inside them
+            if (elements.panel && state.panelContext !== 'modal' && isSubmitShortcut(e) && elements.panel.contains(e.target)) {
+                handleSubmitShortcut(e);
+            }
+            return;
+        }
+        
+        if (e.key === 'Escape') {
+            if (isShortcutsHelpOpen()) {
+                toggleShortcutsHelp();
+            } else {
+                closeModal();
+            }
+            return;
+        }
+        
+        // Ctrl+Enter submits whatever is being written
+        if (isSubmitShortcut(e)) {
+            handleSubmitShortcut(e);
+            return;
+        }
+        
+        // Single-key shortcuts must not fire while typing
+        if (e.ctrlKey || e.metaKey || e.altKey || isTypingTarget(e.target)) return;
+        
+        if (e.key === 'j' || e.key === 'J') {
+            e.preventDefault();
+            if (state.bulkOrderIds.length === 0) {
+                switchToAdjacentOrder(1);
+            }
+        } else if (e.key === 'k' || e.key === 'K') {
+            e.preventDefault();
+            if (state.bulkOrderIds.length === 0) {
+                switchToAdjacentOrder(-1);
+            }
+        } else if (e.key === '?') {
+            e.preventDefault();
+            toggleShortcutsHelp();
+        }
+    }
+    
+    /**
+     * Check whether a key event is Ctrl+Enter (Cmd+Enter on macOS)
+     */
+    function isSubmitShortcut(e) {
+        return e.key === 'Enter' && (e.ctrlKey || e.metaKey);
+    }
+    
+    /**
+     * Save the note being edited, or add the new note
+     */
+    function handleSubmitShortcut(e) {
+        const editForm = e.target.closest && e.target.closest('.note-item.editing');
+        
+        e.preventDefault();
+        if (editForm) {
+            handleSaveNote(editForm);
+        } else {
+            handleAddNote();
+        }
+    }
+    
+    /**
+     * Check whether a key event comes from a text field
+     */
+    function isTypingTarget(target) {
+        if (!target || !target.tagName) return false;
+        
+        return ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable;
+    }
+    
+    /**
+     * Check whether the shortcuts help overlay is shown
+     */
+    function isShortcutsHelpOpen() {
+        return Boolean(elements.shortcutsHelp) && !elements.shortcutsHelp.hidden;
+    }
+    
+    /**
+     * Show or hide the keyboard shortcuts overlay
+     */
+    function toggleShortcutsHelp() {
+        if (!elements.modalContent) return;
+        
+        if (!elements.shortcutsHelp) {
+            const overlay = document.createElement('div');
+            overlay.className = 'notes-shortcuts-help';
+            overlay.setAttribute('role', 'dialog');
+            overlay.setAttribute('aria-label', wcOrderNotes.strings.shortcutsTitle);
+            overlay.hidden = true;
+            
+            const title = document.createElement('h4');
+            title.textContent = wcOrderNotes.strings.shortcutsTitle;
+            overlay.appendChild(title);
+            
+            const list = document.createElement('dl');
+            [
+                ['J', wcOrderNotes.strings.shortcutNextOrder],
+                ['K', wcOrderNotes.strings.shortcutPreviousOrder],
+                ['Ctrl + Enter', wcOrderNotes.strings.shortcutSubmit],
+                ['?', wcOrderNotes.strings.shortcutHelp],
+                ['Esc', wcOrderNotes.strings.shortcutClose]
+            ].forEach(([keys, description]) => {
+                const term = document.createElement('dt');
+                const kbd = document.createElement('kbd');
+                kbd.textContent = keys;
+                term.appendChild(kbd);
+                
+                const definition = document.createElement('dd');
+                definition.textContent = description;
+                
+                list.appendChild(term);
+                list.appendChild(definition);
+            });
+            overlay.appendChild(list);
+            
+            overlay.addEventListener('click', toggleShortcutsHelp);
+            
+            elements.modalContent.appendChild(overlay);
+            elements.shortcutsHelp = overlay;
+        }
+        
+        elements.shortcutsHelp.hidden = !elements.shortcutsHelp.hidden;
+        
+        if (elements.shortcutsBtn) {
+            elements.shortcutsBtn.setAttribute('aria-expanded', elements.shortcutsHelp.hidden ? 'false' : 'true');
         }
     }
     
@@ -153,7 +725,12 @@
      * Handle textarea keyboard events
      */
     function handleTextareaKeyDown(e) {
-        if (e.key === 'Enter' && !e.shiftKey) {
+        if (handleMentionKeyDown(e)) {
+            return;
+        }
+        
+        // Ctrl+Enter is handled with the other modal shortcuts
+        if (e.key === 'Enter' && !e.shiftKey && !e.ctrlKey && !e.metaKey) {
             e.preventDefault();
             
             // Debounce the add note action
@@ -170,299 +747,2675 @@
     /**
      * Handle textarea input for character count
      */
-    function handleTextareaInput(e) {
-        if (!elements.characterCount) return;
+    function handleTextareaInput() {
+        updateMentionSuggestions();
+        scheduleDraftSave();
+        updateCharacterCount();
+        updateMarkdownPreview();
+    }
+    
+    /**
+     * Show or hide the live preview of the composer's Markdown
+     */
+    function toggleMarkdownPreview() {
+        if (!elements.markdownPreview || !elements.markdownPreviewToggle) return;
         
-        const length = e.target.value.length;
-        const maxLength = state.maxNoteLength;
+        elements.markdownPreview.hidden = !elements.markdownPreview.hidden;
+        elements.markdownPreviewToggle.setAttribute('aria-pressed', elements.markdownPreview.hidden ? 'false' : 'true');
+        updateMarkdownPreview();
+    }
+    
+    /**
+     * Render the composer's Markdown into the preview, when it is shown
+     */
+    function updateMarkdownPreview() {
+        if (!elements.markdownPreview || elements.markdownPreview.hidden || !elements.newNoteTextarea) return;
         
-        elements.characterCount.textContent = `${length} / ${maxLength}`;
+        const html = renderMarkdown(elements.newNoteTextarea.value);
         
-        // Update styling based on character count
-        elements.characterCount.className = 'character-count';
-        if (length > maxLength * 0.9) {
-            elements.characterCount.classList.add('warning');
-        }
-        if (length >= maxLength) {
-            elements.characterCount.classList.add('error');
+        if (!html) {
+            elements.markdownPreview.textContent = wcOrderNotes.strings.markdownPreviewEmpty;
+            elements.markdownPreview.classList.add('is-empty');
+            return;
         }
+        
+        // renderMarkdown() escapes the text and only adds the tags of the subset; lists break lines themselves
+        elements.markdownPreview.innerHTML = html.replace(/\n*(<\/?[uo]l>)\n*/g, '$1').replace(/\n/g, '<br>');
+        elements.markdownPreview.classList.remove('is-empty');
+        prepareNoteLinks(elements.markdownPreview);
     }
     
     /**
-     * Open modal
+     * Convert the composer's Markdown subset to HTML
+     * 
+     * Supports **bold**, *italics*, `code`, [links](https://…), - and 1. lists; line breaks are kept as typed.
      */
-    function openModal() {
-        if (!elements.modal || !elements.modalContent) return;
+    function renderMarkdown(text) {
+        const lines = String(text).replace(/\r\n?/g, '\n').split('\n');
+        const output = [];
+        let list = null;
         
-        elements.modal.style.display = 'block';
-        elements.modal.setAttribute('aria-hidden', 'false');
-        document.body.classList.add('modal-open');
+        const closeList = () => {
+            if (list) {
+                output.push(`<${list.type}>${list.items.join('')}</${list.type}>`);
+                list = null;
+            }
+        };
         
-        // Trigger reflow for animation
-        elements.modal.offsetHeight;
+        lines.forEach(line => {
+            const bullet = line.match(/^\s*[-*+]\s+(.*)$/);
+            const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+            const item = bullet || numbered;
+            const type = bullet ? 'ul' : 'ol';
+            
+            if (list && (!item || list.type !== type)) {
+                closeList();
+            }
+            
+            if (item) {
+                list = list || { type, items: [] };
+                list.items.push(`<li>${renderInlineMarkdown(item[1])}</li>`);
+            } else {
+                output.push(renderInlineMarkdown(line));
+            }
+        });
+        closeList();
         
-        elements.modalContent.classList.add('show');
+        return output.join('\n').trim();
+    }
+    
+    /**
+     * Convert the inline Markdown of one line to HTML
+     */
+    function renderInlineMarkdown(text) {
+        const tokens = [];
         
-        // Focus on textarea after animation
-        setTimeout(() => {
-            if (elements.newNoteTextarea) {
-                elements.newNoteTextarea.focus();
-            }
-        }, 350);
+        // Code spans and links are set aside first so nothing inside them is formatted
+        const setAside = html => {
+            tokens.push(html);
+            return `\u0000${tokens.length - 1}\u0000`;
+        };
+        
+        return escapeMarkup(text.replace(/\u0000/g, ''))
+            .replace(/`([^`]+)`/g, (match, code) => setAside(`<code>${code}</code>`))
+            .replace(/\[([^\]]+)\]\(((?:https?:\/\/|mailto:)[^\s)]+)\)/g, (match, label, url) => setAside(`<a href="${url}">${label}</a>`))
+            .replace(/\*\*(?=\S)(.+?)\*\*|__(?=\S)(.+?)__/g, (match, stars, underscores) => `<strong>${stars || underscores}</strong>`)
+            .replace(/\*(?=[^\s*])([^*]*[^\s*])?\*/g, (match, content) => content === undefined ? match : `<em>${content}</em>`)
+            .replace(/(^|\W)_(?=[^\s_])([^_]*[^\s_])?_(?=\W|$)/g, (match, before, content) => content === undefined ? match : `${before}<em>${content}</em>`)
+            .replace(/\u0000(\d+)\u0000/g, (match, index) => tokens[Number(index)]);
+    }
+    
+    /**
+     * Escape text for use in the HTML of a note
+     */
+    function escapeMarkup(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+    
+    /**
+     * Turn a note's HTML back into the Markdown it was written in, for editing
+     */
+    function markdownFromHtml(html) {
+        // A template element parses without running scripts or loading images
+        const template = document.createElement('template');
+        template.innerHTML = String(html);
+        
+        return markdownFromNodes(template.content.childNodes).replace(/\n{3,}/g, '\n\n').trim();
+    }
+    
+    /**
+     * Convert DOM nodes to Markdown
+     */
+    function markdownFromNodes(nodes) {
+        return Array.from(nodes).map(node => {
+            if (node.nodeType === Node.TEXT_NODE) {
+                return node.textContent;
+            }
+            if (node.nodeType !== Node.ELEMENT_NODE) {
+                return '';
+            }
+            
+            const inner = markdownFromNodes(node.childNodes);
+            
+            switch (node.tagName) {
+                case 'STRONG':
+                case 'B':
+                    return `**${inner}**`;
+                case 'EM':
+                case 'I':
+                    return `*${inner}*`;
+                case 'CODE':
+                    return `\`${node.textContent}\``;
+                case 'A':
+                    return node.getAttribute('href') ? `[${inner}](${node.getAttribute('href')})` : inner;
+                case 'BR':
+                    return '\n';
+                case 'P':
+                    return `${inner}\n\n`;
+                case 'UL':
+                case 'OL':
+                    return Array.from(node.children)
+                        .filter(child => child.tagName === 'LI')
+                        .map((child, index) => `${node.tagName === 'OL' ? `${index + 1}.` : '-'} ${markdownFromNodes(child.childNodes).trim()}`)
+                        .join('\n');
+                default:
+                    return inner;
+            }
+        }).join('');
+    }
+    
+    /**
+     * Open links in notes in a new tab, without access to this page
+     */
+    function prepareNoteLinks(element) {
+        element.querySelectorAll('a[href]').forEach(link => {
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+        });
+    }
+    
+    /**
+     * Show how much of the note length limit is used
+     */
+    function updateCharacterCount() {
+        if (!elements.characterCount || !elements.newNoteTextarea) return;
+        
+        const length = elements.newNoteTextarea.value.length;
+        const maxLength = state.maxNoteLength;
+        
+        elements.characterCount.textContent = `${length} / ${maxLength}`;
+        
+        // Update styling based on character count
+        elements.characterCount.className = 'character-count';
+        if (length > maxLength * 0.9) {
+            elements.characterCount.classList.add('warning');
+        }
+        if (length >= maxLength) {
+            elements.characterCount.classList.add('error');
+        }
+    }
+    
+    /**
+     * Handle note type toggle
+     */
+    function handleNoteTypeChange() {
+        const isCustomerNote = isCustomerNoteSelected();
+        
+        if (elements.customerNoteWarning) {
+            elements.customerNoteWarning.hidden = !isCustomerNote;
+        }
+        if (elements.newNoteTextarea) {
+            elements.newNoteTextarea.classList.toggle('customer-note-mode', isCustomerNote);
+        }
+        
+        setButtonLoading(false);
+    }
+    
+    /**
+     * Check whether the composer is in "note to customer" mode
+     */
+    function isCustomerNoteSelected() {
+        return elements.noteTypeInputs.some(input => input.checked && input.value === 'customer');
+    }
+    
+    /**
+     * Reset the composer to a private note
+     */
+    function resetNoteType() {
+        elements.noteTypeInputs.forEach(input => {
+            input.checked = input.value === 'private';
+        });
+        handleNoteTypeChange();
+    }
+    
+    /**
+     * Open modal
+     */
+    function openModal() {
+        if (!elements.modal || !elements.modalContent) return;
+        
+        elements.modal.style.display = 'block';
+        elements.modal.setAttribute('aria-hidden', 'false');
+        document.body.classList.add('modal-open');
+        
+        // Trigger reflow for animation
+        elements.modal.offsetHeight;
+        
+        elements.modalContent.classList.add('show');
+        
+        // Templates are rendered for the open order; in bulk mode the server fills them per order
+        loadTemplates(state.currentOrderId);
+        
+        // Focus on textarea after animation
+        setTimeout(() => {
+            if (elements.newNoteTextarea) {
+                elements.newNoteTextarea.focus();
+            }
+        }, 350);
+    }
+    
+    /**
+     * Close modal
+     */
+    function closeModal() {
+        if (!elements.modal || !elements.modalContent) return;
+        
+        // Keep what was typed for the next time this order is opened
+        saveDraftNow();
+        
+        elements.modalContent.classList.remove('show');
+        
+        setTimeout(() => {
+            elements.modal.style.display = 'none';
+            elements.modal.setAttribute('aria-hidden', 'true');
+            document.body.classList.remove('modal-open');
+            
+            // Clear form
+            if (elements.newNoteTextarea) {
+                elements.newNoteTextarea.value = '';
+            }
+            resetNoteType();
+            setPendingAttachments([]);
+            setReminderInput(null);
+            resetFilters();
+            if (elements.notesList) {
+                elements.notesList.innerHTML = '';
+            }
+            state.liveUpdates.modalSince = 0;
+            hideNewNotesBanner();
+            hideMentionSuggestions();
+            if (isShortcutsHelpOpen()) {
+                toggleShortcutsHelp();
+            }
+            
+            // Don't reopen the modal when the page is reloaded
+            if (/^#order-notes=/.test(window.location.hash)) {
+                history.replaceState(null, '', window.location.pathname + window.location.search);
+            }
+            elements.modal.classList.remove('bulk-mode');
+            state.bulkOrderIds = [];
+            state.currentOrderId = null;
+            state.currentOrderNumber = '';
+        }, 300);
+    }
+    
+    /**
+     * Load the note templates available to the current user
+     */
+    async function loadTemplates(orderId) {
+        if (!elements.templateSelect || !capabilities.add) return;
+        
+        try {
+            const data = await restRequest(`/templates${buildQueryString({ order_id: orderId || undefined })}`);
+            
+            // The modal may have switched to another order in the meantime
+            if (String(orderId || '') !== String(state.currentOrderId || '')) return;
+            
+            state.templates = data.templates || [];
+        } catch (error) {
+            console.error('Error loading templates:', error);
+            state.templates = [];
+        }
+        
+        renderTemplateOptions();
+    }
+    
+    /**
+     * Fill the template picker, shared templates first
+     */
+    function renderTemplateOptions() {
+        const select = elements.templateSelect;
+        if (!select) return;
+        
+        select.innerHTML = '';
+        
+        const placeholderOption = document.createElement('option');
+        placeholderOption.value = '';
+        placeholderOption.textContent = wcOrderNotes.strings.insertTemplate;
+        select.appendChild(placeholderOption);
+        
+        [
+            ['shared', wcOrderNotes.strings.sharedTemplates],
+            ['personal', wcOrderNotes.strings.personalTemplates]
+        ].forEach(([scope, label]) => {
+            const templates = state.templates.filter(template => template.scope === scope);
+            if (templates.length === 0) return;
+            
+            const group = document.createElement('optgroup');
+            group.label = label;
+            
+            templates.forEach(template => {
+                const option = document.createElement('option');
+                option.value = template.id;
+                option.textContent = template.title;
+                group.appendChild(option);
+            });
+            
+            select.appendChild(group);
+        });
+        
+        select.disabled = state.templates.length === 0;
+    }
+    
+    /**
+     * Insert the chosen template at the cursor
+     */
+    function handleTemplateSelect(e) {
+        const template = state.templates.find(item => item.id === e.target.value);
+        e.target.value = '';
+        
+        if (!template || !elements.newNoteTextarea) return;
+        
+        const textarea = elements.newNoteTextarea;
+        const text = template.rendered !== undefined ? template.rendered : template.content;
+        const start = textarea.selectionStart || 0;
+        const end = textarea.selectionEnd || 0;
+        
+        textarea.value = textarea.value.slice(0, start) + text + textarea.value.slice(end);
+        textarea.selectionStart = textarea.selectionEnd = start + text.length;
+        textarea.focus();
+        
+        // Keep the character counter in sync
+        textarea.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+    
+    /**
+     * Look up users when an @mention is being typed
+     */
+    function updateMentionSuggestions() {
+        const textarea = elements.newNoteTextarea;
+        if (!textarea) return;
+        
+        const beforeCursor = textarea.value.slice(0, textarea.selectionStart);
+        const match = beforeCursor.match(/(^|\s)@([\w.-]*)$/);
+        
+        if (!match) {
+            hideMentionSuggestions();
+            return;
+        }
+        
+        state.mentions.start = beforeCursor.length - match[2].length - 1;
+        
+        if (state.mentions.timer) {
+            clearTimeout(state.mentions.timer);
+        }
+        
+        state.mentions.timer = setTimeout(() => fetchMentionSuggestions(match[2]), 200);
+    }
+    
+    /**
+     * Fetch users matching the typed mention
+     */
+    async function fetchMentionSuggestions(search) {
+        const requestId = ++state.mentions.requestId;
+        
+        try {
+            const data = await restRequest(`/mentions/users${buildQueryString({ search })}`);
+            
+            // Ignore answers to queries the user has already typed past
+            if (requestId !== state.mentions.requestId || state.mentions.start < 0) return;
+            
+            state.mentions.users = data.users || [];
+            state.mentions.activeIndex = 0;
+            renderMentionSuggestions();
+        } catch (error) {
+            console.error('Error loading users:', error);
+            hideMentionSuggestions();
+        }
+    }
+    
+    /**
+     * Show the autocomplete list under the composer
+     */
+    function renderMentionSuggestions() {
+        if (!elements.newNoteTextarea) return;
+        
+        if (state.mentions.users.length === 0) {
+            hideMentionSuggestions();
+            return;
+        }
+        
+        if (!elements.mentionSuggestions) {
+            const list = document.createElement('ul');
+            list.className = 'mention-suggestions';
+            list.setAttribute('role', 'listbox');
+            
+            // mousedown keeps the focus in the textarea
+            list.addEventListener('mousedown', e => {
+                const item = e.target.closest('.mention-suggestion');
+                if (!item) return;
+                
+                e.preventDefault();
+                insertMention(state.mentions.users[Number(item.dataset.index)]);
+            });
+            
+            elements.newNoteTextarea.parentNode.insertBefore(list, elements.newNoteTextarea.nextSibling);
+            elements.mentionSuggestions = list;
+        }
+        
+        const list = elements.mentionSuggestions;
+        list.innerHTML = '';
+        
+        state.mentions.users.forEach((user, index) => {
+            const item = document.createElement('li');
+            item.className = 'mention-suggestion';
+            item.dataset.index = index;
+            item.setAttribute('role', 'option');
+            item.setAttribute('aria-selected', index === state.mentions.activeIndex ? 'true' : 'false');
+            item.classList.toggle('active', index === state.mentions.activeIndex);
+            
+            if (user.avatar) {
+                const avatar = document.createElement('img');
+                avatar.className = 'mention-avatar';
+                avatar.src = user.avatar;
+                avatar.alt = '';
+                avatar.width = 20;
+                avatar.height = 20;
+                item.appendChild(avatar);
+            }
+            
+            const name = document.createElement('span');
+            name.textContent = user.display_name;
+            
+            const username = document.createElement('small');
+            username.textContent = `@${user.username}`;
+            
+            item.appendChild(name);
+            item.appendChild(username);
+            list.appendChild(item);
+        });
+        
+        list.hidden = false;
+    }
+    
+    /**
+     * Hide the autocomplete list
+     */
+    function hideMentionSuggestions() {
+        state.mentions.start = -1;
+        state.mentions.users = [];
+        state.mentions.requestId++;
+        
+        if (state.mentions.timer) {
+            clearTimeout(state.mentions.timer);
+            state.mentions.timer = null;
+        }
+        if (elements.mentionSuggestions) {
+            elements.mentionSuggestions.hidden = true;
+        }
+    }
+    
+    /**
+     * Navigate the autocomplete list; returns true when the key was used
+     */
+    function handleMentionKeyDown(e) {
+        const users = state.mentions.users;
+        if (!elements.mentionSuggestions || elements.mentionSuggestions.hidden || users.length === 0) {
+            return false;
+        }
+        
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            state.mentions.activeIndex = (state.mentions.activeIndex + step + users.length) % users.length;
+            renderMentionSuggestions();
+        } else if (e.key === 'Enter' || e.key === 'Tab') {
+            insertMention(users[state.mentions.activeIndex]);
+        } else if (e.key === 'Escape') {
+            // Close the list, not the modal
+            hideMentionSuggestions();
+        } else {
+            return false;
+        }
+        
+        e.preventDefault();
+        e.stopPropagation();
+        return true;
+    }
+    
+    /**
+     * Replace the typed @mention with the chosen username
+     */
+    function insertMention(user) {
+        const textarea = elements.newNoteTextarea;
+        if (!user || !textarea || state.mentions.start < 0) return;
+        
+        const start = state.mentions.start;
+        const end = textarea.selectionStart;
+        const mention = `@${user.username} `;
+        
+        textarea.value = textarea.value.slice(0, start) + mention + textarea.value.slice(end);
+        textarea.selectionStart = textarea.selectionEnd = start + mention.length;
+        textarea.focus();
+        
+        hideMentionSuggestions();
+        
+        // Keep the character counter in sync
+        textarea.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+    
+    /**
+     * Load order notes via REST API
+     */
+    async function loadOrderNotes(orderId) {
+        if (!elements.notesList) return;
+        
+        showLoadingState();
+        
+        try {
+            const data = await fetchNotesViaRest(orderId, state.includeSystem, 1);
+            
+            if (data.notes) {
+                displayNotes(data.notes, data.order_number, data.total_pages);
+                markNotesLoaded(data.timestamp);
+            }
+        } catch (error) {
+            console.error('Error loading notes:', error);
+            showError(error.message || wcOrderNotes.strings.error);
+        }
+    }
+    
+    /**
+     * Fetch notes via REST API
+     */
+    async function fetchNotesViaRest(orderId, includeSystem, page) {
+        // Validate order ID
+        if (!orderId || !/^\d+$/.test(orderId)) {
+            throw new Error('Invalid order ID');
+        }
+        
+        const query = buildQueryString({
+            include_system: includeSystem === undefined ? undefined : Number(includeSystem),
+            page,
+            per_page: page === undefined ? undefined : state.notesPerPage
+        });
+        
+        try {
+            const response = await fetchWithNonce(`${wcOrderNotes.restUrl}/notes/${orderId}${query}`, {
+                method: 'GET',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Requested-With': 'XMLHttpRequest'
+                },
+                credentials: 'same-origin'
+            });
+            
+            if (!response.ok) {
+                let errorMessage = 'Failed to load notes';
+                
+                try {
+                    const error = await response.json();
+                    errorMessage = error.message || errorMessage;
+                } catch (e) {
+                    // If response is not JSON, use status text
+                    errorMessage = response.statusText || errorMessage;
+                }
+                
+                // Handle specific HTTP status codes
+                if (response.status === 403) {
+                    errorMessage = wcOrderNotes.strings.securityError || 'Security check failed';
+                } else if (response.status === 404) {
+                    errorMessage = 'Order not found';
+                }
+                
+                throw createRequestError(errorMessage, response);
+            }
+            
+            return await response.json();
+            
+        } catch (error) {
+            if (error.name === 'TypeError' && error.message.includes('fetch')) {
+                throw new Error('Network error. Please check your connection.');
+            }
+            throw error;
+        }
+    }
+    
+    /**
+     * Display notes
+     */
+    function displayNotes(notes, orderNumber, totalPages = 1) {
+        if (!elements.notesList) return;
+        
+        if (elements.modalTitle && state.panelContext === 'modal') {
+            elements.modalTitle.textContent = `${wcOrderNotes.strings.orderNotes} #${orderNumber}`;
+        }
+        
+        state.currentOrderNumber = String(orderNumber);
+        state.notes = notes;
+        state.pagination.page = 1;
+        state.pagination.totalPages = Number(totalPages) || 1;
+        state.pagination.isLoadingMore = false;
+        
+        renderNotes();
+    }
+    
+    /**
+     * Render the loaded notes that match the current filters
+     */
+    function renderNotes() {
+        if (!elements.notesList) return;
+        
+        if (state.notes.length === 0) {
+            showEmptyList(wcOrderNotes.strings.noNotes);
+            return;
+        }
+        
+        const visibleNotes = state.notes.filter(noteMatchesFilters);
+        
+        const container = document.createElement('div');
+        container.className = 'notes-container';
+        
+        visibleNotes.forEach(note => {
+            container.appendChild(createNoteElement(note));
+        });
+        
+        elements.notesList.innerHTML = '';
+        
+        if (visibleNotes.length === 0) {
+            elements.notesList.appendChild(createNoMatchesMessage());
+        }
+        
+        elements.notesList.appendChild(container);
+        renderLoadMoreButton();
+    }
+    
+    /**
+     * Create the element for a single note
+     */
+    function createNoteElement(note) {
+        const noteItem = document.createElement('div');
+        noteItem.className = `note-item ${escapeHtml(note.type)}-note`;
+        noteItem.dataset.noteId = note.id;
+        if (note.author_type === 'system') {
+            noteItem.classList.add('system-authored');
+        }
+        if (note.pinned) {
+            noteItem.classList.add('pinned');
+            noteItem.appendChild(createPinIcon('note-pin-icon'));
+        }
+        
+        // The server sanitizes the HTML to the Markdown subset
+        const noteContent = document.createElement('div');
+        noteContent.className = 'note-content';
+        noteContent.innerHTML = note.content_html;
+        prepareNoteLinks(noteContent);
+        highlightTextNodes(noteContent, state.filters.search);
+        
+        const noteMeta = document.createElement('div');
+        noteMeta.className = 'note-meta';
+        
+        const noteDate = document.createElement('span');
+        noteDate.className = 'note-date';
+        noteDate.textContent = note.date;
+        
+        noteMeta.appendChild(createAuthorBadge(note));
+        if (note.system_rule) {
+            noteMeta.appendChild(createSystemRuleBadge(note.system_rule));
+        }
+        noteMeta.appendChild(noteDate);
+        if (note.reminder) {
+            noteMeta.appendChild(createReminderBadge(note.reminder));
+        }
+        noteMeta.appendChild(createNoteActions(note));
+        
+        noteItem.appendChild(noteContent);
+        if (note.attachments && note.attachments.length > 0) {
+            noteItem.appendChild(createAttachmentList(note.attachments));
+        }
+        noteItem.appendChild(noteMeta);
+        
+        return noteItem;
+    }
+    
+    /**
+     * Create the due date badge of a note with a reminder
+     */
+    function createReminderBadge(reminder) {
+        const badge = document.createElement('span');
+        badge.className = 'note-reminder';
+        
+        const icon = document.createElement('span');
+        icon.className = 'dashicons dashicons-clock';
+        icon.setAttribute('aria-hidden', 'true');
+        badge.appendChild(icon);
+        
+        let label;
+        if (reminder.done) {
+            badge.classList.add('is-done');
+            label = wcOrderNotes.strings.reminderDone.replace('%s', reminder.due);
+        } else {
+            badge.classList.toggle('is-overdue', Boolean(reminder.overdue));
+            label = (reminder.overdue ? wcOrderNotes.strings.reminderOverdue : wcOrderNotes.strings.reminderDue)
+                .replace('%1$s', reminder.due)
+                .replace('%2$s', reminder.assignee_name);
+        }
+        
+        badge.appendChild(document.createTextNode(label));
+        
+        return badge;
+    }
+    
+    /**
+     * Create the thumbnails and links of a note's files
+     */
+    function createAttachmentList(attachments) {
+        const list = document.createElement('ul');
+        list.className = 'note-attachments';
+        
+        attachments.forEach(attachment => {
+            const item = document.createElement('li');
+            item.className = 'note-attachment';
+            
+            const link = document.createElement('a');
+            link.href = attachment.url;
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+            link.title = attachment.filename;
+            
+            if (attachment.is_image && attachment.thumbnail_url) {
+                const image = document.createElement('img');
+                image.src = attachment.thumbnail_url;
+                image.alt = attachment.filename;
+                image.loading = 'lazy';
+                link.appendChild(image);
+            } else {
+                link.className = 'note-attachment-file';
+                
+                const icon = document.createElement('span');
+                icon.className = 'dashicons dashicons-media-default';
+                icon.setAttribute('aria-hidden', 'true');
+                
+                const name = document.createElement('span');
+                name.className = 'note-attachment-name';
+                name.textContent = attachment.filename;
+                
+                const size = document.createElement('span');
+                size.className = 'note-attachment-size';
+                size.textContent = formatFileSize(attachment.size);
+                
+                link.append(icon, name, size);
+            }
+            
+            item.appendChild(link);
+            list.appendChild(item);
+        });
+        
+        return list;
+    }
+    
+    /**
+     * Format a file size for display
+     */
+    function formatFileSize(bytes) {
+        const units = ['B', 'KB', 'MB', 'GB'];
+        let size = Number(bytes) || 0;
+        let unit = 0;
+        
+        while (size >= 1024 && unit < units.length - 1) {
+            size /= 1024;
+            unit++;
+        }
+        
+        return `${unit === 0 ? size : size.toFixed(1)} ${units[unit]}`;
+    }
+    
+    /**
+     * Create the "no notes match" message
+     */
+    function createNoMatchesMessage() {
+        const message = document.createElement('div');
+        message.className = 'no-notes no-matching-notes';
+        message.textContent = wcOrderNotes.strings.noMatchingNotes;
+        return message;
+    }
+    
+    /**
+     * Show the "Load older notes" control when more pages are available
+     */
+    function renderLoadMoreButton() {
+        if (state.loadMoreObserver) {
+            state.loadMoreObserver.disconnect();
+        }
+        
+        const existing = elements.notesList.querySelector('.notes-load-more');
+        if (existing) {
+            existing.remove();
+        }
+        
+        if (state.pagination.page >= state.pagination.totalPages) {
+            return;
+        }
+        
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'button notes-load-more';
+        button.textContent = wcOrderNotes.strings.loadOlderNotes;
+        button.addEventListener('click', loadOlderNotes);
+        
+        elements.notesList.appendChild(button);
+        
+        // Infinite scroll: load the next page when the button scrolls into view
+        if ('IntersectionObserver' in window) {
+            state.loadMoreObserver = new IntersectionObserver(entries => {
+                if (entries.some(entry => entry.isIntersecting)) {
+                    loadOlderNotes();
+                }
+            }, {
+                // The modal body scrolls; panels outside it scroll their notes list
+                root: state.panelContext === 'modal' ? elements.notesList.closest('.order-notes-modal-body') : elements.notesList,
+                rootMargin: '100px'
+            });
+            state.loadMoreObserver.observe(button);
+        }
+    }
+    
+    /**
+     * Load the next page of notes and append it to the list
+     */
+    async function loadOlderNotes() {
+        const orderId = state.currentOrderId;
+        if (!orderId || state.pagination.isLoadingMore || state.pagination.page >= state.pagination.totalPages) {
+            return;
+        }
+        
+        const button = elements.notesList.querySelector('.notes-load-more');
+        state.pagination.isLoadingMore = true;
+        if (button) {
+            button.disabled = true;
+            button.textContent = wcOrderNotes.strings.loading;
+        }
+        
+        try {
+            const nextPage = state.pagination.page + 1;
+            const data = await fetchNotesViaRest(orderId, state.includeSystem, nextPage);
+            
+            // The modal may have switched to another order meanwhile
+            if (orderId !== state.currentOrderId) {
+                return;
+            }
+            
+            state.pagination.page = nextPage;
+            state.pagination.totalPages = Number(data.total_pages) || nextPage;
+            appendNotes(data.notes || []);
+        } catch (error) {
+            console.error('Error loading older notes:', error);
+            showNotification(error.message || wcOrderNotes.strings.error, 'error');
+        } finally {
+            state.pagination.isLoadingMore = false;
+            if (orderId === state.currentOrderId) {
+                renderLoadMoreButton();
+            }
+        }
+    }
+    
+    /**
+     * Append notes to the existing list without re-rendering it
+     */
+    function appendNotes(notes) {
+        const container = elements.notesList.querySelector('.notes-container');
+        if (!container) return;
+        
+        // Notes added since the first page was loaded shift the offsets
+        const knownIds = new Set(state.notes.map(note => String(note.id)));
+        const newNotes = notes.filter(note => !knownIds.has(String(note.id)));
+        
+        state.notes = state.notes.concat(newNotes);
+        
+        const visibleNotes = newNotes.filter(noteMatchesFilters);
+        visibleNotes.forEach(note => {
+            container.appendChild(createNoteElement(note));
+        });
+        
+        const noMatches = elements.notesList.querySelector('.no-matching-notes');
+        if (noMatches && container.children.length > 0) {
+            noMatches.remove();
+        }
+    }
+    
+    /**
+     * Show an empty-list message
+     */
+    function showEmptyList(message) {
+        const noNotesDiv = document.createElement('div');
+        noNotesDiv.className = 'no-notes';
+        noNotesDiv.textContent = message;
+        elements.notesList.innerHTML = '';
+        elements.notesList.appendChild(noNotesDiv);
+    }
+    
+    /**
+     * Check a note against the search term, filter chips and date range
+     */
+    function noteMatchesFilters(note) {
+        const filters = state.filters;
+        
+        if (filters.search && !String(note.content_text).toLowerCase().includes(filters.search.toLowerCase())) {
+            return false;
+        }
+        
+        // Active chips are combined with OR
+        if (filters.types.size > 0) {
+            const matchesChip = Array.from(filters.types).some(type => {
+                switch (type) {
+                    case 'private':
+                        return note.type !== 'customer';
+                    case 'customer':
+                        return note.type === 'customer';
+                    case 'system':
+                        return isSystemNote(note);
+                    case 'mine':
+                        return Number(note.author_id) > 0 && Number(note.author_id) === Number(wcOrderNotes.currentUserId);
+                    default:
+                        return false;
+                }
+            });
+            
+            if (!matchesChip) {
+                return false;
+            }
+        }
+        
+        if (filters.dateFrom || filters.dateTo) {
+            const noteDate = new Date(note.date_iso);
+            if (isNaN(noteDate.getTime())) {
+                return false;
+            }
+            if (filters.dateFrom && noteDate < new Date(`${filters.dateFrom}T00:00:00`)) {
+                return false;
+            }
+            if (filters.dateTo && noteDate > new Date(`${filters.dateTo}T23:59:59.999`)) {
+                return false;
+            }
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Check whether a note was added automatically
+     */
+    function isSystemNote(note) {
+        return note.author_type === 'system' || Boolean(note.system_rule);
+    }
+    
+    /**
+     * Append text to an element, wrapping matches of the search term in <mark>
+     */
+    function appendHighlightedText(element, text, term) {
+        text = String(text);
+        
+        if (!term) {
+            element.textContent = text;
+            return;
+        }
+        
+        const lowerText = text.toLowerCase();
+        const lowerTerm = term.toLowerCase();
+        let position = 0;
+        let matchIndex = lowerText.indexOf(lowerTerm);
+        
+        while (matchIndex !== -1) {
+            if (matchIndex > position) {
+                element.appendChild(document.createTextNode(text.substring(position, matchIndex)));
+            }
+            
+            const mark = document.createElement('mark');
+            mark.className = 'note-search-match';
+            mark.textContent = text.substring(matchIndex, matchIndex + term.length);
+            element.appendChild(mark);
+            
+            position = matchIndex + term.length;
+            matchIndex = lowerText.indexOf(lowerTerm, position);
+        }
+        
+        if (position < text.length) {
+            element.appendChild(document.createTextNode(text.substring(position)));
+        }
+    }
+    
+    /**
+     * Highlight a search term in the text of formatted content
+     */
+    function highlightTextNodes(element, term) {
+        if (!term) return;
+        
+        const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+        const textNodes = [];
+        while (walker.nextNode()) {
+            textNodes.push(walker.currentNode);
+        }
+        
+        textNodes.forEach(node => {
+            if (!node.textContent.toLowerCase().includes(term.toLowerCase())) return;
+            
+            const highlighted = document.createElement('span');
+            appendHighlightedText(highlighted, node.textContent, term);
+            node.replaceWith(...highlighted.childNodes);
+        });
+    }
+    
+    /**
+     * Handle search / date filter changes
+     */
+    function handleFiltersChange() {
+        state.filters.search = elements.searchInput ? elements.searchInput.value.trim() : '';
+        state.filters.dateFrom = elements.dateFromInput ? elements.dateFromInput.value : '';
+        state.filters.dateTo = elements.dateToInput ? elements.dateToInput.value : '';
+        
+        renderNotes();
+    }
+    
+    /**
+     * Toggle a filter chip
+     */
+    function handleFilterChipClick(e) {
+        const chip = e.currentTarget;
+        const type = chip.dataset.filter;
+        
+        if (state.filters.types.has(type)) {
+            state.filters.types.delete(type);
+        } else {
+            state.filters.types.add(type);
+        }
+        
+        const isActive = state.filters.types.has(type);
+        chip.classList.toggle('active', isActive);
+        chip.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+        
+        renderNotes();
+    }
+    
+    /**
+     * Handle the "Show system notes" switch
+     */
+    function handleShowSystemChange(e) {
+        state.includeSystem = e.target.checked;
+        
+        // Remember the choice for the current user
+        restRequest('/preferences', {
+            method: 'POST',
+            body: {
+                show_system_notes: state.includeSystem
+            }
+        }).catch(error => {
+            console.error('Error saving preferences:', error);
+        });
+        
+        if (state.currentOrderId) {
+            loadOrderNotes(state.currentOrderId);
+        }
+    }
+    
+    /**
+     * Build a query string, skipping undefined values
+     */
+    function buildQueryString(params) {
+        const query = new URLSearchParams();
+        
+        Object.keys(params).forEach(key => {
+            if (params[key] !== undefined && params[key] !== null) {
+                query.append(key, params[key]);
+            }
+        });
+        
+        const queryString = query.toString();
+        return queryString ? `?${queryString}` : '';
+    }
+    
+    /**
+     * Reset search and filters
+     */
+    function resetFilters() {
+        state.notes = [];
+        state.pagination.page = 1;
+        state.pagination.totalPages = 1;
+        if (state.loadMoreObserver) {
+            state.loadMoreObserver.disconnect();
+        }
+        state.filters.search = '';
+        state.filters.types.clear();
+        state.filters.dateFrom = '';
+        state.filters.dateTo = '';
+        
+        if (elements.searchInput) {
+            elements.searchInput.value = '';
+        }
+        if (elements.dateFromInput) {
+            elements.dateFromInput.value = '';
+        }
+        if (elements.dateToInput) {
+            elements.dateToInput.value = '';
+        }
+        elements.filterChips.forEach(chip => {
+            chip.classList.remove('active');
+            chip.setAttribute('aria-pressed', 'false');
+        });
+    }
+    
+    /**
+     * Create the author badge (avatar and name) for a note
+     */
+    function createAuthorBadge(note) {
+        const noteAuthor = document.createElement('span');
+        noteAuthor.className = 'note-author';
+        
+        if (note.author_type === 'system') {
+            const icon = document.createElement('span');
+            icon.className = 'note-author-avatar system dashicons dashicons-admin-generic';
+            icon.setAttribute('aria-hidden', 'true');
+            noteAuthor.appendChild(icon);
+            noteAuthor.classList.add('system');
+            noteAuthor.title = wcOrderNotes.strings.systemAuthor;
+        } else if (note.author_avatar) {
+            const avatar = document.createElement('img');
+            avatar.className = 'note-author-avatar';
+            avatar.src = note.author_avatar;
+            avatar.alt = '';
+            avatar.width = 20;
+            avatar.height = 20;
+            avatar.loading = 'lazy';
+            noteAuthor.appendChild(avatar);
+        }
+        
+        const name = document.createElement('span');
+        name.className = 'note-author-name';
+        name.textContent = note.author;
+        noteAuthor.appendChild(name);
+        
+        return noteAuthor;
+    }
+    
+    /**
+     * Create a badge showing which system note rule matched
+     */
+    function createSystemRuleBadge(rule) {
+        const badge = document.createElement('span');
+        badge.className = 'note-system-rule';
+        badge.textContent = wcOrderNotes.strings.systemNote;
+        badge.title = wcOrderNotes.strings.matchedRule.replace('%s', rule);
+        return badge;
+    }
+    
+    /**
+     * Create edit / delete buttons for a note
+     */
+    function createNoteActions(note) {
+        const actions = document.createElement('span');
+        actions.className = 'note-actions';
+        
+        if (capabilities.add) {
+            actions.appendChild(note.pinned
+                ? createActionButton('unpin', wcOrderNotes.strings.unpinNote)
+                : createActionButton('pin', wcOrderNotes.strings.pinNote));
+            
+            // Only the author may change a note; WooCommerce's own notes stay as they are
+            if (note.can_edit) {
+                actions.appendChild(createActionButton('edit', wcOrderNotes.strings.editNote));
+            }
+            
+            if (note.reminder) {
+                actions.appendChild(note.reminder.done
+                    ? createActionButton('reminder-reopen', wcOrderNotes.strings.reopenReminder)
+                    : createActionButton('reminder-done', wcOrderNotes.strings.markReminderDone));
+            }
+        }
+        
+        if (capabilities.delete && note.can_edit) {
+            actions.appendChild(createActionButton('delete', wcOrderNotes.strings.deleteNote));
+        }
+        
+        return actions;
+    }
+    
+    /**
+     * Create a small action button
+     */
+    function createActionButton(action, label) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `button-link note-action note-action-${action}`;
+        button.dataset.action = action;
+        button.textContent = label;
+        return button;
+    }
+    
+    /**
+     * Handle clicks on note actions (event delegation)
+     */
+    function handleNotesListClick(e) {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+        
+        const noteItem = button.closest('.note-item');
+        if (!noteItem || !noteItem.dataset.noteId) return;
+        
+        switch (button.dataset.action) {
+            case 'edit':
+                startEditingNote(noteItem);
+                break;
+            case 'cancel-edit':
+                stopEditingNote(noteItem);
+                break;
+            case 'save':
+                handleSaveNote(noteItem);
+                break;
+            case 'delete':
+                handleDeleteNote(noteItem);
+                break;
+            case 'pin':
+            case 'unpin':
+                handleTogglePin(noteItem, button.dataset.action === 'pin');
+                break;
+            case 'reminder-done':
+            case 'reminder-reopen':
+                handleToggleReminder(noteItem, button.dataset.action === 'reminder-done');
+                break;
+        }
+    }
+    
+    /**
+     * Create the pin icon shown on pinned notes and previews
+     */
+    function createPinIcon(className) {
+        const icon = document.createElement('span');
+        icon.className = `${className} dashicons dashicons-admin-post`;
+        icon.title = wcOrderNotes.strings.pinnedNote;
+        return icon;
+    }
+    
+    /**
+     * Pin or unpin a note
+     */
+    async function handleTogglePin(noteItem, pinned) {
+        if (!state.currentOrderId) return;
+        
+        const orderId = state.currentOrderId;
+        
+        try {
+            await restRequest(`/notes/${orderId}/${noteItem.dataset.noteId}/pin`, {
+                method: 'POST',
+                body: { pinned }
+            });
+            
+            showNotification(pinned ? wcOrderNotes.strings.notePinned : wcOrderNotes.strings.noteUnpinned, 'success');
+            
+            await loadOrderNotesWithCacheBust(orderId);
+            updateOrderListPreview(orderId);
+        } catch (error) {
+            console.error('Error pinning note:', error);
+            showNotification(error.message || wcOrderNotes.strings.error, 'error');
+        }
+    }
+    
+    /**
+     * Mark the reminder of a note done or open it again
+     */
+    async function handleToggleReminder(noteItem, done) {
+        if (!state.currentOrderId) return;
+        
+        const orderId = state.currentOrderId;
+        
+        try {
+            await restRequest(`/notes/${orderId}/${noteItem.dataset.noteId}/reminder`, {
+                method: 'POST',
+                body: { done }
+            });
+            
+            showNotification(done ? wcOrderNotes.strings.reminderMarkedDone : wcOrderNotes.strings.reminderReopened, 'success');
+            
+            await loadOrderNotesWithCacheBust(orderId);
+            updateOrderListPreview(orderId);
+        } catch (error) {
+            console.error('Error updating reminder:', error);
+            showNotification(error.message || wcOrderNotes.strings.error, 'error');
+        }
+    }
+    
+    /**
+     * Switch a note into inline edit mode
+     */
+    function startEditingNote(noteItem) {
+        if (noteItem.classList.contains('editing')) return;
+        
+        const noteContent = noteItem.querySelector('.note-content');
+        const note = state.notes.find(item => String(item.id) === noteItem.dataset.noteId);
+        
+        const form = document.createElement('div');
+        form.className = 'note-edit-form';
+        
+        const textarea = document.createElement('textarea');
+        textarea.className = 'note-edit-textarea';
+        textarea.maxLength = state.maxNoteLength;
+        textarea.value = note ? markdownFromHtml(note.content) : '';
+        textarea.setAttribute('aria-label', wcOrderNotes.strings.editNote);
+        textarea.addEventListener('keydown', e => {
+            if (e.key === 'Escape') {
+                // Cancel the edit instead of closing the modal
+                e.stopPropagation();
+                stopEditingNote(noteItem);
+            }
+        });
+        
+        const buttons = document.createElement('div');
+        buttons.className = 'note-edit-buttons';
+        
+        const saveBtn = createActionButton('save', wcOrderNotes.strings.saveNote);
+        saveBtn.className = 'button button-primary button-small';
+        
+        const cancelBtn = createActionButton('cancel-edit', wcOrderNotes.strings.cancel);
+        cancelBtn.className = 'button button-small';
+        
+        buttons.appendChild(saveBtn);
+        buttons.appendChild(cancelBtn);
+        form.appendChild(textarea);
+        form.appendChild(buttons);
+        
+        noteItem.classList.add('editing');
+        noteItem.insertBefore(form, noteContent ? noteContent.nextSibling : noteItem.firstChild);
+        
+        textarea.focus();
+    }
+    
+    /**
+     * Leave inline edit mode without saving
+     */
+    function stopEditingNote(noteItem) {
+        const form = noteItem.querySelector('.note-edit-form');
+        if (form) {
+            form.remove();
+        }
+        noteItem.classList.remove('editing');
+    }
+    
+    /**
+     * Save an edited note
+     */
+    async function handleSaveNote(noteItem) {
+        const textarea = noteItem.querySelector('.note-edit-textarea');
+        const saveBtn = noteItem.querySelector('[data-action="save"]');
+        if (!textarea || !state.currentOrderId) return;
+        
+        const noteContent = textarea.value.trim();
+        
+        if (!noteContent) {
+            showNotification(wcOrderNotes.strings.notePlaceholder, 'error');
+            return;
+        }
+        
+        if (noteContent.length > state.maxNoteLength) {
+            showNotification(wcOrderNotes.strings.contentTooLong, 'error');
+            return;
+        }
+        
+        const orderId = state.currentOrderId;
+        
+        if (saveBtn) {
+            saveBtn.disabled = true;
+        }
+        
+        try {
+            await restRequest(`/notes/${orderId}/${noteItem.dataset.noteId}`, {
+                method: 'PUT',
+                body: {
+                    note_content: renderMarkdown(noteContent)
+                }
+            });
+            
+            showNotification(wcOrderNotes.strings.noteUpdated, 'success');
+            
+            await loadOrderNotesWithCacheBust(orderId);
+            updateOrderListPreview(orderId);
+        } catch (error) {
+            console.error('Error updating note:', error);
+            showNotification(error.message || wcOrderNotes.strings.error, 'error');
+            
+            if (saveBtn) {
+                saveBtn.disabled = false;
+            }
+        }
+    }
+    
+    /**
+     * Delete a note after confirmation
+     */
+    async function handleDeleteNote(noteItem) {
+        if (!state.currentOrderId) return;
+        
+        if (!window.confirm(wcOrderNotes.strings.confirmDelete)) {
+            return;
+        }
+        
+        const orderId = state.currentOrderId;
+        noteItem.classList.add('deleting');
+        
+        try {
+            await restRequest(`/notes/${orderId}/${noteItem.dataset.noteId}`, {
+                method: 'DELETE'
+            });
+            
+            showNotification(wcOrderNotes.strings.noteDeleted, 'success');
+            
+            await loadOrderNotesWithCacheBust(orderId);
+            updateOrderListPreview(orderId);
+        } catch (error) {
+            console.error('Error deleting note:', error);
+            showNotification(error.message || wcOrderNotes.strings.error, 'error');
+            noteItem.classList.remove('deleting');
+        }
+    }
+    
+    /**
+     * Send a request to the plugin REST namespace
+     */
+    async function restRequest(path, options = {}) {
+        const method = options.method || 'GET';
+        const fetchOptions = {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Requested-With': 'XMLHttpRequest'
+            },
+            credentials: 'same-origin'
+        };
+        
+        if (options.source) {
+            fetchOptions.headers['X-WC-Order-Notes-Source'] = options.source;
+        }
+        
+        if (options.body instanceof FormData) {
+            // The browser sets the multipart content type with its boundary
+            delete fetchOptions.headers['Content-Type'];
+            fetchOptions.body = options.body;
+        } else if (options.body !== undefined) {
+            fetchOptions.body = JSON.stringify(options.body);
+        }
+        
+        let response;
+        try {
+            response = await fetchWithNonce(`${wcOrderNotes.restUrl}${path}`, fetchOptions);
+        } catch (error) {
+            throw createRequestError(wcOrderNotes.strings.networkError, null);
+        }
+        
+        if (!response.ok) {
+            let errorMessage = wcOrderNotes.strings.error;
+            let errorCode = '';
+            
+            try {
+                const error = await response.json();
+                errorMessage = error.message || errorMessage;
+                errorCode = error.code || '';
+            } catch (e) {
+                errorMessage = response.statusText || errorMessage;
+            }
+            
+            throw createRequestError(errorMessage, response, errorCode);
+        }
+        
+        return await response.json();
+    }
+    
+    /**
+     * Send a REST request with the current nonce, refreshing it and retrying once if it expired
+     */
+    async function fetchWithNonce(url, options = {}) {
+        // The source header tells the audit log which screen a change came from
+        const send = () => fetch(url, Object.assign({}, options, {
+            headers: Object.assign({ 'X-WC-Order-Notes-Source': state.panelContext || 'modal' }, options.headers, { 'X-WP-Nonce': wcOrderNotes.restNonce })
+        }));
+        
+        const response = await send();
+        
+        if (response.status !== 403 || !(await isInvalidNonceResponse(response))) {
+            return response;
+        }
+        
+        return (await refreshRestNonce()) ? await send() : response;
+    }
+    
+    /**
+     * Check whether a REST response was rejected for an expired nonce
+     */
+    async function isInvalidNonceResponse(response) {
+        try {
+            const error = await response.clone().json();
+            return isInvalidNonceCode(error.code);
+        } catch (e) {
+            return false;
+        }
+    }
+    
+    /**
+     * Check whether an error code means the nonce expired
+     */
+    function isInvalidNonceCode(code) {
+        // WordPress rejects the cookie nonce before the plugin's own check runs
+        return code === 'rest_cookie_invalid_nonce' || code === 'invalid_nonce';
+    }
+    
+    /**
+     * Get a fresh REST nonce; concurrent callers share one request
+     */
+    function refreshRestNonce() {
+        if (!state.nonceRefresh) {
+            state.nonceRefresh = fetch(`${wcOrderNotes.ajaxUrl}?action=rest-nonce`, {
+                credentials: 'same-origin',
+                headers: { 'X-Requested-With': 'XMLHttpRequest' }
+            })
+                .then(response => (response.ok ? response.text() : ''))
+                .then(nonce => {
+                    nonce = nonce.trim();
+                    
+                    // Logged-out sessions get "0" instead of a nonce
+                    if (!/^[a-f0-9]{10}$/.test(nonce)) {
+                        return false;
+                    }
+                    
+                    wcOrderNotes.restNonce = nonce;
+                    return true;
+                })
+                .catch(() => false)
+                .finally(() => {
+                    state.nonceRefresh = null;
+                });
+        }
+        
+        return state.nonceRefresh;
+    }
+    
+    /**
+     * Build an error that keeps the HTTP details needed to decide on a retry
+     */
+    function createRequestError(message, response, code = '') {
+        const error = new Error(message);
+        error.status = response ? response.status : 0;
+        error.code = code;
+        error.retryAfter = response ? parseRetryAfter(response.headers.get('Retry-After')) : 0;
+        
+        if (error.status === 429) {
+            error.message = wcOrderNotes.strings.rateLimitExceeded;
+            startRateLimitCountdown(error.retryAfter);
+        }
+        
+        return error;
+    }
+    
+    /**
+     * Show how long until the rate limit lets requests through again
+     */
+    function startRateLimitCountdown(seconds) {
+        if (!seconds) return;
+        
+        state.rateLimit.until = Math.max(state.rateLimit.until, Date.now() + seconds * 1000);
+        
+        let notice = document.querySelector('.order-notes-rate-limit');
+        if (!notice) {
+            notice = document.createElement('div');
+            notice.className = 'order-notes-rate-limit';
+            notice.setAttribute('role', 'status');
+            document.body.appendChild(notice);
+        }
+        
+        clearInterval(state.rateLimit.timer);
+        
+        const update = () => {
+            const remaining = Math.ceil((state.rateLimit.until - Date.now()) / 1000);
+            
+            if (remaining <= 0) {
+                clearInterval(state.rateLimit.timer);
+                state.rateLimit.timer = null;
+                state.rateLimit.until = 0;
+                notice.remove();
+                return;
+            }
+            
+            notice.textContent = wcOrderNotes.strings.rateLimitCountdown.replace('%s', formatCountdown(remaining));
+        };
+        
+        update();
+        state.rateLimit.timer = setInterval(update, 1000);
+    }
+    
+    /**
+     * Format seconds as m:ss, or h:mm:ss for an hour or more
+     */
+    function formatCountdown(seconds) {
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        const secs = String(seconds % 60).padStart(2, '0');
+        
+        return hours
+            ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+            : `${minutes}:${secs}`;
+    }
+    
+    /**
+     * Convert a Retry-After header (seconds or HTTP date) to seconds
+     */
+    function parseRetryAfter(value) {
+        if (!value) return 0;
+        
+        if (/^\d+$/.test(value.trim())) {
+            return Number(value);
+        }
+        
+        const date = Date.parse(value);
+        return isNaN(date) ? 0 : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+    }
+    
+    /**
+     * Handle add note
+     */
+    async function handleAddNote() {
+        if (!elements.newNoteTextarea || !elements.addNoteBtn || !capabilities.add) return;
+        
+        const noteContent = elements.newNoteTextarea.value.trim();
+        
+        if (!noteContent) {
+            showNotification(wcOrderNotes.strings.notePlaceholder || 'Please enter a note.', 'error');
+            return;
+        }
+        
+        if (noteContent.length > state.maxNoteLength) {
+            showNotification(`Note content is too long. Maximum ${state.maxNoteLength} characters allowed.`, 'error');
+            return;
+        }
+        
+        const isCustomerNote = isCustomerNoteSelected();
+        
+        if (state.bulkOrderIds.length > 0) {
+            await handleAddBulkNote(noteContent, isCustomerNote);
+            return;
+        }
+        
+        if (!state.currentOrderId) {
+            showNotification('No order selected.', 'error');
+            return;
+        }
+        
+        if (state.attachments.uploading > 0) {
+            showNotification(wcOrderNotes.strings.attachmentsUploading, 'error');
+            return;
+        }
+        
+        const orderId = state.currentOrderId;
+        const attachmentIds = state.attachments.pending.map(attachment => attachment.id);
+        const reminder = getReminderInput();
+        // Sent with every attempt, so the server can tell a retry from a new note
+        const requestKey = createRequestKey();
+        
+        setButtonLoading(true);
+        
+        try {
+            const result = await addNoteViaRest(orderId, noteContent, isCustomerNote, attachmentIds, reminder, requestKey);
+            
+            if (result.message) {
+                // Clear textarea and fall back to a private note
+                elements.newNoteTextarea.value = '';
+                resetNoteType();
+                setPendingAttachments([]);
+                setReminderInput(null);
+                updateCharacterCount();
+                updateMarkdownPreview();
+                clearDraft(orderId);
+                
+                // Show success message
+                showNotification(
+                    result.is_customer_note ? wcOrderNotes.strings.customerNoteAdded : wcOrderNotes.strings.noteAdded,
+                    'success'
+                );
+                
+                // Reload notes with cache busting
+                await loadOrderNotesWithCacheBust(state.currentOrderId);
+                
+                // Update the order list preview
+                updateOrderListPreview(state.currentOrderId);
+            }
+        } catch (error) {
+            console.error('Error adding note:', error);
+            
+            if (isRetryableError(error)) {
+                // Move the note out of the composer into the retry queue
+                queueNote(requestKey, orderId, noteContent, isCustomerNote, error, state.attachments.pending, reminder);
+                if (String(state.currentOrderId) === String(orderId)) {
+                    elements.newNoteTextarea.value = '';
+                    resetNoteType();
+                    setPendingAttachments([]);
+                    setReminderInput(null);
+                    updateCharacterCount();
+                    updateMarkdownPreview();
+                }
+                clearDraft(orderId);
+                showNotification(wcOrderNotes.strings.noteQueued, 'error');
+            } else {
+                showNotification(error.message || wcOrderNotes.strings.error, 'error');
+            }
+        } finally {
+            setButtonLoading(false);
+        }
+    }
+    
+    /**
+     * Read the due date and assignee set in the composer
+     * 
+     * Returns null without a due date; bulk notes have no reminders.
+     */
+    function getReminderInput() {
+        if (!elements.dueDateInput || !elements.dueDateInput.value || state.bulkOrderIds.length > 0) {
+            return null;
+        }
+        
+        return {
+            dueDate: elements.dueDateInput.value,
+            assigneeId: elements.assigneeSelect ? elements.assigneeSelect.value : ''
+        };
+    }
+    
+    /**
+     * Fill the composer's reminder fields, or clear them and assign to the current user
+     */
+    function setReminderInput(reminder) {
+        if (elements.dueDateInput) {
+            elements.dueDateInput.value = reminder ? reminder.dueDate : '';
+        }
+        
+        if (elements.assigneeSelect) {
+            const assigneeId = String(reminder && reminder.assigneeId ? reminder.assigneeId : wcOrderNotes.currentUserId);
+            if (Array.from(elements.assigneeSelect.options).some(option => option.value === assigneeId)) {
+                elements.assigneeSelect.value = assigneeId;
+            }
+        }
+    }
+    
+    /**
+     * Files belong to one order, so bulk notes can't have them
+     */
+    function canAttachFiles() {
+        return capabilities.add && Boolean(state.currentOrderId) && state.bulkOrderIds.length === 0;
+    }
+    
+    /**
+     * Upload the files picked with the attach button
+     */
+    function handleAttachInputChange(e) {
+        uploadAttachments(Array.from(e.target.files || []));
+        e.target.value = '';
+    }
+    
+    /**
+     * Check whether a drag carries files from outside the page
+     */
+    function isFileDrag(e) {
+        return Boolean(e.dataTransfer) && Array.from(e.dataTransfer.types || []).includes('Files');
+    }
+    
+    /**
+     * Accept files dragged over the composer
+     */
+    function handleComposerDragOver(e) {
+        if (!isFileDrag(e) || !canAttachFiles()) return;
+        
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+        elements.addNoteSection.classList.add('is-dragover');
+    }
+    
+    /**
+     * Remove the drop highlight once the drag leaves the composer
+     */
+    function handleComposerDragLeave(e) {
+        // Moving between the composer's own elements also fires dragleave
+        if (elements.addNoteSection.contains(e.relatedTarget)) return;
+        
+        elements.addNoteSection.classList.remove('is-dragover');
+    }
+    
+    /**
+     * Upload files dropped onto the composer
+     */
+    function handleComposerDrop(e) {
+        if (!isFileDrag(e) || !canAttachFiles()) return;
+        
+        e.preventDefault();
+        elements.addNoteSection.classList.remove('is-dragover');
+        uploadAttachments(Array.from(e.dataTransfer.files || []));
+    }
+    
+    /**
+     * Upload files for the note being written, one at a time
+     */
+    async function uploadAttachments(files) {
+        if (!canAttachFiles() || files.length === 0) return;
+        
+        const orderId = state.currentOrderId;
+        const maxAttachments = wcOrderNotes.maxAttachments || 10;
+        const room = maxAttachments - state.attachments.pending.length - state.attachments.uploading;
+        
+        if (files.length > room) {
+            showNotification(wcOrderNotes.strings.tooManyAttachments.replace('%d', maxAttachments), 'error');
+            files = files.slice(0, Math.max(0, room));
+        }
+        
+        for (const file of files) {
+            if (wcOrderNotes.maxAttachmentSize && file.size > wcOrderNotes.maxAttachmentSize) {
+                showNotification(wcOrderNotes.strings.attachmentTooLarge.replace('%s', file.name), 'error');
+                continue;
+            }
+            
+            state.attachments.uploading++;
+            renderPendingAttachments();
+            
+            try {
+                const body = new FormData();
+                body.append('file', file);
+                
+                const result = await restRequest(`/notes/${orderId}/attachments`, { method: 'POST', body });
+                
+                if (String(state.currentOrderId) === String(orderId)) {
+                    state.attachments.pending.push(result.attachment);
+                    saveDraftNow();
+                } else {
+                    // The composer moved on to another order meanwhile
+                    deletePendingAttachment(result.attachment.id);
+                }
+            } catch (error) {
+                showNotification(
+                    wcOrderNotes.strings.attachmentFailed
+                        .replace('%1$s', file.name)
+                        .replace('%2$s', error.message || wcOrderNotes.strings.error),
+                    'error'
+                );
+            } finally {
+                state.attachments.uploading--;
+                renderPendingAttachments();
+            }
+        }
+    }
+    
+    /**
+     * Replace the files waiting for the note being written
+     */
+    function setPendingAttachments(attachments) {
+        state.attachments.pending = Array.isArray(attachments) ? attachments : [];
+        renderPendingAttachments();
+    }
+    
+    /**
+     * Show the files waiting for the note being written
+     */
+    function renderPendingAttachments() {
+        const list = elements.pendingAttachmentsList;
+        if (!list) return;
+        
+        list.innerHTML = '';
+        
+        state.attachments.pending.forEach(attachment => {
+            const item = document.createElement('li');
+            item.className = 'note-attachment-chip';
+            item.dataset.attachmentId = attachment.id;
+            
+            const name = document.createElement('span');
+            name.className = 'note-attachment-name';
+            name.textContent = attachment.filename;
+            name.title = attachment.filename;
+            
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'note-attachment-remove';
+            removeBtn.textContent = '×';
+            removeBtn.setAttribute('aria-label', wcOrderNotes.strings.removeAttachment.replace('%s', attachment.filename));
+            
+            item.append(name, removeBtn);
+            list.appendChild(item);
+        });
+        
+        if (state.attachments.uploading > 0) {
+            const uploading = document.createElement('li');
+            uploading.className = 'note-attachment-chip is-uploading';
+            uploading.textContent = wcOrderNotes.strings.uploadingAttachments;
+            list.appendChild(uploading);
+        }
+    }
+    
+    /**
+     * Remove a file from the note being written
+     */
+    function handlePendingAttachmentClick(e) {
+        const button = e.target.closest('.note-attachment-remove');
+        if (!button) return;
+        
+        const attachmentId = Number(button.closest('.note-attachment-chip').dataset.attachmentId);
+        
+        setPendingAttachments(state.attachments.pending.filter(attachment => attachment.id !== attachmentId));
+        saveDraftNow();
+        deletePendingAttachment(attachmentId);
+    }
+    
+    /**
+     * Delete an upload that will not be attached; leftovers are cleaned up by the server
+     */
+    function deletePendingAttachment(attachmentId) {
+        restRequest(`/attachments/${attachmentId}`, { method: 'DELETE' }).catch(error => {
+            console.error('Error removing attachment:', error);
+        });
+    }
+    
+    /**
+     * Read a JSON value from localStorage
+     */
+    function readStorage(key, fallback) {
+        try {
+            const value = window.localStorage.getItem(STORAGE_PREFIX + key);
+            return value === null ? fallback : JSON.parse(value);
+        } catch (e) {
+            return fallback;
+        }
+    }
+    
+    /**
+     * Write a JSON value to localStorage, or remove it when null
+     */
+    function writeStorage(key, value) {
+        try {
+            if (value === null) {
+                window.localStorage.removeItem(STORAGE_PREFIX + key);
+            } else {
+                window.localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(value));
+            }
+        } catch (e) {
+            // Storage may be full or disabled; drafts are a convenience
+        }
+    }
+    
+    /**
+     * Save the composer as a draft shortly after typing stops
+     */
+    function scheduleDraftSave() {
+        if (state.draftTimer) {
+            clearTimeout(state.draftTimer);
+        }
+        
+        state.draftTimer = setTimeout(saveDraftNow, 500);
+    }
+    
+    /**
+     * Save the composer as the current order's draft right away
+     */
+    function saveDraftNow() {
+        if (state.draftTimer) {
+            clearTimeout(state.draftTimer);
+            state.draftTimer = null;
+        }
+        
+        // Bulk notes go to many orders and are not kept as drafts
+        if (!state.currentOrderId || state.bulkOrderIds.length > 0 || !elements.newNoteTextarea) return;
+        
+        const content = elements.newNoteTextarea.value;
+        const reminder = getReminderInput();
+        
+        if (!content.trim() && state.attachments.pending.length === 0 && !reminder) {
+            clearDraft(state.currentOrderId);
+            return;
+        }
+        
+        // Uploaded files wait on the server until the note is added
+        writeStorage(`draft:${state.currentOrderId}`, {
+            content,
+            isCustomerNote: isCustomerNoteSelected(),
+            attachments: state.attachments.pending,
+            reminder,
+            savedAt: Date.now()
+        });
+    }
+    
+    /**
+     * Put an order's saved draft back into the composer
+     */
+    function restoreDraft(orderId) {
+        if (!elements.newNoteTextarea) return;
+        
+        const draft = readStorage(`draft:${orderId}`, null);
+        const hasDraft = Boolean(draft && (draft.content || (draft.attachments && draft.attachments.length > 0) || draft.reminder));
+        
+        elements.newNoteTextarea.value = hasDraft ? draft.content : '';
+        setPendingAttachments(hasDraft ? draft.attachments : []);
+        setReminderInput(hasDraft ? draft.reminder : null);
+        elements.noteTypeInputs.forEach(input => {
+            input.checked = input.value === (hasDraft && draft.isCustomerNote && capabilities.addCustomer ? 'customer' : 'private');
+        });
+        handleNoteTypeChange();
+        updateCharacterCount();
+        updateMarkdownPreview();
+        
+        if (hasDraft) {
+            showNotification(wcOrderNotes.strings.draftRestored, 'info');
+        }
+    }
+    
+    /**
+     * Forget an order's draft
+     */
+    function clearDraft(orderId) {
+        writeStorage(`draft:${orderId}`, null);
+    }
+    
+    /**
+     * Remove drafts nobody came back to
+     */
+    function pruneDrafts() {
+        try {
+            const prefix = `${STORAGE_PREFIX}draft:`;
+            const expired = [];
+            
+            for (let i = 0; i < window.localStorage.length; i++) {
+                const key = window.localStorage.key(i);
+                if (!key || key.indexOf(prefix) !== 0) continue;
+                
+                const draft = readStorage(key.slice(STORAGE_PREFIX.length), null);
+                if (!draft || !draft.savedAt || Date.now() - draft.savedAt > DRAFT_TTL) {
+                    expired.push(key);
+                }
+            }
+            
+            expired.forEach(key => window.localStorage.removeItem(key));
+        } catch (e) {
+            // Storage unavailable
+        }
+    }
+    
+    /**
+     * Check whether a failed request may succeed if sent again later
+     */
+    function isRetryableError(error) {
+        return error.status === 0
+            || error.status === 429
+            || error.status >= 500
+            || isInvalidNonceCode(error.code);
+    }
+    
+    /**
+     * Get the notes waiting to be sent
+     */
+    function getRetryQueue() {
+        const queue = readStorage('retry-queue', []);
+        return Array.isArray(queue) ? queue : [];
+    }
+    
+    /**
+     * Store the notes waiting to be sent
+     */
+    function setRetryQueue(queue) {
+        writeStorage('retry-queue', queue.length > 0 ? queue : null);
+    }
+    
+    /**
+     * Create a random key identifying one add-note request and its retries
+     */
+    function createRequestKey() {
+        return `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+    
+    /**
+     * Add a note that failed to send to the retry queue
+     * 
+     * The request key becomes the entry ID, so the note is not added twice if the
+     * failed attempt did reach the server.
+     */
+    function queueNote(requestKey, orderId, content, isCustomerNote, error, attachments = [], reminder = null) {
+        const queue = getRetryQueue();
+        
+        queue.push({
+            id: requestKey,
+            orderId: String(orderId),
+            orderNumber: String(orderId) === String(state.currentOrderId) && state.currentOrderNumber
+                ? state.currentOrderNumber
+                : String(orderId),
+            content,
+            isCustomerNote: Boolean(isCustomerNote),
+            attachments,
+            reminder,
+            attempts: 1,
+            lastStatus: error.status,
+            nextAttemptAt: Date.now() + getRetryDelay(1, error.retryAfter),
+            lockedUntil: 0
+        });
+        
+        setRetryQueue(queue);
+        renderPendingIndicators();
+        scheduleRetryQueue();
+    }
+    
+    /**
+     * Wait time before the next attempt: Retry-After when given, otherwise exponential backoff
+     */
+    function getRetryDelay(attempts, retryAfter) {
+        if (retryAfter > 0) {
+            return retryAfter * 1000;
+        }
+        
+        return Math.min(RETRY_BASE_DELAY * Math.pow(2, attempts - 1), RETRY_MAX_DELAY);
+    }
+    
+    /**
+     * Update one queued note
+     */
+    function updateQueuedNote(id, changes) {
+        setRetryQueue(getRetryQueue().map(entry => (entry.id === id ? Object.assign({}, entry, changes) : entry)));
+    }
+    
+    /**
+     * Remove one queued note
+     */
+    function removeQueuedNote(id) {
+        setRetryQueue(getRetryQueue().filter(entry => entry.id !== id));
+    }
+    
+    /**
+     * Set a timer for the earliest queued note that is due
+     */
+    function scheduleRetryQueue() {
+        if (state.retryQueue.timer) {
+            clearTimeout(state.retryQueue.timer);
+            state.retryQueue.timer = null;
+        }
+        
+        const queue = getRetryQueue();
+        if (queue.length === 0) return;
+        
+        const nextAttemptAt = Math.min(...queue.map(entry => Math.max(entry.nextAttemptAt, entry.lockedUntil || 0)));
+        
+        state.retryQueue.timer = setTimeout(processRetryQueue, Math.max(0, nextAttemptAt - Date.now()));
+    }
+    
+    /**
+     * Send the queued notes that are due, one at a time
+     */
+    async function processRetryQueue() {
+        if (state.retryQueue.isProcessing) return;
+        
+        state.retryQueue.isProcessing = true;
+        
+        try {
+            for (;;) {
+                const now = Date.now();
+                // Another tab may be sending an entry; it holds a short lock on it
+                const entry = getRetryQueue().find(item => item.nextAttemptAt <= now && (item.lockedUntil || 0) <= now);
+                if (!entry) break;
+                
+                updateQueuedNote(entry.id, { lockedUntil: now + 60000 });
+                
+                try {
+                    await addNoteViaRest(entry.orderId, entry.content, entry.isCustomerNote, (entry.attachments || []).map(attachment => attachment.id), entry.reminder || null, entry.id);
+                    
+                    removeQueuedNote(entry.id);
+                    handleQueuedNoteSent(entry);
+                } catch (error) {
+                    if (isRetryableError(error)) {
+                        const attempts = entry.attempts + 1;
+                        
+                        updateQueuedNote(entry.id, {
+                            attempts,
+                            lastStatus: error.status,
+                            nextAttemptAt: Date.now() + getRetryDelay(attempts, error.retryAfter),
+                            lockedUntil: 0
+                        });
+                        
+                        // The server or the connection is still unavailable; don't hammer it
+                        break;
+                    }
+                    
+                    removeQueuedNote(entry.id);
+                    handleQueuedNoteRejected(entry, error);
+                }
+            }
+        } finally {
+            state.retryQueue.isProcessing = false;
+            renderPendingIndicators();
+            scheduleRetryQueue();
+        }
+    }
+    
+    /**
+     * Report a queued note that reached the server
+     */
+    function handleQueuedNoteSent(entry) {
+        showNotification(wcOrderNotes.strings.queuedNoteSent.replace('%s', entry.orderNumber), 'success');
+        
+        updateOrderListPreview(entry.orderId);
+        
+        if (String(state.currentOrderId) === entry.orderId && isModalOpen()) {
+            loadOrderNotesWithCacheBust(entry.orderId);
+        }
+    }
+    
+    /**
+     * Give a queued note the server refused back to the user as a draft
+     */
+    function handleQueuedNoteRejected(entry, error) {
+        const draft = readStorage(`draft:${entry.orderId}`, null);
+        const content = draft && draft.content ? `${entry.content}\n\n${draft.content}` : entry.content;
+        const attachments = (entry.attachments || []).concat(draft && draft.attachments ? draft.attachments : []);
+        
+        writeStorage(`draft:${entry.orderId}`, {
+            content,
+            isCustomerNote: entry.isCustomerNote,
+            attachments,
+            reminder: entry.reminder || (draft && draft.reminder) || null,
+            savedAt: Date.now()
+        });
+        
+        if (String(state.currentOrderId) === entry.orderId && isModalOpen()) {
+            restoreDraft(entry.orderId);
+        }
+        
+        showNotification(
+            wcOrderNotes.strings.queuedNoteRejected
+                .replace('%1$s', entry.orderNumber)
+                .replace('%2$s', error.message || wcOrderNotes.strings.error),
+            'error'
+        );
+    }
+    
+    /**
+     * Retry notes that failed for lack of a connection as soon as it is back
+     */
+    function handleOnline() {
+        const now = Date.now();
+        
+        setRetryQueue(getRetryQueue().map(entry => (
+            entry.lastStatus === 0 ? Object.assign({}, entry, { nextAttemptAt: now }) : entry
+        )));
+        scheduleRetryQueue();
+    }
+    
+    /**
+     * Follow retry queue changes made in other tabs
+     */
+    function handleStorageChange(e) {
+        if (e.key === `${STORAGE_PREFIX}retry-queue`) {
+            renderPendingIndicators();
+            scheduleRetryQueue();
+        }
+    }
+    
+    /**
+     * Mark list cells of orders that have notes waiting to be sent
+     */
+    function renderPendingIndicators() {
+        const counts = {};
+        getRetryQueue().forEach(entry => {
+            counts[entry.orderId] = (counts[entry.orderId] || 0) + 1;
+        });
+        
+        document.querySelectorAll('.note-preview[data-order-id]').forEach(notePreview => {
+            renderPendingIndicator(notePreview, counts[notePreview.dataset.orderId] || 0);
+        });
+    }
+    
+    /**
+     * Show or remove the pending notes badge of one list cell
+     */
+    function renderPendingIndicator(notePreview, count) {
+        let badge = notePreview.querySelector('.note-pending-badge');
+        
+        if (count === 0) {
+            if (badge) {
+                badge.remove();
+            }
+            notePreview.classList.remove('has-pending-notes');
+            return;
+        }
+        
+        if (!badge) {
+            badge = document.createElement('span');
+            badge.className = 'note-pending-badge';
+            notePreview.insertBefore(badge, notePreview.firstChild);
+        }
+        
+        const label = count === 1
+            ? wcOrderNotes.strings.pendingNote
+            : wcOrderNotes.strings.pendingNotes.replace('%d', count);
+        
+        badge.textContent = `\u21bb ${count}`;
+        badge.title = label;
+        badge.setAttribute('aria-label', label);
+        notePreview.classList.add('has-pending-notes');
     }
     
     /**
-     * Close modal
+     * Intercept the orders list form when "Add note to selected" is chosen
      */
-    function closeModal() {
-        if (!elements.modal || !elements.modalContent) return;
+    function handleBulkActionSubmit(e) {
+        const form = e.target;
+        if (!form || !wcOrderNotes.bulkAction || !form.querySelector('select[name="action"]')) return;
         
-        elements.modalContent.classList.remove('show');
+        // WordPress submits both bulk action selects; the button used decides which one counts
+        const submitterId = e.submitter ? e.submitter.id : '';
+        const select = form.querySelector(submitterId === 'doaction2' ? 'select[name="action2"]' : 'select[name="action"]');
+        if (!select) return;
         
-        setTimeout(() => {
-            elements.modal.style.display = 'none';
-            elements.modal.setAttribute('aria-hidden', 'true');
-            document.body.classList.remove('modal-open');
-            
-            // Clear form
-            if (elements.newNoteTextarea) {
-                elements.newNoteTextarea.value = '';
-            }
-            if (elements.notesList) {
-                elements.notesList.innerHTML = '';
-            }
-            state.currentOrderId = null;
-        }, 300);
+        const exportPrefix = wcOrderNotes.exportBulkActionPrefix;
+        const isExport = Boolean(exportPrefix) && select.value.indexOf(exportPrefix) === 0;
+        if (select.value !== wcOrderNotes.bulkAction && !isExport) return;
+        
+        e.preventDefault();
+        e.stopPropagation();
+        
+        // Legacy list uses post[], the HPOS list uses id[]
+        const orderIds = Array.from(form.querySelectorAll('input[name="post[]"]:checked, input[name="id[]"]:checked'))
+            .map(input => input.value)
+            .filter(id => /^\d+$/.test(id));
+        
+        if (orderIds.length === 0) {
+            showNotification(wcOrderNotes.strings.bulkNoOrdersSelected, 'error');
+            return;
+        }
+        
+        if (isExport) {
+            exportNotes({ order_ids: orderIds.join(',') }, select.value.slice(exportPrefix.length), orderIds.length);
+            return;
+        }
+        
+        openBulkModal(orderIds);
     }
     
     /**
-     * Load order notes via REST API
+     * Export the open order's notes with the modal's system and date filters
      */
-    async function loadOrderNotes(orderId) {
-        if (!elements.notesList) return;
+    function handleModalExport(e) {
+        if (!state.currentOrderId) return;
         
-        showLoadingState();
+        exportNotes({
+            order_ids: state.currentOrderId,
+            include_system: Number(state.includeSystem),
+            date_from: state.filters.dateFrom || undefined,
+            date_to: state.filters.dateTo || undefined
+        }, e.currentTarget.dataset.format, 1);
+    }
+    
+    /**
+     * Export the notes of all orders noted within the dates chosen above the orders list
+     */
+    function handleRangeExport(button) {
+        const container = button.closest('.wc-admin-order-notes-range-export');
+        const dateFrom = container.querySelector('.wc-admin-order-notes-export-from').value;
+        const dateTo = container.querySelector('.wc-admin-order-notes-export-to').value;
         
-        try {
-            const data = await fetchNotesViaRest(orderId);
-            
-            if (data.notes) {
-                displayNotes(data.notes, data.order_number);
-            }
-        } catch (error) {
-            console.error('Error loading notes:', error);
-            showError(error.message || wcOrderNotes.strings.error);
+        if (!dateFrom && !dateTo) {
+            showNotification(wcOrderNotes.strings.exportRangeMissing, 'error');
+            return;
         }
+        
+        exportNotes({
+            date_from: dateFrom || undefined,
+            date_to: dateTo || undefined
+        }, button.dataset.format, 0);
     }
     
     /**
-     * Fetch notes via REST API
+     * Download a notes export as a file
      */
-    async function fetchNotesViaRest(orderId) {
-        // Validate order ID
-        if (!orderId || !/^\d+$/.test(orderId)) {
-            throw new Error('Invalid order ID');
+    async function exportNotes(params, format, orderCount) {
+        if (orderCount > wcOrderNotes.maxOrderIds) {
+            showNotification(wcOrderNotes.strings.tooManyOrders.replace('%d', wcOrderNotes.maxOrderIds), 'error');
+            return;
         }
         
+        showNotification(wcOrderNotes.strings.exporting, 'info');
+        
         try {
-            const response = await fetch(`${wcOrderNotes.restUrl}/notes/${orderId}`, {
+            const query = buildQueryString(Object.assign({}, params, { format }));
+            const response = await fetchWithNonce(`${wcOrderNotes.restUrl}/export${query}`, {
                 method: 'GET',
                 headers: {
-                    'X-WP-Nonce': wcOrderNotes.restNonce,
-                    'Content-Type': 'application/json',
                     'X-Requested-With': 'XMLHttpRequest'
                 },
                 credentials: 'same-origin'
             });
             
             if (!response.ok) {
-                let errorMessage = 'Failed to load notes';
+                let errorMessage = wcOrderNotes.strings.error;
                 
                 try {
                     const error = await response.json();
                     errorMessage = error.message || errorMessage;
-                } catch (e) {
-                    // If response is not JSON, use status text
+                } catch (err) {
                     errorMessage = response.statusText || errorMessage;
                 }
                 
-                // Handle specific HTTP status codes
-                if (response.status === 403) {
-                    errorMessage = wcOrderNotes.strings.securityError || 'Security check failed';
-                } else if (response.status === 404) {
-                    errorMessage = 'Order not found';
-                } else if (response.status === 429) {
-                    errorMessage = 'Too many requests. Please try again later.';
-                }
-                
-                throw new Error(errorMessage);
+                throw createRequestError(errorMessage, response);
             }
             
-            return await response.json();
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const match = disposition.match(/filename="([^"]+)"/);
+            const filename = match ? match[1] : `order-notes.${format}`;
+            const total = Number(response.headers.get('X-WP-Total')) || 0;
             
+            downloadBlob(await response.blob(), filename);
+            showNotification(wcOrderNotes.strings.exportDone.replace('%d', total), 'success');
         } catch (error) {
-            if (error.name === 'TypeError' && error.message.includes('fetch')) {
-                throw new Error('Network error. Please check your connection.');
-            }
-            throw error;
+            console.error('Error exporting notes:', error);
+            showNotification(error.message || wcOrderNotes.strings.error, 'error');
         }
     }
     
     /**
-     * Display notes
+     * Save a blob through a temporary download link
      */
-    function displayNotes(notes, orderNumber) {
-        if (!elements.notesList || !elements.modalTitle) return;
+    function downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
         
-        elements.modalTitle.textContent = `${wcOrderNotes.strings.orderNotes} #${orderNumber}`;
+        link.href = url;
+        link.download = filename;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
         
-        if (notes.length === 0) {
-            const noNotesDiv = document.createElement('div');
-            noNotesDiv.className = 'no-notes';
-            noNotesDiv.textContent = wcOrderNotes.strings.noNotes;
-            elements.notesList.innerHTML = '';
-            elements.notesList.appendChild(noNotesDiv);
-            return;
-        }
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+    
+    /**
+     * Open the composer for several orders at once
+     */
+    function openBulkModal(orderIds) {
+        if (!elements.modal) return;
         
-        const container = document.createElement('div');
-        container.className = 'notes-container';
+        mountPanel(getModalPanel());
+        state.currentOrderId = null;
+        state.bulkOrderIds = Array.from(new Set(orderIds));
+        setPendingAttachments([]);
         
-        notes.forEach(note => {
-            const noteItem = document.createElement('div');
-            noteItem.className = `note-item ${escapeHtml(note.type)}-note`;
-            
-            const noteContent = document.createElement('div');
-            noteContent.className = 'note-content';
-            noteContent.textContent = note.content;
-            
-            const noteMeta = document.createElement('div');
-            noteMeta.className = 'note-meta';
-            
-            const noteAuthor = document.createElement('span');
-            noteAuthor.className = 'note-author';
-            noteAuthor.textContent = note.author;
-            
-            const noteDate = document.createElement('span');
-            noteDate.className = 'note-date';
-            noteDate.textContent = note.date;
-            
-            noteMeta.appendChild(noteAuthor);
-            noteMeta.appendChild(noteDate);
-            
-            noteItem.appendChild(noteContent);
-            noteItem.appendChild(noteMeta);
-            container.appendChild(noteItem);
-        });
+        elements.modal.classList.add('bulk-mode');
+        updateBulkModalTitle();
+        renderBulkOrderList(state.bulkOrderIds);
         
-        elements.notesList.innerHTML = '';
-        elements.notesList.appendChild(container);
+        openModal();
     }
     
     /**
-     * Handle add note
+     * Show how many orders the note will be added to
      */
-    async function handleAddNote() {
-        if (!elements.newNoteTextarea || !elements.addNoteBtn) return;
+    function updateBulkModalTitle() {
+        if (!elements.modalTitle) return;
         
-        const noteContent = elements.newNoteTextarea.value.trim();
+        elements.modalTitle.textContent = wcOrderNotes.strings.bulkModalTitle.replace('%d', state.bulkOrderIds.length);
+    }
+    
+    /**
+     * List the selected orders with their status in place of the notes
+     */
+    function renderBulkOrderList(orderIds) {
+        if (!elements.notesList) return;
         
-        if (!noteContent) {
-            showNotification(wcOrderNotes.strings.notePlaceholder || 'Please enter a note.', 'error');
-            return;
-        }
+        elements.notesList.innerHTML = '';
         
-        if (noteContent.length > state.maxNoteLength) {
-            showNotification(`Note content is too long. Maximum ${state.maxNoteLength} characters allowed.`, 'error');
-            return;
-        }
+        const list = document.createElement('ul');
+        list.className = 'bulk-order-list';
         
-        if (!state.currentOrderId) {
-            showNotification('No order selected.', 'error');
-            return;
-        }
+        orderIds.forEach(orderId => {
+            const item = document.createElement('li');
+            item.className = 'bulk-order-item';
+            item.dataset.orderId = orderId;
+            
+            const number = document.createElement('strong');
+            number.className = 'bulk-order-number';
+            number.textContent = `#${orderId}`;
+            
+            const status = document.createElement('span');
+            status.className = 'bulk-order-status';
+            status.textContent = wcOrderNotes.strings.bulkPending;
+            
+            item.appendChild(number);
+            item.appendChild(status);
+            list.appendChild(item);
+        });
         
+        elements.notesList.appendChild(list);
+    }
+    
+    /**
+     * Add the composed note to every selected order
+     */
+    async function handleAddBulkNote(noteContent, isCustomerNote) {
         setButtonLoading(true);
         
         try {
-            const result = await addNoteViaRest(state.currentOrderId, noteContent);
+            const data = await restRequest('/notes/batch', {
+                method: 'POST',
+                source: 'bulk',
+                body: {
+                    order_ids: state.bulkOrderIds.join(','),
+                    note_content: renderMarkdown(noteContent),
+                    is_customer_note: Boolean(isCustomerNote)
+                }
+            });
             
-            if (result.message) {
-                // Clear textarea
+            const results = data.results || [];
+            results.forEach(showBulkResult);
+            
+            const addedIds = results.filter(result => result.success).map(result => String(result.order_id));
+            
+            showNotification(
+                wcOrderNotes.strings.bulkSummary.replace('%1$d', data.succeeded).replace('%2$d', results.length),
+                data.failed > 0 ? 'error' : 'success'
+            );
+            
+            if (addedIds.length > 0) {
+                refreshOrderListPreviews(addedIds);
+            }
+            
+            // Only the failed orders stay selected, so submitting again retries just those
+            state.bulkOrderIds = results.filter(result => !result.success).map(result => String(result.order_id));
+            
+            if (state.bulkOrderIds.length === 0) {
                 elements.newNoteTextarea.value = '';
-                
-                // Show success message
-                showNotification(wcOrderNotes.strings.noteAdded, 'success');
-                
-                // Reload notes with cache busting
-                await loadOrderNotesWithCacheBust(state.currentOrderId);
-                
-                // Update the order list preview
-                updateOrderListPreview(state.currentOrderId);
+                resetNoteType();
+            } else {
+                updateBulkModalTitle();
             }
         } catch (error) {
-            console.error('Error adding note:', error);
+            console.error('Error adding notes:', error);
             showNotification(error.message || wcOrderNotes.strings.error, 'error');
         } finally {
             setButtonLoading(false);
         }
     }
     
+    /**
+     * Show the outcome for one order in the bulk order list
+     */
+    function showBulkResult(result) {
+        if (!elements.notesList) return;
+        
+        const item = elements.notesList.querySelector(`.bulk-order-item[data-order-id="${result.order_id}"]`);
+        if (!item) return;
+        
+        item.querySelector('.bulk-order-number').textContent = `#${result.order_number || result.order_id}`;
+        item.querySelector('.bulk-order-status').textContent = result.success
+            ? wcOrderNotes.strings.bulkAdded
+            : (result.message || wcOrderNotes.strings.error);
+        item.classList.toggle('is-added', Boolean(result.success));
+        item.classList.toggle('is-failed', !result.success);
+    }
+    
     /**
      * Add note via REST API
      */
-    async function addNoteViaRest(orderId, noteContent) {
+    async function addNoteViaRest(orderId, noteContent, isCustomerNote = false, attachmentIds = [], reminder = null, requestKey = '') {
         // Validate order ID
         if (!orderId || !/^\d+$/.test(orderId)) {
             throw new Error('Invalid order ID');
         }
         
-        // Sanitize note content - remove HTML tags and limit length
-        const sanitizedContent = noteContent.replace(/<[^>]*>/g, '').substring(0, state.maxNoteLength);
+        // Markdown is sent as HTML; the server keeps only the allowed subset
+        const sanitizedContent = renderMarkdown(noteContent);
+        const body = {
+            note_content: sanitizedContent,
+            is_customer_note: Boolean(isCustomerNote),
+            attachment_ids: attachmentIds
+        };
+        
+        if (reminder && reminder.dueDate) {
+            body.due_date = reminder.dueDate;
+            if (reminder.assigneeId) {
+                body.assignee_id = Number(reminder.assigneeId);
+            }
+        }
+        
+        if (requestKey) {
+            body.request_key = requestKey;
+        }
         
         try {
-            const response = await fetch(`${wcOrderNotes.restUrl}/notes/${orderId}`, {
+            const response = await fetchWithNonce(`${wcOrderNotes.restUrl}/notes/${orderId}`, {
                 method: 'POST',
                 headers: {
-                    'X-WP-Nonce': wcOrderNotes.restNonce,
                     'Content-Type': 'application/json',
                     'X-Requested-With': 'XMLHttpRequest'
                 },
-                body: JSON.stringify({
-                    note_content: sanitizedContent
-                }),
+                body: JSON.stringify(body),
                 credentials: 'same-origin'
             });
             
             if (!response.ok) {
                 let errorMessage = 'Failed to add note';
+                let errorCode = '';
+                let invalidParams = [];
                 
                 try {
                     const error = await response.json();
                     errorMessage = error.message || errorMessage;
+                    errorCode = error.code || '';
+                    invalidParams = Object.keys((error.data && error.data.params) || {});
                 } catch (e) {
                     errorMessage = response.statusText || errorMessage;
                 }
                 
                 // Handle specific HTTP status codes
-                if (response.status === 400) {
+                if (response.status === 400 && (invalidParams.includes('due_date') || invalidParams.includes('assignee_id'))) {
+                    errorMessage = wcOrderNotes.strings.invalidReminder;
+                } else if (response.status === 400 && errorCode !== 'invalid_attachment') {
                     errorMessage = wcOrderNotes.strings.contentTooLong || 'Note content is too long';
                 } else if (response.status === 403) {
                     errorMessage = wcOrderNotes.strings.securityError || 'Security check failed';
                 } else if (response.status === 404) {
                     errorMessage = 'Order not found';
-                } else if (response.status === 429) {
-                    errorMessage = 'Too many requests. Please try again later.';
                 }
                 
-                throw new Error(errorMessage);
+                throw createRequestError(errorMessage, response, errorCode);
             }
             
             return await response.json();
             
         } catch (error) {
             if (error.name === 'TypeError' && error.message.includes('fetch')) {
-                throw new Error('Network error. Please check your connection.');
+                throw createRequestError('Network error. Please check your connection.', null);
             }
             throw error;
         }
@@ -477,10 +3430,11 @@
         showLoadingState();
         
         try {
-            const data = await fetchNotesViaRestWithCacheBust(orderId);
+            const data = await fetchNotesViaRestWithCacheBust(orderId, state.includeSystem, 1);
             
             if (data.notes) {
-                displayNotes(data.notes, data.order_number);
+                displayNotes(data.notes, data.order_number, data.total_pages);
+                markNotesLoaded(data.timestamp);
             }
         } catch (error) {
             console.error('Error loading notes:', error);
@@ -491,12 +3445,16 @@
     /**
      * Fetch notes via REST API with cache busting
      */
-    async function fetchNotesViaRestWithCacheBust(orderId) {
-        const timestamp = Date.now();
-        const response = await fetch(`${wcOrderNotes.restUrl}/notes/${orderId}?_=${timestamp}`, {
+    async function fetchNotesViaRestWithCacheBust(orderId, includeSystem, page) {
+        const query = buildQueryString({
+            include_system: includeSystem === undefined ? undefined : Number(includeSystem),
+            page,
+            per_page: page === undefined ? undefined : state.notesPerPage,
+            _: Date.now()
+        });
+        const response = await fetchWithNonce(`${wcOrderNotes.restUrl}/notes/${orderId}${query}`, {
             method: 'GET',
             headers: {
-                'X-WP-Nonce': wcOrderNotes.restNonce,
                 'Content-Type': 'application/json',
                 'Cache-Control': 'no-cache, no-store, must-revalidate',
                 'Pragma': 'no-cache',
@@ -506,8 +3464,8 @@
         });
         
         if (!response.ok) {
-            const error = await response.json();
-            throw new Error(error.message || 'Failed to load notes');
+            const error = await response.json().catch(() => ({}));
+            throw createRequestError(error.message || 'Failed to load notes', response, error.code);
         }
         
         return await response.json();
@@ -517,95 +3475,276 @@
      * Update order list preview without full page reload
      */
     function updateOrderListPreview(orderId) {
-        // Find the note preview in the order list
-        const notePreview = document.querySelector(`[data-order-id="${orderId}"]`);
-        if (!notePreview) return;
+        refreshOrderListPreviews([orderId]);
+    }
+    
+    /**
+     * Refresh the list-column previews of several orders with a single request
+     */
+    async function refreshOrderListPreviews(orderIds) {
+        const ids = Array.from(new Set(orderIds.map(String))).filter(id => /^\d+$/.test(id));
+        if (ids.length === 0) return;
+        
+        // Find the note previews in the order list and store their content
+        const cells = new Map();
+        ids.forEach(id => {
+            const notePreview = document.querySelector(`.note-preview[data-order-id="${id}"]`);
+            if (notePreview) {
+                cells.set(id, {
+                    notePreview,
+                    originalContent: notePreview.cloneNode(true)
+                });
+            }
+        });
         
-        // Store original content safely
-        const originalContent = notePreview.cloneNode(true);
+        if (cells.size === 0) return;
         
         // Add a subtle loading indicator
-        const loadingSpan = document.createElement('span');
-        loadingSpan.style.opacity = '0.6';
-        loadingSpan.textContent = 'Updating...';
-        notePreview.innerHTML = '';
-        notePreview.appendChild(loadingSpan);
+        cells.forEach(({ notePreview }) => {
+            const loadingSpan = document.createElement('span');
+            loadingSpan.style.opacity = '0.6';
+            loadingSpan.textContent = wcOrderNotes.strings.updating;
+            notePreview.innerHTML = '';
+            notePreview.appendChild(loadingSpan);
+        });
         
-        // Fetch the latest note for preview
-        fetchLatestNoteForPreview(orderId).then(latestNote => {
-            if (latestNote && notePreview) {
-                notePreview.innerHTML = '';
-                
-                if (latestNote.content) {
-                    const noteContentDiv = document.createElement('div');
-                    noteContentDiv.className = 'note-content';
-                    
-                    const noteContent = latestNote.content.length > 50 
-                        ? latestNote.content.substring(0, 50) + '...' 
-                        : latestNote.content;
-                    noteContentDiv.textContent = noteContent;
-                    
-                    const noteDateSmall = document.createElement('small');
-                    noteDateSmall.className = 'note-date';
-                    noteDateSmall.textContent = formatDateShort(latestNote.date);
-                    
-                    notePreview.appendChild(noteContentDiv);
-                    notePreview.appendChild(noteDateSmall);
-                    notePreview.classList.remove('no-notes');
-                } else {
-                    const noNotesEm = document.createElement('em');
-                    noNotesEm.textContent = 'No notes';
-                    notePreview.appendChild(noNotesEm);
-                    notePreview.classList.add('no-notes');
-                }
+        try {
+            const data = await fetchPreviews(Array.from(cells.keys()));
+            
+            (data.previews || []).forEach(item => {
+                const cell = cells.get(String(item.order_id));
+                if (!cell) return;
                 
-                // Add a brief highlight effect
-                notePreview.style.backgroundColor = '#e7f3ff';
-                setTimeout(() => {
-                    notePreview.style.backgroundColor = '';
-                }, 1000);
+                renderPreviewCell(cell.notePreview, item.note, item.reminders);
+                cells.delete(String(item.order_id));
+            });
+        } catch (error) {
+            console.error('Error refreshing previews:', error);
+        }
+        
+        // If failed, restore original content
+        cells.forEach(({ notePreview, originalContent }) => {
+            notePreview.innerHTML = '';
+            Array.from(originalContent.childNodes).forEach(node => {
+                notePreview.appendChild(node.cloneNode(true));
+            });
+        });
+    }
+    
+    /**
+     * Fetch list-column previews for several orders
+     */
+    async function fetchPreviews(orderIds) {
+        const query = buildQueryString({
+            order_ids: orderIds.join(','),
+            _: Date.now()
+        });
+        
+        return await restRequest(`/previews${query}`);
+    }
+    
+    /**
+     * Render a list-column preview the same way the server does
+     */
+    function renderPreviewCell(notePreview, preview, reminders = null) {
+        notePreview.innerHTML = '';
+        
+        if (preview && preview.content) {
+            const noteContentDiv = document.createElement('div');
+            noteContentDiv.className = 'note-content';
+            if (reminders) {
+                noteContentDiv.appendChild(createReminderIcon(reminders));
             }
-        }).catch(() => {
-            // If failed, restore original content
-            if (notePreview && originalContent) {
-                notePreview.innerHTML = '';
-                notePreview.appendChild(originalContent.cloneNode(true));
+            if (preview.pinned) {
+                noteContentDiv.appendChild(createPinIcon('note-pin-marker'));
             }
-        });
+            noteContentDiv.appendChild(document.createTextNode(preview.content));
+            
+            const noteDateSmall = document.createElement('small');
+            noteDateSmall.className = 'note-date';
+            noteDateSmall.textContent = preview.date;
+            
+            noteContentDiv.appendChild(noteDateSmall);
+            notePreview.appendChild(noteContentDiv);
+            notePreview.classList.remove('no-notes');
+            notePreview.classList.toggle('is-pinned', Boolean(preview.pinned));
+            notePreview.dataset.noteId = preview.id;
+            notePreview.dataset.reminders = getRemindersState(reminders);
+        } else {
+            const noNotesEm = document.createElement('em');
+            noNotesEm.textContent = wcOrderNotes.strings.noNotesShort;
+            notePreview.appendChild(noNotesEm);
+            notePreview.classList.add('no-notes');
+            notePreview.classList.remove('is-pinned');
+            delete notePreview.dataset.noteId;
+            delete notePreview.dataset.reminders;
+        }
+        
+        renderPendingIndicator(notePreview, getRetryQueue().filter(entry => entry.orderId === String(notePreview.dataset.orderId)).length);
+        
+        // Add a brief highlight effect
+        notePreview.style.backgroundColor = '#e7f3ff';
+        setTimeout(() => {
+            notePreview.style.backgroundColor = '';
+        }, 1000);
     }
     
     /**
-     * Fetch latest note for preview update
+     * Create the clock shown on list cells of orders with open reminders
      */
-    async function fetchLatestNoteForPreview(orderId) {
-        try {
-            const data = await fetchNotesViaRestWithCacheBust(orderId);
-            return data.notes && data.notes.length > 0 ? data.notes[0] : null;
-        } catch (error) {
-            console.error('Error fetching latest note:', error);
-            return null;
+    function createReminderIcon(reminders) {
+        const icon = document.createElement('span');
+        icon.className = 'note-reminder-badge dashicons dashicons-clock';
+        icon.classList.toggle('is-overdue', reminders.overdue > 0);
+        icon.title = reminders.label;
+        return icon;
+    }
+    
+    /**
+     * Describe open reminders the way the server does in data-reminders
+     */
+    function getRemindersState(reminders) {
+        return reminders ? `${reminders.open}:${reminders.overdue}` : '';
+    }
+    
+    /**
+     * Hook into the WordPress Heartbeat API to pick up other users' changes
+     */
+    function bindHeartbeat() {
+        const $ = window.jQuery;
+        if (!$ || !wcOrderNotes.heartbeatKey) return;
+        
+        $(document).on('heartbeat-send', handleHeartbeatSend);
+        $(document).on('heartbeat-tick', handleHeartbeatTick);
+    }
+    
+    /**
+     * Tell the server which orders are on screen and since when we are up to date
+     */
+    function handleHeartbeatSend(e, data) {
+        const orderIds = Array.from(document.querySelectorAll('.note-preview[data-order-id]'))
+            .map(notePreview => notePreview.dataset.orderId);
+        
+        const payload = {
+            since: state.liveUpdates.since,
+            order_ids: Array.from(new Set(orderIds)).join(',')
+        };
+        
+        if (state.currentOrderId && state.liveUpdates.modalSince) {
+            payload.modal_order_id = state.currentOrderId;
+            payload.modal_since = state.liveUpdates.modalSince;
+            payload.include_system = state.includeSystem ? 1 : 0;
         }
+        
+        data[wcOrderNotes.heartbeatKey] = payload;
     }
     
     /**
-     * Format date for short display
+     * Apply changes reported by the server
      */
-    function formatDateShort(dateString) {
-        try {
-            const date = new Date(dateString);
-            const today = new Date();
-            const yesterday = new Date(today);
-            yesterday.setDate(yesterday.getDate() - 1);
-            
-            if (date.toDateString() === today.toDateString()) {
-                return 'Today';
-            } else if (date.toDateString() === yesterday.toDateString()) {
-                return 'Yesterday';
-            } else {
-                return date.toLocaleDateString();
+    function handleHeartbeatTick(e, data) {
+        const update = data && data[wcOrderNotes.heartbeatKey];
+        if (!update) return;
+        
+        if (update.server_time) {
+            state.liveUpdates.since = update.server_time;
+        }
+        
+        // Keep the nonce fresh so requests from a long-open tab don't fail first
+        if (update.rest_nonce) {
+            wcOrderNotes.restNonce = update.rest_nonce;
+        }
+        
+        (update.previews || []).forEach(item => {
+            const notePreview = document.querySelector(`.note-preview[data-order-id="${item.order_id}"]`);
+            if (notePreview && !isPreviewCurrent(notePreview, item.note, item.reminders)) {
+                renderPreviewCell(notePreview, item.note, item.reminders);
+            }
+        });
+        
+        if (update.modal && String(update.modal.order_id) === String(state.currentOrderId)) {
+            state.liveUpdates.newNotesCount = Number(update.modal.new_notes) || 0;
+            
+            if (state.liveUpdates.newNotesCount > 0) {
+                showNewNotesBanner(state.liveUpdates.newNotesCount);
             }
-        } catch (error) {
-            return dateString;
+        }
+    }
+    
+    /**
+     * Check whether a list-column preview already shows the given note
+     */
+    function isPreviewCurrent(notePreview, preview, reminders = null) {
+        if (!preview) {
+            return notePreview.classList.contains('no-notes');
+        }
+        
+        const noteContent = notePreview.querySelector('.note-content');
+        const textNode = noteContent
+            ? Array.from(noteContent.childNodes).find(node => node.nodeType === Node.TEXT_NODE && node.textContent.trim())
+            : null;
+        const text = textNode ? textNode.textContent.trim() : '';
+        
+        return notePreview.dataset.noteId === String(preview.id)
+            && text === preview.content.trim()
+            && notePreview.classList.contains('is-pinned') === Boolean(preview.pinned)
+            && (notePreview.dataset.reminders || '') === getRemindersState(reminders);
+    }
+    
+    /**
+     * Remember the server time of the notes shown in the modal
+     */
+    function markNotesLoaded(timestamp) {
+        state.liveUpdates.modalSince = Number(timestamp) || Math.floor(Date.now() / 1000);
+        state.liveUpdates.newNotesCount = 0;
+        hideNewNotesBanner();
+    }
+    
+    /**
+     * Show the "N new notes" banner above the notes list
+     */
+    function showNewNotesBanner(count) {
+        if (!elements.notesList) return;
+        
+        if (!elements.newNotesBanner) {
+            const banner = document.createElement('div');
+            banner.className = 'notes-new-banner';
+            banner.setAttribute('role', 'status');
+            
+            const text = document.createElement('span');
+            text.className = 'notes-new-banner-text';
+            
+            const refreshBtn = document.createElement('button');
+            refreshBtn.type = 'button';
+            refreshBtn.className = 'button-link notes-new-banner-refresh';
+            refreshBtn.textContent = wcOrderNotes.strings.refresh;
+            refreshBtn.addEventListener('click', () => {
+                if (state.currentOrderId) {
+                    loadOrderNotesWithCacheBust(state.currentOrderId);
+                    updateOrderListPreview(state.currentOrderId);
+                }
+            });
+            
+            banner.appendChild(text);
+            banner.appendChild(document.createTextNode(' \u2014 '));
+            banner.appendChild(refreshBtn);
+            
+            elements.notesList.parentNode.insertBefore(banner, elements.notesList);
+            elements.newNotesBanner = banner;
+        }
+        
+        elements.newNotesBanner.querySelector('.notes-new-banner-text').textContent = count === 1
+            ? wcOrderNotes.strings.newNoteBanner
+            : wcOrderNotes.strings.newNotesBanner.replace('%d', count);
+        elements.newNotesBanner.hidden = false;
+    }
+    
+    /**
+     * Hide the "N new notes" banner
+     */
+    function hideNewNotesBanner() {
+        if (elements.newNotesBanner) {
+            elements.newNotesBanner.hidden = true;
         }
     }
     
@@ -642,9 +3781,15 @@
         if (!elements.addNoteBtn) return;
         
         elements.addNoteBtn.disabled = isLoading;
-        elements.addNoteBtn.textContent = isLoading 
-            ? wcOrderNotes.strings.loading 
-            : wcOrderNotes.strings.addNote;
+        elements.addNoteBtn.classList.toggle('customer-note-mode', isCustomerNoteSelected());
+        
+        if (isLoading) {
+            elements.addNoteBtn.textContent = wcOrderNotes.strings.loading;
+        } else {
+            elements.addNoteBtn.textContent = isCustomerNoteSelected()
+                ? wcOrderNotes.strings.addCustomerNote
+                : wcOrderNotes.strings.addNote;
+        }
     }
     
     /**
@@ -731,6 +3876,8 @@
         state,
         openModal,
         closeModal,
-        loadOrderNotes
+        loadOrderNotes,
+        openOrderNotes,
+        openInlinePanel
     };
 })(); 
\ No newline at end of file
@@ -27,20 +27,54 @@ class AdminInterfaceHandler {
      */
     private $security_handler;
     
+    /**
+     * @var Capabilities
+     */
+    private $capabilities;
+    
+    /**
+     * @var NotesPanel
+     */
+    private $notes_panel;
+    
     /**
      * @var int Maximum note content length
      */
     private const MAX_NOTE_LENGTH = 1000;
     
+    /**
+     * @var int Notes loaded per page in the modal
+     */
+    private const NOTES_PER_PAGE = 20;
+    
+    /**
+     * @var string Bulk action key on the orders list
+     */
+    public const BULK_ACTION = 'wc_admin_order_notes_add_note';
+    
+    /**
+     * @var string Bulk action key prefix for note exports; the format is appended
+     */
+    public const EXPORT_BULK_ACTION_PREFIX = 'wc_admin_order_notes_export_';
+    
+    /**
+     * @var string Query argument of the "Notes due" view on the orders list
+     */
+    public const NOTES_DUE_ARG = 'notes_due';
+    
     /**
      * Constructor
      * 
      * @param NotesManager $notes_manager
      * @param SecurityHandler $security_handler
+     * @param Capabilities $capabilities
+     * @param NotesPanel $notes_panel
      */
-    public function __construct(NotesManager $notes_manager, SecurityHandler $security_handler) {
+    public function __construct(NotesManager $notes_manager, SecurityHandler $security_handler, Capabilities $capabilities, NotesPanel $notes_panel) {
         $this->notes_manager = $notes_manager;
         $this->security_handler = $security_handler;
+        $this->capabilities = $capabilities;
+        $this->notes_panel = $notes_panel;
     }
     
     /**
@@ -55,12 +89,22 @@ class AdminInterfaceHandler {
             // HPOS is enabled - use new hooks
             add_filter('manage_woocommerce_page_wc-orders_columns', [$this, 'add_order_notes_column']);
             add_action('manage_woocommerce_page_wc-orders_custom_column', [$this, 'display_order_notes_column_hpos'], 10, 2);
+            add_filter('bulk_actions-woocommerce_page_wc-orders', [$this, 'add_bulk_action']);
+            add_filter('views_woocommerce_page_wc-orders', [$this, 'add_notes_due_view']);
+            add_filter('woocommerce_order_list_table_prepare_items_query_args', [$this, 'filter_notes_due_hpos']);
         } else {
             // Legacy post-based orders
             add_filter('manage_edit-shop_order_columns', [$this, 'add_order_notes_column']);
             add_action('manage_shop_order_posts_custom_column', [$this, 'display_order_notes_column_legacy'], 10, 2);
+            add_filter('bulk_actions-edit-shop_order', [$this, 'add_bulk_action']);
+            add_filter('views_edit-shop_order', [$this, 'add_notes_due_view']);
+            add_filter('request', [$this, 'filter_notes_due_legacy']);
         }
         
+        // Load list-column previews for all visible orders at once
+        add_filter('the_posts', [$this, 'prime_previews_legacy'], 10, 2);
+        add_filter('woocommerce_order_query', [$this, 'prime_previews_hpos'], 10, 2);
+        
         // Add modal HTML
         add_action('admin_footer', [$this, 'add_modal_html']);
         
@@ -77,9 +121,12 @@ class AdminInterfaceHandler {
      * @param string $hook
      */
     public function enqueue_admin_scripts(string $hook): void {
-        // Check if we're on the orders page
-        $screen = get_current_screen();
-        if (!$screen || $screen->id !== $this->get_orders_screen_id()) {
+        // The orders list has the modal and the preview popup, the edit screen the metabox
+        if (!$this->is_orders_list_screen() && !$this->is_order_edit_screen()) {
+            return;
+        }
+        
+        if (!current_user_can(Capabilities::READ_NOTES)) {
             return;
         }
         
@@ -87,7 +134,7 @@ class AdminInterfaceHandler {
         wp_enqueue_script(
             'wc-admin-order-notes',
             WC_ADMIN_ORDER_NOTES_PLUGIN_URL . 'assets/js/admin-order-notes.js',
-            [],
+            ['heartbeat'],
             WC_ADMIN_ORDER_NOTES_VERSION,
             true
         );
@@ -103,8 +150,20 @@ class AdminInterfaceHandler {
         wp_localize_script('wc-admin-order-notes', 'wcOrderNotes', [
             'restUrl' => rest_url('wc-admin-order-notes/v1'),
             'restNonce' => wp_create_nonce('wp_rest'),
+            'ajaxUrl' => admin_url('admin-ajax.php'),
             'isHposEnabled' => $this->is_hpos_enabled(),
             'maxNoteLength' => self::MAX_NOTE_LENGTH,
+            'currentUserId' => get_current_user_id(),
+            'notesPerPage' => self::NOTES_PER_PAGE,
+            'serverTime' => time(),
+            'heartbeatKey' => LiveUpdatesHandler::HEARTBEAT_KEY,
+            'bulkAction' => self::BULK_ACTION,
+            'exportBulkActionPrefix' => self::EXPORT_BULK_ACTION_PREFIX,
+            'maxOrderIds' => SecurityHandler::MAX_ORDER_IDS,
+            'maxAttachments' => SecurityHandler::MAX_ATTACHMENTS_PER_NOTE,
+            'maxAttachmentSize' => $this->security_handler->get_max_attachment_size(),
+            'capabilities' => $this->capabilities->get_current_user_capabilities(),
+            'showSystemNotes' => $this->notes_manager->get_user_show_system_notes(get_current_user_id()),
             'strings' => [
                 'loading' => __('Loading...', 'wc-admin-order-notes'),
                 'error' => __('Error occurred', 'wc-admin-order-notes'),
@@ -121,6 +180,87 @@ class AdminInterfaceHandler {
                 'noOrderSelected' => __('No order selected.', 'wc-admin-order-notes'),
                 'networkError' => __('Network error. Please check your connection.', 'wc-admin-order-notes'),
                 'rateLimitExceeded' => __('Too many requests. Please try again later.', 'wc-admin-order-notes'),
+                /* translators: %s: time left, e.g. 4:59 */
+                'rateLimitCountdown' => __('Too many requests. You can continue in %s.', 'wc-admin-order-notes'),
+                'customerNoteAdded' => __('Note added and sent to the customer', 'wc-admin-order-notes'),
+                'addCustomerNote' => __('Send to Customer', 'wc-admin-order-notes'),
+                'editNote' => __('Edit', 'wc-admin-order-notes'),
+                'deleteNote' => __('Delete', 'wc-admin-order-notes'),
+                'saveNote' => __('Save', 'wc-admin-order-notes'),
+                'cancel' => __('Cancel', 'wc-admin-order-notes'),
+                'confirmDelete' => __('Delete this note? This cannot be undone.', 'wc-admin-order-notes'),
+                'noteUpdated' => __('Note updated successfully', 'wc-admin-order-notes'),
+                'noteDeleted' => __('Note deleted successfully', 'wc-admin-order-notes'),
+                'systemAuthor' => __('Added automatically by WooCommerce', 'wc-admin-order-notes'),
+                'systemNote' => __('System', 'wc-admin-order-notes'),
+                /* translators: %s: regular expression or keyword that matched */
+                'matchedRule' => __('Matched rule: %s', 'wc-admin-order-notes'),
+                'updating' => __('Updating...', 'wc-admin-order-notes'),
+                'noNotesShort' => __('No notes', 'wc-admin-order-notes'),
+                'newNoteBanner' => __('1 new note', 'wc-admin-order-notes'),
+                /* translators: %d: number of notes added by other users since the modal was opened */
+                'newNotesBanner' => __('%d new notes', 'wc-admin-order-notes'),
+                'refresh' => __('Refresh', 'wc-admin-order-notes'),
+                /* translators: %d: number of selected orders */
+                'bulkModalTitle' => __('Add note to %d orders', 'wc-admin-order-notes'),
+                'bulkNoOrdersSelected' => __('Select at least one order first.', 'wc-admin-order-notes'),
+                'bulkPending' => __('Waiting', 'wc-admin-order-notes'),
+                'bulkAdded' => __('Note added', 'wc-admin-order-notes'),
+                /* translators: 1: number of orders the note was added to, 2: number of selected orders */
+                'bulkSummary' => __('Note added to %1$d of %2$d orders', 'wc-admin-order-notes'),
+                'insertTemplate' => __('Insert a template…', 'wc-admin-order-notes'),
+                'sharedTemplates' => __('Shared', 'wc-admin-order-notes'),
+                'personalTemplates' => __('Personal', 'wc-admin-order-notes'),
+                'pinNote' => __('Pin', 'wc-admin-order-notes'),
+                'unpinNote' => __('Unpin', 'wc-admin-order-notes'),
+                'pinnedNote' => __('Pinned note', 'wc-admin-order-notes'),
+                'notePinned' => __('Note pinned', 'wc-admin-order-notes'),
+                'noteUnpinned' => __('Note unpinned', 'wc-admin-order-notes'),
+                'exporting' => __('Preparing export...', 'wc-admin-order-notes'),
+                /* translators: %d: number of notes */
+                'exportDone' => __('Exported %d notes', 'wc-admin-order-notes'),
+                /* translators: %d: maximum number of orders */
+                'tooManyOrders' => __('Select at most %d orders.', 'wc-admin-order-notes'),
+                'exportRangeMissing' => __('Choose the dates of the notes to export.', 'wc-admin-order-notes'),
+                'draftRestored' => __('Unsent draft restored', 'wc-admin-order-notes'),
+                'noteQueued' => __('The note could not be sent. It will be retried automatically.', 'wc-admin-order-notes'),
+                /* translators: %s: order number */
+                'queuedNoteSent' => __('Queued note added to order #%s', 'wc-admin-order-notes'),
+                /* translators: 1: order number, 2: error message */
+                'queuedNoteRejected' => __('Queued note for order #%1$s was not added: %2$s. It was restored as a draft.', 'wc-admin-order-notes'),
+                'pendingNote' => __('1 note waiting to be sent', 'wc-admin-order-notes'),
+                /* translators: %d: number of notes */
+                'pendingNotes' => __('%d notes waiting to be sent', 'wc-admin-order-notes'),
+                'shortcutsTitle' => __('Keyboard shortcuts', 'wc-admin-order-notes'),
+                'shortcutNextOrder' => __('Next order in the list', 'wc-admin-order-notes'),
+                'shortcutPreviousOrder' => __('Previous order in the list', 'wc-admin-order-notes'),
+                'shortcutSubmit' => __('Add the note or save the edit', 'wc-admin-order-notes'),
+                'shortcutHelp' => __('Show or hide this help', 'wc-admin-order-notes'),
+                'shortcutClose' => __('Close', 'wc-admin-order-notes'),
+                'loadOlderNotes' => __('Load older notes', 'wc-admin-order-notes'),
+                'noMatchingNotes' => __('No notes match your search or filters', 'wc-admin-order-notes'),
+                'markdownPreviewEmpty' => __('Nothing to preview', 'wc-admin-order-notes'),
+                'uploadingAttachments' => __('Uploading…', 'wc-admin-order-notes'),
+                'attachmentsUploading' => __('Wait until the files are uploaded.', 'wc-admin-order-notes'),
+                /* translators: %s: file name */
+                'attachmentTooLarge' => __('%s is too large to attach.', 'wc-admin-order-notes'),
+                /* translators: 1: file name, 2: error message */
+                'attachmentFailed' => __('%1$s was not attached: %2$s', 'wc-admin-order-notes'),
+                /* translators: %d: maximum number of files */
+                'tooManyAttachments' => __('A note can have at most %d files.', 'wc-admin-order-notes'),
+                /* translators: %s: file name */
+                'removeAttachment' => __('Remove %s', 'wc-admin-order-notes'),
+                /* translators: 1: due date, 2: assignee name */
+                'reminderDue' => __('Due %1$s · %2$s', 'wc-admin-order-notes'),
+                /* translators: 1: due date, 2: assignee name */
+                'reminderOverdue' => __('Overdue since %1$s · %2$s', 'wc-admin-order-notes'),
+                /* translators: %s: due date */
+                'reminderDone' => __('Done (was due %s)', 'wc-admin-order-notes'),
+                'markReminderDone' => __('Mark done', 'wc-admin-order-notes'),
+                'reopenReminder' => __('Reopen', 'wc-admin-order-notes'),
+                'reminderMarkedDone' => __('Reminder marked as done', 'wc-admin-order-notes'),
+                'reminderReopened' => __('Reminder reopened', 'wc-admin-order-notes'),
+                'invalidReminder' => __('The reminder needs a time in the future and an assignee who can read notes.', 'wc-admin-order-notes'),
             ]
         ]);
     }
@@ -132,6 +272,10 @@ class AdminInterfaceHandler {
      * @return array
      */
     public function add_order_notes_column(array $columns): array {
+        if (!current_user_can(Capabilities::READ_NOTES)) {
+            return $columns;
+        }
+        
         $new_columns = [];
         
         foreach ($columns as $key => $column) {
@@ -209,23 +353,35 @@ class AdminInterfaceHandler {
             return;
         }
         
-        $notes = $this->notes_manager->get_order_notes_cached($order_id, 1);
+        if (!$this->security_handler->can_access_order($order_id)) {
+            echo '<span class="na">&ndash;</span>';
+            return;
+        }
+        
+        $previews = $this->notes_manager->get_preview_notes([$order_id]);
+        $latest_note = $previews[$order_id] ?? null;
         
-        if (!empty($notes)) {
-            $latest_note = $notes[0];
-            $note_content = esc_html(wp_trim_words($latest_note->content, 10, '...'));
+        if ($latest_note) {
+            $note_content = esc_html(wp_trim_words($this->security_handler->get_note_text((string) $latest_note->content), 10, '...'));
             $note_date = esc_html(date_i18n(get_option('date_format'), strtotime($latest_note->date_created)));
+            $is_pinned = $this->notes_manager->is_note_pinned((int) $latest_note->id);
+            $reminders = $this->notes_manager->get_reminder_summaries([$order_id])[$order_id] ?? null;
             
             printf(
                 '<div class="order-notes-cell" data-order-id="%s">
-                    <div class="note-preview" data-order-id="%s">
-                        <div class="note-content">%s
+                    <div class="note-preview%s" data-order-id="%s" data-note-id="%s" data-reminders="%s">
+                        <div class="note-content">%s%s%s
                             <small class="note-date">%s</small>
                         </div>
                     </div>
                 </div>',
                 esc_attr($order_id),
+                $is_pinned ? ' is-pinned' : '',
                 esc_attr($order_id),
+                esc_attr($latest_note->id),
+                esc_attr($this->get_reminders_state($reminders)),
+                $reminders ? sprintf('<span class="note-reminder-badge dashicons dashicons-clock%s" title="%s"></span>', $reminders['overdue'] ? ' is-overdue' : '', esc_attr($reminders['label'])) : '',
+                $is_pinned ? sprintf('<span class="note-pin-marker dashicons dashicons-admin-post" title="%s"></span>', esc_attr__('Pinned note', 'wc-admin-order-notes')) : '',
                 $note_content,
                 $note_date
             );
@@ -243,13 +399,183 @@ class AdminInterfaceHandler {
         }
     }
     
+    /**
+     * Describe open reminders for the scripts, which redraw the badge when it changes
+     * 
+     * @param array|null $reminders
+     * @return string
+     */
+    private function get_reminders_state(?array $reminders): string {
+        return $reminders ? $reminders['open'] . ':' . $reminders['overdue'] : '';
+    }
+    
+    /**
+     * Add the "Notes due" view to the orders list
+     * 
+     * Hidden while no order has an overdue reminder, like empty status views.
+     * 
+     * @param array $views
+     * @return array
+     */
+    public function add_notes_due_view(array $views): array {
+        if (!current_user_can(Capabilities::READ_NOTES)) {
+            return $views;
+        }
+        
+        $count = count($this->notes_manager->get_overdue_order_ids());
+        $is_current = $this->is_notes_due_view();
+        
+        if (0 === $count && !$is_current) {
+            return $views;
+        }
+        
+        $url = $this->is_hpos_enabled()
+            ? admin_url('admin.php?page=wc-orders')
+            : admin_url('edit.php?post_type=shop_order');
+        
+        $views[self::NOTES_DUE_ARG] = sprintf(
+            '<a href="%s"%s>%s <span class="count">(%s)</span></a>',
+            esc_url(add_query_arg(self::NOTES_DUE_ARG, '1', $url)),
+            $is_current ? ' class="current" aria-current="page"' : '',
+            esc_html__('Notes due', 'wc-admin-order-notes'),
+            esc_html(number_format_i18n($count))
+        );
+        
+        return $views;
+    }
+    
+    /**
+     * Limit the legacy orders list to orders with overdue reminders in the "Notes due" view
+     * 
+     * @param array $query_vars
+     * @return array
+     */
+    public function filter_notes_due_legacy(array $query_vars): array {
+        if (!$this->is_notes_due_view() || !$this->is_orders_list_screen() || !current_user_can(Capabilities::READ_NOTES)) {
+            return $query_vars;
+        }
+        
+        $query_vars['post__in'] = $this->get_notes_due_order_ids($query_vars['post__in'] ?? []);
+        
+        return $query_vars;
+    }
+    
+    /**
+     * Limit the HPOS orders list to orders with overdue reminders in the "Notes due" view
+     * 
+     * @param array $args
+     * @return array
+     */
+    public function filter_notes_due_hpos(array $args): array {
+        if (!$this->is_notes_due_view() || !current_user_can(Capabilities::READ_NOTES)) {
+            return $args;
+        }
+        
+        $args['id'] = $this->get_notes_due_order_ids((array) ($args['id'] ?? []));
+        
+        return $args;
+    }
+    
+    /**
+     * Get the orders shown in the "Notes due" view, within any IDs the list is already limited to
+     * 
+     * @param int[] $order_ids
+     * @return int[] Never empty, so an empty view matches no orders instead of all
+     */
+    private function get_notes_due_order_ids(array $order_ids): array {
+        $due_order_ids = $this->notes_manager->get_overdue_order_ids();
+        
+        if (!empty($order_ids)) {
+            $due_order_ids = array_intersect($due_order_ids, array_map('intval', $order_ids));
+        }
+        
+        return empty($due_order_ids) ? [0] : array_values($due_order_ids);
+    }
+    
+    /**
+     * Check if the "Notes due" view is requested
+     * 
+     * @return bool
+     */
+    private function is_notes_due_view(): bool {
+        return !empty($_GET[self::NOTES_DUE_ARG]);
+    }
+    
+    /**
+     * Add the "Add note to selected" and "Export notes" bulk actions
+     * 
+     * The actions are handled in the browser, which opens the notes modal for the selected orders
+     * or downloads their notes from the export route.
+     * 
+     * @param array $actions
+     * @return array
+     */
+    public function add_bulk_action(array $actions): array {
+        if (!current_user_can(Capabilities::READ_NOTES)) {
+            return $actions;
+        }
+        
+        if (current_user_can(Capabilities::ADD_NOTES)) {
+            $actions[self::BULK_ACTION] = __('Add note to selected', 'wc-admin-order-notes');
+        }
+        
+        $actions[self::EXPORT_BULK_ACTION_PREFIX . 'csv'] = __('Export notes (CSV)', 'wc-admin-order-notes');
+        $actions[self::EXPORT_BULK_ACTION_PREFIX . 'json'] = __('Export notes (JSON)', 'wc-admin-order-notes');
+        
+        return $actions;
+    }
+    
+    /**
+     * Prime list-column previews from the legacy orders list query
+     * 
+     * @param array $posts
+     * @param \WP_Query $query
+     * @return array
+     */
+    public function prime_previews_legacy(array $posts, \WP_Query $query): array {
+        if (!is_admin() || !$query->is_main_query() || 'shop_order' !== $query->get('post_type') || !$this->is_orders_list_screen()) {
+            return $posts;
+        }
+        
+        $order_ids = array_map(function ($post) {
+            return is_object($post) ? (int) $post->ID : (int) $post;
+        }, $posts);
+        
+        $this->notes_manager->get_preview_notes($order_ids);
+        $this->notes_manager->get_reminder_summaries($order_ids);
+        
+        return $posts;
+    }
+    
+    /**
+     * Prime list-column previews from the HPOS orders list query
+     * 
+     * @param mixed $results
+     * @param array $args
+     * @return mixed
+     */
+    public function prime_previews_hpos($results, array $args) {
+        // The list table runs a paginated query; other order queries on the page are left alone
+        if (empty($args['paginate']) || !is_object($results) || empty($results->orders) || !$this->is_orders_list_screen()) {
+            return $results;
+        }
+        
+        $order_ids = [];
+        foreach ($results->orders as $order) {
+            $order_ids[] = is_object($order) ? (int) $order->get_id() : (int) $order;
+        }
+        
+        $this->notes_manager->get_preview_notes($order_ids);
+        $this->notes_manager->get_reminder_summaries($order_ids);
+        
+        return $results;
+    }
+    
     /**
      * Add modal HTML
      */
     public function add_modal_html(): void {
-        $screen = get_current_screen();
-        
-        if (!$screen || $screen->id !== $this->get_orders_screen_id()) {
+        if (!$this->is_orders_list_screen() || !current_user_can(Capabilities::READ_NOTES)) {
             return;
         }
         ?>
@@ -257,25 +583,11 @@ class AdminInterfaceHandler {
             <div class="order-notes-modal-content" role="document">
                 <div class="order-notes-modal-header">
                     <h3 id="modal-title"><?php esc_html_e('Order Notes', 'wc-admin-order-notes'); ?></h3>
+                    <button type="button" class="order-notes-shortcuts-btn" aria-expanded="false" aria-label="<?php esc_attr_e('Keyboard shortcuts', 'wc-admin-order-notes'); ?>" title="<?php esc_attr_e('Keyboard shortcuts', 'wc-admin-order-notes'); ?>">?</button>
                     <button type="button" class="order-notes-modal-close" aria-label="<?php esc_attr_e('Close', 'wc-admin-order-notes'); ?>">&times;</button>
                 </div>
                 <div class="order-notes-modal-body">
-                    <div id="notes-list" class="notes-list" aria-live="polite">
-                        <!-- Notes will be loaded here -->
-                    </div>
-                    <div class="add-note-section">
-                        <h4><?php esc_html_e('Add New Note', 'wc-admin-order-notes'); ?></h4>
-                        <textarea 
-                            id="new-note-content" 
-                            placeholder="<?php esc_attr_e('Enter your note here...', 'wc-admin-order-notes'); ?>"
-                            aria-label="<?php esc_attr_e('New note content', 'wc-admin-order-notes'); ?>"
-                            maxlength="1000"
-                        ></textarea>
-                        <div class="character-count" id="character-count">0 / 1000</div>
-                        <button id="add-note-btn" class="button button-primary">
-                            <?php esc_html_e('Add Note', 'wc-admin-order-notes'); ?>
-                        </button>
-                    </div>
+                    <?php $this->notes_panel->render(NotesPanel::CONTEXT_MODAL); ?>
                 </div>
             </div>
         </div>
@@ -299,6 +611,46 @@ class AdminInterfaceHandler {
         $this->security_handler->add_admin_nonce();
     }
     
+    /**
+     * Check if the current screen is the orders list
+     * 
+     * @return bool
+     */
+    private function is_orders_list_screen(): bool {
+        if (!function_exists('get_current_screen')) {
+            return false;
+        }
+        
+        $screen = get_current_screen();
+        
+        // HPOS shows the list and the edit screen on the same page
+        return $screen && $screen->id === $this->get_orders_screen_id() && !$this->is_order_edit_screen();
+    }
+    
+    /**
+     * Check if the current screen edits or creates a single order
+     * 
+     * @return bool
+     */
+    private function is_order_edit_screen(): bool {
+        if (!function_exists('get_current_screen') || !function_exists('wc_get_page_screen_id')) {
+            return false;
+        }
+        
+        $screen = get_current_screen();
+        if (!$screen || $screen->id !== wc_get_page_screen_id('shop-order')) {
+            return false;
+        }
+        
+        if (!$this->is_hpos_enabled()) {
+            return true;
+        }
+        
+        $action = isset($_GET['action']) ? sanitize_key(wp_unslash($_GET['action'])) : '';
+        
+        return in_array($action, ['edit', 'new'], true);
+    }
+    
     /**
      * Get current orders screen ID
      * 
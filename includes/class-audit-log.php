@@ -0,0 +1,318 @@
+<?php
+/**
+ * Audit Log
+ * 
+ * Records who added, edited or deleted order notes, when and from where
+ * for the WC Admin Order Notes plugin.
+ * 
+ * @package WCAdminOrderNotes
+ * @since 2.2.1
+ */
+
+namespace WCAdminOrderNotes;
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class AuditLog {
+    
+    /**
+     * @var string Table name without the WordPress prefix
+     */
+    public const TABLE = 'wc_admin_order_notes_audit';
+    
+    /**
+     * @var string Request header the plugin's scripts use to name the screen a change came from
+     */
+    public const SOURCE_HEADER = 'X-WC-Order-Notes-Source';
+    
+    /**
+     * @var string[] Sources the plugin's scripts may report; anything else counts as a REST client
+     */
+    public const SOURCES = ['modal', 'bulk', 'metabox', 'preview'];
+    
+    /**
+     * @var string Source of changes made by other REST clients
+     */
+    public const SOURCE_REST = 'rest';
+    
+    /**
+     * @var string Option holding the installed table version
+     */
+    private const DB_VERSION_OPTION = 'wc_admin_order_notes_audit_db_version';
+    
+    /**
+     * @var string Current table version
+     */
+    private const DB_VERSION = '1';
+    
+    /**
+     * Initialize audit hooks
+     */
+    public function init_hooks(): void {
+        // Plugin updates don't run the activation hook, so check the table version here too
+        $this->maybe_install();
+        
+        add_action('wc_admin_order_notes_note_added', [$this, 'log_note_added'], 10, 5);
+        add_action('wc_admin_order_notes_note_updated', [$this, 'log_note_updated'], 10, 3);
+        add_action('wc_admin_order_notes_note_deleted', [$this, 'log_note_deleted'], 10, 3);
+    }
+    
+    /**
+     * Create or upgrade the audit table when its version changed
+     */
+    public function maybe_install(): void {
+        if (get_option(self::DB_VERSION_OPTION) === self::DB_VERSION) {
+            return;
+        }
+        
+        global $wpdb;
+        
+        require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+        
+        $table = $this->get_table_name();
+        $charset_collate = $wpdb->get_charset_collate();
+        
+        dbDelta("CREATE TABLE {$table} (
+            id bigint(20) unsigned NOT NULL AUTO_INCREMENT,
+            created_at datetime NOT NULL,
+            user_id bigint(20) unsigned NOT NULL DEFAULT 0,
+            order_id bigint(20) unsigned NOT NULL DEFAULT 0,
+            note_id bigint(20) unsigned NOT NULL DEFAULT 0,
+            action varchar(20) NOT NULL,
+            source varchar(20) NOT NULL,
+            is_customer_note tinyint(1) NOT NULL DEFAULT 0,
+            PRIMARY KEY  (id),
+            KEY user_id (user_id),
+            KEY order_id (order_id),
+            KEY created_at (created_at)
+        ) {$charset_collate};");
+        
+        update_option(self::DB_VERSION_OPTION, self::DB_VERSION);
+    }
+    
+    /**
+     * Record a note added through the plugin
+     * 
+     * @param int $note_id
+     * @param int $order_id
+     * @param int $user_id
+     * @param string $note_content
+     * @param bool $is_customer_note
+     */
+    public function log_note_added(int $note_id, int $order_id, int $user_id, string $note_content, bool $is_customer_note = false): void {
+        $this->log('added', $note_id, $order_id, $user_id, $is_customer_note);
+    }
+    
+    /**
+     * Record a note edited through the plugin
+     * 
+     * @param int $note_id
+     * @param int $order_id
+     * @param int $user_id
+     */
+    public function log_note_updated(int $note_id, int $order_id, int $user_id): void {
+        $this->log('edited', $note_id, $order_id, $user_id, $this->is_customer_note($note_id));
+    }
+    
+    /**
+     * Record a note deleted through the plugin
+     * 
+     * @param int $note_id
+     * @param int $order_id
+     * @param int $user_id
+     */
+    public function log_note_deleted(int $note_id, int $order_id, int $user_id): void {
+        // The note is gone by now, so its type is unknown
+        $this->log('deleted', $note_id, $order_id, $user_id, false);
+    }
+    
+    /**
+     * Get log entries, newest first
+     * 
+     * @param array $filters user_id, order_id, date_from and date_to (Y-m-d, site timezone)
+     * @param int $page
+     * @param int $per_page
+     * @return array{entries: object[], total: int}
+     */
+    public function get_entries(array $filters, int $page = 1, int $per_page = 50): array {
+        global $wpdb;
+        
+        list($where, $values) = $this->build_where($filters);
+        $table = $this->get_table_name();
+        
+        $total = (int) $wpdb->get_var($this->prepare("SELECT COUNT(*) FROM {$table} WHERE {$where}", $values));
+        
+        $entries = $wpdb->get_results($this->prepare(
+            "SELECT * FROM {$table} WHERE {$where} ORDER BY created_at DESC, id DESC LIMIT %d OFFSET %d",
+            array_merge($values, [$per_page, max(0, ($page - 1) * $per_page)])
+        ));
+        
+        return [
+            'entries' => is_array($entries) ? $entries : [],
+            'total' => $total,
+        ];
+    }
+    
+    /**
+     * Count actions per user
+     * 
+     * @param array $filters Same filters as get_entries()
+     * @return array[] Rows with user_id, added, edited, deleted and total, busiest user first
+     */
+    public function get_counts_by_user(array $filters): array {
+        global $wpdb;
+        
+        list($where, $values) = $this->build_where($filters);
+        $table = $this->get_table_name();
+        
+        $rows = $wpdb->get_results($this->prepare(
+            "SELECT user_id,
+                SUM(action = 'added') AS added,
+                SUM(action = 'edited') AS edited,
+                SUM(action = 'deleted') AS deleted,
+                COUNT(*) AS total
+            FROM {$table}
+            WHERE {$where}
+            GROUP BY user_id
+            ORDER BY total DESC",
+            $values
+        ), ARRAY_A);
+        
+        return array_map(function ($row) {
+            return array_map('intval', $row);
+        }, is_array($rows) ? $rows : []);
+    }
+    
+    /**
+     * Get the users who appear in the log
+     * 
+     * @return int[]
+     */
+    public function get_logged_user_ids(): array {
+        global $wpdb;
+        
+        $table = $this->get_table_name();
+        
+        return array_map('intval', (array) $wpdb->get_col("SELECT DISTINCT user_id FROM {$table}"));
+    }
+    
+    /**
+     * Get the full table name
+     * 
+     * @return string
+     */
+    public function get_table_name(): string {
+        global $wpdb;
+        
+        return $wpdb->prefix . self::TABLE;
+    }
+    
+    /**
+     * Write one log entry
+     * 
+     * @param string $action
+     * @param int $note_id
+     * @param int $order_id
+     * @param int $user_id
+     * @param bool $is_customer_note
+     */
+    private function log(string $action, int $note_id, int $order_id, int $user_id, bool $is_customer_note): void {
+        global $wpdb;
+        
+        $inserted = $wpdb->insert(
+            $this->get_table_name(),
+            [
+                'created_at' => current_time('mysql', true),
+                'user_id' => $user_id,
+                'order_id' => $order_id,
+                'note_id' => $note_id,
+                'action' => $action,
+                'source' => $this->get_request_source(),
+                'is_customer_note' => $is_customer_note ? 1 : 0,
+            ],
+            ['%s', '%d', '%d', '%d', '%s', '%s', '%d']
+        );
+        
+        if (false === $inserted) {
+            error_log(sprintf(
+                'WC Admin Order Notes: Failed to write audit log - Action: %s, Order ID: %d, Note ID: %d, User ID: %d',
+                $action,
+                $order_id,
+                $note_id,
+                $user_id
+            ));
+        }
+    }
+    
+    /**
+     * Work out where the current change came from
+     * 
+     * @return string
+     */
+    private function get_request_source(): string {
+        $header = 'HTTP_' . strtoupper(str_replace('-', '_', self::SOURCE_HEADER));
+        $source = isset($_SERVER[$header]) ? sanitize_key(wp_unslash($_SERVER[$header])) : '';
+        
+        return in_array($source, self::SOURCES, true) ? $source : self::SOURCE_REST;
+    }
+    
+    /**
+     * Check whether a note is addressed to the customer
+     * 
+     * @param int $note_id
+     * @return bool
+     */
+    private function is_customer_note(int $note_id): bool {
+        return (bool) get_comment_meta($note_id, 'is_customer_note', true);
+    }
+    
+    /**
+     * Build the WHERE clause for the report filters
+     * 
+     * @param array $filters
+     * @return array{0: string, 1: array} SQL with placeholders and their values
+     */
+    private function build_where(array $filters): array {
+        $clauses = ['1=1'];
+        $values = [];
+        
+        if (!empty($filters['user_id'])) {
+            $clauses[] = 'user_id = %d';
+            $values[] = (int) $filters['user_id'];
+        }
+        
+        if (!empty($filters['order_id'])) {
+            $clauses[] = 'order_id = %d';
+            $values[] = (int) $filters['order_id'];
+        }
+        
+        // Dates are picked in the site's timezone but stored in UTC
+        if (!empty($filters['date_from'])) {
+            $clauses[] = 'created_at >= %s';
+            $values[] = get_gmt_from_date($filters['date_from'] . ' 00:00:00');
+        }
+        
+        if (!empty($filters['date_to'])) {
+            $clauses[] = 'created_at <= %s';
+            $values[] = get_gmt_from_date($filters['date_to'] . ' 23:59:59');
+        }
+        
+        return [implode(' AND ', $clauses), $values];
+    }
+    
+    /**
+     * Prepare a query only when it has placeholders
+     * 
+     * @param string $query
+     * @param array $values
+     * @return string
+     */
+    private function prepare(string $query, array $values): string {
+        global $wpdb;
+        
+        return empty($values) ? $query : $wpdb->prepare($query, $values);
+    }
+}
@@ -0,0 +1,300 @@
+<?php
+/**
+ * Audit Report Page
+ * 
+ * Handles the WooCommerce → Note Activity report for the WC Admin Order Notes plugin.
+ * 
+ * @package WCAdminOrderNotes
+ * @since 2.2.1
+ */
+
+namespace WCAdminOrderNotes;
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class AuditReportPage {
+    
+    /**
+     * @var string Report page slug
+     */
+    public const PAGE_SLUG = 'wc-admin-order-notes-activity';
+    
+    /**
+     * @var string Capability needed to view the report
+     */
+    private const CAPABILITY = 'view_woocommerce_reports';
+    
+    /**
+     * @var int Log entries per page
+     */
+    private const PER_PAGE = 50;
+    
+    /**
+     * @var AuditLog
+     */
+    private $audit_log;
+    
+    /**
+     * Constructor
+     * 
+     * @param AuditLog $audit_log
+     */
+    public function __construct(AuditLog $audit_log) {
+        $this->audit_log = $audit_log;
+    }
+    
+    /**
+     * Initialize report page hooks
+     */
+    public function init_hooks(): void {
+        add_action('admin_menu', [$this, 'add_menu_page']);
+    }
+    
+    /**
+     * Add the report page under the WooCommerce menu
+     */
+    public function add_menu_page(): void {
+        add_submenu_page(
+            'woocommerce',
+            __('Note Activity', 'wc-admin-order-notes'),
+            __('Note Activity', 'wc-admin-order-notes'),
+            self::CAPABILITY,
+            self::PAGE_SLUG,
+            [$this, 'render_page']
+        );
+    }
+    
+    /**
+     * Render the report page
+     */
+    public function render_page(): void {
+        if (!current_user_can(self::CAPABILITY)) {
+            return;
+        }
+        
+        $filters = $this->get_filters();
+        $page = isset($_GET['paged']) ? max(1, absint($_GET['paged'])) : 1;
+        $result = $this->audit_log->get_entries($filters, $page, self::PER_PAGE);
+        ?>
+        <div class="wrap">
+            <h1><?php esc_html_e('Note Activity', 'wc-admin-order-notes'); ?></h1>
+            <p><?php esc_html_e('Notes added, edited and deleted through the notes modal, the order edit screen, the order preview, the bulk action and the REST API.', 'wc-admin-order-notes'); ?></p>
+            
+            <?php $this->render_filters($filters); ?>
+            
+            <h2><?php esc_html_e('Activity per agent', 'wc-admin-order-notes'); ?></h2>
+            <?php $this->render_counts_table($filters); ?>
+            
+            <h2><?php esc_html_e('Log', 'wc-admin-order-notes'); ?></h2>
+            <?php $this->render_entries_table($result['entries']); ?>
+            <?php $this->render_pagination($filters, $page, $result['total']); ?>
+        </div>
+        <?php
+    }
+    
+    /**
+     * Render the filters form
+     * 
+     * @param array $filters
+     */
+    private function render_filters(array $filters): void {
+        ?>
+        <form method="get" action="<?php echo esc_url(admin_url('admin.php')); ?>">
+            <input type="hidden" name="page" value="<?php echo esc_attr(self::PAGE_SLUG); ?>">
+            <p class="search-box" style="float: none;">
+                <label for="wc-admin-order-notes-audit-user"><?php esc_html_e('User', 'wc-admin-order-notes'); ?></label>
+                <select id="wc-admin-order-notes-audit-user" name="user_id">
+                    <option value=""><?php esc_html_e('All users', 'wc-admin-order-notes'); ?></option>
+                    <?php foreach ($this->audit_log->get_logged_user_ids() as $user_id) : ?>
+                        <option value="<?php echo esc_attr($user_id); ?>" <?php selected($filters['user_id'], $user_id); ?>><?php echo esc_html($this->get_user_name($user_id)); ?></option>
+                    <?php endforeach; ?>
+                </select>
+                
+                <label for="wc-admin-order-notes-audit-order"><?php esc_html_e('Order ID', 'wc-admin-order-notes'); ?></label>
+                <input type="number" min="1" id="wc-admin-order-notes-audit-order" name="order_id" class="small-text" value="<?php echo esc_attr($filters['order_id'] ?: ''); ?>">
+                
+                <label for="wc-admin-order-notes-audit-from"><?php esc_html_e('From', 'wc-admin-order-notes'); ?></label>
+                <input type="date" id="wc-admin-order-notes-audit-from" name="date_from" value="<?php echo esc_attr($filters['date_from']); ?>">
+                
+                <label for="wc-admin-order-notes-audit-to"><?php esc_html_e('To', 'wc-admin-order-notes'); ?></label>
+                <input type="date" id="wc-admin-order-notes-audit-to" name="date_to" value="<?php echo esc_attr($filters['date_to']); ?>">
+                
+                <?php submit_button(__('Filter', 'wc-admin-order-notes'), '', '', false); ?>
+                <a class="button-link" href="<?php echo esc_url(add_query_arg('page', self::PAGE_SLUG, admin_url('admin.php'))); ?>"><?php esc_html_e('Reset', 'wc-admin-order-notes'); ?></a>
+            </p>
+        </form>
+        <?php
+    }
+    
+    /**
+     * Render action counts per agent
+     * 
+     * @param array $filters
+     */
+    private function render_counts_table(array $filters): void {
+        $counts = $this->audit_log->get_counts_by_user($filters);
+        
+        if (empty($counts)) {
+            printf('<p><em>%s</em></p>', esc_html__('No activity for these filters.', 'wc-admin-order-notes'));
+            return;
+        }
+        ?>
+        <table class="widefat striped" style="max-width: 800px;">
+            <thead>
+                <tr>
+                    <th><?php esc_html_e('Agent', 'wc-admin-order-notes'); ?></th>
+                    <th><?php esc_html_e('Added', 'wc-admin-order-notes'); ?></th>
+                    <th><?php esc_html_e('Edited', 'wc-admin-order-notes'); ?></th>
+                    <th><?php esc_html_e('Deleted', 'wc-admin-order-notes'); ?></th>
+                    <th><?php esc_html_e('Total', 'wc-admin-order-notes'); ?></th>
+                </tr>
+            </thead>
+            <tbody>
+                <?php foreach ($counts as $row) : ?>
+                    <tr>
+                        <td><a href="<?php echo esc_url($this->get_filter_url(array_merge($filters, ['user_id' => $row['user_id']]))); ?>"><?php echo esc_html($this->get_user_name($row['user_id'])); ?></a></td>
+                        <td><?php echo esc_html(number_format_i18n($row['added'])); ?></td>
+                        <td><?php echo esc_html(number_format_i18n($row['edited'])); ?></td>
+                        <td><?php echo esc_html(number_format_i18n($row['deleted'])); ?></td>
+                        <td><strong><?php echo esc_html(number_format_i18n($row['total'])); ?></strong></td>
+                    </tr>
+                <?php endforeach; ?>
+            </tbody>
+        </table>
+        <?php
+    }
+    
+    /**
+     * Render log entries
+     * 
+     * @param object[] $entries
+     */
+    private function render_entries_table(array $entries): void {
+        if (empty($entries)) {
+            printf('<p><em>%s</em></p>', esc_html__('No activity for these filters.', 'wc-admin-order-notes'));
+            return;
+        }
+        
+        $actions = [
+            'added' => __('Added', 'wc-admin-order-notes'),
+            'edited' => __('Edited', 'wc-admin-order-notes'),
+            'deleted' => __('Deleted', 'wc-admin-order-notes'),
+        ];
+        $sources = [
+            'modal' => __('Notes modal', 'wc-admin-order-notes'),
+            'bulk' => __('Bulk action', 'wc-admin-order-notes'),
+            'metabox' => __('Order edit screen', 'wc-admin-order-notes'),
+            'preview' => __('Order preview', 'wc-admin-order-notes'),
+            AuditLog::SOURCE_REST => __('REST client', 'wc-admin-order-notes'),
+        ];
+        $date_format = get_option('date_format') . ' ' . get_option('time_format');
+        ?>
+        <table class="widefat striped">
+            <thead>
+                <tr>
+                    <th><?php esc_html_e('Date', 'wc-admin-order-notes'); ?></th>
+                    <th><?php esc_html_e('Agent', 'wc-admin-order-notes'); ?></th>
+                    <th><?php esc_html_e('Action', 'wc-admin-order-notes'); ?></th>
+                    <th><?php esc_html_e('Order', 'wc-admin-order-notes'); ?></th>
+                    <th><?php esc_html_e('Note ID', 'wc-admin-order-notes'); ?></th>
+                    <th><?php esc_html_e('Source', 'wc-admin-order-notes'); ?></th>
+                </tr>
+            </thead>
+            <tbody>
+                <?php foreach ($entries as $entry) : ?>
+                    <?php $order = wc_get_order((int) $entry->order_id); ?>
+                    <tr>
+                        <td><?php echo esc_html(get_date_from_gmt($entry->created_at, $date_format)); ?></td>
+                        <td><?php echo esc_html($this->get_user_name((int) $entry->user_id)); ?></td>
+                        <td>
+                            <?php echo esc_html($actions[$entry->action] ?? $entry->action); ?>
+                            <?php if ((int) $entry->is_customer_note) : ?>
+                                <br><small><?php esc_html_e('Note to customer', 'wc-admin-order-notes'); ?></small>
+                            <?php endif; ?>
+                        </td>
+                        <td>
+                            <?php if ($order) : ?>
+                                <a href="<?php echo esc_url($order->get_edit_order_url()); ?>">#<?php echo esc_html($order->get_order_number()); ?></a>
+                            <?php else : ?>
+                                #<?php echo esc_html($entry->order_id); ?>
+                            <?php endif; ?>
+                        </td>
+                        <td><?php echo esc_html($entry->note_id); ?></td>
+                        <td><?php echo esc_html($sources[$entry->source] ?? $entry->source); ?></td>
+                    </tr>
+                <?php endforeach; ?>
+            </tbody>
+        </table>
+        <?php
+    }
+    
+    /**
+     * Render page links below the log
+     * 
+     * @param array $filters
+     * @param int $page
+     * @param int $total
+     */
+    private function render_pagination(array $filters, int $page, int $total): void {
+        $total_pages = (int) ceil($total / self::PER_PAGE);
+        if ($total_pages <= 1) {
+            return;
+        }
+        
+        $links = paginate_links([
+            'base' => add_query_arg('paged', '%#%', $this->get_filter_url($filters)),
+            'format' => '',
+            'current' => $page,
+            'total' => $total_pages,
+        ]);
+        
+        printf('<div class="tablenav"><div class="tablenav-pages">%s</div></div>', wp_kses_post($links));
+    }
+    
+    /**
+     * Read the report filters from the request
+     * 
+     * @return array
+     */
+    private function get_filters(): array {
+        $date_from = isset($_GET['date_from']) ? sanitize_text_field(wp_unslash($_GET['date_from'])) : '';
+        $date_to = isset($_GET['date_to']) ? sanitize_text_field(wp_unslash($_GET['date_to'])) : '';
+        
+        return [
+            'user_id' => isset($_GET['user_id']) ? absint($_GET['user_id']) : 0,
+            'order_id' => isset($_GET['order_id']) ? absint($_GET['order_id']) : 0,
+            'date_from' => preg_match('/^\d{4}-\d{2}-\d{2}$/', $date_from) ? $date_from : '',
+            'date_to' => preg_match('/^\d{4}-\d{2}-\d{2}$/', $date_to) ? $date_to : '',
+        ];
+    }
+    
+    /**
+     * Build the report URL for a set of filters
+     * 
+     * @param array $filters
+     * @return string
+     */
+    private function get_filter_url(array $filters): string {
+        return add_query_arg(array_merge(['page' => self::PAGE_SLUG], array_filter($filters)), admin_url('admin.php'));
+    }
+    
+    /**
+     * Get a user's display name, falling back to the ID of deleted users
+     * 
+     * @param int $user_id
+     * @return string
+     */
+    private function get_user_name(int $user_id): string {
+        $user = $user_id ? get_userdata($user_id) : false;
+        
+        if ($user) {
+            return $user->display_name;
+        }
+        
+        /* translators: %d: user ID */
+        return sprintf(__('User #%d', 'wc-admin-order-notes'), $user_id);
+    }
+}
@@ -27,19 +27,43 @@ class CacheManager {
      */
     private const CACHE_EXPIRATION = 300; // 5 minutes
     
+    /**
+     * @var SystemNoteClassifier
+     */
+    private $classifier;
+    
+    /**
+     * @var PinnedNotes
+     */
+    private $pinned_notes;
+    
+    /**
+     * Constructor
+     * 
+     * @param SystemNoteClassifier $classifier
+     * @param PinnedNotes $pinned_notes
+     */
+    public function __construct(SystemNoteClassifier $classifier, PinnedNotes $pinned_notes) {
+        $this->classifier = $classifier;
+        $this->pinned_notes = $pinned_notes;
+    }
+    
     /**
      * Get cached order notes
      * 
      * @param int $order_id
      * @param int $limit
+     * @param bool|null $filter_system Hide system notes; null uses WC_ADMIN_ORDER_NOTES_FILTER_SYSTEM
      * @return array
      */
-    public function get_order_notes_cached(int $order_id, int $limit = -1): array {
-        $cache_key = sprintf('order_notes_%d_%d_%s', $order_id, $limit, WC_ADMIN_ORDER_NOTES_FILTER_SYSTEM ? 'filtered' : 'all');
+    public function get_order_notes_cached(int $order_id, int $limit = -1, ?bool $filter_system = null): array {
+        $filter_system = $filter_system ?? (bool) WC_ADMIN_ORDER_NOTES_FILTER_SYSTEM;
+        
+        $cache_key = $this->get_cache_key($order_id, $limit, $filter_system);
         $cached_notes = wp_cache_get($cache_key, self::CACHE_GROUP);
         
         if (false === $cached_notes) {
-            $fetch_limit = WC_ADMIN_ORDER_NOTES_FILTER_SYSTEM ? -1 : $limit;
+            $fetch_limit = $filter_system ? -1 : $limit;
             
             $cached_notes = wc_get_order_notes([
                 'order_id' => $order_id,
@@ -50,8 +74,8 @@ class CacheManager {
             ]);
             
             // Filter only human comments (exclude system notes) if enabled
-            if (WC_ADMIN_ORDER_NOTES_FILTER_SYSTEM) {
-                $cached_notes = $this->filter_human_notes($cached_notes);
+            if ($filter_system) {
+                $cached_notes = $this->classifier->filter_human_notes($cached_notes);
                 
                 // Apply limit after filtering
                 if ($limit > 0) {
@@ -65,6 +89,125 @@ class CacheManager {
         return $cached_notes;
     }
     
+    /**
+     * Get the IDs of an order's notes, pinned first and then newest first
+     * 
+     * Only the IDs are cached, so a page of the list loads just the notes it shows.
+     * 
+     * @param int $order_id
+     * @param bool|null $filter_system Hide system notes; null uses WC_ADMIN_ORDER_NOTES_FILTER_SYSTEM
+     * @return int[]
+     */
+    public function get_order_note_ids(int $order_id, ?bool $filter_system = null): array {
+        $filter_system = $filter_system ?? (bool) WC_ADMIN_ORDER_NOTES_FILTER_SYSTEM;
+        
+        $cache_key = $this->get_ids_cache_key($order_id, $filter_system);
+        $note_ids = wp_cache_get($cache_key, self::CACHE_GROUP);
+        
+        if (!is_array($note_ids)) {
+            if ($filter_system) {
+                // The rules match note content, so telling human notes apart needs the notes themselves
+                $notes = $this->classifier->filter_human_notes(wc_get_order_notes([
+                    'order_id' => $order_id,
+                    'orderby' => 'date_created',
+                    'order' => 'DESC',
+                    'type' => '' // Get all types of notes (customer and admin)
+                ]));
+                
+                $note_ids = array_map(function ($note) {
+                    return (int) $note->id;
+                }, array_values($notes));
+            } else {
+                $note_ids = $this->query_note_ids($order_id);
+            }
+            
+            $note_ids = $this->pinned_notes->sort_ids_pinned_first($note_ids);
+            
+            wp_cache_set($cache_key, $note_ids, self::CACHE_GROUP, self::CACHE_EXPIRATION);
+        }
+        
+        return $note_ids;
+    }
+    
+    /**
+     * Load notes by ID, in the given order
+     * 
+     * @param int[] $note_ids
+     * @return array
+     */
+    public function get_notes_by_ids(array $note_ids): array {
+        if (empty($note_ids)) {
+            return [];
+        }
+        
+        $notes = wc_get_order_notes([
+            'comment__in' => $note_ids,
+            'type' => '' // Get all types of notes (customer and admin)
+        ]);
+        
+        $positions = array_flip($note_ids);
+        usort($notes, function ($a, $b) use ($positions) {
+            return $positions[(int) $a->id] <=> $positions[(int) $b->id];
+        });
+        
+        return $notes;
+    }
+    
+    /**
+     * Get the note shown in the orders list column for several orders
+     * 
+     * That is the most recently pinned note, or else the latest one.
+     * Cache misses are loaded with a single comments query for all orders.
+     * 
+     * @param int[] $order_ids
+     * @param bool|null $filter_system Hide system notes; null uses WC_ADMIN_ORDER_NOTES_FILTER_SYSTEM
+     * @return array Map of order ID => note object or null
+     */
+    public function get_preview_notes(array $order_ids, ?bool $filter_system = null): array {
+        $filter_system = $filter_system ?? (bool) WC_ADMIN_ORDER_NOTES_FILTER_SYSTEM;
+        $order_ids = array_values(array_unique(array_filter(array_map('absint', $order_ids))));
+        
+        $previews = [];
+        $missing = [];
+        
+        foreach ($order_ids as $order_id) {
+            $cached = wp_cache_get($this->get_preview_cache_key($order_id, $filter_system), self::CACHE_GROUP);
+            
+            // Cached entries are wrapped so that "no notes" can be cached too
+            if (is_array($cached) && array_key_exists('note', $cached)) {
+                $previews[$order_id] = $cached['note'];
+            } else {
+                $missing[] = $order_id;
+            }
+        }
+        
+        if (!empty($missing)) {
+            $notes_by_order = $this->get_notes_for_orders($missing);
+            
+            foreach ($missing as $order_id) {
+                $notes = $notes_by_order[$order_id] ?? [];
+                
+                if ($filter_system) {
+                    $notes = $this->classifier->filter_human_notes($notes);
+                }
+                
+                // A pinned note stays in the column until it is unpinned
+                $notes = $this->pinned_notes->sort_pinned_first($notes);
+                
+                $previews[$order_id] = $notes[0] ?? null;
+                
+                wp_cache_set(
+                    $this->get_preview_cache_key($order_id, $filter_system),
+                    ['note' => $previews[$order_id]],
+                    self::CACHE_GROUP,
+                    self::CACHE_EXPIRATION
+                );
+            }
+        }
+        
+        return $previews;
+    }
+    
     /**
      * Clear order notes cache
      * 
@@ -92,22 +235,23 @@ class CacheManager {
      * @param int $order_id
      */
     private function clear_all_order_caches(int $order_id): void {
-        // Pre-defined cache keys for better performance
-        static $cache_keys = null;
-        if ($cache_keys === null) {
-            $cache_variants = ['filtered', 'all'];
-            $common_limits = [1, 5, 10, 20, 50, -1];
-            $cache_keys = [];
-            
-            foreach ($common_limits as $limit) {
-                foreach ($cache_variants as $variant) {
-                    $cache_keys[] = sprintf('order_notes_%d_%d_%s', $order_id, $limit, $variant);
-                }
-                // Legacy cache format for compatibility
-                $cache_keys[] = sprintf('order_notes_%d_%d', $order_id, $limit);
-            }
+        // Keys depend on the order ID, so they are built on every call
+        $common_limits = [1, 5, 10, 20, 50, -1];
+        $cache_keys = [];
+        
+        foreach ($common_limits as $limit) {
+            $cache_keys[] = $this->get_cache_key($order_id, $limit, true);
+            $cache_keys[] = $this->get_cache_key($order_id, $limit, false);
+            // Legacy cache formats for compatibility
+            $cache_keys[] = sprintf('order_notes_%d_%d_filtered', $order_id, $limit);
+            $cache_keys[] = sprintf('order_notes_%d_%d', $order_id, $limit);
         }
         
+        $cache_keys[] = $this->get_ids_cache_key($order_id, true);
+        $cache_keys[] = $this->get_ids_cache_key($order_id, false);
+        $cache_keys[] = $this->get_preview_cache_key($order_id, true);
+        $cache_keys[] = $this->get_preview_cache_key($order_id, false);
+        
         // Batch delete cache entries
         foreach ($cache_keys as $cache_key) {
             wp_cache_delete($cache_key, self::CACHE_GROUP);
@@ -117,112 +261,109 @@ class CacheManager {
         if (function_exists('wc_delete_shop_order_transients')) {
             wc_delete_shop_order_transients($order_id);
         }
+    }
+    
+    /**
+     * Build the cache key for a notes list
+     * 
+     * Filtered lists include the classifier version so that changed rules take effect immediately.
+     * 
+     * @param int $order_id
+     * @param int $limit
+     * @param bool $filter_system
+     * @return string
+     */
+    private function get_cache_key(int $order_id, int $limit, bool $filter_system): string {
+        $variant = $filter_system ? 'filtered_' . $this->classifier->get_version() : 'all';
         
-        // Clear rate limiting cache for this user
-        $user_id = get_current_user_id();
-        if ($user_id) {
-            wp_cache_delete("wc_notes_rate_limit_{$user_id}", 'wc_notes_rate_limit');
-        }
+        return sprintf('order_notes_%d_%d_%s', $order_id, $limit, $variant);
     }
     
     /**
-     * Filter out system status change messages from order notes.
-     *
-     * @param array $notes The array of notes to filter.
-     * @return array The filtered array of notes.
+     * Build the cache key for the note IDs of an order
+     * 
+     * @param int $order_id
+     * @param bool $filter_system
+     * @return string
      */
-    private function filter_human_notes(array $notes): array {
-        if (empty($notes)) {
-            return [];
-        }
+    private function get_ids_cache_key(int $order_id, bool $filter_system): string {
+        $variant = $filter_system ? 'filtered_' . $this->classifier->get_version() : 'all';
         
-        $filtered_notes = [];
+        return sprintf('order_note_ids_%d_%s', $order_id, $variant);
+    }
+    
+    /**
+     * Build the cache key for a list-column preview
+     * 
+     * @param int $order_id
+     * @param bool $filter_system
+     * @return string
+     */
+    private function get_preview_cache_key(int $order_id, bool $filter_system): string {
+        $variant = $filter_system ? 'filtered_' . $this->classifier->get_version() : 'all';
         
-        // Pre-compiled regex patterns for better performance
-        static $compiled_patterns = null;
-        if ($compiled_patterns === null) {
-            $compiled_patterns = [
-                // Order status changes
-                '/status changed from/i',
-                '/статус замовлення змінено з/iu',
-                '/статус змінено з/iu',
-                
-                // Email notifications
-                '/email sent to/i',
-                '/електронний лист надіслано/iu',
-                '/email надіслано/iu',
-                
-                // Payment systems
-                '/payment complete/i',
-                '/payment received/i',
-                '/payment authorized/i',
-                '/платіж завершено/iu',
-                '/платіж отримано/iu',
-                '/платіж авторизовано/iu',
-                
-                // Shipping and logistics
-                '/shipped via/i',
-                '/tracking number/i',
-                '/відправлено через/iu',
-                '/номер відстеження/iu',
-                
-                // Automatic WooCommerce actions
-                '/refund/i',
-                '/повернення коштів/iu',
-                '/відшкодування/iu',
-                
-                // Other system events
-                '/automatically generated/i',
-                '/автоматично створено/iu',
-                '/system:/i',
-                '/система:/iu',
-            ];
+        return sprintf('order_preview_%d_%s', $order_id, $variant);
+    }
+    
+    /**
+     * Query the IDs of an order's notes, newest first, without loading the notes
+     * 
+     * @param int $order_id
+     * @return int[]
+     */
+    private function query_note_ids(int $order_id): array {
+        // WooCommerce hides order notes from comment queries; lift that like wc_get_order_notes() does
+        $had_exclude_filter = remove_filter('comments_clauses', ['WC_Comments', 'exclude_order_comments'], 10);
+        
+        $note_ids = get_comments([
+            'post_id' => $order_id,
+            'type' => 'order_note',
+            'status' => 'approve',
+            'orderby' => ['comment_date', 'comment_ID'],
+            'order' => 'DESC',
+            'fields' => 'ids',
+            'no_found_rows' => true,
+        ]);
+        
+        if ($had_exclude_filter) {
+            add_filter('comments_clauses', ['WC_Comments', 'exclude_order_comments'], 10, 1);
         }
         
-        // Pre-compiled status keywords for short content check
-        static $status_keywords = null;
-        if ($status_keywords === null) {
-            $status_keywords = [
-                'pending', 'processing', 'on-hold', 'completed', 'cancelled', 'refunded', 'failed',
-                'очікування', 'обробка', 'утримання', 'завершено', 'скасовано', 'повернено', 'помилка'
-            ];
+        return array_map('intval', $note_ids);
+    }
+    
+    /**
+     * Load all notes of several orders with one query, newest first
+     * 
+     * @param int[] $order_ids
+     * @return array Map of order ID => list of note objects
+     */
+    private function get_notes_for_orders(array $order_ids): array {
+        // WooCommerce hides order notes from comment queries; lift that like wc_get_order_notes() does
+        $had_exclude_filter = remove_filter('comments_clauses', ['WC_Comments', 'exclude_order_comments'], 10);
+        
+        $comments = get_comments([
+            'post__in' => $order_ids,
+            'type' => 'order_note',
+            'status' => 'approve',
+            'orderby' => ['comment_date_gmt', 'comment_ID'],
+            'order' => 'DESC',
+            'no_found_rows' => true,
+        ]);
+        
+        if ($had_exclude_filter) {
+            add_filter('comments_clauses', ['WC_Comments', 'exclude_order_comments'], 10, 1);
         }
         
-        foreach ($notes as $note) {
-            $is_system_note = false;
-            $content = $note->content ?? '';
-            
-            // Skip empty content
-            if (empty(trim($content))) {
-                continue;
-            }
-            
-            // Check if note contains system patterns
-            foreach ($compiled_patterns as $pattern) {
-                if (preg_match($pattern, $content)) {
-                    $is_system_note = true;
-                    break;
-                }
-            }
-            
-            // Additional check: if note is very short and contains only status
-            if (!$is_system_note && strlen(trim($content)) < 10) {
-                $short_content = strtolower(trim($content));
-                
-                foreach ($status_keywords as $keyword) {
-                    if (strpos($short_content, $keyword) !== false) {
-                        $is_system_note = true;
-                        break;
-                    }
-                }
-            }
-            
-            // If note is not system note, add it to result
-            if (!$is_system_note) {
-                $filtered_notes[] = $note;
+        $notes_by_order = [];
+        
+        foreach ($comments as $comment) {
+            $note = wc_get_order_note($comment);
+            if ($note) {
+                $notes_by_order[(int) $comment->comment_post_ID][] = $note;
             }
         }
         
-        return $filtered_notes;
+        return $notes_by_order;
     }
 }
@@ -0,0 +1,169 @@
+<?php
+/**
+ * Capabilities
+ * 
+ * Defines the note capabilities and grants them to roles for the WC Admin Order Notes plugin.
+ * 
+ * @package WCAdminOrderNotes
+ * @since 2.2.1
+ */
+
+namespace WCAdminOrderNotes;
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class Capabilities {
+    
+    /**
+     * @var string See notes in the orders list and the notes modal
+     */
+    public const READ_NOTES = 'read_order_notes';
+    
+    /**
+     * @var string Add, edit and pin private notes
+     */
+    public const ADD_NOTES = 'add_order_notes';
+    
+    /**
+     * @var string Add notes that are emailed to the customer
+     */
+    public const ADD_CUSTOMER_NOTES = 'add_customer_order_notes';
+    
+    /**
+     * @var string Delete notes
+     */
+    public const DELETE_NOTES = 'delete_order_notes';
+    
+    /**
+     * @var string[] All note capabilities
+     */
+    public const ALL = [
+        self::READ_NOTES,
+        self::ADD_NOTES,
+        self::ADD_CUSTOMER_NOTES,
+        self::DELETE_NOTES,
+    ];
+    
+    /**
+     * @var string Option holding the role mapping saved in the settings
+     */
+    public const OPTION_NAME = 'wc_admin_order_notes_capabilities';
+    
+    /**
+     * @var string Option recording that the default capabilities were granted
+     */
+    private const VERSION_OPTION = 'wc_admin_order_notes_capabilities_version';
+    
+    /**
+     * @var string Current version of the default grants
+     */
+    private const VERSION = '1';
+    
+    /**
+     * Initialize capability hooks
+     */
+    public function init_hooks(): void {
+        // Plugin updates don't run the activation hook, so check the grants here too
+        $this->maybe_install();
+    }
+    
+    /**
+     * Grant all note capabilities to roles that can edit orders, once
+     * 
+     * Until now anyone with edit_shop_orders could do everything, so existing sites keep that.
+     */
+    public function maybe_install(): void {
+        if (get_option(self::VERSION_OPTION) === self::VERSION) {
+            return;
+        }
+        
+        foreach (wp_roles()->role_objects as $role) {
+            if ($role->has_cap('edit_shop_orders')) {
+                foreach (self::ALL as $capability) {
+                    $role->add_cap($capability);
+                }
+            }
+        }
+        
+        update_option(self::VERSION_OPTION, self::VERSION);
+    }
+    
+    /**
+     * Get the roles shown in the capability settings
+     * 
+     * @return array Map of role => display name
+     */
+    public function get_order_roles(): array {
+        $roles = [];
+        
+        foreach (wp_roles()->role_objects as $role => $role_object) {
+            if ($role_object->has_cap('edit_shop_orders') || !empty($this->get_role_capabilities($role))) {
+                $roles[$role] = translate_user_role(wp_roles()->role_names[$role]);
+            }
+        }
+        
+        return $roles;
+    }
+    
+    /**
+     * Get the note capabilities a role has
+     * 
+     * @param string $role
+     * @return string[]
+     */
+    public function get_role_capabilities(string $role): array {
+        $role_object = get_role($role);
+        if (!$role_object) {
+            return [];
+        }
+        
+        return array_values(array_filter(self::ALL, [$role_object, 'has_cap']));
+    }
+    
+    /**
+     * Get which note actions the current user may take, for the scripts
+     * 
+     * @return array{read: bool, add: bool, addCustomer: bool, delete: bool}
+     */
+    public function get_current_user_capabilities(): array {
+        return [
+            'read' => current_user_can(self::READ_NOTES),
+            'add' => current_user_can(self::ADD_NOTES),
+            'addCustomer' => current_user_can(self::ADD_CUSTOMER_NOTES),
+            'delete' => current_user_can(self::DELETE_NOTES),
+        ];
+    }
+    
+    /**
+     * Sanitize the submitted role mapping and apply it to the roles
+     * 
+     * Roles are the source of truth; the option only keeps what was saved last.
+     * 
+     * @param mixed $value Map of role => capabilities
+     * @return array
+     */
+    public function sanitize_mapping($value): array {
+        $value = is_array($value) ? $value : [];
+        $mapping = [];
+        
+        foreach (array_keys($this->get_order_roles()) as $role) {
+            $granted = array_values(array_intersect(self::ALL, (array) ($value[$role] ?? [])));
+            $role_object = get_role($role);
+            
+            foreach (self::ALL as $capability) {
+                if (in_array($capability, $granted, true)) {
+                    $role_object->add_cap($capability);
+                } else {
+                    $role_object->remove_cap($capability);
+                }
+            }
+            
+            $mapping[$role] = $granted;
+        }
+        
+        return $mapping;
+    }
+}
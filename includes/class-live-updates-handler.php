@@ -0,0 +1,291 @@
+<?php
+/**
+ * Live Updates Handler
+ * 
+ * Pushes note changes made by other users to open orders lists through the
+ * WordPress Heartbeat API for the WC Admin Order Notes plugin.
+ * 
+ * @package WCAdminOrderNotes
+ * @since 2.2.1
+ */
+
+namespace WCAdminOrderNotes;
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class LiveUpdatesHandler {
+    
+    /**
+     * @var string Key of the plugin's payload in heartbeat requests and responses
+     */
+    public const HEARTBEAT_KEY = 'wc_admin_order_notes';
+    
+    /**
+     * @var string Transient recording when notes of an order were last edited or deleted
+     */
+    private const CHANGES_TRANSIENT = 'wc_admin_order_notes_recent_changes';
+    
+    /**
+     * @var int How long edits and deletions are remembered, in seconds
+     */
+    private const CHANGES_TTL = 600;
+    
+    /**
+     * @var int Maximum number of orders checked per heartbeat
+     */
+    private const MAX_ORDER_IDS = 100;
+    
+    /**
+     * @var NotesManager
+     */
+    private $notes_manager;
+    
+    /**
+     * @var SecurityHandler
+     */
+    private $security_handler;
+    
+    /**
+     * @var SystemNoteClassifier
+     */
+    private $classifier;
+    
+    /**
+     * Constructor
+     * 
+     * @param NotesManager $notes_manager
+     * @param SecurityHandler $security_handler
+     * @param SystemNoteClassifier $classifier
+     */
+    public function __construct(NotesManager $notes_manager, SecurityHandler $security_handler, SystemNoteClassifier $classifier) {
+        $this->notes_manager = $notes_manager;
+        $this->security_handler = $security_handler;
+        $this->classifier = $classifier;
+    }
+    
+    /**
+     * Initialize live update hooks
+     */
+    public function init_hooks(): void {
+        add_filter('heartbeat_received', [$this, 'handle_heartbeat'], 10, 2);
+        
+        // New notes are found by date; edits and deletions have to be recorded
+        add_action('wc_admin_order_notes_note_updated', [$this, 'record_change'], 10, 2);
+        add_action('wc_admin_order_notes_note_deleted', [$this, 'record_change'], 10, 2);
+        add_action('wc_admin_order_notes_note_pinned', [$this, 'record_change'], 10, 2);
+        add_action('wc_admin_order_notes_reminder_updated', [$this, 'record_change'], 10, 2);
+    }
+    
+    /**
+     * Answer a heartbeat tick from the orders list
+     * 
+     * Expects order_ids (visible orders), since (server time of the previous tick) and,
+     * while the modal is open, modal_order_id, modal_since and include_system.
+     * The response also carries a fresh REST nonce for long-open tabs.
+     * 
+     * @param array $response
+     * @param array $data
+     * @return array
+     */
+    public function handle_heartbeat(array $response, array $data): array {
+        if (empty($data[self::HEARTBEAT_KEY]) || !is_array($data[self::HEARTBEAT_KEY])) {
+            return $response;
+        }
+        
+        if (!current_user_can(Capabilities::READ_NOTES)) {
+            return $response;
+        }
+        
+        $request = $data[self::HEARTBEAT_KEY];
+        $server_time = time();
+        $since = $this->sanitize_since($request['since'] ?? 0, $server_time);
+        
+        $order_ids = array_slice(wp_parse_id_list($request['order_ids'] ?? []), 0, self::MAX_ORDER_IDS);
+        $order_ids = array_values(array_filter($order_ids, [$this->security_handler, 'can_access_order']));
+        
+        $previews = [];
+        $changed_order_ids = $since ? $this->get_changed_order_ids($order_ids, $since) : [];
+        
+        if (!empty($changed_order_ids)) {
+            // Notes may have been added outside this plugin, so cached previews can't be trusted
+            foreach ($changed_order_ids as $order_id) {
+                $this->notes_manager->clear_order_notes_cache(0, $order_id);
+            }
+            
+            $reminders = $this->notes_manager->get_reminder_summaries($changed_order_ids);
+            
+            foreach ($this->notes_manager->get_preview_notes($changed_order_ids) as $order_id => $note) {
+                $previews[] = [
+                    'order_id' => $order_id,
+                    'note' => $this->notes_manager->format_preview_for_response($note),
+                    'reminders' => $reminders[$order_id] ?? null,
+                ];
+            }
+        }
+        
+        $payload = [
+            'server_time' => $server_time,
+            'previews' => $previews,
+            // Heartbeat runs on its own nonce, so it can hand out a fresh REST nonce
+            'rest_nonce' => wp_create_nonce('wp_rest'),
+        ];
+        
+        $modal_order_id = absint($request['modal_order_id'] ?? 0);
+        $modal_since = $this->sanitize_since($request['modal_since'] ?? 0, $server_time);
+        
+        if ($modal_order_id && $modal_since && $this->security_handler->can_access_order($modal_order_id)) {
+            $payload['modal'] = [
+                'order_id' => $modal_order_id,
+                'new_notes' => $this->count_new_notes(
+                    $modal_order_id,
+                    $modal_since,
+                    !rest_sanitize_boolean($request['include_system'] ?? false)
+                ),
+            ];
+        }
+        
+        $response[self::HEARTBEAT_KEY] = $payload;
+        
+        return $response;
+    }
+    
+    /**
+     * Remember that notes of an order were edited, deleted, pinned or unpinned
+     * 
+     * @param int $note_id
+     * @param int $order_id
+     */
+    public function record_change(int $note_id, int $order_id): void {
+        $changes = $this->get_recent_changes();
+        $changes[$order_id] = time();
+        
+        set_transient(self::CHANGES_TRANSIENT, $changes, self::CHANGES_TTL);
+    }
+    
+    /**
+     * Get orders among the given ones whose notes changed since a point in time
+     * 
+     * @param int[] $order_ids
+     * @param int $since Unix timestamp
+     * @return int[]
+     */
+    private function get_changed_order_ids(array $order_ids, int $since): array {
+        if (empty($order_ids)) {
+            return [];
+        }
+        
+        $changed = [];
+        
+        foreach ($this->get_recent_changes() as $order_id => $changed_at) {
+            if ($changed_at >= $since && in_array((int) $order_id, $order_ids, true)) {
+                $changed[] = (int) $order_id;
+            }
+        }
+        
+        foreach ($this->query_notes_since($order_ids, $since) as $comment) {
+            $changed[] = (int) $comment->comment_post_ID;
+        }
+        
+        return array_values(array_unique($changed));
+    }
+    
+    /**
+     * Count notes added to an order by other users since a point in time
+     * 
+     * @param int $order_id
+     * @param int $since Unix timestamp
+     * @param bool $filter_system Leave out system notes
+     * @return int
+     */
+    private function count_new_notes(int $order_id, int $since, bool $filter_system): int {
+        $current_user_id = get_current_user_id();
+        $notes = [];
+        
+        foreach ($this->query_notes_since([$order_id], $since) as $comment) {
+            // The user's own notes are already on screen
+            if ($this->security_handler->is_note_author($comment, $current_user_id)) {
+                continue;
+            }
+            
+            $note = wc_get_order_note($comment);
+            if ($note) {
+                $notes[] = $note;
+            }
+        }
+        
+        if ($filter_system) {
+            $notes = $this->classifier->filter_human_notes($notes);
+        }
+        
+        return count($notes);
+    }
+    
+    /**
+     * Query order notes created since a point in time
+     * 
+     * @param int[] $order_ids
+     * @param int $since Unix timestamp
+     * @return \WP_Comment[]
+     */
+    private function query_notes_since(array $order_ids, int $since): array {
+        // WooCommerce hides order notes from comment queries; lift that like wc_get_order_notes() does
+        $had_exclude_filter = remove_filter('comments_clauses', ['WC_Comments', 'exclude_order_comments'], 10);
+        
+        $comments = get_comments([
+            'post__in' => $order_ids,
+            'type' => 'order_note',
+            'status' => 'approve',
+            'date_query' => [
+                [
+                    'column' => 'comment_date_gmt',
+                    'after' => gmdate('Y-m-d H:i:s', $since),
+                    'inclusive' => true,
+                ],
+            ],
+            'no_found_rows' => true,
+        ]);
+        
+        if ($had_exclude_filter) {
+            add_filter('comments_clauses', ['WC_Comments', 'exclude_order_comments'], 10, 1);
+        }
+        
+        return $comments;
+    }
+    
+    /**
+     * Get recorded edits and deletions that are still fresh
+     * 
+     * @return array Map of order ID => Unix timestamp
+     */
+    private function get_recent_changes(): array {
+        $changes = get_transient(self::CHANGES_TRANSIENT);
+        if (!is_array($changes)) {
+            return [];
+        }
+        
+        $cutoff = time() - self::CHANGES_TTL;
+        
+        return array_filter($changes, function ($changed_at) use ($cutoff) {
+            return (int) $changed_at >= $cutoff;
+        });
+    }
+    
+    /**
+     * Clamp a client-supplied timestamp to the window changes are remembered for
+     * 
+     * @param mixed $since
+     * @param int $server_time
+     * @return int Unix timestamp, or 0 if none was given
+     */
+    private function sanitize_since($since, int $server_time): int {
+        $since = absint($since);
+        if (!$since) {
+            return 0;
+        }
+        
+        return min($server_time, max($since, $server_time - self::CHANGES_TTL));
+    }
+}
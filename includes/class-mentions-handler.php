@@ -0,0 +1,339 @@
+<?php
+/**
+ * Mentions Handler
+ * 
+ * Notifies staff mentioned with @username in order notes for the WC Admin Order Notes plugin.
+ * 
+ * @package WCAdminOrderNotes
+ * @since 2.2.1
+ */
+
+namespace WCAdminOrderNotes;
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class MentionsHandler {
+    
+    /**
+     * @var string User meta key holding unread mentions
+     */
+    public const UNREAD_META_KEY = 'wc_admin_order_notes_unread_mentions';
+    
+    /**
+     * @var string Capability a user needs to be mentioned
+     */
+    private const MENTIONABLE_CAPABILITY = Capabilities::READ_NOTES;
+    
+    /**
+     * @var int Maximum number of unread mentions kept per user
+     */
+    private const MAX_UNREAD = 50;
+    
+    /**
+     * @var int Maximum number of mentions listed in the admin bar
+     */
+    private const ADMIN_BAR_ITEMS = 10;
+    
+    /**
+     * @var int Maximum number of users returned by autocomplete
+     */
+    private const SUGGESTIONS_LIMIT = 10;
+    
+    /**
+     * @var SecurityHandler
+     */
+    private $security_handler;
+    
+    /**
+     * Constructor
+     * 
+     * @param SecurityHandler $security_handler
+     */
+    public function __construct(SecurityHandler $security_handler) {
+        $this->security_handler = $security_handler;
+    }
+    
+    /**
+     * Initialize mention hooks
+     */
+    public function init_hooks(): void {
+        add_action('wc_admin_order_notes_note_added', [$this, 'handle_note_added'], 10, 4);
+        add_action('wc_admin_order_notes_notes_viewed', [$this, 'mark_order_read'], 10, 2);
+        add_action('admin_bar_menu', [$this, 'add_admin_bar_node'], 100);
+    }
+    
+    /**
+     * Notify users mentioned in a newly added note
+     * 
+     * @param int $note_id
+     * @param int $order_id
+     * @param int $author_id
+     * @param string $note_content
+     */
+    public function handle_note_added(int $note_id, int $order_id, int $author_id, string $note_content): void {
+        // Mentions are looked for in the text, not in link addresses
+        $note_content = $this->security_handler->get_note_text($note_content);
+        $user_ids = array_diff($this->parse_mentions($note_content), [$author_id]);
+        
+        /**
+         * Filter the users notified about a mention
+         * 
+         * @param int[] $user_ids
+         * @param int $note_id
+         * @param int $order_id
+         * @param int $author_id
+         */
+        $user_ids = (array) apply_filters('wc_admin_order_notes_mentioned_users', array_values($user_ids), $note_id, $order_id, $author_id);
+        
+        // Users kept away from this order must not get its notes by email either
+        $user_ids = array_filter($user_ids, function ($user_id) use ($order_id) {
+            return $this->security_handler->can_access_order($order_id, (int) $user_id);
+        });
+        
+        if (empty($user_ids)) {
+            return;
+        }
+        
+        $order = wc_get_order($order_id);
+        if (!$order) {
+            return;
+        }
+        
+        $author = get_userdata($author_id);
+        $author_name = $author ? $author->display_name : __('Someone', 'wc-admin-order-notes');
+        
+        foreach ($user_ids as $user_id) {
+            $user = get_userdata((int) $user_id);
+            if (!$user) {
+                continue;
+            }
+            
+            $this->add_unread_mention($user->ID, $order_id, $note_id, $author_id);
+            $this->send_email($user, $order, $author_name, $note_content);
+        }
+    }
+    
+    /**
+     * Extract the mentioned users from note content
+     * 
+     * @param string $content
+     * @return int[] IDs of mentioned users who can work with orders
+     */
+    public function parse_mentions(string $content): array {
+        if (!preg_match_all('/(?<![\w@.])@([\w.-]+)/u', $content, $matches)) {
+            return [];
+        }
+        
+        $user_ids = [];
+        
+        foreach (array_unique($matches[1]) as $login) {
+            // A trailing dot usually ends the sentence rather than the username
+            $user = get_user_by('login', $login) ?: get_user_by('login', rtrim($login, '.'));
+            
+            if ($user && user_can($user, self::MENTIONABLE_CAPABILITY)) {
+                $user_ids[] = (int) $user->ID;
+            }
+        }
+        
+        return array_values(array_unique($user_ids));
+    }
+    
+    /**
+     * Find users who can be mentioned
+     * 
+     * @param string $search Start of a username or display name
+     * @return array[]
+     */
+    public function get_mentionable_users(string $search): array {
+        $args = [
+            'capability' => self::MENTIONABLE_CAPABILITY,
+            'number' => self::SUGGESTIONS_LIMIT,
+            'orderby' => 'display_name',
+            'fields' => ['ID', 'user_login', 'display_name'],
+        ];
+        
+        if ('' !== $search) {
+            $args['search'] = $search . '*';
+            $args['search_columns'] = ['user_login', 'user_nicename', 'display_name'];
+        }
+        
+        return array_map(function ($user) {
+            return [
+                'id' => (int) $user->ID,
+                'username' => $user->user_login,
+                'display_name' => $user->display_name,
+                'avatar' => get_avatar_url($user->ID, ['size' => 32]),
+            ];
+        }, get_users($args));
+    }
+    
+    /**
+     * Get a user's unread mentions, newest first
+     * 
+     * @param int $user_id
+     * @return array[]
+     */
+    public function get_unread_mentions(int $user_id): array {
+        $mentions = get_user_meta($user_id, self::UNREAD_META_KEY, true);
+        
+        return is_array($mentions) ? array_values($mentions) : [];
+    }
+    
+    /**
+     * Clear a user's unread mentions of an order once its notes are opened
+     * 
+     * @param int $order_id
+     * @param int $user_id
+     */
+    public function mark_order_read(int $order_id, int $user_id): void {
+        $mentions = $this->get_unread_mentions($user_id);
+        if (empty($mentions)) {
+            return;
+        }
+        
+        $remaining = array_values(array_filter($mentions, function ($mention) use ($order_id) {
+            return (int) $mention['order_id'] !== $order_id;
+        }));
+        
+        if (count($remaining) !== count($mentions)) {
+            update_user_meta($user_id, self::UNREAD_META_KEY, $remaining);
+        }
+    }
+    
+    /**
+     * Show unread mentions in the admin bar
+     * 
+     * @param \WP_Admin_Bar $admin_bar
+     */
+    public function add_admin_bar_node(\WP_Admin_Bar $admin_bar): void {
+        $user_id = get_current_user_id();
+        if (!$user_id || !current_user_can(self::MENTIONABLE_CAPABILITY)) {
+            return;
+        }
+        
+        $mentions = $this->get_unread_mentions($user_id);
+        if (empty($mentions)) {
+            return;
+        }
+        
+        $admin_bar->add_node([
+            'id' => 'wc-admin-order-notes-mentions',
+            'title' => sprintf(
+                '<span class="ab-icon dashicons dashicons-format-chat" aria-hidden="true"></span><span class="ab-label">%s</span> <span class="wc-admin-order-notes-mentions-count" style="display: inline-block; min-width: 18px; padding: 0 5px; border-radius: 9px; background: #d63638; color: #fff; line-height: 18px; text-align: center;">%d</span>',
+                esc_html__('Mentions', 'wc-admin-order-notes'),
+                count($mentions)
+            ),
+            'href' => $this->get_order_notes_url((int) $mentions[0]['order_id']),
+            'meta' => [
+                'title' => __('Order notes that mention you', 'wc-admin-order-notes'),
+            ],
+        ]);
+        
+        foreach (array_slice($mentions, 0, self::ADMIN_BAR_ITEMS) as $index => $mention) {
+            $author = get_userdata((int) $mention['author_id']);
+            $order = wc_get_order((int) $mention['order_id']);
+            
+            $admin_bar->add_node([
+                'parent' => 'wc-admin-order-notes-mentions',
+                'id' => 'wc-admin-order-notes-mention-' . $index,
+                'title' => esc_html(sprintf(
+                    /* translators: 1: author display name, 2: order number */
+                    __('%1$s on order #%2$s', 'wc-admin-order-notes'),
+                    $author ? $author->display_name : __('Someone', 'wc-admin-order-notes'),
+                    $order ? $order->get_order_number() : $mention['order_id']
+                )),
+                'href' => $this->get_order_notes_url((int) $mention['order_id']),
+            ]);
+        }
+    }
+    
+    /**
+     * Get the orders list URL that opens an order's notes modal
+     * 
+     * @param int $order_id
+     * @return string
+     */
+    public function get_order_notes_url(int $order_id): string {
+        if ($this->is_hpos_enabled()) {
+            $url = admin_url('admin.php?page=wc-orders');
+        } else {
+            $url = admin_url('edit.php?post_type=shop_order');
+        }
+        
+        return $url . '#order-notes=' . $order_id;
+    }
+    
+    /**
+     * Remember an unread mention for a user
+     * 
+     * @param int $user_id
+     * @param int $order_id
+     * @param int $note_id
+     * @param int $author_id
+     */
+    private function add_unread_mention(int $user_id, int $order_id, int $note_id, int $author_id): void {
+        $mentions = $this->get_unread_mentions($user_id);
+        
+        array_unshift($mentions, [
+            'order_id' => $order_id,
+            'note_id' => $note_id,
+            'author_id' => $author_id,
+            'time' => time(),
+        ]);
+        
+        update_user_meta($user_id, self::UNREAD_META_KEY, array_slice($mentions, 0, self::MAX_UNREAD));
+    }
+    
+    /**
+     * Email a mentioned user
+     * 
+     * @param \WP_User $user
+     * @param \WC_Order $order
+     * @param string $author_name
+     * @param string $note_content
+     */
+    private function send_email(\WP_User $user, \WC_Order $order, string $author_name, string $note_content): void {
+        $subject = sprintf(
+            /* translators: 1: site name, 2: author display name, 3: order number */
+            __('[%1$s] %2$s mentioned you on order #%3$s', 'wc-admin-order-notes'),
+            wp_specialchars_decode(get_bloginfo('name'), ENT_QUOTES),
+            $author_name,
+            $order->get_order_number()
+        );
+        
+        $message = sprintf(
+            /* translators: 1: author display name, 2: order number, 3: note content, 4: link to the note */
+            __("%1\$s mentioned you in a note on order #%2\$s:\n\n%3\$s\n\nOpen the order notes: %4\$s", 'wc-admin-order-notes'),
+            $author_name,
+            $order->get_order_number(),
+            $note_content,
+            $this->get_order_notes_url($order->get_id())
+        );
+        
+        $sent = wp_mail($user->user_email, $subject, $message);
+        
+        if (!$sent) {
+            error_log(sprintf(
+                'WC Admin Order Notes: Failed to send mention email - Order ID: %d, User ID: %d',
+                $order->get_id(),
+                $user->ID
+            ));
+        }
+    }
+    
+    /**
+     * Check if HPOS is enabled
+     * 
+     * @return bool
+     */
+    private function is_hpos_enabled(): bool {
+        if (class_exists('\Automattic\WooCommerce\Utilities\OrderUtil')) {
+            return \Automattic\WooCommerce\Utilities\OrderUtil::custom_orders_table_usage_is_enabled();
+        }
+        
+        return false;
+    }
+}
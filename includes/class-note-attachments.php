@@ -0,0 +1,436 @@
+<?php
+/**
+ * Note Attachments
+ * 
+ * Stores files attached to order notes as private media library items
+ * for the WC Admin Order Notes plugin.
+ * 
+ * @package WCAdminOrderNotes
+ * @since 2.2.1
+ */
+
+namespace WCAdminOrderNotes;
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class NoteAttachments {
+    
+    /**
+     * @var string Comment meta holding the attachment IDs of a note
+     */
+    public const META_KEY = '_wc_admin_order_notes_attachments';
+    
+    /**
+     * @var string Attachment meta holding the order a file was uploaded for
+     */
+    public const ORDER_META_KEY = '_wc_admin_order_notes_order_id';
+    
+    /**
+     * @var string Attachment meta holding the note a file is attached to
+     */
+    public const NOTE_META_KEY = '_wc_admin_order_notes_note_id';
+    
+    /**
+     * @var string Attachment meta holding the name the file was uploaded with
+     */
+    public const FILENAME_META_KEY = '_wc_admin_order_notes_filename';
+    
+    /**
+     * @var string Cron hook removing uploads that never made it into a note
+     */
+    public const CLEANUP_HOOK = 'wc_admin_order_notes_cleanup_attachments';
+    
+    /**
+     * @var string Uploads subdirectory; direct access to it is denied
+     */
+    private const UPLOAD_DIR = 'wc-admin-order-notes';
+    
+    /**
+     * @var int How long an upload may wait for its note, in seconds; matches the composer drafts
+     */
+    private const PENDING_TTL = 7 * DAY_IN_SECONDS;
+    
+    /**
+     * Initialize attachment hooks
+     */
+    public function init_hooks(): void {
+        // Notes are deleted by the plugin, WooCommerce and with their order
+        add_action('delete_comment', [$this, 'delete_note_attachments']);
+        
+        // Note files are only reachable through the notes, not the media library
+        add_filter('ajax_query_attachments_args', [$this, 'exclude_from_media_library']);
+        add_action('pre_get_posts', [$this, 'exclude_from_media_list']);
+        
+        add_action(self::CLEANUP_HOOK, [$this, 'cleanup_pending']);
+        if (!wp_next_scheduled(self::CLEANUP_HOOK)) {
+            wp_schedule_event(time() + HOUR_IN_SECONDS, 'daily', self::CLEANUP_HOOK);
+        }
+    }
+    
+    /**
+     * Store an uploaded file for an order
+     * 
+     * The file has to be validated by SecurityHandler::validate_attachment() first.
+     * It stays pending until attach() adds it to a note.
+     * 
+     * @param array $file Entry of $_FILES
+     * @param int $order_id
+     * @param int $user_id
+     * @param array $mimes Allowed file types
+     * @return int|\WP_Error Attachment ID or error
+     */
+    public function upload(array $file, int $order_id, int $user_id, array $mimes) {
+        require_once ABSPATH . 'wp-admin/includes/file.php';
+        require_once ABSPATH . 'wp-admin/includes/image.php';
+        
+        $this->protect_upload_dir();
+        
+        add_filter('upload_dir', [$this, 'filter_upload_dir']);
+        $uploaded = wp_handle_upload($file, [
+            'test_form' => false,
+            'mimes' => $mimes,
+            'unique_filename_callback' => [$this, 'get_random_filename'],
+        ]);
+        remove_filter('upload_dir', [$this, 'filter_upload_dir']);
+        
+        if (isset($uploaded['error'])) {
+            error_log(sprintf(
+                'WC Admin Order Notes: Failed to store attachment - Order ID: %d, User ID: %d, Error: %s',
+                $order_id,
+                $user_id,
+                $uploaded['error']
+            ));
+            
+            return new \WP_Error('upload_failed', __('The file could not be saved.', 'wc-admin-order-notes'), ['status' => 500]);
+        }
+        
+        $filename = sanitize_file_name(wp_basename($file['name']));
+        
+        $attachment_id = wp_insert_attachment([
+            'post_title' => pathinfo($filename, PATHINFO_FILENAME),
+            'post_mime_type' => $uploaded['type'],
+            'post_status' => 'private',
+            'post_author' => $user_id,
+        ], $uploaded['file'], 0, true);
+        
+        if (is_wp_error($attachment_id)) {
+            wp_delete_file($uploaded['file']);
+            
+            return new \WP_Error('upload_failed', __('The file could not be saved.', 'wc-admin-order-notes'), ['status' => 500]);
+        }
+        
+        update_post_meta($attachment_id, self::ORDER_META_KEY, $order_id);
+        update_post_meta($attachment_id, self::FILENAME_META_KEY, $filename);
+        
+        // Thumbnails are written next to the original, in the protected directory
+        if (wp_attachment_is_image($attachment_id)) {
+            wp_update_attachment_metadata($attachment_id, wp_generate_attachment_metadata($attachment_id, $uploaded['file']));
+        }
+        
+        return (int) $attachment_id;
+    }
+    
+    /**
+     * Check that uploads may be attached to a new note of an order
+     * 
+     * Only the user who uploaded a file can attach it, to the order it was uploaded for, once.
+     * 
+     * @param int[] $attachment_ids
+     * @param int $order_id
+     * @param int $user_id
+     * @return true|\WP_Error
+     */
+    public function check_pending(array $attachment_ids, int $order_id, int $user_id) {
+        foreach ($attachment_ids as $attachment_id) {
+            $attachment_id = (int) $attachment_id;
+            
+            if ($this->get_order_id($attachment_id) !== $order_id
+                || (int) get_post_field('post_author', $attachment_id) !== $user_id
+                || $this->get_note_id($attachment_id) > 0) {
+                return new \WP_Error('invalid_attachment', __('One of the attached files is no longer available. Remove it and try again.', 'wc-admin-order-notes'), ['status' => 400]);
+            }
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Attach uploads to a note
+     * 
+     * @param int $note_id
+     * @param int[] $attachment_ids
+     */
+    public function attach(int $note_id, array $attachment_ids): void {
+        $attachment_ids = array_values(array_unique(array_map('intval', $attachment_ids)));
+        
+        update_comment_meta($note_id, self::META_KEY, $attachment_ids);
+        
+        foreach ($attachment_ids as $attachment_id) {
+            update_post_meta($attachment_id, self::NOTE_META_KEY, $note_id);
+        }
+    }
+    
+    /**
+     * Get the attachment IDs of a note
+     * 
+     * @param int $note_id
+     * @return int[]
+     */
+    public function get_note_attachment_ids(int $note_id): array {
+        $attachment_ids = get_comment_meta($note_id, self::META_KEY, true);
+        
+        return is_array($attachment_ids) ? array_values(array_filter(array_map('intval', $attachment_ids))) : [];
+    }
+    
+    /**
+     * Get the order a file was uploaded for
+     * 
+     * @param int $attachment_id
+     * @return int 0 when it is not a note attachment
+     */
+    public function get_order_id(int $attachment_id): int {
+        if ('attachment' !== get_post_type($attachment_id)) {
+            return 0;
+        }
+        
+        return (int) get_post_meta($attachment_id, self::ORDER_META_KEY, true);
+    }
+    
+    /**
+     * Get the note a file is attached to
+     * 
+     * @param int $attachment_id
+     * @return int 0 while the upload is pending
+     */
+    public function get_note_id(int $attachment_id): int {
+        return (int) get_post_meta($attachment_id, self::NOTE_META_KEY, true);
+    }
+    
+    /**
+     * Get the path of a file or of its thumbnail
+     * 
+     * @param int $attachment_id
+     * @param string $size "full" or "thumbnail"
+     * @return string Empty when the file is missing
+     */
+    public function get_file_path(int $attachment_id, string $size = 'full'): string {
+        $path = (string) get_attached_file($attachment_id);
+        
+        if ('full' !== $size) {
+            $intermediate = image_get_intermediate_size($attachment_id, $size);
+            
+            if (!empty($intermediate['path'])) {
+                $path = path_join(wp_upload_dir(null, false)['basedir'], $intermediate['path']);
+            }
+        }
+        
+        return '' !== $path && is_readable($path) ? $path : '';
+    }
+    
+    /**
+     * Get the name a file was uploaded with
+     * 
+     * @param int $attachment_id
+     * @return string
+     */
+    public function get_filename(int $attachment_id): string {
+        $filename = (string) get_post_meta($attachment_id, self::FILENAME_META_KEY, true);
+        
+        return '' !== $filename ? $filename : wp_basename((string) get_attached_file($attachment_id));
+    }
+    
+    /**
+     * Format the attachments of a note for response
+     * 
+     * @param int $note_id
+     * @return array[]
+     */
+    public function format_for_response(int $note_id): array {
+        $attachments = [];
+        
+        foreach ($this->get_note_attachment_ids($note_id) as $attachment_id) {
+            if ($this->get_order_id($attachment_id) > 0) {
+                $attachments[] = $this->format_attachment($attachment_id);
+            }
+        }
+        
+        return $attachments;
+    }
+    
+    /**
+     * Format one attachment for response
+     * 
+     * Files are served by the REST API, so their URLs carry the current user's REST nonce.
+     * 
+     * @param int $attachment_id
+     * @return array
+     */
+    public function format_attachment(int $attachment_id): array {
+        $path = $this->get_file_path($attachment_id);
+        $is_image = wp_attachment_is_image($attachment_id);
+        
+        return [
+            'id' => $attachment_id,
+            'filename' => $this->get_filename($attachment_id),
+            'mime_type' => (string) get_post_mime_type($attachment_id),
+            'size' => '' !== $path ? (int) filesize($path) : 0,
+            'is_image' => $is_image,
+            'url' => $this->get_download_url($attachment_id),
+            'thumbnail_url' => $is_image ? $this->get_download_url($attachment_id, 'thumbnail') : '',
+        ];
+    }
+    
+    /**
+     * Delete a file and its thumbnails
+     * 
+     * @param int $attachment_id
+     */
+    public function delete(int $attachment_id): void {
+        wp_delete_attachment($attachment_id, true);
+    }
+    
+    /**
+     * Delete the files of a note that is being deleted
+     * 
+     * @param int $comment_id
+     */
+    public function delete_note_attachments($comment_id): void {
+        foreach ($this->get_note_attachment_ids((int) $comment_id) as $attachment_id) {
+            if ($this->get_order_id($attachment_id) > 0) {
+                $this->delete($attachment_id);
+            }
+        }
+    }
+    
+    /**
+     * Delete uploads that were never attached to a note
+     */
+    public function cleanup_pending(): void {
+        $attachment_ids = get_posts([
+            'post_type' => 'attachment',
+            'post_status' => 'private',
+            'fields' => 'ids',
+            'posts_per_page' => 100,
+            'meta_query' => [
+                ['key' => self::ORDER_META_KEY, 'compare' => 'EXISTS'],
+                ['key' => self::NOTE_META_KEY, 'compare' => 'NOT EXISTS'],
+            ],
+            'date_query' => [
+                ['column' => 'post_date_gmt', 'before' => gmdate('Y-m-d H:i:s', time() - self::PENDING_TTL)],
+            ],
+        ]);
+        
+        foreach ($attachment_ids as $attachment_id) {
+            $this->delete((int) $attachment_id);
+        }
+    }
+    
+    /**
+     * Leave note files out of the media library grid
+     * 
+     * @param array $query
+     * @return array
+     */
+    public function exclude_from_media_library($query): array {
+        $query = (array) $query;
+        $query['meta_query'] = $this->get_exclusion_meta_query($query['meta_query'] ?? []);
+        
+        return $query;
+    }
+    
+    /**
+     * Leave note files out of the media library list
+     * 
+     * @param \WP_Query $query
+     */
+    public function exclude_from_media_list($query): void {
+        if (!is_admin() || !$query->is_main_query() || 'attachment' !== $query->get('post_type')) {
+            return;
+        }
+        
+        $query->set('meta_query', $this->get_exclusion_meta_query($query->get('meta_query')));
+    }
+    
+    /**
+     * Store note files in their own uploads subdirectory
+     * 
+     * @param array $dirs
+     * @return array
+     */
+    public function filter_upload_dir($dirs): array {
+        $dirs['subdir'] = '/' . self::UPLOAD_DIR;
+        $dirs['path'] = $dirs['basedir'] . $dirs['subdir'];
+        $dirs['url'] = $dirs['baseurl'] . $dirs['subdir'];
+        
+        return $dirs;
+    }
+    
+    /**
+     * Name stored files randomly, so their URLs cannot be guessed
+     * 
+     * @param string $dir
+     * @param string $name
+     * @param string $ext Extension with the leading dot
+     * @return string
+     */
+    public function get_random_filename($dir, $name, $ext): string {
+        do {
+            $filename = strtolower(wp_generate_password(32, false, false)) . strtolower((string) $ext);
+        } while (file_exists(trailingslashit($dir) . $filename));
+        
+        return $filename;
+    }
+    
+    /**
+     * Get the REST URL a file is served from
+     * 
+     * @param int $attachment_id
+     * @param string $size
+     * @return string
+     */
+    private function get_download_url(int $attachment_id, string $size = 'full'): string {
+        $args = ['_wpnonce' => wp_create_nonce('wp_rest')];
+        if ('full' !== $size) {
+            $args['size'] = $size;
+        }
+        
+        return add_query_arg($args, rest_url('wc-admin-order-notes/v1/attachments/' . $attachment_id));
+    }
+    
+    /**
+     * Add the "not a note file" clause to a meta query
+     * 
+     * @param mixed $meta_query
+     * @return array
+     */
+    private function get_exclusion_meta_query($meta_query): array {
+        $clauses = empty($meta_query) ? [] : [$meta_query];
+        $clauses[] = ['key' => self::ORDER_META_KEY, 'compare' => 'NOT EXISTS'];
+        
+        return $clauses;
+    }
+    
+    /**
+     * Deny direct access to the uploads subdirectory
+     * 
+     * Apache honours the .htaccess file; other servers need an equivalent rule.
+     */
+    private function protect_upload_dir(): void {
+        $dir = wp_upload_dir(null, false)['basedir'] . '/' . self::UPLOAD_DIR;
+        
+        if (!wp_mkdir_p($dir)) {
+            return;
+        }
+        
+        if (!file_exists($dir . '/.htaccess')) {
+            file_put_contents($dir . '/.htaccess', "<IfModule mod_authz_core.c>\n    Require all denied\n</IfModule>\n<IfModule !mod_authz_core.c>\n    Deny from all\n</IfModule>\n");
+        }
+        
+        if (!file_exists($dir . '/index.php')) {
+            file_put_contents($dir . '/index.php', "<?php\n// Silence is golden.\n");
+        }
+    }
+}
@@ -0,0 +1,409 @@
+<?php
+/**
+ * Note Reminders
+ * 
+ * Turns order notes into follow-up tasks with a due date and an assignee, and emails
+ * the assignee when they are due, for the WC Admin Order Notes plugin.
+ * 
+ * @package WCAdminOrderNotes
+ * @since 2.2.1
+ */
+
+namespace WCAdminOrderNotes;
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class NoteReminders {
+    
+    /**
+     * @var string Comment meta holding the due time (Unix timestamp)
+     */
+    public const DUE_META_KEY = '_wc_admin_order_notes_due';
+    
+    /**
+     * @var string Comment meta holding the assigned user
+     */
+    public const ASSIGNEE_META_KEY = '_wc_admin_order_notes_assignee';
+    
+    /**
+     * @var string Comment meta holding the time a reminder was marked done
+     */
+    public const DONE_META_KEY = '_wc_admin_order_notes_reminder_done';
+    
+    /**
+     * @var string Comment meta holding the user who marked a reminder done
+     */
+    public const DONE_BY_META_KEY = '_wc_admin_order_notes_reminder_done_by';
+    
+    /**
+     * @var string Comment meta holding the due time the assignee was notified about
+     */
+    private const NOTIFIED_META_KEY = '_wc_admin_order_notes_reminder_notified';
+    
+    /**
+     * @var string Scheduled action that notifies the assignee
+     */
+    public const DUE_HOOK = 'wc_admin_order_notes_reminder_due';
+    
+    /**
+     * @var string Action Scheduler group
+     */
+    private const SCHEDULER_GROUP = 'wc-admin-order-notes';
+    
+    /**
+     * @var SecurityHandler
+     */
+    private $security_handler;
+    
+    /**
+     * @var array Reminder summaries already loaded in this request, by order ID
+     */
+    private $summaries = [];
+    
+    /**
+     * @var int[]|null Orders with overdue reminders, once loaded in this request
+     */
+    private $overdue_order_ids = null;
+    
+    /**
+     * Constructor
+     * 
+     * @param SecurityHandler $security_handler
+     */
+    public function __construct(SecurityHandler $security_handler) {
+        $this->security_handler = $security_handler;
+    }
+    
+    /**
+     * Initialize reminder hooks
+     */
+    public function init_hooks(): void {
+        add_action(self::DUE_HOOK, [$this, 'send_reminder']);
+        
+        // A deleted note has nothing left to remind about
+        add_action('delete_comment', [$this, 'unschedule']);
+    }
+    
+    /**
+     * Set the reminder of a note and schedule its notification
+     * 
+     * @param int $note_id
+     * @param int $due Unix timestamp
+     * @param int $assignee_id
+     */
+    public function set_reminder(int $note_id, int $due, int $assignee_id): void {
+        update_comment_meta($note_id, self::DUE_META_KEY, $due);
+        update_comment_meta($note_id, self::ASSIGNEE_META_KEY, $assignee_id);
+        delete_comment_meta($note_id, self::DONE_META_KEY);
+        delete_comment_meta($note_id, self::DONE_BY_META_KEY);
+        
+        $this->schedule($note_id, $due);
+    }
+    
+    /**
+     * Get the reminder of a note
+     * 
+     * @param int $note_id
+     * @return array{due: int, assignee_id: int, done_at: int, done_by: int}|null Null when the note has no reminder
+     */
+    public function get_reminder(int $note_id): ?array {
+        $due = (int) get_comment_meta($note_id, self::DUE_META_KEY, true);
+        if ($due <= 0) {
+            return null;
+        }
+        
+        return [
+            'due' => $due,
+            'assignee_id' => (int) get_comment_meta($note_id, self::ASSIGNEE_META_KEY, true),
+            'done_at' => (int) get_comment_meta($note_id, self::DONE_META_KEY, true),
+            'done_by' => (int) get_comment_meta($note_id, self::DONE_BY_META_KEY, true),
+        ];
+    }
+    
+    /**
+     * Mark a reminder done or open it again
+     * 
+     * A reopened reminder that is not due yet is scheduled again; one that is already
+     * overdue shows up in "Notes due" without a second email.
+     * 
+     * @param int $note_id
+     * @param bool $done
+     * @param int $user_id
+     */
+    public function set_done(int $note_id, bool $done, int $user_id): void {
+        if ($done) {
+            update_comment_meta($note_id, self::DONE_META_KEY, time());
+            update_comment_meta($note_id, self::DONE_BY_META_KEY, $user_id);
+            $this->unschedule($note_id);
+            return;
+        }
+        
+        delete_comment_meta($note_id, self::DONE_META_KEY);
+        delete_comment_meta($note_id, self::DONE_BY_META_KEY);
+        
+        $reminder = $this->get_reminder($note_id);
+        if ($reminder && $reminder['due'] > time()) {
+            $this->schedule($note_id, $reminder['due']);
+        }
+    }
+    
+    /**
+     * Format the reminder of a note for response
+     * 
+     * @param int $note_id
+     * @return array|null
+     */
+    public function format_for_response(int $note_id): ?array {
+        $reminder = $this->get_reminder($note_id);
+        if (!$reminder) {
+            return null;
+        }
+        
+        $assignee = $reminder['assignee_id'] ? get_userdata($reminder['assignee_id']) : false;
+        $done = $reminder['done_at'] > 0;
+        
+        return [
+            'due' => $this->format_date($reminder['due']),
+            'due_iso' => gmdate('c', $reminder['due']),
+            'assignee_id' => $reminder['assignee_id'],
+            'assignee_name' => $assignee ? $assignee->display_name : '',
+            'done' => $done,
+            'overdue' => !$done && $reminder['due'] <= time(),
+        ];
+    }
+    
+    /**
+     * Summarize the open reminders of several orders
+     * 
+     * @param int[] $order_ids
+     * @return array Map of order ID => summary with open, overdue, next_due and label, for orders with open reminders
+     */
+    public function get_order_summaries(array $order_ids): array {
+        global $wpdb;
+        
+        $order_ids = array_values(array_unique(array_filter(array_map('absint', $order_ids))));
+        $missing = array_diff($order_ids, array_keys($this->summaries));
+        
+        if (!empty($missing)) {
+            $placeholders = implode(',', array_fill(0, count($missing), '%d'));
+            
+            $rows = $wpdb->get_results($wpdb->prepare(
+                "SELECT c.comment_post_ID AS order_id,
+                    COUNT(*) AS open,
+                    SUM(CAST(due.meta_value AS UNSIGNED) <= %d) AS overdue,
+                    MIN(CAST(due.meta_value AS UNSIGNED)) AS next_due
+                FROM {$wpdb->comments} c
+                INNER JOIN {$wpdb->commentmeta} due ON due.comment_id = c.comment_ID AND due.meta_key = %s
+                LEFT JOIN {$wpdb->commentmeta} done ON done.comment_id = c.comment_ID AND done.meta_key = %s
+                WHERE c.comment_type = 'order_note'
+                    AND done.meta_id IS NULL
+                    AND c.comment_post_ID IN ({$placeholders})
+                GROUP BY c.comment_post_ID",
+                array_merge([time(), self::DUE_META_KEY, self::DONE_META_KEY], $missing)
+            ));
+            
+            foreach ($missing as $order_id) {
+                $this->summaries[$order_id] = null;
+            }
+            
+            foreach ((array) $rows as $row) {
+                $open = (int) $row->open;
+                $overdue = (int) $row->overdue;
+                $next_due = $this->format_date((int) $row->next_due);
+                
+                if ($overdue > 0) {
+                    /* translators: %d: number of overdue reminders */
+                    $label = sprintf(_n('%d overdue reminder', '%d overdue reminders', $overdue, 'wc-admin-order-notes'), $overdue);
+                } else {
+                    /* translators: 1: number of open reminders, 2: due date of the next one */
+                    $label = sprintf(_n('%1$d open reminder, due %2$s', '%1$d open reminders, next due %2$s', $open, 'wc-admin-order-notes'), $open, $next_due);
+                }
+                
+                $this->summaries[(int) $row->order_id] = [
+                    'open' => $open,
+                    'overdue' => $overdue,
+                    'next_due' => $next_due,
+                    'label' => $label,
+                ];
+            }
+        }
+        
+        $summaries = [];
+        foreach ($order_ids as $order_id) {
+            if (null !== $this->summaries[$order_id]) {
+                $summaries[$order_id] = $this->summaries[$order_id];
+            }
+        }
+        
+        return $summaries;
+    }
+    
+    /**
+     * Get the orders with open reminders that are past due
+     * 
+     * @return int[]
+     */
+    public function get_overdue_order_ids(): array {
+        global $wpdb;
+        
+        if (null === $this->overdue_order_ids) {
+            $this->overdue_order_ids = array_map('intval', (array) $wpdb->get_col($wpdb->prepare(
+                "SELECT DISTINCT c.comment_post_ID
+                FROM {$wpdb->comments} c
+                INNER JOIN {$wpdb->commentmeta} due ON due.comment_id = c.comment_ID AND due.meta_key = %s
+                LEFT JOIN {$wpdb->commentmeta} done ON done.comment_id = c.comment_ID AND done.meta_key = %s
+                WHERE c.comment_type = 'order_note'
+                    AND done.meta_id IS NULL
+                    AND CAST(due.meta_value AS UNSIGNED) <= %d",
+                self::DUE_META_KEY,
+                self::DONE_META_KEY,
+                time()
+            )));
+        }
+        
+        return $this->overdue_order_ids;
+    }
+    
+    /**
+     * Email the assignee of a reminder that is due
+     * 
+     * @param int $note_id
+     */
+    public function send_reminder($note_id): void {
+        $note_id = (int) $note_id;
+        $reminder = $this->get_reminder($note_id);
+        
+        // Done, moved to a later time or already sent
+        if (!$reminder || $reminder['done_at'] > 0 || $reminder['due'] > time() + MINUTE_IN_SECONDS) {
+            return;
+        }
+        
+        if ((int) get_comment_meta($note_id, self::NOTIFIED_META_KEY, true) === $reminder['due']) {
+            return;
+        }
+        
+        $comment = get_comment($note_id);
+        $order = $comment ? wc_get_order((int) $comment->comment_post_ID) : null;
+        $user = get_userdata($reminder['assignee_id']);
+        
+        // Access may have been taken away since the reminder was set
+        if (!$order || !$user || !$this->security_handler->can_access_order($order->get_id(), $user->ID)) {
+            return;
+        }
+        
+        /**
+         * Filter whether the assignee of a due reminder is emailed
+         * 
+         * @param bool $send
+         * @param int $note_id
+         * @param \WC_Order $order
+         * @param \WP_User $user
+         */
+        if (!apply_filters('wc_admin_order_notes_send_reminder', true, $note_id, $order, $user)) {
+            return;
+        }
+        
+        $subject = sprintf(
+            /* translators: 1: site name, 2: order number */
+            __('[%1$s] Reminder for order #%2$s is due', 'wc-admin-order-notes'),
+            wp_specialchars_decode(get_bloginfo('name'), ENT_QUOTES),
+            $order->get_order_number()
+        );
+        
+        $message = sprintf(
+            /* translators: 1: order number, 2: due date, 3: note content, 4: link to the note */
+            __("A note on order #%1\$s was due on %2\$s:\n\n%3\$s\n\nOpen the order notes: %4\$s", 'wc-admin-order-notes'),
+            $order->get_order_number(),
+            $this->format_date($reminder['due']),
+            $this->security_handler->get_note_text((string) $comment->comment_content),
+            $this->get_order_notes_url($order->get_id())
+        );
+        
+        if (wp_mail($user->user_email, $subject, $message)) {
+            update_comment_meta($note_id, self::NOTIFIED_META_KEY, $reminder['due']);
+        } else {
+            error_log(sprintf(
+                'WC Admin Order Notes: Failed to send reminder email - Order ID: %d, Note ID: %d, User ID: %d',
+                $order->get_id(),
+                $note_id,
+                $user->ID
+            ));
+        }
+    }
+    
+    /**
+     * Cancel the scheduled notification of a note
+     * 
+     * @param int $note_id
+     */
+    public function unschedule($note_id): void {
+        $args = [(int) $note_id];
+        
+        if (function_exists('as_unschedule_all_actions')) {
+            as_unschedule_all_actions(self::DUE_HOOK, $args, self::SCHEDULER_GROUP);
+        }
+        
+        wp_clear_scheduled_hook(self::DUE_HOOK, $args);
+    }
+    
+    /**
+     * Schedule the notification of a note, replacing an earlier one
+     * 
+     * Action Scheduler, which ships with WooCommerce, is used when available; WP-Cron otherwise.
+     * 
+     * @param int $note_id
+     * @param int $due
+     */
+    private function schedule(int $note_id, int $due): void {
+        $this->unschedule($note_id);
+        
+        if (function_exists('as_schedule_single_action')) {
+            as_schedule_single_action($due, self::DUE_HOOK, [$note_id], self::SCHEDULER_GROUP);
+            return;
+        }
+        
+        wp_schedule_single_event($due, self::DUE_HOOK, [$note_id]);
+    }
+    
+    /**
+     * Format a timestamp as a date and time in the site's timezone
+     * 
+     * @param int $timestamp
+     * @return string
+     */
+    private function format_date(int $timestamp): string {
+        return wp_date(get_option('date_format') . ' ' . get_option('time_format'), $timestamp);
+    }
+    
+    /**
+     * Get the orders list URL that opens an order's notes modal
+     * 
+     * @param int $order_id
+     * @return string
+     */
+    private function get_order_notes_url(int $order_id): string {
+        if ($this->is_hpos_enabled()) {
+            $url = admin_url('admin.php?page=wc-orders');
+        } else {
+            $url = admin_url('edit.php?post_type=shop_order');
+        }
+        
+        return $url . '#order-notes=' . $order_id;
+    }
+    
+    /**
+     * Check if HPOS is enabled
+     * 
+     * @return bool
+     */
+    private function is_hpos_enabled(): bool {
+        if (class_exists('\Automattic\WooCommerce\Utilities\OrderUtil')) {
+            return \Automattic\WooCommerce\Utilities\OrderUtil::custom_orders_table_usage_is_enabled();
+        }
+        
+        return false;
+    }
+}
@@ -0,0 +1,225 @@
+<?php
+/**
+ * Notes Exporter
+ * 
+ * Builds CSV and JSON exports of order notes for the WC Admin Order Notes plugin.
+ * 
+ * @package WCAdminOrderNotes
+ * @since 2.2.1
+ */
+
+namespace WCAdminOrderNotes;
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class NotesExporter {
+    
+    /**
+     * @var string[] Supported export formats
+     */
+    public const FORMATS = ['csv', 'json'];
+    
+    /**
+     * @var int Maximum number of orders in one export
+     */
+    private const MAX_ORDERS = 500;
+    
+    /**
+     * @var string[] Columns of every export row, in order
+     */
+    private const COLUMNS = ['order_number', 'note_id', 'date', 'author', 'type', 'content'];
+    
+    /**
+     * @var int Maximum number of notes scanned when exporting a date range
+     */
+    private const MAX_RANGE_NOTES = 5000;
+    
+    /**
+     * @var NotesManager
+     */
+    private $notes_manager;
+    
+    /**
+     * Constructor
+     * 
+     * @param NotesManager $notes_manager
+     */
+    public function __construct(NotesManager $notes_manager) {
+        $this->notes_manager = $notes_manager;
+    }
+    
+    /**
+     * Get the export rows of several orders, oldest note first within each order
+     * 
+     * @param int[] $order_ids
+     * @param bool|null $filter_system Leave out system notes; null uses the site-wide setting
+     * @param string $date_from First day to include (Y-m-d), empty for no limit
+     * @param string $date_to Last day to include (Y-m-d), empty for no limit
+     * @return array[] Rows with order_number, note_id, date, author, type and content
+     */
+    public function get_rows(array $order_ids, ?bool $filter_system, string $date_from = '', string $date_to = ''): array {
+        $rows = [];
+        
+        foreach ($order_ids as $order_id) {
+            $order = wc_get_order((int) $order_id);
+            if (!$order) {
+                continue;
+            }
+            
+            $notes = $this->notes_manager->get_order_notes_fresh($order->get_id(), -1, $filter_system);
+            $notes = array_filter($notes, function ($note) use ($date_from, $date_to) {
+                return $this->is_in_date_range($note, $date_from, $date_to);
+            });
+            
+            // WooCommerce returns the newest note first; histories read better in order
+            $notes = array_reverse(array_values($notes));
+            
+            foreach ($this->notes_manager->format_notes_for_response($notes) as $note) {
+                $rows[] = [
+                    'order_number' => (string) $order->get_order_number(),
+                    'note_id' => (int) $note['id'],
+                    'date' => $note['date_iso'],
+                    'author' => $note['author'],
+                    'type' => $this->get_note_type($note),
+                    'content' => $note['content_text'],
+                ];
+            }
+        }
+        
+        return $rows;
+    }
+    
+    /**
+     * Find orders that have notes within a date range
+     * 
+     * A range with more notes or orders than one export can hold is refused rather than
+     * cut short, so an export is never silently incomplete.
+     * 
+     * @param string $date_from First day (Y-m-d), empty for no limit
+     * @param string $date_to Last day (Y-m-d), empty for no limit
+     * @return int[]|\WP_Error Order IDs, most recently noted first
+     */
+    public function find_order_ids_in_range(string $date_from, string $date_to) {
+        $date_query = ['inclusive' => true];
+        if ('' !== $date_from) {
+            $date_query['after'] = $date_from . ' 00:00:00';
+        }
+        if ('' !== $date_to) {
+            $date_query['before'] = $date_to . ' 23:59:59';
+        }
+        
+        // WooCommerce hides order notes from comment queries; lift that like wc_get_order_notes() does
+        $had_exclude_filter = remove_filter('comments_clauses', ['WC_Comments', 'exclude_order_comments'], 10);
+        
+        $comments = get_comments([
+            'type' => 'order_note',
+            'status' => 'approve',
+            'date_query' => [$date_query],
+            'number' => self::MAX_RANGE_NOTES + 1,
+            'orderby' => 'comment_date_gmt',
+            'order' => 'DESC',
+            'no_found_rows' => true,
+        ]);
+        
+        if ($had_exclude_filter) {
+            add_filter('comments_clauses', ['WC_Comments', 'exclude_order_comments'], 10, 1);
+        }
+        
+        $order_ids = array_values(array_unique(array_map(function ($comment) {
+            return (int) $comment->comment_post_ID;
+        }, $comments)));
+        
+        if (count($comments) > self::MAX_RANGE_NOTES || count($order_ids) > self::MAX_ORDERS) {
+            return new \WP_Error(
+                'export_too_large',
+                sprintf(
+                    /* translators: 1: maximum number of notes, 2: maximum number of orders */
+                    __('This date range has too many notes to export at once (at most %1$d notes from %2$d orders). Choose a shorter range.', 'wc-admin-order-notes'),
+                    self::MAX_RANGE_NOTES,
+                    self::MAX_ORDERS
+                ),
+                ['status' => 400]
+            );
+        }
+        
+        return $order_ids;
+    }
+    
+    /**
+     * Write rows as CSV with a header line to a stream
+     * 
+     * @param resource $handle
+     * @param array[] $rows
+     */
+    public function write_csv($handle, array $rows): void {
+        // Byte order mark so spreadsheet apps detect UTF-8
+        fwrite($handle, "\xEF\xBB\xBF");
+        fputcsv($handle, self::COLUMNS);
+        
+        foreach ($rows as $row) {
+            fputcsv($handle, array_map([$this, 'escape_csv_value'], array_values($row)));
+        }
+    }
+    
+    /**
+     * Build the download file name
+     * 
+     * @param string $format
+     * @param string $order_number Set when a single order is exported
+     * @return string
+     */
+    public function get_filename(string $format, string $order_number = ''): string {
+        $name = '' !== $order_number ? 'order-notes-' . $order_number : 'order-notes';
+        
+        return sanitize_file_name($name . '-' . wp_date('Y-m-d') . '.' . $format);
+    }
+    
+    /**
+     * Get the export type of a formatted note
+     * 
+     * @param array $note
+     * @return string
+     */
+    private function get_note_type(array $note): string {
+        if ('customer' === $note['type']) {
+            return 'customer';
+        }
+        
+        return 'system' === $note['author_type'] ? 'system' : 'private';
+    }
+    
+    /**
+     * Check whether a note was added within a date range, in the site's timezone
+     * 
+     * @param object $note
+     * @param string $date_from
+     * @param string $date_to
+     * @return bool
+     */
+    private function is_in_date_range($note, string $date_from, string $date_to): bool {
+        if ('' === $date_from && '' === $date_to) {
+            return true;
+        }
+        
+        $day = wp_date('Y-m-d', strtotime((string) $note->date_created));
+        
+        return ('' === $date_from || $day >= $date_from) && ('' === $date_to || $day <= $date_to);
+    }
+    
+    /**
+     * Keep spreadsheet apps from running note text as a formula
+     * 
+     * @param mixed $value
+     * @return mixed
+     */
+    private function escape_csv_value($value) {
+        if (is_string($value) && '' !== $value && in_array($value[0], ['=', '+', '-', '@', "\t", "\r"], true)) {
+            return "'" . $value;
+        }
+        
+        return $value;
+    }
+}
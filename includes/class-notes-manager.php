@@ -22,24 +22,70 @@ class NotesManager {
      */
     private $cache_manager;
     
+    /**
+     * @var SystemNoteClassifier
+     */
+    private $classifier;
+    
+    /**
+     * @var PinnedNotes
+     */
+    private $pinned_notes;
+    
+    /**
+     * @var SecurityHandler
+     */
+    private $security_handler;
+    
+    /**
+     * @var NoteAttachments
+     */
+    private $note_attachments;
+    
+    /**
+     * @var NoteReminders
+     */
+    private $note_reminders;
+    
     /**
      * Constructor
      * 
      * @param CacheManager $cache_manager
+     * @param SystemNoteClassifier $classifier
+     * @param PinnedNotes $pinned_notes
+     * @param SecurityHandler $security_handler
+     * @param NoteAttachments $note_attachments
+     * @param NoteReminders $note_reminders
      */
-    public function __construct(CacheManager $cache_manager) {
+    public function __construct(CacheManager $cache_manager, SystemNoteClassifier $classifier, PinnedNotes $pinned_notes, SecurityHandler $security_handler, NoteAttachments $note_attachments, NoteReminders $note_reminders) {
         $this->cache_manager = $cache_manager;
+        $this->classifier = $classifier;
+        $this->pinned_notes = $pinned_notes;
+        $this->security_handler = $security_handler;
+        $this->note_attachments = $note_attachments;
+        $this->note_reminders = $note_reminders;
     }
     
+    /**
+     * User meta key for the "Show system notes" modal switch
+     */
+    private const SHOW_SYSTEM_META_KEY = 'wc_admin_order_notes_show_system';
+    
+    /**
+     * Comment meta holding the key of the request that added a note
+     */
+    private const REQUEST_KEY_META_KEY = '_wc_admin_order_notes_request_key';
+    
     /**
      * Get cached order notes
      * 
      * @param int $order_id
      * @param int $limit
+     * @param bool|null $filter_system Hide system notes; null uses WC_ADMIN_ORDER_NOTES_FILTER_SYSTEM
      * @return array
      */
-    public function get_order_notes_cached(int $order_id, int $limit = -1): array {
-        return $this->cache_manager->get_order_notes_cached($order_id, $limit);
+    public function get_order_notes_cached(int $order_id, int $limit = -1, ?bool $filter_system = null): array {
+        return $this->cache_manager->get_order_notes_cached($order_id, $limit, $filter_system);
     }
     
     /**
@@ -47,10 +93,12 @@ class NotesManager {
      * 
      * @param int $order_id
      * @param int $limit
+     * @param bool|null $filter_system Hide system notes; null uses WC_ADMIN_ORDER_NOTES_FILTER_SYSTEM
      * @return array
      */
-    public function get_order_notes_fresh(int $order_id, int $limit = -1): array {
-        $fetch_limit = WC_ADMIN_ORDER_NOTES_FILTER_SYSTEM ? -1 : $limit;
+    public function get_order_notes_fresh(int $order_id, int $limit = -1, ?bool $filter_system = null): array {
+        $filter_system = $filter_system ?? (bool) WC_ADMIN_ORDER_NOTES_FILTER_SYSTEM;
+        $fetch_limit = $filter_system ? -1 : $limit;
         
         // Get fresh notes directly from WooCommerce
         $args = [
@@ -66,8 +114,8 @@ class NotesManager {
         $notes = wc_get_order_notes($args);
         
         // Filter human notes if enabled
-        if (WC_ADMIN_ORDER_NOTES_FILTER_SYSTEM) {
-            $notes = $this->filter_human_notes($notes);
+        if ($filter_system) {
+            $notes = $this->classifier->filter_human_notes($notes);
             
             // Apply limit after filtering
             if ($limit > 0) {
@@ -78,6 +126,169 @@ class NotesManager {
         return $notes;
     }
     
+    /**
+     * Get one page of an order's notes, pinned first
+     * 
+     * @param int $order_id
+     * @param int $page
+     * @param int $per_page Notes per page; 0 returns all notes
+     * @param bool|null $filter_system Hide system notes; null uses WC_ADMIN_ORDER_NOTES_FILTER_SYSTEM
+     * @return array{notes: array, total: int}
+     */
+    public function get_order_notes_page(int $order_id, int $page, int $per_page, ?bool $filter_system = null): array {
+        $note_ids = $this->cache_manager->get_order_note_ids($order_id, $filter_system);
+        $total = count($note_ids);
+        
+        if ($per_page > 0) {
+            $note_ids = array_slice($note_ids, (max(1, $page) - 1) * $per_page, $per_page);
+        }
+        
+        return [
+            'notes' => $this->cache_manager->get_notes_by_ids($note_ids),
+            'total' => $total,
+        ];
+    }
+    
+    /**
+     * Get the note shown in the orders list column for several orders
+     * 
+     * @param int[] $order_ids
+     * @return array Map of order ID => note object or null
+     */
+    public function get_preview_notes(array $order_ids): array {
+        return $this->cache_manager->get_preview_notes($order_ids);
+    }
+    
+    /**
+     * Format a list-column preview note for response
+     * 
+     * @param object|null $note
+     * @return array|null
+     */
+    public function format_preview_for_response($note): ?array {
+        if (!$note) {
+            return null;
+        }
+        
+        $timestamp = strtotime($note->date_created);
+        
+        return [
+            'id' => $note->id,
+            'content' => wp_trim_words($this->security_handler->get_note_text((string) $note->content), 10, '...'),
+            'date' => date_i18n(get_option('date_format'), $timestamp),
+            'date_iso' => gmdate('c', $timestamp),
+            'type' => $note->customer_note ? 'customer' : 'admin',
+            'pinned' => $this->is_note_pinned((int) $note->id),
+        ];
+    }
+    
+    /**
+     * Check whether a note is pinned
+     * 
+     * @param int $note_id
+     * @return bool
+     */
+    public function is_note_pinned(int $note_id): bool {
+        return $this->pinned_notes->is_pinned($note_id);
+    }
+    
+    /**
+     * Pin or unpin a note
+     * 
+     * @param int $note_id
+     * @param int $order_id
+     * @param bool $pinned
+     * @param int $user_id
+     */
+    public function set_note_pinned(int $note_id, int $order_id, bool $pinned, int $user_id): void {
+        $this->pinned_notes->set_pinned($note_id, $pinned, $user_id);
+        $this->clear_order_notes_cache($note_id, $order_id);
+    }
+    
+    /**
+     * Get the reminder of a note
+     * 
+     * @param int $note_id
+     * @return array|null
+     */
+    public function get_note_reminder(int $note_id): ?array {
+        return $this->note_reminders->get_reminder($note_id);
+    }
+    
+    /**
+     * Set the due date and assignee of a note
+     * 
+     * @param int $note_id
+     * @param int $order_id
+     * @param int $due Unix timestamp
+     * @param int $assignee_id
+     */
+    public function set_note_reminder(int $note_id, int $order_id, int $due, int $assignee_id): void {
+        $this->note_reminders->set_reminder($note_id, $due, $assignee_id);
+        $this->clear_order_notes_cache($note_id, $order_id);
+    }
+    
+    /**
+     * Remember the request that added a note, so a repeat of it can be recognized
+     * 
+     * @param int $note_id
+     * @param string $request_key
+     */
+    public function set_note_request_key(int $note_id, string $request_key): void {
+        update_comment_meta($note_id, self::REQUEST_KEY_META_KEY, $request_key);
+    }
+    
+    /**
+     * Find the note an earlier request with the same key added to an order
+     * 
+     * @param int $order_id
+     * @param string $request_key
+     * @return object|null
+     */
+    public function find_note_by_request_key(int $order_id, string $request_key) {
+        $notes = wc_get_order_notes([
+            'order_id' => $order_id,
+            'limit' => 1,
+            'type' => '', // Get all types of notes (customer and admin)
+            'meta_key' => self::REQUEST_KEY_META_KEY,
+            'meta_value' => $request_key,
+        ]);
+        
+        return $notes ? reset($notes) : null;
+    }
+    
+    /**
+     * Mark the reminder of a note done or open it again
+     * 
+     * @param int $note_id
+     * @param int $order_id
+     * @param bool $done
+     * @param int $user_id
+     */
+    public function set_reminder_done(int $note_id, int $order_id, bool $done, int $user_id): void {
+        $this->note_reminders->set_done($note_id, $done, $user_id);
+        $this->clear_order_notes_cache($note_id, $order_id);
+    }
+    
+    /**
+     * Summarize the open reminders of several orders for the orders list
+     * 
+     * @param int[] $order_ids
+     * @return array Map of order ID => summary, for orders with open reminders
+     */
+    public function get_reminder_summaries(array $order_ids): array {
+        return $this->note_reminders->get_order_summaries($order_ids);
+    }
+    
+    /**
+     * Get the orders with overdue reminders
+     * 
+     * @return int[]
+     */
+    public function get_overdue_order_ids(): array {
+        return $this->note_reminders->get_overdue_order_ids();
+    }
+    
     /**
      * Clear order notes cache
      * 
@@ -88,6 +299,34 @@ class NotesManager {
         $this->cache_manager->clear_order_notes_cache($note_id, $order_id_or_order);
     }
     
+    /**
+     * Check whether a user wants to see system notes in the modal
+     * 
+     * Falls back to the site-wide WC_ADMIN_ORDER_NOTES_FILTER_SYSTEM setting.
+     * 
+     * @param int $user_id
+     * @return bool
+     */
+    public function get_user_show_system_notes(int $user_id): bool {
+        $value = $user_id ? get_user_meta($user_id, self::SHOW_SYSTEM_META_KEY, true) : '';
+        
+        if ('' === $value) {
+            return !WC_ADMIN_ORDER_NOTES_FILTER_SYSTEM;
+        }
+        
+        return '1' === (string) $value;
+    }
+    
+    /**
+     * Remember whether a user wants to see system notes in the modal
+     * 
+     * @param int $user_id
+     * @param bool $show
+     */
+    public function set_user_show_system_notes(int $user_id, bool $show): void {
+        update_user_meta($user_id, self::SHOW_SYSTEM_META_KEY, $show ? '1' : '0');
+    }
+    
     /**
      * Format notes for response
      * 
@@ -96,14 +335,29 @@ class NotesManager {
      */
     public function format_notes_for_response(array $notes): array {
         $formatted_notes = [];
+        $user_id = get_current_user_id();
         
         foreach ($notes as $note) {
+            $author = $this->get_note_author($note);
+            $timestamp = strtotime($note->date_created);
+            
             $formatted_notes[] = [
                 'id' => $note->id,
                 'content' => $note->content,
-                'date' => date_i18n(get_option('date_format') . ' ' . get_option('time_format'), strtotime($note->date_created)),
-                'author' => $note->customer_note ? __('Customer', 'wc-admin-order-notes') : __('Admin', 'wc-admin-order-notes'),
-                'type' => $note->customer_note ? 'customer' : 'admin'
+                'content_html' => $this->security_handler->get_note_html((string) $note->content),
+                'content_text' => $this->security_handler->get_note_text((string) $note->content),
+                'date' => date_i18n(get_option('date_format') . ' ' . get_option('time_format'), $timestamp),
+                'date_iso' => gmdate('c', $timestamp),
+                'author' => $author['name'],
+                'author_id' => $author['user_id'],
+                'author_avatar' => $author['avatar_url'],
+                'author_type' => $author['type'],
+                'system_rule' => $this->classifier->classify((string) $note->content),
+                'type' => $note->customer_note ? 'customer' : 'admin',
+                'pinned' => $this->is_note_pinned((int) $note->id),
+                'can_edit' => $this->security_handler->can_edit_note((int) $note->id, $user_id),
+                'attachments' => $this->note_attachments->format_for_response((int) $note->id),
+                'reminder' => $this->note_reminders->format_for_response((int) $note->id)
             ];
         }
         
@@ -111,103 +365,49 @@ class NotesManager {
     }
     
     /**
-     * Filter out system status change messages from order notes.
-     *
-     * @param array $notes The array of notes to filter.
-     * @return array The filtered array of notes.
+     * Resolve the author of a note
+     * 
+     * WooCommerce stores the display name and email of the user who added the note
+     * on the comment, or "WooCommerce" for notes added automatically.
+     * 
+     * @param object $note
+     * @return array{type: string, name: string, user_id: int, avatar_url: string}
      */
-    private function filter_human_notes(array $notes): array {
-        if (empty($notes)) {
-            return [];
-        }
+    private function get_note_author($note): array {
+        $added_by = (string) ($note->added_by ?? '');
         
-        $filtered_notes = [];
-        
-        // Pre-compiled regex patterns for better performance
-        static $compiled_patterns = null;
-        if ($compiled_patterns === null) {
-            $compiled_patterns = [
-                // Order status changes
-                '/status changed from/i',
-                '/статус замовлення змінено з/iu',
-                '/статус змінено з/iu',
-                
-                // Email notifications
-                '/email sent to/i',
-                '/електронний лист надіслано/iu',
-                '/email надіслано/iu',
-                
-                // Payment systems
-                '/payment complete/i',
-                '/payment received/i',
-                '/payment authorized/i',
-                '/платіж завершено/iu',
-                '/платіж отримано/iu',
-                '/платіж авторизовано/iu',
-                
-                // Shipping and logistics
-                '/shipped via/i',
-                '/tracking number/i',
-                '/відправлено через/iu',
-                '/номер відстеження/iu',
-                
-                // Automatic WooCommerce actions
-                '/refund/i',
-                '/повернення коштів/iu',
-                '/відшкодування/iu',
-                
-                // Other system events
-                '/automatically generated/i',
-                '/автоматично створено/iu',
-                '/system:/i',
-                '/система:/iu',
+        if ('' === $added_by || 'system' === $added_by || 'WooCommerce' === $added_by) {
+            return [
+                'type' => 'system',
+                'name' => __('System', 'wc-admin-order-notes'),
+                'user_id' => 0,
+                'avatar_url' => '',
             ];
         }
         
-        // Pre-compiled status keywords for short content check
-        static $status_keywords = null;
-        if ($status_keywords === null) {
-            $status_keywords = [
-                'pending', 'processing', 'on-hold', 'completed', 'cancelled', 'refunded', 'failed',
-                'очікування', 'обробка', 'утримання', 'завершено', 'скасовано', 'повернено', 'помилка'
-            ];
-        }
+        $comment = get_comment($note->id);
+        $user = false;
         
-        foreach ($notes as $note) {
-            $is_system_note = false;
-            $content = $note->content ?? '';
-            
-            // Skip empty content
-            if (empty(trim($content))) {
-                continue;
+        if ($comment instanceof \WP_Comment) {
+            if ($comment->user_id) {
+                $user = get_user_by('id', (int) $comment->user_id);
             }
-            
-            // Check if note contains system patterns
-            foreach ($compiled_patterns as $pattern) {
-                if (preg_match($pattern, $content)) {
-                    $is_system_note = true;
-                    break;
-                }
-            }
-            
-            // Additional check: if note is very short and contains only status
-            if (!$is_system_note && strlen(trim($content)) < 10) {
-                $short_content = strtolower(trim($content));
-                
-                foreach ($status_keywords as $keyword) {
-                    if (strpos($short_content, $keyword) !== false) {
-                        $is_system_note = true;
-                        break;
-                    }
-                }
-            }
-            
-            // If note is not system note, add it to result
-            if (!$is_system_note) {
-                $filtered_notes[] = $note;
+            if (!$user && is_email($comment->comment_author_email)) {
+                $user = get_user_by('email', $comment->comment_author_email);
             }
         }
         
-        return $filtered_notes;
+        if ($user) {
+            $avatar_url = get_avatar_url($user->ID, ['size' => 48]);
+        } else {
+            $avatar_url = $comment instanceof \WP_Comment ? get_avatar_url($comment->comment_author_email, ['size' => 48]) : '';
+        }
+        
+        return [
+            'type' => 'staff',
+            'name' => $user ? $user->display_name : $added_by,
+            'user_id' => $user ? (int) $user->ID : 0,
+            'avatar_url' => $avatar_url ? (string) $avatar_url : '',
+        ];
     }
 }
@@ -0,0 +1,301 @@
+<?php
+/**
+ * Notes Panel
+ * 
+ * Renders the notes panel shared by the orders list modal, the order edit screen metabox
+ * and the order preview for the WC Admin Order Notes plugin.
+ * 
+ * @package WCAdminOrderNotes
+ * @since 2.2.1
+ */
+
+namespace WCAdminOrderNotes;
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class NotesPanel {
+    
+    /**
+     * @var string Panel inside the orders list modal
+     */
+    public const CONTEXT_MODAL = 'modal';
+    
+    /**
+     * @var string Panel in the order edit screen metabox
+     */
+    public const CONTEXT_METABOX = 'metabox';
+    
+    /**
+     * @var string Panel in the orders list preview popup
+     */
+    public const CONTEXT_PREVIEW = 'preview';
+    
+    /**
+     * @var string Metabox ID
+     */
+    private const META_BOX_ID = 'wc-admin-order-notes';
+    
+    /**
+     * @var int Maximum users offered as reminder assignees
+     */
+    private const MAX_ASSIGNEES = 200;
+    
+    /**
+     * @var SecurityHandler
+     */
+    private $security_handler;
+    
+    /**
+     * Constructor
+     * 
+     * @param SecurityHandler $security_handler
+     */
+    public function __construct(SecurityHandler $security_handler) {
+        $this->security_handler = $security_handler;
+    }
+    
+    /**
+     * Initialize panel hooks
+     */
+    public function init_hooks(): void {
+        add_action('add_meta_boxes', [$this, 'add_meta_box'], 10, 1);
+        add_action('woocommerce_admin_order_preview_end', [$this, 'render_preview_section']);
+    }
+    
+    /**
+     * Add the notes metabox to the order edit screen
+     * 
+     * HPOS passes its screen ID here, legacy orders the post type; both match the shop order screen ID.
+     * 
+     * @param string $screen_id
+     */
+    public function add_meta_box($screen_id): void {
+        if (!function_exists('wc_get_page_screen_id') || wc_get_page_screen_id('shop-order') !== $screen_id) {
+            return;
+        }
+        
+        if (!current_user_can(Capabilities::READ_NOTES)) {
+            return;
+        }
+        
+        add_meta_box(
+            self::META_BOX_ID,
+            __('Notes', 'wc-admin-order-notes'),
+            [$this, 'render_meta_box'],
+            $screen_id,
+            'normal',
+            'default'
+        );
+    }
+    
+    /**
+     * Render the notes metabox
+     * 
+     * @param \WP_Post|\WC_Order $post_or_order
+     */
+    public function render_meta_box($post_or_order): void {
+        $order = $post_or_order instanceof \WP_Post ? wc_get_order($post_or_order->ID) : $post_or_order;
+        if (!$order instanceof \WC_Order) {
+            return;
+        }
+        
+        if (!$this->security_handler->can_access_order($order->get_id())) {
+            printf('<p>%s</p>', esc_html__('You do not have permission to view the notes of this order.', 'wc-admin-order-notes'));
+            return;
+        }
+        
+        // A new order only exists once it has been saved
+        if ('auto-draft' === $order->get_status()) {
+            printf('<p class="description">%s</p>', esc_html__('Save the order to add notes.', 'wc-admin-order-notes'));
+            return;
+        }
+        
+        $this->render(self::CONTEXT_METABOX, (string) $order->get_id());
+    }
+    
+    /**
+     * Add the notes section to the order preview popup
+     * 
+     * The popup is a Backbone template filled in the browser, so the order ID is a template tag.
+     * Access to the order is checked by the REST API when the notes load.
+     */
+    public function render_preview_section(): void {
+        if (!current_user_can(Capabilities::READ_NOTES)) {
+            return;
+        }
+        ?>
+        <div class="wc-order-preview-notes">
+            <h2><?php esc_html_e('Notes', 'wc-admin-order-notes'); ?></h2>
+            <?php $this->render(self::CONTEXT_PREVIEW, '{{ data.data.id }}'); ?>
+        </div>
+        <?php
+    }
+    
+    /**
+     * Render the panel markup
+     * 
+     * The scripts find the panel's parts by class; element IDs are prefixed with the context
+     * outside the modal so a page can hold more than one panel.
+     * 
+     * @param string $context One of the CONTEXT_* constants
+     * @param string $order_id Order the panel opens with; empty for the modal
+     */
+    public function render(string $context, string $order_id = ''): void {
+        ?>
+        <div class="wc-admin-order-notes-panel" data-context="<?php echo esc_attr($context); ?>" data-order-id="<?php echo esc_attr($order_id); ?>">
+            <div class="notes-toolbar">
+                <input
+                    type="search"
+                    id="<?php echo esc_attr($this->get_element_id($context, 'notes-search')); ?>"
+                    class="notes-search"
+                    placeholder="<?php esc_attr_e('Search notes...', 'wc-admin-order-notes'); ?>"
+                    aria-label="<?php esc_attr_e('Search notes', 'wc-admin-order-notes'); ?>"
+                >
+                <div class="notes-filter-chips" role="group" aria-label="<?php esc_attr_e('Filter notes', 'wc-admin-order-notes'); ?>">
+                    <button type="button" class="notes-filter-chip" data-filter="private" aria-pressed="false"><?php esc_html_e('Private', 'wc-admin-order-notes'); ?></button>
+                    <button type="button" class="notes-filter-chip" data-filter="customer" aria-pressed="false"><?php esc_html_e('Customer', 'wc-admin-order-notes'); ?></button>
+                    <button type="button" class="notes-filter-chip" data-filter="system" aria-pressed="false"><?php esc_html_e('System', 'wc-admin-order-notes'); ?></button>
+                    <button type="button" class="notes-filter-chip" data-filter="mine" aria-pressed="false"><?php esc_html_e('Mine', 'wc-admin-order-notes'); ?></button>
+                </div>
+                <label class="notes-system-toggle">
+                    <input type="checkbox" id="<?php echo esc_attr($this->get_element_id($context, 'notes-show-system')); ?>" class="notes-show-system">
+                    <?php esc_html_e('Show system notes', 'wc-admin-order-notes'); ?>
+                </label>
+                <div class="notes-date-range">
+                    <label>
+                        <?php esc_html_e('From', 'wc-admin-order-notes'); ?>
+                        <input type="date" id="<?php echo esc_attr($this->get_element_id($context, 'notes-date-from')); ?>" class="notes-date-from">
+                    </label>
+                    <label>
+                        <?php esc_html_e('To', 'wc-admin-order-notes'); ?>
+                        <input type="date" id="<?php echo esc_attr($this->get_element_id($context, 'notes-date-to')); ?>" class="notes-date-to">
+                    </label>
+                </div>
+                <div class="notes-export" role="group" aria-label="<?php esc_attr_e('Export notes', 'wc-admin-order-notes'); ?>">
+                    <span class="notes-export-label"><?php esc_html_e('Export:', 'wc-admin-order-notes'); ?></span>
+                    <button type="button" class="button-link notes-export-btn" data-format="csv">CSV</button>
+                    <button type="button" class="button-link notes-export-btn" data-format="json">JSON</button>
+                </div>
+            </div>
+            <div id="<?php echo esc_attr($this->get_element_id($context, 'notes-list')); ?>" class="notes-list" aria-live="polite">
+                <!-- Notes will be loaded here -->
+            </div>
+            <div class="add-note-section">
+                <h4><?php esc_html_e('Add New Note', 'wc-admin-order-notes'); ?></h4>
+                <div class="note-type-toggle" role="radiogroup" aria-label="<?php esc_attr_e('Note type', 'wc-admin-order-notes'); ?>">
+                    <label>
+                        <input type="radio" class="note-type-input" name="<?php echo esc_attr($this->get_element_id($context, 'new-note-type')); ?>" value="private" checked>
+                        <?php esc_html_e('Private note', 'wc-admin-order-notes'); ?>
+                    </label>
+                    <label>
+                        <input type="radio" class="note-type-input" name="<?php echo esc_attr($this->get_element_id($context, 'new-note-type')); ?>" value="customer">
+                        <?php esc_html_e('Note to customer', 'wc-admin-order-notes'); ?>
+                    </label>
+                </div>
+                <div id="<?php echo esc_attr($this->get_element_id($context, 'customer-note-warning')); ?>" class="customer-note-warning" role="status" hidden>
+                    <?php esc_html_e('The customer will receive this note by email.', 'wc-admin-order-notes'); ?>
+                </div>
+                <div class="note-templates">
+                    <label for="<?php echo esc_attr($this->get_element_id($context, 'note-template-select')); ?>"><?php esc_html_e('Template', 'wc-admin-order-notes'); ?></label>
+                    <select id="<?php echo esc_attr($this->get_element_id($context, 'note-template-select')); ?>" class="note-template-select" disabled>
+                        <option value=""><?php esc_html_e('Insert a template…', 'wc-admin-order-notes'); ?></option>
+                    </select>
+                    <a class="note-templates-manage" href="<?php echo esc_url(add_query_arg('page', TemplatesPage::PAGE_SLUG, admin_url('admin.php'))); ?>" target="_blank" rel="noopener">
+                        <?php esc_html_e('Manage templates', 'wc-admin-order-notes'); ?>
+                    </a>
+                </div>
+                <textarea
+                    id="<?php echo esc_attr($this->get_element_id($context, 'new-note-content')); ?>"
+                    class="new-note-content"
+                    placeholder="<?php esc_attr_e('Enter your note here...', 'wc-admin-order-notes'); ?>"
+                    aria-label="<?php esc_attr_e('New note content', 'wc-admin-order-notes'); ?>"
+                    maxlength="1000"
+                ></textarea>
+                <div class="markdown-bar">
+                    <span class="markdown-hint"><?php esc_html_e('Markdown: **bold**, *italic*, `code`, [link](https://…), - list', 'wc-admin-order-notes'); ?></span>
+                    <button type="button" class="button-link markdown-preview-toggle" aria-pressed="false"><?php esc_html_e('Preview', 'wc-admin-order-notes'); ?></button>
+                </div>
+                <div class="markdown-preview" aria-live="polite" hidden></div>
+                <div class="note-attachments-composer">
+                    <ul class="note-attachments-pending" aria-live="polite"></ul>
+                    <label class="note-attach-btn">
+                        <input type="file" class="note-attach-input screen-reader-text" multiple accept="<?php echo esc_attr($this->get_attachment_accept()); ?>">
+                        <span class="dashicons dashicons-paperclip" aria-hidden="true"></span>
+                        <?php esc_html_e('Attach files', 'wc-admin-order-notes'); ?>
+                    </label>
+                    <span class="note-attach-hint">
+                        <?php
+                        /* translators: %s: maximum file size, e.g. "10 MB" */
+                        echo esc_html(sprintf(__('or drop them here, up to %s each', 'wc-admin-order-notes'), size_format($this->security_handler->get_max_attachment_size())));
+                        ?>
+                    </span>
+                </div>
+                <div class="note-reminder-fields">
+                    <label>
+                        <span class="dashicons dashicons-clock" aria-hidden="true"></span>
+                        <?php esc_html_e('Remind on', 'wc-admin-order-notes'); ?>
+                        <input type="datetime-local" id="<?php echo esc_attr($this->get_element_id($context, 'note-due-date')); ?>" class="note-due-input">
+                    </label>
+                    <label>
+                        <?php esc_html_e('Assign to', 'wc-admin-order-notes'); ?>
+                        <select id="<?php echo esc_attr($this->get_element_id($context, 'note-assignee')); ?>" class="note-assignee-select">
+                            <?php foreach ($this->get_assignees() as $user) : ?>
+                                <option value="<?php echo esc_attr($user->ID); ?>"<?php selected((int) $user->ID, get_current_user_id()); ?>><?php echo esc_html($user->display_name); ?></option>
+                            <?php endforeach; ?>
+                        </select>
+                    </label>
+                </div>
+                <div class="character-count" id="<?php echo esc_attr($this->get_element_id($context, 'character-count')); ?>">0 / 1000</div>
+                <button type="button" id="<?php echo esc_attr($this->get_element_id($context, 'add-note-btn')); ?>" class="button button-primary add-note-btn">
+                    <?php esc_html_e('Add Note', 'wc-admin-order-notes'); ?>
+                </button>
+            </div>
+        </div>
+        <?php
+    }
+    
+    /**
+     * Get the file input's accept attribute from the allowed attachment types
+     * 
+     * @return string
+     */
+    private function get_attachment_accept(): string {
+        $extensions = [];
+        
+        foreach (array_keys($this->security_handler->get_allowed_attachment_types()) as $pattern) {
+            foreach (explode('|', $pattern) as $extension) {
+                $extensions[] = '.' . $extension;
+            }
+        }
+        
+        return implode(',', $extensions);
+    }
+    
+    /**
+     * Get the users a reminder can be assigned to
+     * 
+     * @return object[] Objects with ID and display_name
+     */
+    private function get_assignees(): array {
+        return get_users([
+            'capability' => Capabilities::READ_NOTES,
+            'number' => self::MAX_ASSIGNEES,
+            'orderby' => 'display_name',
+            'fields' => ['ID', 'display_name'],
+        ]);
+    }
+    
+    /**
+     * Get an element ID for a panel context
+     * 
+     * @param string $context
+     * @param string $name
+     * @return string
+     */
+    private function get_element_id(string $context, string $name): string {
+        return self::CONTEXT_MODAL === $context ? $name : $context . '-' . $name;
+    }
+}
@@ -0,0 +1,452 @@
+<?php
+/**
+ * Order List Filters
+ * 
+ * Adds note search, note filters and sorting by the latest note to the orders list
+ * for the WC Admin Order Notes plugin.
+ * 
+ * @package WCAdminOrderNotes
+ * @since 2.2.1
+ */
+
+namespace WCAdminOrderNotes;
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class OrderListFilters {
+    
+    /**
+     * @var string Query argument with the text to find in notes
+     */
+    public const SEARCH_ARG = 'notes_search';
+    
+    /**
+     * @var string Query argument with the note state filter
+     */
+    public const STATE_ARG = 'notes_state';
+    
+    /**
+     * @var string Query argument with the user whose notes to find
+     */
+    public const AUTHOR_ARG = 'notes_author';
+    
+    /**
+     * @var string Orderby value of the Notes column
+     */
+    public const ORDERBY = 'order_notes';
+    
+    /**
+     * @var string Orders with human notes
+     */
+    public const STATE_HAS_NOTES = 'has_notes';
+    
+    /**
+     * @var string Orders without human notes
+     */
+    public const STATE_NO_NOTES = 'no_notes';
+    
+    /**
+     * @var string Orders without recent human notes
+     */
+    public const STATE_NO_RECENT_NOTES = 'no_recent_notes';
+    
+    /**
+     * @var string Orders with a note to the customer
+     */
+    public const STATE_CUSTOMER_NOTE = 'customer_note';
+    
+    /**
+     * @var int Days without a note after which an order counts as quiet
+     */
+    private const RECENT_DAYS = 7;
+    
+    /**
+     * @var int Maximum users offered in the note author filter
+     */
+    private const MAX_AUTHORS = 200;
+    
+    /**
+     * @var string Query variable carrying the note filters from the list table to the SQL clauses
+     */
+    private const QUERY_VAR = 'wc_admin_order_notes_filters';
+    
+    /**
+     * @var string Name of the meta query clause the list is sorted by
+     */
+    private const SORT_CLAUSE = 'wc_admin_order_notes_last_note';
+    
+    /**
+     * Initialize orders list hooks
+     */
+    public function init_hooks(): void {
+        add_action('restrict_manage_posts', [$this, 'render_filters'], 10, 2);
+        add_action('woocommerce_order_list_table_restrict_manage_orders', [$this, 'render_filters'], 10, 2);
+        
+        if ($this->is_hpos_enabled()) {
+            add_filter('woocommerce_shop_order_list_table_sortable_columns', [$this, 'add_sortable_column']);
+            add_filter('manage_woocommerce_page_wc-orders_sortable_columns', [$this, 'add_sortable_column']);
+            add_filter('woocommerce_order_list_table_prepare_items_query_args', [$this, 'filter_query_args_hpos']);
+            add_filter('woocommerce_orders_table_query_clauses', [$this, 'filter_query_clauses_hpos'], 10, 3);
+        } else {
+            add_filter('manage_edit-shop_order_sortable_columns', [$this, 'add_sortable_column']);
+            add_filter('request', [$this, 'filter_request_legacy']);
+            add_filter('posts_clauses', [$this, 'filter_query_clauses_legacy'], 10, 2);
+        }
+    }
+    
+    /**
+     * Make the Notes column sortable by the latest human note
+     * 
+     * @param array $columns
+     * @return array
+     */
+    public function add_sortable_column(array $columns): array {
+        if (current_user_can(Capabilities::READ_NOTES)) {
+            $columns['order_notes'] = self::ORDERBY;
+        }
+        
+        return $columns;
+    }
+    
+    /**
+     * Render the note search and filters above the orders list
+     * 
+     * Legacy orders pass the post type, HPOS the order type.
+     * 
+     * @param string $type
+     * @param string $which Top or bottom table navigation
+     */
+    public function render_filters($type, $which = 'top'): void {
+        if ('shop_order' !== $type || 'top' !== $which || !current_user_can(Capabilities::READ_NOTES)) {
+            return;
+        }
+        
+        $filters = $this->get_requested_filters();
+        ?>
+        <input
+            type="search"
+            name="<?php echo esc_attr(self::SEARCH_ARG); ?>"
+            class="wc-admin-order-notes-search"
+            value="<?php echo esc_attr($filters['search']); ?>"
+            placeholder="<?php esc_attr_e('Search notes', 'wc-admin-order-notes'); ?>"
+            aria-label="<?php esc_attr_e('Search notes', 'wc-admin-order-notes'); ?>"
+        >
+        <select name="<?php echo esc_attr(self::STATE_ARG); ?>" aria-label="<?php esc_attr_e('Filter by notes', 'wc-admin-order-notes'); ?>">
+            <option value=""><?php esc_html_e('All notes', 'wc-admin-order-notes'); ?></option>
+            <?php foreach ($this->get_states() as $state => $label) : ?>
+                <option value="<?php echo esc_attr($state); ?>"<?php selected($filters['state'], $state); ?>><?php echo esc_html($label); ?></option>
+            <?php endforeach; ?>
+        </select>
+        <select name="<?php echo esc_attr(self::AUTHOR_ARG); ?>" aria-label="<?php esc_attr_e('Filter by note author', 'wc-admin-order-notes'); ?>">
+            <option value=""><?php esc_html_e('Any note author', 'wc-admin-order-notes'); ?></option>
+            <?php foreach ($this->get_authors() as $user) : ?>
+                <option value="<?php echo esc_attr($user->ID); ?>"<?php selected($filters['author'], (int) $user->ID); ?>><?php echo esc_html($user->display_name); ?></option>
+            <?php endforeach; ?>
+        </select>
+        <span class="wc-admin-order-notes-range-export">
+            <?php // No names: the dates belong to the export, not to the list filter form ?>
+            <input type="date" class="wc-admin-order-notes-export-from" aria-label="<?php esc_attr_e('Export notes from', 'wc-admin-order-notes'); ?>">
+            <input type="date" class="wc-admin-order-notes-export-to" aria-label="<?php esc_attr_e('Export notes to', 'wc-admin-order-notes'); ?>">
+            <button type="button" class="button wc-admin-order-notes-export-range" data-format="csv"><?php esc_html_e('Export notes (CSV)', 'wc-admin-order-notes'); ?></button>
+            <button type="button" class="button wc-admin-order-notes-export-range" data-format="json"><?php esc_html_e('JSON', 'wc-admin-order-notes'); ?></button>
+        </span>
+        <?php
+    }
+    
+    /**
+     * Apply the note filters and sorting to the legacy orders list query
+     * 
+     * @param array $query_vars
+     * @return array
+     */
+    public function filter_request_legacy(array $query_vars): array {
+        if (!$this->is_legacy_orders_list_screen() || !current_user_can(Capabilities::READ_NOTES)) {
+            return $query_vars;
+        }
+        
+        $order = strtoupper((string) ($query_vars['order'] ?? ''));
+        
+        return $this->apply_filters_to_args($query_vars, self::ORDERBY === ($query_vars['orderby'] ?? ''), 'ASC' === $order ? 'ASC' : 'DESC');
+    }
+    
+    /**
+     * Add the note conditions to the legacy orders list SQL
+     * 
+     * @param array $clauses
+     * @param \WP_Query $query
+     * @return array
+     */
+    public function filter_query_clauses_legacy(array $clauses, \WP_Query $query): array {
+        global $wpdb;
+        
+        $filters = $query->get(self::QUERY_VAR);
+        if (is_array($filters)) {
+            $clauses['where'] .= $this->get_note_conditions($filters, "{$wpdb->posts}.ID");
+        }
+        
+        return $clauses;
+    }
+    
+    /**
+     * Apply the note filters and sorting to the HPOS orders list query
+     * 
+     * @param array $args
+     * @return array
+     */
+    public function filter_query_args_hpos(array $args): array {
+        if (!current_user_can(Capabilities::READ_NOTES)) {
+            return $args;
+        }
+        
+        $order = strtoupper((string) ($args['order'] ?? ''));
+        
+        return $this->apply_filters_to_args($args, self::ORDERBY === ($args['orderby'] ?? ''), 'ASC' === $order ? 'ASC' : 'DESC');
+    }
+    
+    /**
+     * Add the note conditions to the HPOS orders list SQL
+     * 
+     * @param array $clauses
+     * @param object $query OrdersTableQuery
+     * @param array $args
+     * @return array
+     */
+    public function filter_query_clauses_hpos(array $clauses, $query, array $args): array {
+        if (empty($args[self::QUERY_VAR]) || !is_array($args[self::QUERY_VAR])) {
+            return $clauses;
+        }
+        
+        $clauses['where'] .= $this->get_note_conditions($args[self::QUERY_VAR], $query->get_table_name('orders') . '.id');
+        
+        return $clauses;
+    }
+    
+    /**
+     * Add the requested note filters and sorting to orders list query arguments
+     * 
+     * The latest note date comes from the order meta kept by OrderNotesIndex; conditions on
+     * note content and authors are added to the SQL later, keyed by QUERY_VAR.
+     * 
+     * @param array $args
+     * @param bool $sort Sort by the latest note
+     * @param string $order ASC or DESC
+     * @return array
+     */
+    private function apply_filters_to_args(array $args, bool $sort, string $order): array {
+        $filters = $this->get_requested_filters();
+        $meta_query = [];
+        
+        if ($sort) {
+            // Orders without the meta are kept, as the oldest
+            $meta_query[] = [
+                'relation' => 'OR',
+                self::SORT_CLAUSE => [
+                    'key' => OrderNotesIndex::META_KEY,
+                    'compare' => 'EXISTS',
+                    'type' => 'NUMERIC',
+                ],
+                [
+                    'key' => OrderNotesIndex::META_KEY,
+                    'compare' => 'NOT EXISTS',
+                ],
+            ];
+            
+            $args['orderby'] = [self::SORT_CLAUSE => $order, 'ID' => $order];
+        }
+        
+        $state_query = $this->get_state_meta_query($filters['state']);
+        if ($state_query) {
+            $meta_query[] = $state_query;
+        }
+        
+        if (!empty($meta_query)) {
+            if (!empty($args['meta_query'])) {
+                $meta_query[] = $args['meta_query'];
+            }
+            
+            $args['meta_query'] = array_merge(['relation' => 'AND'], $meta_query);
+        }
+        
+        if ('' !== $filters['search'] || self::STATE_CUSTOMER_NOTE === $filters['state'] || $filters['author']) {
+            $args[self::QUERY_VAR] = $filters;
+        }
+        
+        return $args;
+    }
+    
+    /**
+     * Get the meta query for a note state filter
+     * 
+     * @param string $state
+     * @return array Empty when the state is not based on the latest note
+     */
+    private function get_state_meta_query(string $state): array {
+        $missing = [
+            'key' => OrderNotesIndex::META_KEY,
+            'compare' => 'NOT EXISTS',
+        ];
+        
+        switch ($state) {
+            case self::STATE_HAS_NOTES:
+                return [
+                    'key' => OrderNotesIndex::META_KEY,
+                    'value' => 0,
+                    'compare' => '>',
+                    'type' => 'NUMERIC',
+                ];
+            
+            case self::STATE_NO_NOTES:
+                return [
+                    'relation' => 'OR',
+                    $missing,
+                    [
+                        'key' => OrderNotesIndex::META_KEY,
+                        'value' => 0,
+                        'compare' => '=',
+                        'type' => 'NUMERIC',
+                    ],
+                ];
+            
+            case self::STATE_NO_RECENT_NOTES:
+                return [
+                    'relation' => 'OR',
+                    $missing,
+                    [
+                        'key' => OrderNotesIndex::META_KEY,
+                        'value' => time() - $this->get_recent_days() * DAY_IN_SECONDS,
+                        'compare' => '<',
+                        'type' => 'NUMERIC',
+                    ],
+                ];
+        }
+        
+        return [];
+    }
+    
+    /**
+     * Build the SQL conditions on note content, customer notes and note authors
+     * 
+     * @param array $filters
+     * @param string $id_column Column holding the order ID
+     * @return string Conditions to append to the WHERE clause, or an empty string
+     */
+    private function get_note_conditions(array $filters, string $id_column): string {
+        global $wpdb;
+        
+        $notes = "SELECT 1 FROM {$wpdb->comments} notes WHERE notes.comment_post_ID = {$id_column} AND notes.comment_type = 'order_note'";
+        $conditions = [];
+        
+        if ('' !== ($filters['search'] ?? '')) {
+            $conditions[] = $wpdb->prepare(
+                "EXISTS ({$notes} AND notes.comment_content LIKE %s)",
+                '%' . $wpdb->esc_like($filters['search']) . '%'
+            );
+        }
+        
+        if (self::STATE_CUSTOMER_NOTE === ($filters['state'] ?? '')) {
+            $conditions[] = "EXISTS ({$notes} AND EXISTS (SELECT 1 FROM {$wpdb->commentmeta} customer_note WHERE customer_note.comment_id = notes.comment_ID AND customer_note.meta_key = 'is_customer_note' AND customer_note.meta_value = '1'))";
+        }
+        
+        if (!empty($filters['author'])) {
+            $user = get_userdata((int) $filters['author']);
+            
+            // WooCommerce records the author's name and email on the note, not the user ID
+            $conditions[] = $user
+                ? $wpdb->prepare("EXISTS ({$notes} AND (notes.user_id = %d OR notes.comment_author_email = %s))", $user->ID, $user->user_email)
+                : '1 = 0';
+        }
+        
+        return empty($conditions) ? '' : ' AND ' . implode(' AND ', $conditions);
+    }
+    
+    /**
+     * Get the note filters of the current request
+     * 
+     * @return array{search: string, state: string, author: int}
+     */
+    private function get_requested_filters(): array {
+        $state = isset($_GET[self::STATE_ARG]) ? sanitize_key(wp_unslash($_GET[self::STATE_ARG])) : '';
+        
+        return [
+            'search' => isset($_GET[self::SEARCH_ARG]) ? trim(sanitize_text_field(wp_unslash($_GET[self::SEARCH_ARG]))) : '',
+            'state' => array_key_exists($state, $this->get_states()) ? $state : '',
+            'author' => isset($_GET[self::AUTHOR_ARG]) ? absint($_GET[self::AUTHOR_ARG]) : 0,
+        ];
+    }
+    
+    /**
+     * Get the note state filters
+     * 
+     * @return array Map of state => label
+     */
+    private function get_states(): array {
+        $days = $this->get_recent_days();
+        
+        return [
+            self::STATE_HAS_NOTES => __('Has notes', 'wc-admin-order-notes'),
+            self::STATE_NO_NOTES => __('No notes', 'wc-admin-order-notes'),
+            /* translators: %d: number of days */
+            self::STATE_NO_RECENT_NOTES => sprintf(_n('No notes in %d day', 'No notes in %d days', $days, 'wc-admin-order-notes'), $days),
+            self::STATE_CUSTOMER_NOTE => __('Has customer note', 'wc-admin-order-notes'),
+        ];
+    }
+    
+    /**
+     * Get the days without a note after which an order counts as quiet
+     * 
+     * @return int
+     */
+    private function get_recent_days(): int {
+        /**
+         * Filter the days of the "No notes in N days" filter
+         * 
+         * @param int $days
+         */
+        return max(1, (int) apply_filters('wc_admin_order_notes_recent_days', self::RECENT_DAYS));
+    }
+    
+    /**
+     * Get the users offered in the note author filter
+     * 
+     * @return object[] Objects with ID and display_name
+     */
+    private function get_authors(): array {
+        return get_users([
+            'capability' => Capabilities::ADD_NOTES,
+            'number' => self::MAX_AUTHORS,
+            'orderby' => 'display_name',
+            'fields' => ['ID', 'display_name'],
+        ]);
+    }
+    
+    /**
+     * Check if the current screen is the legacy orders list
+     * 
+     * @return bool
+     */
+    private function is_legacy_orders_list_screen(): bool {
+        if (!function_exists('get_current_screen')) {
+            return false;
+        }
+        
+        $screen = get_current_screen();
+        
+        return $screen && 'edit-shop_order' === $screen->id;
+    }
+    
+    /**
+     * Check if HPOS is enabled
+     * 
+     * @return bool
+     */
+    private function is_hpos_enabled(): bool {
+        if (class_exists('\Automattic\WooCommerce\Utilities\OrderUtil')) {
+            return \Automattic\WooCommerce\Utilities\OrderUtil::custom_orders_table_usage_is_enabled();
+        }
+        
+        return false;
+    }
+}
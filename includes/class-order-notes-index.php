@@ -0,0 +1,196 @@
+<?php
+/**
+ * Order Notes Index
+ * 
+ * Keeps the date of each order's latest human note in order meta, so the orders list
+ * can be sorted and filtered by it, for the WC Admin Order Notes plugin.
+ * 
+ * @package WCAdminOrderNotes
+ * @since 2.2.1
+ */
+
+namespace WCAdminOrderNotes;
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class OrderNotesIndex {
+    
+    /**
+     * @var string Order meta holding the time of the latest human note (Unix timestamp, 0 for none)
+     */
+    public const META_KEY = '_wc_admin_order_notes_last_note';
+    
+    /**
+     * @var string Scheduled action that indexes the next batch of orders
+     */
+    public const REINDEX_HOOK = 'wc_admin_order_notes_reindex';
+    
+    /**
+     * @var string Option holding the classifier version the index was built with
+     */
+    public const VERSION_OPTION = 'wc_admin_order_notes_index_version';
+    
+    /**
+     * @var string Option holding the next page of orders to index
+     */
+    private const CURSOR_OPTION = 'wc_admin_order_notes_index_cursor';
+    
+    /**
+     * @var int Orders indexed per batch
+     */
+    private const BATCH_SIZE = 100;
+    
+    /**
+     * @var string Action Scheduler group
+     */
+    private const SCHEDULER_GROUP = 'wc-admin-order-notes';
+    
+    /**
+     * @var SystemNoteClassifier
+     */
+    private $classifier;
+    
+    /**
+     * Constructor
+     * 
+     * @param SystemNoteClassifier $classifier
+     */
+    public function __construct(SystemNoteClassifier $classifier) {
+        $this->classifier = $classifier;
+    }
+    
+    /**
+     * Initialize index hooks
+     */
+    public function init_hooks(): void {
+        add_action('woocommerce_order_note_added', [$this, 'handle_note_added'], 10, 2);
+        add_action('wc_admin_order_notes_note_updated', [$this, 'handle_note_updated'], 10, 2);
+        add_action('deleted_comment', [$this, 'handle_comment_deleted'], 10, 2);
+        add_action(self::REINDEX_HOOK, [$this, 'reindex_batch']);
+        
+        // The rules decide which notes are human, so changed rules need a new index
+        if (get_option(self::VERSION_OPTION) !== $this->classifier->get_version()) {
+            $this->schedule_reindex();
+        }
+    }
+    
+    /**
+     * Update the index when a note is added
+     * 
+     * @param int $note_id
+     * @param \WC_Order $order
+     */
+    public function handle_note_added($note_id, $order): void {
+        if ($order instanceof \WC_Order) {
+            $this->update_order($order->get_id());
+        }
+    }
+    
+    /**
+     * Update the index when a note is edited
+     * 
+     * @param int $note_id
+     * @param int $order_id
+     */
+    public function handle_note_updated($note_id, $order_id): void {
+        $this->update_order((int) $order_id);
+    }
+    
+    /**
+     * Update the index when a note is deleted
+     * 
+     * @param int $comment_id
+     * @param \WP_Comment|null $comment
+     */
+    public function handle_comment_deleted($comment_id, $comment = null): void {
+        if ($comment instanceof \WP_Comment && 'order_note' === $comment->comment_type) {
+            $this->update_order((int) $comment->comment_post_ID);
+        }
+    }
+    
+    /**
+     * Store the time of an order's latest human note
+     * 
+     * @param int $order_id
+     */
+    public function update_order(int $order_id): void {
+        $order = wc_get_order($order_id);
+        if (!$order) {
+            return;
+        }
+        
+        $notes = $this->classifier->filter_human_notes(wc_get_order_notes([
+            'order_id' => $order_id,
+            'type' => '' // Get all types of notes (customer and admin)
+        ]));
+        
+        $latest = 0;
+        foreach ($notes as $note) {
+            $latest = max($latest, (int) strtotime($note->date_created));
+        }
+        
+        if ((string) $order->get_meta(self::META_KEY) === (string) $latest) {
+            return;
+        }
+        
+        $order->update_meta_data(self::META_KEY, $latest);
+        $order->save_meta_data();
+    }
+    
+    /**
+     * Rebuild the index from the first order, in the background
+     */
+    public function schedule_reindex(): void {
+        update_option(self::VERSION_OPTION, $this->classifier->get_version());
+        update_option(self::CURSOR_OPTION, 1, false);
+        
+        $this->schedule_batch();
+    }
+    
+    /**
+     * Index the next batch of orders and schedule the one after it
+     */
+    public function reindex_batch(): void {
+        $page = max(1, (int) get_option(self::CURSOR_OPTION, 0));
+        
+        $order_ids = wc_get_orders([
+            'type' => 'shop_order',
+            'limit' => self::BATCH_SIZE,
+            'paged' => $page,
+            'orderby' => 'ID',
+            'order' => 'ASC',
+            'return' => 'ids',
+        ]);
+        
+        foreach ($order_ids as $order_id) {
+            $this->update_order((int) $order_id);
+        }
+        
+        if (count($order_ids) < self::BATCH_SIZE) {
+            delete_option(self::CURSOR_OPTION);
+            return;
+        }
+        
+        update_option(self::CURSOR_OPTION, $page + 1, false);
+        $this->schedule_batch();
+    }
+    
+    /**
+     * Schedule a reindex batch to run as soon as possible
+     * 
+     * Action Scheduler, which ships with WooCommerce, is used when available; WP-Cron otherwise.
+     */
+    private function schedule_batch(): void {
+        if (function_exists('as_enqueue_async_action')) {
+            as_enqueue_async_action(self::REINDEX_HOOK, [], self::SCHEDULER_GROUP);
+            return;
+        }
+        
+        if (!wp_next_scheduled(self::REINDEX_HOOK)) {
+            wp_schedule_single_event(time(), self::REINDEX_HOOK);
+        }
+    }
+}
@@ -0,0 +1,126 @@
+<?php
+/**
+ * Pinned Notes
+ * 
+ * Keeps important order notes on top of the notes modal and in the orders list column
+ * for the WC Admin Order Notes plugin.
+ * 
+ * @package WCAdminOrderNotes
+ * @since 2.2.1
+ */
+
+namespace WCAdminOrderNotes;
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class PinnedNotes {
+    
+    /**
+     * @var string Comment meta holding the time a note was pinned
+     */
+    public const META_KEY = '_wc_admin_order_notes_pinned';
+    
+    /**
+     * @var string Comment meta holding the user who pinned a note
+     */
+    public const PINNED_BY_META_KEY = '_wc_admin_order_notes_pinned_by';
+    
+    /**
+     * Check whether a note is pinned
+     * 
+     * @param int $note_id
+     * @return bool
+     */
+    public function is_pinned(int $note_id): bool {
+        return $this->get_pinned_time($note_id) > 0;
+    }
+    
+    /**
+     * Pin or unpin a note
+     * 
+     * @param int $note_id
+     * @param bool $pinned
+     * @param int $user_id
+     */
+    public function set_pinned(int $note_id, bool $pinned, int $user_id): void {
+        if ($pinned) {
+            update_comment_meta($note_id, self::META_KEY, time());
+            update_comment_meta($note_id, self::PINNED_BY_META_KEY, $user_id);
+        } else {
+            delete_comment_meta($note_id, self::META_KEY);
+            delete_comment_meta($note_id, self::PINNED_BY_META_KEY);
+        }
+    }
+    
+    /**
+     * Move pinned notes to the front, most recently pinned first
+     * 
+     * The remaining notes keep their order.
+     * 
+     * @param array $notes
+     * @return array
+     */
+    public function sort_pinned_first(array $notes): array {
+        $pinned = [];
+        $others = [];
+        
+        foreach ($notes as $note) {
+            $pinned_time = $this->get_pinned_time((int) $note->id);
+            
+            if ($pinned_time > 0) {
+                $pinned[] = [$pinned_time, $note];
+            } else {
+                $others[] = $note;
+            }
+        }
+        
+        usort($pinned, function ($a, $b) {
+            return $b[0] <=> $a[0];
+        });
+        
+        return array_merge(array_column($pinned, 1), $others);
+    }
+    
+    /**
+     * Move pinned note IDs to the front, most recently pinned first
+     * 
+     * @param int[] $note_ids
+     * @return int[]
+     */
+    public function sort_ids_pinned_first(array $note_ids): array {
+        // One query for the meta of all notes instead of one per note
+        update_meta_cache('comment', $note_ids);
+        
+        $pinned = [];
+        $others = [];
+        
+        foreach ($note_ids as $note_id) {
+            $pinned_time = $this->get_pinned_time((int) $note_id);
+            
+            if ($pinned_time > 0) {
+                $pinned[] = [$pinned_time, (int) $note_id];
+            } else {
+                $others[] = (int) $note_id;
+            }
+        }
+        
+        usort($pinned, function ($a, $b) {
+            return $b[0] <=> $a[0];
+        });
+        
+        return array_merge(array_column($pinned, 1), $others);
+    }
+    
+    /**
+     * Get the time a note was pinned
+     * 
+     * @param int $note_id
+     * @return int Unix timestamp, or 0 if the note is not pinned
+     */
+    private function get_pinned_time(int $note_id): int {
+        return (int) get_comment_meta($note_id, self::META_KEY, true);
+    }
+}
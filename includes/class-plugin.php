@@ -30,6 +30,11 @@ class Plugin {
      */
     private $rest_api_handler;
     
+    /**
+     * @var NotesPanel
+     */
+    private $notes_panel;
+    
     /**
      * @var AdminInterfaceHandler
      */
@@ -50,6 +55,86 @@ class Plugin {
      */
     private $cache_manager;
     
+    /**
+     * @var SystemNoteClassifier
+     */
+    private $system_note_classifier;
+    
+    /**
+     * @var NotesExporter
+     */
+    private $notes_exporter;
+    
+    /**
+     * @var AuditLog
+     */
+    private $audit_log;
+    
+    /**
+     * @var AuditReportPage
+     */
+    private $audit_report_page;
+    
+    /**
+     * @var Capabilities
+     */
+    private $capabilities;
+    
+    /**
+     * @var RateLimiter
+     */
+    private $rate_limiter;
+    
+    /**
+     * @var PinnedNotes
+     */
+    private $pinned_notes;
+    
+    /**
+     * @var NoteAttachments
+     */
+    private $note_attachments;
+    
+    /**
+     * @var NoteReminders
+     */
+    private $note_reminders;
+    
+    /**
+     * @var OrderNotesIndex
+     */
+    private $order_notes_index;
+    
+    /**
+     * @var OrderListFilters
+     */
+    private $order_list_filters;
+    
+    /**
+     * @var SettingsPage
+     */
+    private $settings_page;
+    
+    /**
+     * @var LiveUpdatesHandler
+     */
+    private $live_updates_handler;
+    
+    /**
+     * @var TemplatesManager
+     */
+    private $templates_manager;
+    
+    /**
+     * @var TemplatesPage
+     */
+    private $templates_page;
+    
+    /**
+     * @var MentionsHandler
+     */
+    private $mentions_handler;
+    
     /**
      * Get singleton instance
      * 
@@ -100,11 +185,28 @@ class Plugin {
      */
     private function initialize_components(): void {
         // Initialize in dependency order
-        $this->cache_manager = new CacheManager();
+        $this->capabilities = new Capabilities();
+        $this->system_note_classifier = new SystemNoteClassifier();
+        $this->pinned_notes = new PinnedNotes();
+        $this->order_notes_index = new OrderNotesIndex($this->system_note_classifier);
+        $this->note_attachments = new NoteAttachments();
+        $this->cache_manager = new CacheManager($this->system_note_classifier, $this->pinned_notes);
         $this->security_handler = new SecurityHandler();
-        $this->notes_manager = new NotesManager($this->cache_manager);
-        $this->rest_api_handler = new RestApiHandler($this->security_handler, $this->notes_manager);
-        $this->admin_interface_handler = new AdminInterfaceHandler($this->notes_manager, $this->security_handler);
+        $this->note_reminders = new NoteReminders($this->security_handler);
+        $this->notes_manager = new NotesManager($this->cache_manager, $this->system_note_classifier, $this->pinned_notes, $this->security_handler, $this->note_attachments, $this->note_reminders);
+        $this->templates_manager = new TemplatesManager($this->security_handler);
+        $this->mentions_handler = new MentionsHandler($this->security_handler);
+        $this->notes_exporter = new NotesExporter($this->notes_manager);
+        $this->rate_limiter = new RateLimiter();
+        $this->rest_api_handler = new RestApiHandler($this->security_handler, $this->notes_manager, $this->templates_manager, $this->mentions_handler, $this->notes_exporter, $this->rate_limiter, $this->note_attachments);
+        $this->notes_panel = new NotesPanel($this->security_handler);
+        $this->admin_interface_handler = new AdminInterfaceHandler($this->notes_manager, $this->security_handler, $this->capabilities, $this->notes_panel);
+        $this->order_list_filters = new OrderListFilters();
+        $this->settings_page = new SettingsPage($this->system_note_classifier, $this->rate_limiter, $this->capabilities);
+        $this->live_updates_handler = new LiveUpdatesHandler($this->notes_manager, $this->security_handler, $this->system_note_classifier);
+        $this->templates_page = new TemplatesPage($this->templates_manager);
+        $this->audit_log = new AuditLog();
+        $this->audit_report_page = new AuditReportPage($this->audit_log);
     }
     
     /**
@@ -202,8 +304,44 @@ class Plugin {
             return;
         }
         
+        // Grant the note capabilities on first run
+        $this->capabilities->init_hooks();
+        
+        $this->system_note_classifier->init_hooks();
+        
+        // Send customer notes as text in plain-text emails
+        $this->security_handler->init_hooks();
+        
         // Initialize admin interface
         $this->admin_interface_handler->init_hooks();
+        
+        // Notes metabox on the order edit screen and section in the order preview
+        $this->notes_panel->init_hooks();
+        
+        // Push other users' note changes to open orders lists
+        $this->live_updates_handler->init_hooks();
+        
+        // Notify staff mentioned in notes
+        $this->mentions_handler->init_hooks();
+        
+        // Delete note files with their notes and keep them out of the media library
+        $this->note_attachments->init_hooks();
+        
+        // Email assignees when note reminders are due
+        $this->note_reminders->init_hooks();
+        
+        // Keep the latest human note date of each order for sorting and filtering the list
+        $this->order_notes_index->init_hooks();
+        
+        // Record who added, edited or deleted notes
+        $this->audit_log->init_hooks();
+        
+        if (is_admin()) {
+            $this->order_list_filters->init_hooks();
+            $this->settings_page->init_hooks();
+            $this->templates_page->init_hooks();
+            $this->audit_report_page->init_hooks();
+        }
     }
     
     /**
@@ -222,9 +360,26 @@ class Plugin {
         return [
             'rest_api_handler' => $this->rest_api_handler,
             'admin_interface_handler' => $this->admin_interface_handler,
+            'notes_panel' => $this->notes_panel,
             'notes_manager' => $this->notes_manager,
             'security_handler' => $this->security_handler,
             'cache_manager' => $this->cache_manager,
+            'system_note_classifier' => $this->system_note_classifier,
+            'pinned_notes' => $this->pinned_notes,
+            'note_attachments' => $this->note_attachments,
+            'note_reminders' => $this->note_reminders,
+            'order_notes_index' => $this->order_notes_index,
+            'order_list_filters' => $this->order_list_filters,
+            'settings_page' => $this->settings_page,
+            'live_updates_handler' => $this->live_updates_handler,
+            'templates_manager' => $this->templates_manager,
+            'templates_page' => $this->templates_page,
+            'mentions_handler' => $this->mentions_handler,
+            'notes_exporter' => $this->notes_exporter,
+            'rate_limiter' => $this->rate_limiter,
+            'capabilities' => $this->capabilities,
+            'audit_log' => $this->audit_log,
+            'audit_report_page' => $this->audit_report_page,
         ];
     }
 }
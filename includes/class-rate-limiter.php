@@ -0,0 +1,236 @@
+<?php
+/**
+ * Rate Limiter
+ * 
+ * Limits REST requests per user with separate, per-role limits for reading and writing
+ * for the WC Admin Order Notes plugin.
+ * 
+ * @package WCAdminOrderNotes
+ * @since 2.2.1
+ */
+
+namespace WCAdminOrderNotes;
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class RateLimiter {
+    
+    /**
+     * @var string Option holding the configured limits
+     */
+    public const OPTION_NAME = 'wc_admin_order_notes_rate_limits';
+    
+    /**
+     * @var string Requests that only read notes
+     */
+    public const TYPE_READ = 'read';
+    
+    /**
+     * @var string Requests that add, change or delete data
+     */
+    public const TYPE_WRITE = 'write';
+    
+    /**
+     * @var int Length of the sliding window, in seconds
+     */
+    public const WINDOW = HOUR_IN_SECONDS;
+    
+    /**
+     * @var int Width of one counting bucket, in seconds
+     */
+    private const BUCKET = MINUTE_IN_SECONDS;
+    
+    /**
+     * @var array Requests per window when nothing is configured
+     */
+    private const DEFAULT_LIMITS = [
+        self::TYPE_READ => 1000,
+        self::TYPE_WRITE => 100,
+    ];
+    
+    /**
+     * @var string Prefix of the per-user request counters
+     */
+    private const TRANSIENT_PREFIX = 'wc_admin_order_notes_rl_';
+    
+    /**
+     * Get the limit type of an HTTP method
+     * 
+     * @param string $method
+     * @return string
+     */
+    public function get_request_type(string $method): string {
+        return in_array(strtoupper($method), ['GET', 'HEAD', 'OPTIONS'], true) ? self::TYPE_READ : self::TYPE_WRITE;
+    }
+    
+    /**
+     * Get the configured limits
+     * 
+     * Role limits left empty fall back to the default ones; 0 means unlimited.
+     * 
+     * @return array{default: array, roles: array}
+     */
+    public function get_configured_limits(): array {
+        return $this->sanitize_limits(get_option(self::OPTION_NAME, []));
+    }
+    
+    /**
+     * Get a user's limit for a request type
+     * 
+     * With several roles the most generous configured limit applies.
+     * 
+     * @param \WP_User $user
+     * @param string $type
+     * @return int Requests per window, 0 for unlimited
+     */
+    public function get_limit(\WP_User $user, string $type): int {
+        $limits = $this->get_configured_limits();
+        $role_limits = [];
+        
+        foreach ((array) $user->roles as $role) {
+            if (isset($limits['roles'][$role][$type])) {
+                $role_limits[] = $limits['roles'][$role][$type];
+            }
+        }
+        
+        if (empty($role_limits)) {
+            $limit = $limits['default'][$type];
+        } else {
+            $limit = in_array(0, $role_limits, true) ? 0 : max($role_limits);
+        }
+        
+        /**
+         * Filter a user's rate limit
+         * 
+         * @param int $limit Requests per hour, 0 for unlimited
+         * @param \WP_User $user
+         * @param string $type "read" or "write"
+         */
+        return max(0, (int) apply_filters('wc_admin_order_notes_rate_limit', $limit, $user, $type));
+    }
+    
+    /**
+     * Count a request against a user's limit
+     * 
+     * Requests are counted in one-minute buckets over the last hour, stored in a transient
+     * so the window slides without a persistent object cache.
+     * 
+     * @param int $user_id
+     * @param string $type
+     * @return array{allowed: bool, limit: int, remaining: int, retry_after: int}
+     */
+    public function hit(int $user_id, string $type): array {
+        $user = get_userdata($user_id);
+        $limit = $user ? $this->get_limit($user, $type) : $this->get_configured_limits()['default'][$type];
+        
+        if (0 === $limit) {
+            return ['allowed' => true, 'limit' => 0, 'remaining' => 0, 'retry_after' => 0];
+        }
+        
+        $now = time();
+        $key = self::TRANSIENT_PREFIX . $type . '_' . $user_id;
+        $buckets = $this->get_live_buckets($key, $now);
+        $used = array_sum($buckets);
+        
+        if ($used >= $limit) {
+            return [
+                'allowed' => false,
+                'limit' => $limit,
+                'remaining' => 0,
+                'retry_after' => $this->get_retry_after($buckets, $used - $limit + 1, $now),
+            ];
+        }
+        
+        $bucket = $now - ($now % self::BUCKET);
+        $buckets[$bucket] = ($buckets[$bucket] ?? 0) + 1;
+        set_transient($key, $buckets, self::WINDOW);
+        
+        return [
+            'allowed' => true,
+            'limit' => $limit,
+            'remaining' => $limit - $used - 1,
+            'retry_after' => 0,
+        ];
+    }
+    
+    /**
+     * Normalize submitted or stored limits
+     * 
+     * @param mixed $value
+     * @return array{default: array, roles: array}
+     */
+    public function sanitize_limits($value): array {
+        $value = is_array($value) ? $value : [];
+        $sanitized = [
+            'default' => self::DEFAULT_LIMITS,
+            'roles' => [],
+        ];
+        
+        foreach ([self::TYPE_READ, self::TYPE_WRITE] as $type) {
+            if (isset($value['default'][$type]) && '' !== $value['default'][$type]) {
+                $sanitized['default'][$type] = absint($value['default'][$type]);
+            }
+        }
+        
+        foreach ((array) ($value['roles'] ?? []) as $role => $limits) {
+            $role = sanitize_key($role);
+            
+            foreach ([self::TYPE_READ, self::TYPE_WRITE] as $type) {
+                // Empty means "use the default limit"
+                if (isset($limits[$type]) && '' !== $limits[$type]) {
+                    $sanitized['roles'][$role][$type] = absint($limits[$type]);
+                }
+            }
+        }
+        
+        return $sanitized;
+    }
+    
+    /**
+     * Load a user's request buckets, dropping those outside the window
+     * 
+     * @param string $key
+     * @param int $now
+     * @return array Map of bucket start => request count, oldest first
+     */
+    private function get_live_buckets(string $key, int $now): array {
+        $buckets = get_transient($key);
+        if (!is_array($buckets)) {
+            return [];
+        }
+        
+        $cutoff = $now - self::WINDOW;
+        $buckets = array_filter($buckets, function ($count, $start) use ($cutoff) {
+            return (int) $start > $cutoff && (int) $count > 0;
+        }, ARRAY_FILTER_USE_BOTH);
+        
+        ksort($buckets);
+        
+        return $buckets;
+    }
+    
+    /**
+     * Work out how long until enough requests leave the window
+     * 
+     * @param array $buckets Oldest first
+     * @param int $needed Requests that have to expire
+     * @param int $now
+     * @return int Seconds
+     */
+    private function get_retry_after(array $buckets, int $needed, int $now): int {
+        $expired = 0;
+        
+        foreach ($buckets as $start => $count) {
+            $expired += $count;
+            
+            if ($expired >= $needed) {
+                return max(1, (int) $start + self::WINDOW - $now);
+            }
+        }
+        
+        return self::WINDOW;
+    }
+}
@@ -28,9 +28,34 @@ class RestApiHandler {
     private $notes_manager;
     
     /**
-     * @var int Rate limit requests per hour
+     * @var TemplatesManager
      */
-    private const RATE_LIMIT_REQUESTS = 100;
+    private $templates_manager;
+    
+    /**
+     * @var MentionsHandler
+     */
+    private $mentions_handler;
+    
+    /**
+     * @var NotesExporter
+     */
+    private $notes_exporter;
+    
+    /**
+     * @var RateLimiter
+     */
+    private $rate_limiter;
+    
+    /**
+     * @var NoteAttachments
+     */
+    private $note_attachments;
+    
+    /**
+     * @var array|null Rate limit result of the current request, sent back as headers
+     */
+    private $rate_limit_status = null;
     
     /**
      * @var int Maximum note content length
@@ -38,187 +63,1518 @@ class RestApiHandler {
     private const MAX_NOTE_LENGTH = 1000;
     
     /**
-     * Constructor
+     * @var int Maximum notes per page
+     */
+    private const MAX_PER_PAGE = 100;
+    
+    /**
+     * Constructor
+     * 
+     * @param SecurityHandler $security_handler
+     * @param NotesManager $notes_manager
+     * @param TemplatesManager $templates_manager
+     * @param MentionsHandler $mentions_handler
+     * @param NotesExporter $notes_exporter
+     * @param RateLimiter $rate_limiter
+     * @param NoteAttachments $note_attachments
+     */
+    public function __construct(SecurityHandler $security_handler, NotesManager $notes_manager, TemplatesManager $templates_manager, MentionsHandler $mentions_handler, NotesExporter $notes_exporter, RateLimiter $rate_limiter, NoteAttachments $note_attachments) {
+        $this->security_handler = $security_handler;
+        $this->notes_manager = $notes_manager;
+        $this->templates_manager = $templates_manager;
+        $this->mentions_handler = $mentions_handler;
+        $this->notes_exporter = $notes_exporter;
+        $this->rate_limiter = $rate_limiter;
+        $this->note_attachments = $note_attachments;
+    }
+    
+    /**
+     * Register REST API routes
+     * 
+     * Each route names the note capability it needs besides read_order_notes.
+     */
+    public function register_routes(): void {
+        register_rest_route('wc-admin-order-notes/v1', '/notes/(?P<order_id>\d+)', [
+            'methods' => 'GET',
+            'callback' => [$this, 'get_order_notes_rest'],
+            'permission_callback' => [$this, 'check_rest_permissions'],
+            'capability' => Capabilities::READ_NOTES,
+            'args' => [
+                'order_id' => [
+                    'required' => true,
+                    'validate_callback' => [$this, 'validate_order_id'],
+                    'sanitize_callback' => 'absint'
+                ],
+                'include_system' => [
+                    'required' => false,
+                    'validate_callback' => [$this, 'validate_boolean_flag'],
+                    'sanitize_callback' => 'rest_sanitize_boolean',
+                ],
+                'page' => [
+                    'required' => false,
+                    'default' => 1,
+                    'type' => 'integer',
+                    'minimum' => 1,
+                    'validate_callback' => 'rest_validate_request_arg',
+                    'sanitize_callback' => 'absint',
+                ],
+                'per_page' => [
+                    'required' => false,
+                    'type' => 'integer',
+                    'minimum' => 1,
+                    'maximum' => self::MAX_PER_PAGE,
+                    'validate_callback' => 'rest_validate_request_arg',
+                    'sanitize_callback' => 'absint',
+                ],
+            ],
+        ]);
+        
+        register_rest_route('wc-admin-order-notes/v1', '/notes/(?P<order_id>\d+)', [
+            'methods' => 'POST',
+            'callback' => [$this, 'add_order_note_rest'],
+            'permission_callback' => [$this, 'check_rest_permissions'],
+            'capability' => Capabilities::ADD_NOTES,
+            'args' => [
+                'order_id' => [
+                    'required' => true,
+                    'validate_callback' => [$this, 'validate_order_id'],
+                    'sanitize_callback' => 'absint'
+                ],
+                'note_content' => [
+                    'required' => true,
+                    'validate_callback' => [$this, 'validate_note_content'],
+                    'sanitize_callback' => [$this, 'sanitize_note_content'],
+                ],
+                'is_customer_note' => [
+                    'required' => false,
+                    'default' => false,
+                    'validate_callback' => [$this, 'validate_boolean_flag'],
+                    'sanitize_callback' => 'rest_sanitize_boolean',
+                ],
+                'attachment_ids' => [
+                    'required' => false,
+                    'default' => [],
+                    'validate_callback' => [$this, 'validate_attachment_ids'],
+                    'sanitize_callback' => 'wp_parse_id_list',
+                ],
+                'due_date' => [
+                    'required' => false,
+                    'validate_callback' => [$this, 'validate_due_date'],
+                ],
+                'assignee_id' => [
+                    'required' => false,
+                    'validate_callback' => [$this, 'validate_assignee_id'],
+                    'sanitize_callback' => 'absint',
+                ],
+                'request_key' => [
+                    'required' => false,
+                    'validate_callback' => [$this, 'validate_request_key'],
+                ],
+            ],
+        ]);
+        
+        register_rest_route('wc-admin-order-notes/v1', '/notes/(?P<order_id>\d+)/attachments', [
+            'methods' => 'POST',
+            'callback' => [$this, 'upload_attachment_rest'],
+            'permission_callback' => [$this, 'check_rest_permissions'],
+            'capability' => Capabilities::ADD_NOTES,
+            'args' => [
+                'order_id' => [
+                    'required' => true,
+                    'validate_callback' => [$this, 'validate_order_id'],
+                    'sanitize_callback' => 'absint'
+                ],
+            ],
+        ]);
+        
+        register_rest_route('wc-admin-order-notes/v1', '/attachments/(?P<attachment_id>\d+)', [
+            'methods' => 'GET',
+            'callback' => [$this, 'get_attachment_rest'],
+            'permission_callback' => [$this, 'check_rest_permissions'],
+            'capability' => Capabilities::READ_NOTES,
+            'args' => [
+                'attachment_id' => [
+                    'required' => true,
+                    'sanitize_callback' => 'absint'
+                ],
+                'size' => [
+                    'required' => false,
+                    'default' => 'full',
+                    'type' => 'string',
+                    'enum' => ['full', 'thumbnail'],
+                    'validate_callback' => 'rest_validate_request_arg',
+                ],
+            ],
+        ]);
+        
+        register_rest_route('wc-admin-order-notes/v1', '/attachments/(?P<attachment_id>\d+)', [
+            'methods' => 'DELETE',
+            'callback' => [$this, 'delete_attachment_rest'],
+            'permission_callback' => [$this, 'check_rest_permissions'],
+            'capability' => Capabilities::ADD_NOTES,
+            'args' => [
+                'attachment_id' => [
+                    'required' => true,
+                    'sanitize_callback' => 'absint'
+                ],
+            ],
+        ]);
+        
+        // Attachments are streamed from the protected uploads directory
+        add_filter('rest_pre_serve_request', [$this, 'serve_attachment_file'], 10, 4);
+        
+        register_rest_route('wc-admin-order-notes/v1', '/notes/batch', [
+            'methods' => 'POST',
+            'callback' => [$this, 'add_order_notes_batch_rest'],
+            'permission_callback' => [$this, 'check_rest_permissions'],
+            'capability' => Capabilities::ADD_NOTES,
+            'args' => [
+                'order_ids' => [
+                    'required' => true,
+                    'validate_callback' => [$this, 'validate_order_ids_list'],
+                    'sanitize_callback' => 'wp_parse_id_list',
+                ],
+                'note_content' => [
+                    'required' => true,
+                    'validate_callback' => [$this, 'validate_note_content'],
+                    'sanitize_callback' => [$this, 'sanitize_note_content'],
+                ],
+                'is_customer_note' => [
+                    'required' => false,
+                    'default' => false,
+                    'validate_callback' => [$this, 'validate_boolean_flag'],
+                    'sanitize_callback' => 'rest_sanitize_boolean',
+                ],
+            ],
+        ]);
+        
+        register_rest_route('wc-admin-order-notes/v1', '/notes/(?P<order_id>\d+)/(?P<note_id>\d+)', [
+            'methods' => 'PUT',
+            'callback' => [$this, 'update_order_note_rest'],
+            'permission_callback' => [$this, 'check_rest_permissions'],
+            'capability' => Capabilities::ADD_NOTES,
+            'args' => [
+                'order_id' => [
+                    'required' => true,
+                    'validate_callback' => [$this, 'validate_order_id'],
+                    'sanitize_callback' => 'absint'
+                ],
+                'note_id' => [
+                    'required' => true,
+                    'validate_callback' => [$this, 'validate_note_id'],
+                    'sanitize_callback' => 'absint'
+                ],
+                'note_content' => [
+                    'required' => true,
+                    'validate_callback' => [$this, 'validate_note_content'],
+                    'sanitize_callback' => [$this, 'sanitize_note_content'],
+                ],
+            ],
+        ]);
+        
+        register_rest_route('wc-admin-order-notes/v1', '/notes/(?P<order_id>\d+)/(?P<note_id>\d+)', [
+            'methods' => 'DELETE',
+            'callback' => [$this, 'delete_order_note_rest'],
+            'permission_callback' => [$this, 'check_rest_permissions'],
+            'capability' => Capabilities::DELETE_NOTES,
+            'args' => [
+                'order_id' => [
+                    'required' => true,
+                    'validate_callback' => [$this, 'validate_order_id'],
+                    'sanitize_callback' => 'absint'
+                ],
+                'note_id' => [
+                    'required' => true,
+                    'validate_callback' => [$this, 'validate_note_id'],
+                    'sanitize_callback' => 'absint'
+                ],
+            ],
+        ]);
+        
+        register_rest_route('wc-admin-order-notes/v1', '/notes/(?P<order_id>\d+)/(?P<note_id>\d+)/pin', [
+            'methods' => 'POST',
+            'callback' => [$this, 'pin_order_note_rest'],
+            'permission_callback' => [$this, 'check_rest_permissions'],
+            'capability' => Capabilities::ADD_NOTES,
+            'args' => [
+                'order_id' => [
+                    'required' => true,
+                    'validate_callback' => [$this, 'validate_order_id'],
+                    'sanitize_callback' => 'absint'
+                ],
+                'note_id' => [
+                    'required' => true,
+                    'validate_callback' => [$this, 'validate_note_id'],
+                    'sanitize_callback' => 'absint'
+                ],
+                'pinned' => [
+                    'required' => false,
+                    'default' => true,
+                    'validate_callback' => [$this, 'validate_boolean_flag'],
+                    'sanitize_callback' => 'rest_sanitize_boolean',
+                ],
+            ],
+        ]);
+        
+        register_rest_route('wc-admin-order-notes/v1', '/notes/(?P<order_id>\d+)/(?P<note_id>\d+)/reminder', [
+            'methods' => 'POST',
+            'callback' => [$this, 'update_note_reminder_rest'],
+            'permission_callback' => [$this, 'check_rest_permissions'],
+            'capability' => Capabilities::ADD_NOTES,
+            'args' => [
+                'order_id' => [
+                    'required' => true,
+                    'validate_callback' => [$this, 'validate_order_id'],
+                    'sanitize_callback' => 'absint'
+                ],
+                'note_id' => [
+                    'required' => true,
+                    'validate_callback' => [$this, 'validate_note_id'],
+                    'sanitize_callback' => 'absint'
+                ],
+                'done' => [
+                    'required' => false,
+                    'default' => true,
+                    'validate_callback' => [$this, 'validate_boolean_flag'],
+                    'sanitize_callback' => 'rest_sanitize_boolean',
+                ],
+            ],
+        ]);
+        
+        register_rest_route('wc-admin-order-notes/v1', '/previews', [
+            'methods' => 'GET',
+            'callback' => [$this, 'get_previews_rest'],
+            'permission_callback' => [$this, 'check_rest_permissions'],
+            'capability' => Capabilities::READ_NOTES,
+            'args' => [
+                'order_ids' => [
+                    'required' => true,
+                    'validate_callback' => [$this, 'validate_order_ids_list'],
+                    'sanitize_callback' => 'wp_parse_id_list',
+                ],
+            ],
+        ]);
+        
+        register_rest_route('wc-admin-order-notes/v1', '/export', [
+            'methods' => 'GET',
+            'callback' => [$this, 'export_notes_rest'],
+            'permission_callback' => [$this, 'check_rest_permissions'],
+            'capability' => Capabilities::READ_NOTES,
+            'args' => [
+                'order_ids' => [
+                    'required' => false,
+                    'validate_callback' => [$this, 'validate_order_ids_list'],
+                    'sanitize_callback' => 'wp_parse_id_list',
+                ],
+                'date_from' => [
+                    'required' => false,
+                    'validate_callback' => [$this, 'validate_date'],
+                    'sanitize_callback' => 'sanitize_text_field',
+                ],
+                'date_to' => [
+                    'required' => false,
+                    'validate_callback' => [$this, 'validate_date'],
+                    'sanitize_callback' => 'sanitize_text_field',
+                ],
+                'include_system' => [
+                    'required' => false,
+                    'validate_callback' => [$this, 'validate_boolean_flag'],
+                    'sanitize_callback' => 'rest_sanitize_boolean',
+                ],
+                'format' => [
+                    'required' => false,
+                    'default' => 'csv',
+                    'type' => 'string',
+                    'enum' => NotesExporter::FORMATS,
+                    'validate_callback' => 'rest_validate_request_arg',
+                ],
+            ],
+        ]);
+        
+        // CSV exports are sent as-is instead of being JSON-encoded
+        add_filter('rest_pre_serve_request', [$this, 'serve_csv_export'], 10, 4);
+        
+        // Each dispatched request is counted once, before its permission check
+        add_filter('rest_request_before_callbacks', [$this, 'count_rate_limited_request'], 10, 3);
+        
+        // Clients can pace themselves with the remaining request count
+        add_filter('rest_post_dispatch', [$this, 'add_rate_limit_headers'], 10, 3);
+        
+        register_rest_route('wc-admin-order-notes/v1', '/templates', [
+            'methods' => 'GET',
+            'callback' => [$this, 'get_templates_rest'],
+            'permission_callback' => [$this, 'check_rest_permissions'],
+            'capability' => Capabilities::READ_NOTES,
+            'args' => [
+                'order_id' => [
+                    'required' => false,
+                    'validate_callback' => [$this, 'validate_order_id'],
+                    'sanitize_callback' => 'absint'
+                ],
+            ],
+        ]);
+        
+        register_rest_route('wc-admin-order-notes/v1', '/templates', [
+            'methods' => 'POST',
+            'callback' => [$this, 'save_template_rest'],
+            'permission_callback' => [$this, 'check_rest_permissions'],
+            'capability' => Capabilities::ADD_NOTES,
+            'args' => $this->get_template_args(true),
+        ]);
+        
+        register_rest_route('wc-admin-order-notes/v1', '/templates/(?P<template_id>[a-f0-9-]+)', [
+            'methods' => 'PUT',
+            'callback' => [$this, 'save_template_rest'],
+            'permission_callback' => [$this, 'check_rest_permissions'],
+            'capability' => Capabilities::ADD_NOTES,
+            'args' => $this->get_template_args(false),
+        ]);
+        
+        register_rest_route('wc-admin-order-notes/v1', '/templates/(?P<template_id>[a-f0-9-]+)', [
+            'methods' => 'DELETE',
+            'callback' => [$this, 'delete_template_rest'],
+            'permission_callback' => [$this, 'check_rest_permissions'],
+            'capability' => Capabilities::ADD_NOTES,
+        ]);
+        
+        register_rest_route('wc-admin-order-notes/v1', '/mentions/users', [
+            'methods' => 'GET',
+            'callback' => [$this, 'get_mentionable_users_rest'],
+            'permission_callback' => [$this, 'check_rest_permissions'],
+            'capability' => Capabilities::ADD_NOTES,
+            'args' => [
+                'search' => [
+                    'required' => false,
+                    'default' => '',
+                    'type' => 'string',
+                    'maxLength' => 60,
+                    'validate_callback' => 'rest_validate_request_arg',
+                    'sanitize_callback' => 'sanitize_user',
+                ],
+            ],
+        ]);
+        
+        register_rest_route('wc-admin-order-notes/v1', '/preferences', [
+            'methods' => 'POST',
+            'callback' => [$this, 'update_preferences_rest'],
+            'permission_callback' => [$this, 'check_rest_permissions'],
+            'capability' => Capabilities::READ_NOTES,
+            'args' => [
+                'show_system_notes' => [
+                    'required' => true,
+                    'validate_callback' => [$this, 'validate_boolean_flag'],
+                    'sanitize_callback' => 'rest_sanitize_boolean',
+                ],
+            ],
+        ]);
+    }
+    
+    /**
+     * Check REST API permissions with rate limiting and CSRF protection
+     * 
+     * Reads and writes are counted against separate limits. Routes with an order_id
+     * are also checked against the wc_admin_order_notes_can_access_order filter.
+     * 
+     * @param \WP_REST_Request|null $request
+     * @return bool|\WP_Error
+     */
+    public function check_rest_permissions($request = null) {
+        $attributes = $request instanceof \WP_REST_Request ? $request->get_attributes() : [];
+        $capability = $attributes['capability'] ?? Capabilities::READ_NOTES;
+        
+        // Check basic capability
+        if (!current_user_can(Capabilities::READ_NOTES) || !current_user_can($capability)) {
+            return new \WP_Error('insufficient_permissions', __('You do not have permission to access order notes.', 'wc-admin-order-notes'), ['status' => 403]);
+        }
+        
+        // Customer notes are emailed, so they need their own capability
+        if ($request instanceof \WP_REST_Request && $request->get_param('is_customer_note') && !current_user_can(Capabilities::ADD_CUSTOMER_NOTES)) {
+            return new \WP_Error('insufficient_permissions', __('You do not have permission to add notes to customers.', 'wc-admin-order-notes'), ['status' => 403]);
+        }
+        
+        // CSRF Protection - Verify nonce
+        $nonce = '';
+        if (isset($_SERVER['HTTP_X_WP_NONCE'])) {
+            $nonce = sanitize_text_field(wp_unslash($_SERVER['HTTP_X_WP_NONCE']));
+        } elseif (isset($_REQUEST['_wpnonce'])) {
+            $nonce = sanitize_text_field(wp_unslash($_REQUEST['_wpnonce']));
+        }
+        
+        if (empty($nonce) || !wp_verify_nonce($nonce, 'wp_rest')) {
+            return new \WP_Error('invalid_nonce', __('Security check failed. Please refresh the page and try again.', 'wc-admin-order-notes'), ['status' => 403]);
+        }
+        
+        // Rate limiting with enhanced validation
+        $user_id = get_current_user_id();
+        
+        // Validate user ID
+        if (!$user_id || $user_id <= 0) {
+            return new \WP_Error('invalid_user', __('Invalid user session.', 'wc-admin-order-notes'), ['status' => 401]);
+        }
+        
+        // Additional user validation
+        $user = get_user_by('id', $user_id);
+        if (!$user || !$user->exists()) {
+            return new \WP_Error('invalid_user', __('User not found.', 'wc-admin-order-notes'), ['status' => 401]);
+        }
+        
+        // Counted in count_rate_limited_request(); WordPress calls this check again for the Allow header
+        if (null !== $this->rate_limit_status && !$this->rate_limit_status['allowed']) {
+            return new \WP_Error(
+                'rate_limit_exceeded',
+                __('Too many requests. Please try again later.', 'wc-admin-order-notes'),
+                [
+                    'status' => 429,
+                    'retry_after' => $this->rate_limit_status['retry_after'],
+                ]
+            );
+        }
+        
+        $order_id = $request instanceof \WP_REST_Request ? absint($request->get_param('order_id')) : 0;
+        if ($order_id && !$this->can_access_order($order_id)) {
+            return new \WP_Error('access_denied', __('You do not have permission to access notes of this order.', 'wc-admin-order-notes'), ['status' => 403]);
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Count a request to the plugin's routes against the user's rate limit
+     * 
+     * Permission callbacks can run several times per request, so the request is
+     * counted here, once, and check_rest_permissions() only reads the result.
+     * 
+     * @param \WP_REST_Response|\WP_HTTP_Response|\WP_Error|mixed $response
+     * @param array $handler
+     * @param \WP_REST_Request $request
+     * @return mixed
+     */
+    public function count_rate_limited_request($response, $handler, $request) {
+        if (is_wp_error($response) || !$request instanceof \WP_REST_Request || 0 !== strpos($request->get_route(), '/wc-admin-order-notes/v1/')) {
+            return $response;
+        }
+        
+        $user_id = get_current_user_id();
+        if ($user_id > 0) {
+            $this->rate_limit_status = $this->rate_limiter->hit($user_id, $this->rate_limiter->get_request_type($request->get_method()));
+        }
+        
+        return $response;
+    }
+    
+    /**
+     * Add rate limit headers to the plugin's REST responses
+     * 
+     * @param \WP_HTTP_Response $response
+     * @param \WP_REST_Server $server
+     * @param \WP_REST_Request $request
+     * @return \WP_HTTP_Response
+     */
+    public function add_rate_limit_headers($response, $server, $request) {
+        if (null === $this->rate_limit_status || !$response instanceof \WP_HTTP_Response) {
+            return $response;
+        }
+        
+        if (0 !== strpos($request->get_route(), '/wc-admin-order-notes/v1/')) {
+            return $response;
+        }
+        
+        $status = $this->rate_limit_status;
+        $this->rate_limit_status = null;
+        
+        // Unlimited users get no limit headers
+        if (0 === $status['limit']) {
+            return $response;
+        }
+        
+        $response->header('X-RateLimit-Limit', (string) $status['limit']);
+        $response->header('X-RateLimit-Remaining', (string) $status['remaining']);
+        
+        if (!$status['allowed']) {
+            $response->header('Retry-After', (string) $status['retry_after']);
+        }
+        
+        return $response;
+    }
+    
+    /**
+     * Validate order ID parameter
+     * 
+     * @param mixed $param
+     * @return bool
+     */
+    public function validate_order_id($param): bool {
+        return $this->security_handler->validate_order_id($param);
+    }
+    
+    /**
+     * Validate order IDs list parameter
+     * 
+     * @param mixed $param
+     * @return bool
+     */
+    public function validate_order_ids_list($param): bool {
+        return $this->security_handler->validate_order_ids_list($param);
+    }
+    
+    /**
+     * Validate note ID parameter
+     * 
+     * @param mixed $param
+     * @return bool
+     */
+    public function validate_note_id($param): bool {
+        return $this->security_handler->validate_note_id($param);
+    }
+    
+    /**
+     * Validate note content parameter
+     * 
+     * @param mixed $param
+     * @return bool
+     */
+    public function validate_note_content($param): bool {
+        return $this->security_handler->validate_note_content($param);
+    }
+    
+    /**
+     * Validate attachment IDs parameter
+     * 
+     * @param mixed $param
+     * @return bool
+     */
+    public function validate_attachment_ids($param): bool {
+        return $this->security_handler->validate_attachment_ids($param);
+    }
+    
+    /**
+     * Validate boolean flag parameter
+     * 
+     * @param mixed $param
+     * @return bool
+     */
+    public function validate_boolean_flag($param): bool {
+        return $this->security_handler->validate_boolean_flag($param);
+    }
+    
+    /**
+     * Validate date parameter
+     * 
+     * @param mixed $param
+     * @return bool
+     */
+    public function validate_date($param): bool {
+        return $this->security_handler->validate_date($param);
+    }
+    
+    /**
+     * Validate reminder due date parameter
+     * 
+     * @param mixed $param
+     * @return bool
+     */
+    public function validate_due_date($param): bool {
+        return $this->security_handler->validate_due_date($param);
+    }
+    
+    /**
+     * Validate reminder assignee parameter
+     * 
+     * @param mixed $param
+     * @return bool
+     */
+    public function validate_assignee_id($param): bool {
+        return $this->security_handler->validate_assignee_id($param);
+    }
+    
+    /**
+     * Validate add-note request key parameter
+     * 
+     * @param mixed $param
+     * @return bool
+     */
+    public function validate_request_key($param): bool {
+        return $this->security_handler->validate_request_key($param);
+    }
+    
+    /**
+     * Sanitize note content parameter
+     * 
+     * @param mixed $param
+     * @return string
+     */
+    public function sanitize_note_content($param): string {
+        return $this->security_handler->sanitize_note_content($param);
+    }
+    
+    /**
+     * Sanitize plain note text parameter
+     * 
+     * @param mixed $param
+     * @return string
+     */
+    public function sanitize_note_text($param): string {
+        return $this->security_handler->sanitize_note_text($param);
+    }
+    
+    /**
+     * Get order notes via REST API
+     * 
+     * @param \WP_REST_Request $request
+     * @return \WP_REST_Response|\WP_Error
+     */
+    public function get_order_notes_rest(\WP_REST_Request $request) {
+        $order_id = absint($request->get_param('order_id'));
+        $order = wc_get_order($order_id);
+        
+        if (!$order) {
+            return new \WP_Error('order_not_found', __('Order not found.', 'wc-admin-order-notes'), ['status' => 404]);
+        }
+        
+        // Check for cache busting parameter
+        $no_cache = $request->get_param('_') !== null;
+        
+        // Explicit include_system overrides the site-wide WC_ADMIN_ORDER_NOTES_FILTER_SYSTEM setting
+        $include_system = $request->get_param('include_system');
+        $filter_system = null === $include_system ? null : !$include_system;
+        
+        if ($no_cache) {
+            $this->notes_manager->clear_order_notes_cache(0, $order_id);
+        }
+        
+        // Paginate only when per_page is given; without it all notes are returned as before.
+        // Pinned notes come first, so they are always on the first page.
+        $page = max(1, absint($request->get_param('page')));
+        $per_page = absint($request->get_param('per_page'));
+        
+        $result = $this->notes_manager->get_order_notes_page($order_id, $page, $per_page, $filter_system);
+        $notes = $result['notes'];
+        $total = $result['total'];
+        $total_pages = $per_page > 0 ? max(1, (int) ceil($total / $per_page)) : 1;
+        
+        $response = rest_ensure_response([
+            'notes' => $this->notes_manager->format_notes_for_response($notes),
+            'order_number' => $order->get_order_number(),
+            'total' => $total,
+            'page' => $page,
+            'total_pages' => $total_pages,
+            'timestamp' => time()
+        ]);
+        
+        $response->header('X-WP-Total', (string) $total);
+        $response->header('X-WP-TotalPages', (string) $total_pages);
+        
+        // Opening an order's notes marks its mentions as read
+        if (1 === $page) {
+            do_action('wc_admin_order_notes_notes_viewed', $order_id, get_current_user_id());
+        }
+        
+        // Set no-cache headers if requested
+        if ($no_cache) {
+            return $this->add_no_cache_headers($response);
+        }
+        
+        return $response;
+    }
+    
+    /**
+     * Add order note via REST API
+     * 
+     * @param \WP_REST_Request $request
+     * @return \WP_REST_Response|\WP_Error
+     */
+    public function add_order_note_rest(\WP_REST_Request $request) {
+        $order_id = absint($request->get_param('order_id'));
+        $note_content = $request->get_param('note_content');
+        $is_customer_note = (bool) $request->get_param('is_customer_note');
+        $attachment_ids = array_values(array_unique(array_map('absint', (array) $request->get_param('attachment_ids'))));
+        $due = $this->security_handler->parse_due_date($request->get_param('due_date'));
+        $request_key = (string) $request->get_param('request_key');
+        
+        // A retry after a lost response must not add the note, or email the customer, a second time
+        if ('' !== $request_key && $this->can_access_order($order_id)) {
+            $existing = $this->notes_manager->find_note_by_request_key($order_id, $request_key);
+            
+            if ($existing) {
+                $response = rest_ensure_response([
+                    'message' => $existing->customer_note
+                        ? __('Note added and sent to the customer.', 'wc-admin-order-notes')
+                        : __('Note added successfully.', 'wc-admin-order-notes'),
+                    'note_id' => (int) $existing->id,
+                    'is_customer_note' => (bool) $existing->customer_note,
+                    'attachment_ids' => $attachment_ids,
+                    'has_reminder' => null !== $this->notes_manager->get_note_reminder((int) $existing->id),
+                    'duplicate' => true,
+                    'timestamp' => time()
+                ]);
+                
+                return $this->add_no_cache_headers($response);
+            }
+        }
+        
+        // The assignee gets the note by email, so they must be allowed to see this order
+        $assignee_id = absint($request->get_param('assignee_id'));
+        if (null !== $due && $assignee_id && !$this->security_handler->can_access_order($order_id, $assignee_id)) {
+            $message = __('This user cannot access notes of this order.', 'wc-admin-order-notes');
+            
+            return new \WP_Error('rest_invalid_param', $message, ['status' => 400, 'params' => ['assignee_id' => $message]]);
+        }
+        
+        // Files are checked before the note exists, so a bad file doesn't leave a note without it
+        if (!empty($attachment_ids)) {
+            $check = $this->note_attachments->check_pending($attachment_ids, $order_id, get_current_user_id());
+            if (is_wp_error($check)) {
+                return $check;
+            }
+        }
+        
+        $note_id = $this->create_order_note($order_id, $note_content, $is_customer_note);
+        
+        if (is_wp_error($note_id)) {
+            return $note_id;
+        }
+        
+        if ('' !== $request_key) {
+            $this->notes_manager->set_note_request_key($note_id, $request_key);
+        }
+        
+        if (!empty($attachment_ids)) {
+            $this->note_attachments->attach($note_id, $attachment_ids);
+            $this->notes_manager->clear_order_notes_cache($note_id, $order_id);
+        }
+        
+        // Without an assignee the reminder goes to the author
+        if (null !== $due) {
+            $assignee_id = $assignee_id ?: get_current_user_id();
+            $this->notes_manager->set_note_reminder($note_id, $order_id, $due, $assignee_id);
+        }
+        
+        $response = rest_ensure_response([
+            'message' => $is_customer_note
+                ? __('Note added and sent to the customer.', 'wc-admin-order-notes')
+                : __('Note added successfully.', 'wc-admin-order-notes'),
+            'note_id' => $note_id,
+            'is_customer_note' => $is_customer_note,
+            'attachment_ids' => $attachment_ids,
+            'has_reminder' => null !== $due,
+            'timestamp' => time()
+        ]);
+        
+        return $this->add_no_cache_headers($response);
+    }
+    
+    /**
+     * Upload a file to attach to a new note of an order via REST API
+     * 
+     * The file stays pending until a note is added with its ID in attachment_ids.
+     * 
+     * @param \WP_REST_Request $request
+     * @return \WP_REST_Response|\WP_Error
+     */
+    public function upload_attachment_rest(\WP_REST_Request $request) {
+        $order_id = absint($request->get_param('order_id'));
+        $files = $request->get_file_params();
+        $file = $files['file'] ?? null;
+        
+        $valid = $this->security_handler->validate_attachment($file);
+        if (is_wp_error($valid)) {
+            return $valid;
+        }
+        
+        $attachment_id = $this->note_attachments->upload($file, $order_id, get_current_user_id(), $this->security_handler->get_allowed_attachment_types());
+        if (is_wp_error($attachment_id)) {
+            return $attachment_id;
+        }
+        
+        $response = rest_ensure_response([
+            'message' => __('File uploaded.', 'wc-admin-order-notes'),
+            'attachment' => $this->note_attachments->format_attachment($attachment_id),
+            'timestamp' => time()
+        ]);
+        $response->set_status(201);
+        
+        return $this->add_no_cache_headers($response);
+    }
+    
+    /**
+     * Get a note attachment via REST API
+     * 
+     * The response only carries the file path; serve_attachment_file() sends the file itself.
+     * 
+     * @param \WP_REST_Request $request
+     * @return \WP_REST_Response|\WP_Error
+     */
+    public function get_attachment_rest(\WP_REST_Request $request) {
+        $attachment_id = absint($request->get_param('attachment_id'));
+        
+        $check = $this->check_attachment_request($attachment_id);
+        if (is_wp_error($check)) {
+            return $check;
+        }
+        
+        $size = (string) $request->get_param('size');
+        $path = $this->note_attachments->get_file_path($attachment_id, $size);
+        if ('' === $path) {
+            return new \WP_Error('attachment_not_found', __('File not found.', 'wc-admin-order-notes'), ['status' => 404]);
+        }
+        
+        $mime_type = (string) get_post_mime_type($attachment_id);
+        $filename = $this->note_attachments->get_filename($attachment_id);
+        
+        // Images and PDFs open in the browser, anything else is downloaded
+        $disposition = wp_attachment_is_image($attachment_id) || 'application/pdf' === $mime_type ? 'inline' : 'attachment';
+        
+        // The file itself is sent by serve_attachment_file(); the path never leaves the server
+        $response = rest_ensure_response([
+            'attachment_id' => $attachment_id,
+            'size' => $size,
+        ]);
+        $response->header('Content-Type', $mime_type);
+        $response->header('Content-Length', (string) filesize($path));
+        $response->header('Content-Disposition', $disposition . '; filename="' . str_replace('"', '', $filename) . '"; filename*=UTF-8\'\'' . rawurlencode($filename));
+        $response->header('X-Content-Type-Options', 'nosniff');
+        $response->header('Cache-Control', 'private, max-age=' . HOUR_IN_SECONDS);
+        
+        return $response;
+    }
+    
+    /**
+     * Delete an upload that is not attached to a note yet via REST API
+     * 
+     * Files of existing notes are deleted with their note.
+     * 
+     * @param \WP_REST_Request $request
+     * @return \WP_REST_Response|\WP_Error
+     */
+    public function delete_attachment_rest(\WP_REST_Request $request) {
+        $attachment_id = absint($request->get_param('attachment_id'));
+        
+        $check = $this->check_attachment_request($attachment_id);
+        if (is_wp_error($check)) {
+            return $check;
+        }
+        
+        if ($this->note_attachments->get_note_id($attachment_id) > 0 || (int) get_post_field('post_author', $attachment_id) !== get_current_user_id()) {
+            return new \WP_Error('access_denied', __('You can only remove your own files that are not attached to a note yet.', 'wc-admin-order-notes'), ['status' => 403]);
+        }
+        
+        $this->note_attachments->delete($attachment_id);
+        
+        $response = rest_ensure_response([
+            'message' => __('File removed.', 'wc-admin-order-notes'),
+            'attachment_id' => $attachment_id,
+            'deleted' => true,
+            'timestamp' => time()
+        ]);
+        
+        return $this->add_no_cache_headers($response);
+    }
+    
+    /**
+     * Send a note attachment file instead of the JSON response
+     * 
+     * @param bool $served
+     * @param \WP_HTTP_Response $result
+     * @param \WP_REST_Request $request
+     * @param \WP_REST_Server $server
+     * @return bool
+     */
+    public function serve_attachment_file($served, $result, $request, $server) {
+        if ($served || 'GET' !== $request->get_method() || !preg_match('#^/wc-admin-order-notes/v1/attachments/\d+$#', $request->get_route())) {
+            return $served;
+        }
+        
+        // An enveloped response wraps the data, so it is sent as JSON like any other
+        $data = $result->get_data();
+        if ($result->is_error() || !is_array($data) || empty($data['attachment_id'])) {
+            return $served;
+        }
+        
+        $path = $this->note_attachments->get_file_path((int) $data['attachment_id'], (string) ($data['size'] ?? 'full'));
+        if ('' === $path || !is_readable($path)) {
+            return $served;
+        }
+        
+        // Headers, including Content-Type and Content-Disposition, are already sent by the server
+        readfile($path);
+        
+        return true;
+    }
+    
+    /**
+     * Add the same note to several orders via REST API
+     * 
+     * Each order is handled on its own, so one failing order does not stop the rest.
+     * 
+     * @param \WP_REST_Request $request
+     * @return \WP_REST_Response
+     */
+    public function add_order_notes_batch_rest(\WP_REST_Request $request): \WP_REST_Response {
+        $order_ids = array_values(array_unique((array) $request->get_param('order_ids')));
+        $note_content = $request->get_param('note_content');
+        $is_customer_note = (bool) $request->get_param('is_customer_note');
+        
+        $results = [];
+        $succeeded = 0;
+        
+        foreach ($order_ids as $order_id) {
+            $order_id = absint($order_id);
+            $order = wc_get_order($order_id);
+            
+            // Template placeholders are filled for each order separately; their values are plain text
+            $content = $order ? $this->security_handler->sanitize_note_content($this->templates_manager->render($note_content, $order, get_current_user_id())) : $note_content;
+            $note_id = $this->create_order_note($order_id, $content, $is_customer_note);
+            
+            $result = [
+                'order_id' => $order_id,
+                'order_number' => $order ? $order->get_order_number() : (string) $order_id,
+                'success' => !is_wp_error($note_id),
+            ];
+            
+            if (is_wp_error($note_id)) {
+                $result['code'] = $note_id->get_error_code();
+                $result['message'] = $note_id->get_error_message();
+            } else {
+                $result['note_id'] = $note_id;
+                $succeeded++;
+            }
+            
+            $results[] = $result;
+        }
+        
+        $response = rest_ensure_response([
+            'results' => $results,
+            'succeeded' => $succeeded,
+            'failed' => count($results) - $succeeded,
+            'is_customer_note' => $is_customer_note,
+            'timestamp' => time()
+        ]);
+        
+        return $this->add_no_cache_headers($response);
+    }
+    
+    /**
+     * Update order note via REST API
+     * 
+     * @param \WP_REST_Request $request
+     * @return \WP_REST_Response|\WP_Error
+     */
+    public function update_order_note_rest(\WP_REST_Request $request) {
+        $order_id = absint($request->get_param('order_id'));
+        $note_id = absint($request->get_param('note_id'));
+        $note_content = $request->get_param('note_content');
+        
+        $error = $this->check_note_request($order_id, $note_id);
+        if (is_wp_error($error)) {
+            return $error;
+        }
+        
+        if (!$this->security_handler->can_edit_note($note_id, get_current_user_id())) {
+            return new \WP_Error('access_denied', __('You can only change your own notes.', 'wc-admin-order-notes'), ['status' => 403]);
+        }
+        
+        if (empty(trim($note_content))) {
+            return new \WP_Error('invalid_content', __('Note content cannot be empty.', 'wc-admin-order-notes'), ['status' => 400]);
+        }
+        
+        if (strlen($this->security_handler->get_note_text($note_content)) > self::MAX_NOTE_LENGTH) {
+            return new \WP_Error('content_too_long', __('Note content is too long.', 'wc-admin-order-notes'), ['status' => 400]);
+        }
+        
+        try {
+            // wp_update_comment() returns 0 when nothing changed, false on failure
+            $updated = wp_update_comment([
+                'comment_ID' => $note_id,
+                'comment_content' => $note_content,
+            ]);
+            
+            if (false === $updated || is_wp_error($updated)) {
+                error_log('WC Admin Order Notes: Failed to update note - Order ID: ' . $order_id . ', Note ID: ' . $note_id . ', User ID: ' . get_current_user_id());
+                return new \WP_Error('update_note_failed', __('Failed to update note.', 'wc-admin-order-notes'), ['status' => 500]);
+            }
+            
+            $this->notes_manager->clear_order_notes_cache($note_id, $order_id);
+            
+            do_action('wc_admin_order_notes_note_updated', $note_id, $order_id, get_current_user_id(), $note_content);
+            
+            $response = rest_ensure_response([
+                'message' => __('Note updated successfully.', 'wc-admin-order-notes'),
+                'note_id' => $note_id,
+                'timestamp' => time()
+            ]);
+            
+            return $this->add_no_cache_headers($response);
+            
+        } catch (\Exception | \Error $e) {
+            error_log(sprintf(
+                'WC Admin Order Notes: Error while updating note - Order ID: %d, Note ID: %d, User ID: %d, Error: %s',
+                $order_id,
+                $note_id,
+                get_current_user_id(),
+                $e->getMessage()
+            ));
+            
+            return new \WP_Error('update_note_failed', __('An unexpected error occurred while updating the note.', 'wc-admin-order-notes'), ['status' => 500]);
+        }
+    }
+    
+    /**
+     * Delete order note via REST API
+     * 
+     * @param \WP_REST_Request $request
+     * @return \WP_REST_Response|\WP_Error
+     */
+    public function delete_order_note_rest(\WP_REST_Request $request) {
+        $order_id = absint($request->get_param('order_id'));
+        $note_id = absint($request->get_param('note_id'));
+        
+        $error = $this->check_note_request($order_id, $note_id);
+        if (is_wp_error($error)) {
+            return $error;
+        }
+        
+        if (!$this->security_handler->can_edit_note($note_id, get_current_user_id())) {
+            return new \WP_Error('access_denied', __('You can only change your own notes.', 'wc-admin-order-notes'), ['status' => 403]);
+        }
+        
+        try {
+            if (!wc_delete_order_note($note_id)) {
+                error_log('WC Admin Order Notes: Failed to delete note - Order ID: ' . $order_id . ', Note ID: ' . $note_id . ', User ID: ' . get_current_user_id());
+                return new \WP_Error('delete_note_failed', __('Failed to delete note.', 'wc-admin-order-notes'), ['status' => 500]);
+            }
+            
+            $this->notes_manager->clear_order_notes_cache($note_id, $order_id);
+            
+            do_action('wc_admin_order_notes_note_deleted', $note_id, $order_id, get_current_user_id());
+            
+            $response = rest_ensure_response([
+                'message' => __('Note deleted successfully.', 'wc-admin-order-notes'),
+                'note_id' => $note_id,
+                'deleted' => true,
+                'timestamp' => time()
+            ]);
+            
+            return $this->add_no_cache_headers($response);
+            
+        } catch (\Exception | \Error $e) {
+            error_log(sprintf(
+                'WC Admin Order Notes: Error while deleting note - Order ID: %d, Note ID: %d, User ID: %d, Error: %s',
+                $order_id,
+                $note_id,
+                get_current_user_id(),
+                $e->getMessage()
+            ));
+            
+            return new \WP_Error('delete_note_failed', __('An unexpected error occurred while deleting the note.', 'wc-admin-order-notes'), ['status' => 500]);
+        }
+    }
+    
+    /**
+     * Pin or unpin an order note via REST API
      * 
-     * @param SecurityHandler $security_handler
-     * @param NotesManager $notes_manager
+     * @param \WP_REST_Request $request
+     * @return \WP_REST_Response|\WP_Error
      */
-    public function __construct(SecurityHandler $security_handler, NotesManager $notes_manager) {
-        $this->security_handler = $security_handler;
-        $this->notes_manager = $notes_manager;
+    public function pin_order_note_rest(\WP_REST_Request $request) {
+        $order_id = absint($request->get_param('order_id'));
+        $note_id = absint($request->get_param('note_id'));
+        $pinned = (bool) $request->get_param('pinned');
+        
+        $check = $this->check_note_request($order_id, $note_id);
+        if (is_wp_error($check)) {
+            return $check;
+        }
+        
+        $this->notes_manager->set_note_pinned($note_id, $order_id, $pinned, get_current_user_id());
+        
+        do_action('wc_admin_order_notes_note_pinned', $note_id, $order_id, get_current_user_id(), $pinned);
+        
+        $response = rest_ensure_response([
+            'message' => $pinned
+                ? __('Note pinned.', 'wc-admin-order-notes')
+                : __('Note unpinned.', 'wc-admin-order-notes'),
+            'note_id' => $note_id,
+            'pinned' => $pinned,
+            'timestamp' => time()
+        ]);
+        
+        return $this->add_no_cache_headers($response);
     }
     
     /**
-     * Register REST API routes
+     * Mark the reminder of an order note done or open it again via REST API
+     * 
+     * @param \WP_REST_Request $request
+     * @return \WP_REST_Response|\WP_Error
      */
-    public function register_routes(): void {
-        register_rest_route('wc-admin-order-notes/v1', '/notes/(?P<order_id>\d+)', [
-            'methods' => 'GET',
-            'callback' => [$this, 'get_order_notes_rest'],
-            'permission_callback' => [$this, 'check_rest_permissions'],
-            'args' => [
-                'order_id' => [
-                    'required' => true,
-                    'validate_callback' => [$this, 'validate_order_id'],
-                    'sanitize_callback' => 'absint'
-                ],
-            ],
-        ]);
+    public function update_note_reminder_rest(\WP_REST_Request $request) {
+        $order_id = absint($request->get_param('order_id'));
+        $note_id = absint($request->get_param('note_id'));
+        $done = (bool) $request->get_param('done');
         
-        register_rest_route('wc-admin-order-notes/v1', '/notes/(?P<order_id>\d+)', [
-            'methods' => 'POST',
-            'callback' => [$this, 'add_order_note_rest'],
-            'permission_callback' => [$this, 'check_rest_permissions'],
-            'args' => [
-                'order_id' => [
-                    'required' => true,
-                    'validate_callback' => [$this, 'validate_order_id'],
-                    'sanitize_callback' => 'absint'
-                ],
-                'note_content' => [
-                    'required' => true,
-                    'validate_callback' => [$this, 'validate_note_content'],
-                    'sanitize_callback' => [$this, 'sanitize_note_content'],
-                ],
-            ],
+        $check = $this->check_note_request($order_id, $note_id);
+        if (is_wp_error($check)) {
+            return $check;
+        }
+        
+        if (!$this->notes_manager->get_note_reminder($note_id)) {
+            return new \WP_Error('reminder_not_found', __('This note has no reminder.', 'wc-admin-order-notes'), ['status' => 404]);
+        }
+        
+        $this->notes_manager->set_reminder_done($note_id, $order_id, $done, get_current_user_id());
+        
+        do_action('wc_admin_order_notes_reminder_updated', $note_id, $order_id, get_current_user_id(), $done);
+        
+        $response = rest_ensure_response([
+            'message' => $done
+                ? __('Reminder marked as done.', 'wc-admin-order-notes')
+                : __('Reminder reopened.', 'wc-admin-order-notes'),
+            'note_id' => $note_id,
+            'done' => $done,
+            'timestamp' => time()
         ]);
+        
+        return $this->add_no_cache_headers($response);
     }
     
     /**
-     * Check REST API permissions with rate limiting and CSRF protection
+     * Get list-column previews for several orders via REST API
      * 
-     * @return bool|\WP_Error
+     * @param \WP_REST_Request $request
+     * @return \WP_REST_Response
      */
-    public function check_rest_permissions() {
-        // Check basic capability
-        if (!current_user_can('edit_shop_orders')) {
-            return new \WP_Error('insufficient_permissions', __('You do not have permission to access order notes.', 'wc-admin-order-notes'), ['status' => 403]);
-        }
+    public function get_previews_rest(\WP_REST_Request $request): \WP_REST_Response {
+        $order_ids = array_filter((array) $request->get_param('order_ids'), function ($order_id) {
+            return $this->can_access_order((int) $order_id);
+        });
         
-        // CSRF Protection - Verify nonce
-        $nonce = '';
-        if (isset($_SERVER['HTTP_X_WP_NONCE'])) {
-            $nonce = sanitize_text_field(wp_unslash($_SERVER['HTTP_X_WP_NONCE']));
-        } elseif (isset($_REQUEST['_wpnonce'])) {
-            $nonce = sanitize_text_field(wp_unslash($_REQUEST['_wpnonce']));
+        // Cache busting parameter
+        if ($request->get_param('_') !== null) {
+            foreach ($order_ids as $order_id) {
+                $this->notes_manager->clear_order_notes_cache(0, (int) $order_id);
+            }
         }
         
-        if (empty($nonce) || !wp_verify_nonce($nonce, 'wp_rest')) {
-            return new \WP_Error('invalid_nonce', __('Security check failed. Please refresh the page and try again.', 'wc-admin-order-notes'), ['status' => 403]);
+        $notes = $this->notes_manager->get_preview_notes($order_ids);
+        $reminders = $this->notes_manager->get_reminder_summaries($order_ids);
+        $previews = [];
+        
+        foreach ($notes as $order_id => $note) {
+            $previews[] = [
+                'order_id' => $order_id,
+                'note' => $this->notes_manager->format_preview_for_response($note),
+                'reminders' => $reminders[$order_id] ?? null,
+            ];
         }
         
-        // Rate limiting with enhanced validation
-        $user_id = get_current_user_id();
+        $response = rest_ensure_response([
+            'previews' => $previews,
+            'timestamp' => time()
+        ]);
         
-        // Validate user ID
-        if (!$user_id || $user_id <= 0) {
-            return new \WP_Error('invalid_user', __('Invalid user session.', 'wc-admin-order-notes'), ['status' => 401]);
+        return $this->add_no_cache_headers($response);
+    }
+    
+    /**
+     * Export notes of several orders or of a date range as CSV or JSON via REST API
+     * 
+     * Orders the current user may not access are left out.
+     * 
+     * @param \WP_REST_Request $request
+     * @return \WP_REST_Response|\WP_Error
+     */
+    public function export_notes_rest(\WP_REST_Request $request) {
+        $order_ids = (array) $request->get_param('order_ids');
+        $date_from = (string) $request->get_param('date_from');
+        $date_to = (string) $request->get_param('date_to');
+        $format = (string) $request->get_param('format');
+        
+        if ('' !== $date_from && '' !== $date_to && $date_from > $date_to) {
+            return new \WP_Error('invalid_date_range', __('The start date must not be after the end date.', 'wc-admin-order-notes'), ['status' => 400]);
         }
         
-        // Additional user validation
-        $user = get_user_by('id', $user_id);
-        if (!$user || !$user->exists()) {
-            return new \WP_Error('invalid_user', __('User not found.', 'wc-admin-order-notes'), ['status' => 401]);
+        if (empty($order_ids)) {
+            if ('' === $date_from && '' === $date_to) {
+                return new \WP_Error('missing_export_scope', __('Choose orders or a date range to export.', 'wc-admin-order-notes'), ['status' => 400]);
+            }
+            
+            $order_ids = $this->notes_exporter->find_order_ids_in_range($date_from, $date_to);
+            if (is_wp_error($order_ids)) {
+                return $order_ids;
+            }
         }
         
-        $cache_key = "wc_notes_rate_limit_{$user_id}";
-        $requests = wp_cache_get($cache_key, 'wc_notes_rate_limit') ?: 0;
+        $order_ids = array_values(array_filter(array_unique(array_map('absint', $order_ids)), function ($order_id) {
+            return $this->can_access_order($order_id);
+        }));
+        
+        // Explicit include_system overrides the site-wide WC_ADMIN_ORDER_NOTES_FILTER_SYSTEM setting
+        $include_system = $request->get_param('include_system');
+        $filter_system = null === $include_system ? null : !$include_system;
+        
+        $rows = $this->notes_exporter->get_rows($order_ids, $filter_system, $date_from, $date_to);
         
-        if ($requests >= self::RATE_LIMIT_REQUESTS) {
-            return new \WP_Error('rate_limit_exceeded', __('Too many requests. Please try again later.', 'wc-admin-order-notes'), ['status' => 429]);
+        $single_order = 1 === count($order_ids) ? wc_get_order($order_ids[0]) : null;
+        $filename = $this->notes_exporter->get_filename($format, $single_order ? (string) $single_order->get_order_number() : '');
+        
+        // CSV rows are written out by serve_csv_export()
+        $response = rest_ensure_response([
+            'notes' => $rows,
+            'total' => count($rows),
+            'exported_at' => gmdate('c'),
+        ]);
+        
+        if ('csv' === $format) {
+            $response->header('Content-Type', 'text/csv; charset=' . get_option('blog_charset'));
         }
         
-        wp_cache_set($cache_key, $requests + 1, 'wc_notes_rate_limit', 3600);
-        return true;
+        $response->header('Content-Disposition', 'attachment; filename="' . $filename . '"');
+        $response->header('X-WP-Total', (string) count($rows));
+        
+        return $this->add_no_cache_headers($response);
     }
     
     /**
-     * Validate order ID parameter
+     * Send a CSV export as a CSV file instead of the JSON response
      * 
-     * @param mixed $param
+     * @param bool $served
+     * @param \WP_HTTP_Response $result
+     * @param \WP_REST_Request $request
+     * @param \WP_REST_Server $server
      * @return bool
      */
-    public function validate_order_id($param): bool {
-        return $this->security_handler->validate_order_id($param);
+    public function serve_csv_export($served, $result, $request, $server) {
+        if ($served || '/wc-admin-order-notes/v1/export' !== $request->get_route()) {
+            return $served;
+        }
+        
+        // An enveloped response wraps the data, so it is sent as JSON like any other
+        $data = $result->get_data();
+        if ($result->is_error() || 'csv' !== $request->get_param('format') || !is_array($data) || !isset($data['notes'])) {
+            return $served;
+        }
+        
+        // Headers, including Content-Type and Content-Disposition, are already sent by the server
+        $handle = fopen('php://output', 'w');
+        $this->notes_exporter->write_csv($handle, $data['notes']);
+        fclose($handle);
+        
+        return true;
     }
     
     /**
-     * Validate note content parameter
+     * Get the current user's note templates via REST API
      * 
-     * @param mixed $param
-     * @return bool
+     * With order_id, each template also carries its content with placeholders filled from that order.
+     * 
+     * @param \WP_REST_Request $request
+     * @return \WP_REST_Response
      */
-    public function validate_note_content($param): bool {
-        return $this->security_handler->validate_note_content($param);
+    public function get_templates_rest(\WP_REST_Request $request): \WP_REST_Response {
+        $user_id = get_current_user_id();
+        $order_id = absint($request->get_param('order_id'));
+        $order = $order_id ? wc_get_order($order_id) : null;
+        
+        $templates = array_map(function ($template) use ($order, $user_id) {
+            $template['can_manage'] = $this->templates_manager->can_manage_scope($template['scope'], $user_id);
+            
+            if ($order) {
+                $template['rendered'] = $this->templates_manager->render($template['content'], $order, $user_id);
+            }
+            
+            return $template;
+        }, $this->templates_manager->get_templates_for_user($user_id));
+        
+        return rest_ensure_response([
+            'templates' => $templates,
+            'placeholders' => $this->templates_manager->get_placeholders(),
+        ]);
     }
     
     /**
-     * Sanitize note content parameter
+     * Create or update a note template via REST API
      * 
-     * @param mixed $param
-     * @return string
+     * @param \WP_REST_Request $request
+     * @return \WP_REST_Response|\WP_Error
      */
-    public function sanitize_note_content($param): string {
-        return $this->security_handler->sanitize_note_content($param);
+    public function save_template_rest(\WP_REST_Request $request) {
+        $user_id = get_current_user_id();
+        $template_id = (string) $request->get_param('template_id');
+        $scope = (string) $request->get_param('scope');
+        
+        // Updates keep the scope the template already has
+        if ('' !== $template_id) {
+            $existing = $this->templates_manager->find_template($template_id, $user_id);
+            if (!$existing) {
+                return new \WP_Error('template_not_found', __('Template not found.', 'wc-admin-order-notes'), ['status' => 404]);
+            }
+            $scope = $existing['scope'];
+        }
+        
+        if (!$this->templates_manager->can_manage_scope($scope, $user_id)) {
+            return new \WP_Error('access_denied', __('You do not have permission to manage these templates.', 'wc-admin-order-notes'), ['status' => 403]);
+        }
+        
+        $template = $this->templates_manager->save_template(
+            $scope,
+            $user_id,
+            (string) $request->get_param('title'),
+            (string) $request->get_param('content'),
+            $template_id
+        );
+        
+        if (is_wp_error($template)) {
+            return $template;
+        }
+        
+        return rest_ensure_response([
+            'message' => __('Template saved.', 'wc-admin-order-notes'),
+            'template' => $template,
+        ]);
     }
     
     /**
-     * Get order notes via REST API
+     * Delete a note template via REST API
      * 
      * @param \WP_REST_Request $request
      * @return \WP_REST_Response|\WP_Error
      */
-    public function get_order_notes_rest(\WP_REST_Request $request) {
-        $order_id = absint($request->get_param('order_id'));
-        $order = wc_get_order($order_id);
+    public function delete_template_rest(\WP_REST_Request $request) {
+        $user_id = get_current_user_id();
+        $template_id = (string) $request->get_param('template_id');
         
-        if (!$order) {
-            return new \WP_Error('order_not_found', __('Order not found.', 'wc-admin-order-notes'), ['status' => 404]);
+        $template = $this->templates_manager->find_template($template_id, $user_id);
+        if (!$template) {
+            return new \WP_Error('template_not_found', __('Template not found.', 'wc-admin-order-notes'), ['status' => 404]);
         }
         
-        // Check for cache busting parameter
-        $no_cache = $request->get_param('_') !== null;
-        
-        // Get notes with optimized caching strategy
-        if ($no_cache) {
-            $this->notes_manager->clear_order_notes_cache(0, $order_id);
-            $notes = $this->notes_manager->get_order_notes_fresh($order_id, -1);
-        } else {
-            $notes = $this->notes_manager->get_order_notes_cached($order_id, -1);
+        if (!$this->templates_manager->can_manage_scope($template['scope'], $user_id)) {
+            return new \WP_Error('access_denied', __('You do not have permission to manage these templates.', 'wc-admin-order-notes'), ['status' => 403]);
         }
         
-        // Set no-cache headers if requested
-        if ($no_cache) {
-            $response = rest_ensure_response([
-                'notes' => $this->notes_manager->format_notes_for_response($notes),
-                'order_number' => $order->get_order_number(),
-                'timestamp' => time()
-            ]);
-            
-            $response->header('Cache-Control', 'no-cache, no-store, must-revalidate');
-            $response->header('Pragma', 'no-cache');
-            $response->header('Expires', '0');
-            
-            return $response;
-        }
+        $this->templates_manager->delete_template($template['scope'], $user_id, $template_id);
         
         return rest_ensure_response([
-            'notes' => $this->notes_manager->format_notes_for_response($notes),
-            'order_number' => $order->get_order_number(),
-            'timestamp' => time()
+            'message' => __('Template deleted.', 'wc-admin-order-notes'),
+            'template_id' => $template_id,
         ]);
     }
     
     /**
-     * Add order note via REST API
+     * Get users that can be mentioned in notes via REST API
      * 
      * @param \WP_REST_Request $request
-     * @return \WP_REST_Response|\WP_Error
+     * @return \WP_REST_Response
      */
-    public function add_order_note_rest(\WP_REST_Request $request) {
-        $order_id = absint($request->get_param('order_id'));
-        $note_content = $request->get_param('note_content');
+    public function get_mentionable_users_rest(\WP_REST_Request $request): \WP_REST_Response {
+        return rest_ensure_response([
+            'users' => $this->mentions_handler->get_mentionable_users((string) $request->get_param('search')),
+        ]);
+    }
+    
+    /**
+     * Update the current user's notes preferences via REST API
+     * 
+     * @param \WP_REST_Request $request
+     * @return \WP_REST_Response
+     */
+    public function update_preferences_rest(\WP_REST_Request $request): \WP_REST_Response {
+        $show_system_notes = (bool) $request->get_param('show_system_notes');
+        
+        $this->notes_manager->set_user_show_system_notes(get_current_user_id(), $show_system_notes);
+        
+        return rest_ensure_response([
+            'show_system_notes' => $show_system_notes,
+        ]);
+    }
+    
+    /**
+     * Get the arguments of the template create and update routes
+     * 
+     * @param bool $creating
+     * @return array
+     */
+    private function get_template_args(bool $creating): array {
+        $args = [
+            'title' => [
+                'required' => true,
+                'type' => 'string',
+                'maxLength' => 100,
+                'validate_callback' => 'rest_validate_request_arg',
+                'sanitize_callback' => 'sanitize_text_field',
+            ],
+            'content' => [
+                'required' => true,
+                'validate_callback' => [$this, 'validate_note_content'],
+                'sanitize_callback' => [$this, 'sanitize_note_text'],
+            ],
+        ];
+        
+        if ($creating) {
+            $args['scope'] = [
+                'required' => false,
+                'default' => TemplatesManager::SCOPE_PERSONAL,
+                'type' => 'string',
+                'enum' => [TemplatesManager::SCOPE_PERSONAL, TemplatesManager::SCOPE_SHARED],
+                'validate_callback' => 'rest_validate_request_arg',
+            ];
+        }
+        
+        return $args;
+    }
+    
+    /**
+     * Check that a note request targets an accessible order and one of its notes
+     * 
+     * @param int $order_id
+     * @param int $note_id
+     * @return true|\WP_Error
+     */
+    private function check_note_request(int $order_id, int $note_id) {
+        $order = wc_get_order($order_id);
+        if (!$order) {
+            return new \WP_Error('order_not_found', __('Order not found.', 'wc-admin-order-notes'), ['status' => 404]);
+        }
+        
+        if (!$this->can_access_order($order_id)) {
+            return new \WP_Error('access_denied', __('You do not have permission to modify notes of this order.', 'wc-admin-order-notes'), ['status' => 403]);
+        }
+        
+        if (!$this->security_handler->note_belongs_to_order($note_id, $order_id)) {
+            return new \WP_Error('note_not_found', __('Note not found.', 'wc-admin-order-notes'), ['status' => 404]);
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Check that an attachment request targets a note file of an accessible order
+     * 
+     * @param int $attachment_id
+     * @return true|\WP_Error
+     */
+    private function check_attachment_request(int $attachment_id) {
+        $order_id = $this->note_attachments->get_order_id($attachment_id);
+        if (!$order_id) {
+            return new \WP_Error('attachment_not_found', __('File not found.', 'wc-admin-order-notes'), ['status' => 404]);
+        }
+        
+        if (!$this->can_access_order($order_id)) {
+            return new \WP_Error('access_denied', __('You do not have permission to access notes of this order.', 'wc-admin-order-notes'), ['status' => 403]);
+        }
         
+        return true;
+    }
+    
+    /**
+     * Add a note to an order on behalf of the current user
+     * 
+     * @param int $order_id
+     * @param string $note_content Sanitized note content
+     * @param bool $is_customer_note
+     * @return int|\WP_Error Note ID or error
+     */
+    private function create_order_note(int $order_id, string $note_content, bool $is_customer_note) {
         // Validate order ID
         if ($order_id <= 0) {
             return new \WP_Error('invalid_order_id', __('Invalid order ID.', 'wc-admin-order-notes'), ['status' => 400]);
@@ -234,46 +1590,37 @@ class RestApiHandler {
             return new \WP_Error('invalid_content', __('Note content cannot be empty.', 'wc-admin-order-notes'), ['status' => 400]);
         }
         
-        if (strlen($note_content) > self::MAX_NOTE_LENGTH) {
+        if (strlen($this->security_handler->get_note_text($note_content)) > self::MAX_NOTE_LENGTH) {
             return new \WP_Error('content_too_long', __('Note content is too long.', 'wc-admin-order-notes'), ['status' => 400]);
         }
         
         // Additional security check - ensure user can edit this specific order
-        if (!apply_filters('wc_admin_order_notes_can_access_order', true, $order_id, get_current_user_id())) {
+        if (!$this->can_access_order($order_id)) {
             return new \WP_Error('access_denied', __('You do not have permission to add notes to this order.', 'wc-admin-order-notes'), ['status' => 403]);
         }
         
         try {
-            $note_id = $order->add_order_note($note_content, false, false);
+            // Record the current user as the author; customer notes trigger the WooCommerce customer note email
+            $note_id = $order->add_order_note($note_content, $is_customer_note ? 1 : 0, true);
             
             if ($note_id) {
                 // Clear cache entries for this order
                 $this->notes_manager->clear_order_notes_cache($note_id, $order_id);
                 
                 // Log the action for audit purposes
-                do_action('wc_admin_order_notes_note_added', $note_id, $order_id, get_current_user_id(), $note_content);
+                do_action('wc_admin_order_notes_note_added', $note_id, $order_id, get_current_user_id(), $note_content, $is_customer_note);
                 
                 // Enhanced logging
                 error_log(sprintf(
-                    'WC Admin Order Notes: Note added successfully - Order ID: %d, Note ID: %d, User ID: %d, Content Length: %d',
+                    'WC Admin Order Notes: Note added successfully - Order ID: %d, Note ID: %d, User ID: %d, Content Length: %d, Customer Note: %s',
                     $order_id,
                     $note_id,
                     get_current_user_id(),
-                    strlen($note_content)
+                    strlen($note_content),
+                    $is_customer_note ? 'yes' : 'no'
                 ));
                 
-                $response = rest_ensure_response([
-                    'message' => __('Note added successfully.', 'wc-admin-order-notes'),
-                    'note_id' => $note_id,
-                    'timestamp' => time()
-                ]);
-                
-                // Set no-cache headers
-                $response->header('Cache-Control', 'no-cache, no-store, must-revalidate');
-                $response->header('Pragma', 'no-cache');
-                $response->header('Expires', '0');
-                
-                return $response;
+                return (int) $note_id;
             }
             
             error_log('WC Admin Order Notes: Failed to add note - Order ID: ' . $order_id . ', User ID: ' . get_current_user_id());
@@ -303,4 +1650,28 @@ class RestApiHandler {
             return new \WP_Error('add_note_failed', __('A system error occurred while adding the note.', 'wc-admin-order-notes'), ['status' => 500]);
         }
     }
+    
+    /**
+     * Check whether the current user may access notes of an order
+     * 
+     * @param int $order_id
+     * @return bool
+     */
+    private function can_access_order(int $order_id): bool {
+        return $this->security_handler->can_access_order($order_id);
+    }
+    
+    /**
+     * Add no-cache headers to a response
+     * 
+     * @param \WP_REST_Response $response
+     * @return \WP_REST_Response
+     */
+    private function add_no_cache_headers(\WP_REST_Response $response): \WP_REST_Response {
+        $response->header('Cache-Control', 'no-cache, no-store, must-revalidate');
+        $response->header('Pragma', 'no-cache');
+        $response->header('Expires', '0');
+        
+        return $response;
+    }
 }
@@ -22,6 +22,68 @@ class SecurityHandler {
      */
     private const MAX_NOTE_LENGTH = 1000;
     
+    /**
+     * @var int Maximum note markup length; formatting adds to the text, within reason
+     */
+    private const MAX_NOTE_MARKUP_LENGTH = 4000;
+    
+    /**
+     * @var array Tags and attributes allowed in notes: the Markdown subset of the composer
+     */
+    private const ALLOWED_NOTE_HTML = [
+        'a' => ['href' => true],
+        'strong' => [],
+        'b' => [],
+        'em' => [],
+        'i' => [],
+        'code' => [],
+        'ul' => [],
+        'ol' => [],
+        'li' => [],
+        'p' => [],
+        'br' => [],
+    ];
+    
+    /**
+     * @var string[] Protocols allowed in note links
+     */
+    private const ALLOWED_LINK_PROTOCOLS = ['http', 'https', 'mailto'];
+    
+    /**
+     * @var int Maximum number of order IDs accepted by batch endpoints
+     */
+    public const MAX_ORDER_IDS = 100;
+    
+    /**
+     * @var int Maximum number of files attached to one note
+     */
+    public const MAX_ATTACHMENTS_PER_NOTE = 10;
+    
+    /**
+     * @var int Maximum attachment size, in bytes, before the server's upload limit
+     */
+    private const MAX_ATTACHMENT_SIZE = 10 * MB_IN_BYTES;
+    
+    /**
+     * @var array File types that may be attached to notes: images, PDF and plain text
+     */
+    private const ALLOWED_ATTACHMENT_TYPES = [
+        'jpg|jpeg|jpe' => 'image/jpeg',
+        'png' => 'image/png',
+        'gif' => 'image/gif',
+        'webp' => 'image/webp',
+        'pdf' => 'application/pdf',
+        'txt' => 'text/plain',
+        'csv' => 'text/csv',
+    ];
+    
+    /**
+     * Initialize security hooks
+     */
+    public function init_hooks(): void {
+        add_filter('wc_get_template', [$this, 'locate_customer_note_email_template'], 10, 2);
+    }
+    
     /**
      * Validate order ID parameter
      * 
@@ -49,13 +111,125 @@ class SecurityHandler {
             return false;
         }
         
-        // Verify order exists and user can access it
-        if (!$order->exists()) {
+        // Access is checked with the route permissions, so denied orders get a 403 rather than a 400
+        return $order->exists();
+    }
+    
+    /**
+     * Check whether a user may work with an order's notes
+     * 
+     * @param int $order_id
+     * @param int|null $user_id Defaults to the current user
+     * @return bool
+     */
+    public function can_access_order(int $order_id, ?int $user_id = null): bool {
+        return (bool) apply_filters('wc_admin_order_notes_can_access_order', true, $order_id, $user_id ?? get_current_user_id());
+    }
+    
+    /**
+     * Validate a list of order IDs (array or comma-separated string)
+     * 
+     * @param mixed $param
+     * @return bool
+     */
+    public function validate_order_ids_list($param): bool {
+        if (is_string($param)) {
+            $param = explode(',', $param);
+        }
+        
+        if (!is_array($param) || empty($param) || count($param) > self::MAX_ORDER_IDS) {
+            return false;
+        }
+        
+        foreach ($param as $order_id) {
+            $order_id = is_string($order_id) ? trim($order_id) : $order_id;
+            
+            if (!is_numeric($order_id) || absint($order_id) <= 0 || absint($order_id) > 999999999) {
+                return false;
+            }
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Validate note ID parameter
+     * 
+     * @param mixed $param
+     * @return bool
+     */
+    public function validate_note_id($param): bool {
+        if (!is_numeric($param)) {
+            return false;
+        }
+        
+        $note_id = absint($param);
+        if ($note_id <= 0 || $note_id > 999999999) {
+            return false;
+        }
+        
+        $comment = get_comment($note_id);
+        
+        return $comment instanceof \WP_Comment && 'order_note' === $comment->comment_type;
+    }
+    
+    /**
+     * Check that a note belongs to the given order
+     * 
+     * @param int $note_id
+     * @param int $order_id
+     * @return bool
+     */
+    public function note_belongs_to_order(int $note_id, int $order_id): bool {
+        $comment = get_comment($note_id);
+        if (!$comment instanceof \WP_Comment || 'order_note' !== $comment->comment_type) {
+            return false;
+        }
+        
+        return (int) $comment->comment_post_ID === $order_id;
+    }
+    
+    /**
+     * Check whether a user added a note
+     * 
+     * WooCommerce records the author's name and email on the note, not the user ID.
+     * 
+     * @param \WP_Comment $comment
+     * @param int $user_id
+     * @return bool
+     */
+    public function is_note_author(\WP_Comment $comment, int $user_id): bool {
+        $user = $user_id ? get_userdata($user_id) : false;
+        if (!$user) {
             return false;
         }
         
-        // Additional permission check for order access
-        return apply_filters('wc_admin_order_notes_can_access_order', true, $order_id, get_current_user_id());
+        return (int) $comment->user_id === $user_id
+            || ('' !== $comment->comment_author_email && 0 === strcasecmp($comment->comment_author_email, $user->user_email));
+    }
+    
+    /**
+     * Check whether a user may edit or delete a note
+     * 
+     * Only the author may change a note; notes added by WooCommerce itself are records
+     * of payments, refunds and stock changes and stay as they are.
+     * 
+     * @param int $note_id
+     * @param int $user_id
+     * @return bool
+     */
+    public function can_edit_note(int $note_id, int $user_id): bool {
+        $comment = get_comment($note_id);
+        $can_edit = false;
+        
+        if ($comment instanceof \WP_Comment && 'order_note' === $comment->comment_type) {
+            $added_by = (string) $comment->comment_author;
+            $is_system = '' === $added_by || 'system' === $added_by || 'WooCommerce' === $added_by;
+            
+            $can_edit = !$is_system && $this->is_note_author($comment, $user_id);
+        }
+        
+        return (bool) apply_filters('wc_admin_order_notes_can_edit_note', $can_edit, $note_id, $user_id);
     }
     
     /**
@@ -76,8 +250,8 @@ class SecurityHandler {
             return false;
         }
         
-        // Check length limit
-        if (strlen($content) > self::MAX_NOTE_LENGTH) {
+        // The length limit applies to the text, not to the formatting around it
+        if (strlen($content) > self::MAX_NOTE_MARKUP_LENGTH || strlen($this->get_note_text($content)) > self::MAX_NOTE_LENGTH) {
             return false;
         }
         
@@ -139,9 +313,194 @@ class SecurityHandler {
         return true;
     }
     
+    /**
+     * Validate a list of attachment IDs (array or comma-separated string)
+     * 
+     * @param mixed $param
+     * @return bool
+     */
+    public function validate_attachment_ids($param): bool {
+        if (is_string($param)) {
+            $param = '' === trim($param) ? [] : explode(',', $param);
+        }
+        
+        if (!is_array($param) || count($param) > self::MAX_ATTACHMENTS_PER_NOTE) {
+            return false;
+        }
+        
+        foreach ($param as $attachment_id) {
+            $attachment_id = is_string($attachment_id) ? trim($attachment_id) : $attachment_id;
+            
+            if (!is_numeric($attachment_id) || absint($attachment_id) <= 0) {
+                return false;
+            }
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Validate an uploaded note attachment
+     * 
+     * The extension and the file's content must both be of an allowed type.
+     * 
+     * @param mixed $file Entry of $_FILES
+     * @return true|\WP_Error
+     */
+    public function validate_attachment($file) {
+        if (!is_array($file) || !isset($file['name'], $file['tmp_name'], $file['size'], $file['error'])) {
+            return new \WP_Error('missing_file', __('No file was uploaded.', 'wc-admin-order-notes'), ['status' => 400]);
+        }
+        
+        $max_size = $this->get_max_attachment_size();
+        
+        if (in_array((int) $file['error'], [UPLOAD_ERR_INI_SIZE, UPLOAD_ERR_FORM_SIZE], true) || (int) $file['size'] > $max_size) {
+            return new \WP_Error(
+                'file_too_large',
+                /* translators: %s: maximum file size, e.g. "10 MB" */
+                sprintf(__('The file is larger than %s.', 'wc-admin-order-notes'), size_format($max_size)),
+                ['status' => 413]
+            );
+        }
+        
+        if (UPLOAD_ERR_OK !== (int) $file['error'] || (int) $file['size'] <= 0 || !is_uploaded_file($file['tmp_name'])) {
+            return new \WP_Error('upload_failed', __('The file could not be uploaded.', 'wc-admin-order-notes'), ['status' => 400]);
+        }
+        
+        $check = wp_check_filetype_and_ext($file['tmp_name'], $file['name'], $this->get_allowed_attachment_types());
+        if (empty($check['ext']) || empty($check['type'])) {
+            return new \WP_Error('invalid_file_type', __('This file type cannot be attached to notes.', 'wc-admin-order-notes'), ['status' => 415]);
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Get the file types that may be attached to notes
+     * 
+     * @return array Map of extensions => MIME type, as used by wp_check_filetype()
+     */
+    public function get_allowed_attachment_types(): array {
+        /**
+         * Filter the file types that may be attached to notes
+         * 
+         * @param array $types Map of extensions => MIME type
+         */
+        return (array) apply_filters('wc_admin_order_notes_attachment_types', self::ALLOWED_ATTACHMENT_TYPES);
+    }
+    
+    /**
+     * Get the maximum size of a note attachment
+     * 
+     * @return int Bytes
+     */
+    public function get_max_attachment_size(): int {
+        /**
+         * Filter the maximum size of a note attachment; the server's upload limit still applies
+         * 
+         * @param int $size Bytes
+         */
+        $size = (int) apply_filters('wc_admin_order_notes_max_attachment_size', self::MAX_ATTACHMENT_SIZE);
+        
+        return max(1, min($size, (int) wp_max_upload_size()));
+    }
+    
+    /**
+     * Validate boolean flag parameter
+     * 
+     * Accepts the same values as the REST API boolean type
+     * (true/false, 1/0, "true"/"false", "1"/"0").
+     * 
+     * @param mixed $param
+     * @return bool
+     */
+    public function validate_boolean_flag($param): bool {
+        return rest_is_boolean($param);
+    }
+    
+    /**
+     * Validate a calendar date parameter (Y-m-d)
+     * 
+     * @param mixed $param
+     * @return bool
+     */
+    public function validate_date($param): bool {
+        if (!is_string($param) || !preg_match('/^(\d{4})-(\d{2})-(\d{2})$/', $param, $matches)) {
+            return false;
+        }
+        
+        return checkdate((int) $matches[2], (int) $matches[3], (int) $matches[1]);
+    }
+    
+    /**
+     * Validate a reminder due date parameter
+     * 
+     * Takes a local date and time in the site's timezone (Y-m-d\TH:i, as sent by a
+     * datetime-local input) that lies in the future.
+     * 
+     * @param mixed $param
+     * @return bool
+     */
+    public function validate_due_date($param): bool {
+        $timestamp = $this->parse_due_date($param);
+        
+        return null !== $timestamp && $timestamp > time();
+    }
+    
+    /**
+     * Parse a reminder due date parameter into a timestamp
+     * 
+     * @param mixed $param
+     * @return int|null Null when the value is not a valid date and time
+     */
+    public function parse_due_date($param): ?int {
+        if (!is_string($param) || !preg_match('/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?$/', $param)) {
+            return null;
+        }
+        
+        $format = strlen($param) > 16 ? 'Y-m-d\TH:i:s' : 'Y-m-d\TH:i';
+        $date = \DateTimeImmutable::createFromFormat('!' . $format, $param, wp_timezone());
+        
+        // Reject rolled-over values such as February 30
+        if (!$date || $date->format($format) !== $param) {
+            return null;
+        }
+        
+        return $date->getTimestamp();
+    }
+    
+    /**
+     * Validate a reminder assignee parameter
+     * 
+     * Reminders can only be assigned to users who can read the notes.
+     * 
+     * @param mixed $param
+     * @return bool
+     */
+    public function validate_assignee_id($param): bool {
+        if (!is_numeric($param) || (int) $param <= 0) {
+            return false;
+        }
+        
+        return user_can((int) $param, Capabilities::READ_NOTES);
+    }
+    
+    /**
+     * Validate the key a client sends to recognize a repeated add-note request
+     * 
+     * @param mixed $param
+     * @return bool
+     */
+    public function validate_request_key($param): bool {
+        return is_string($param) && 1 === preg_match('/^[A-Za-z0-9-]{8,64}$/', $param);
+    }
+    
     /**
      * Sanitize note content parameter
      * 
+     * Notes keep the HTML of the allowed Markdown subset; any other tag and any link
+     * to another protocol is dropped.
+     * 
      * @param mixed $param
      * @return string
      */
@@ -150,6 +509,29 @@ class SecurityHandler {
             return '';
         }
         
+        $content = trim($param);
+        
+        if (strlen($content) > self::MAX_NOTE_MARKUP_LENGTH) {
+            $content = substr($content, 0, self::MAX_NOTE_MARKUP_LENGTH);
+        }
+        
+        $content = wp_kses(wp_check_invalid_utf8($content, true), self::ALLOWED_NOTE_HTML, self::ALLOWED_LINK_PROTOCOLS);
+        
+        // Truncation or stray closing tags may leave the markup unbalanced
+        return trim(force_balance_tags($content));
+    }
+    
+    /**
+     * Sanitize plain note text that is kept as typed, such as template content
+     * 
+     * @param mixed $param
+     * @return string
+     */
+    public function sanitize_note_text($param): string {
+        if (!is_string($param)) {
+            return '';
+        }
+        
         // Remove HTML tags completely
         $content = strip_tags($param);
         
@@ -167,6 +549,71 @@ class SecurityHandler {
         return $content;
     }
     
+    /**
+     * Get the HTML to display for a note
+     * 
+     * Stored notes are sanitized again, as WooCommerce and other plugins add notes too.
+     * 
+     * @param string $content
+     * @return string
+     */
+    public function get_note_html(string $content): string {
+        return wpautop(wp_kses($content, self::ALLOWED_NOTE_HTML, self::ALLOWED_LINK_PROTOCOLS));
+    }
+    
+    /**
+     * Get the plain text of a note, keeping its line breaks
+     * 
+     * @param string $content
+     * @return string
+     */
+    public function get_note_text(string $content): string {
+        $text = preg_replace('#<br\s*/?>|</(p|li)>#i', "\n", $content);
+        $text = html_entity_decode(wp_strip_all_tags($text), ENT_QUOTES, 'UTF-8');
+        
+        return trim(preg_replace("/\n{3,}/", "\n\n", $text));
+    }
+    
+    /**
+     * Get the plain text of a note for a plain-text email, keeping link targets
+     * 
+     * @param string $content
+     * @return string
+     */
+    public function get_note_email_text(string $content): string {
+        $content = preg_replace_callback('#<a\s[^>]*href=(["\'])(.*?)\1[^>]*>(.*?)</a>#is', function ($matches) {
+            $url = html_entity_decode($matches[2], ENT_QUOTES, 'UTF-8');
+            $label = wp_strip_all_tags($matches[3]);
+            
+            return html_entity_decode($label, ENT_QUOTES, 'UTF-8') === $url ? $matches[3] : $matches[3] . ' (' . esc_url_raw($url) . ')';
+        }, $content);
+        $content = preg_replace('#<li[^>]*>#i', '- ', $content);
+        
+        return $this->get_note_text($content);
+    }
+    
+    /**
+     * Use the plugin's plain-text customer note email, which sends the note as text
+     * 
+     * Notes are stored as HTML of the Markdown subset, which a plain-text email cannot show.
+     * A copy of the template in the theme is left as it is.
+     * 
+     * @param string $template Located template file
+     * @param string $template_name
+     * @return string
+     */
+    public function locate_customer_note_email_template($template, $template_name) {
+        if ('emails/plain/customer-note.php' !== $template_name || !function_exists('WC')) {
+            return $template;
+        }
+        
+        if (0 !== strpos(wp_normalize_path((string) $template), wp_normalize_path(WC()->plugin_path()))) {
+            return $template;
+        }
+        
+        return WC_ADMIN_ORDER_NOTES_PLUGIN_PATH . 'templates/emails/plain/customer-note.php';
+    }
+    
     /**
      * Add security headers
      */
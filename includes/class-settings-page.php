@@ -0,0 +1,472 @@
+<?php
+/**
+ * Settings Page
+ * 
+ * Handles the WooCommerce → Order Notes settings screen for the WC Admin Order Notes plugin.
+ * 
+ * @package WCAdminOrderNotes
+ * @since 2.2.1
+ */
+
+namespace WCAdminOrderNotes;
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class SettingsPage {
+    
+    /**
+     * @var string Settings page slug
+     */
+    public const PAGE_SLUG = 'wc-admin-order-notes';
+    
+    /**
+     * @var string Settings group name
+     */
+    private const OPTION_GROUP = 'wc_admin_order_notes_settings';
+    
+    /**
+     * @var int Maximum number of notes shown in the pattern test table
+     */
+    private const TEST_NOTES_LIMIT = 50;
+    
+    /**
+     * @var SystemNoteClassifier
+     */
+    private $classifier;
+    
+    /**
+     * @var RateLimiter
+     */
+    private $rate_limiter;
+    
+    /**
+     * @var Capabilities
+     */
+    private $capabilities;
+    
+    /**
+     * Constructor
+     * 
+     * @param SystemNoteClassifier $classifier
+     * @param RateLimiter $rate_limiter
+     * @param Capabilities $capabilities
+     */
+    public function __construct(SystemNoteClassifier $classifier, RateLimiter $rate_limiter, Capabilities $capabilities) {
+        $this->classifier = $classifier;
+        $this->rate_limiter = $rate_limiter;
+        $this->capabilities = $capabilities;
+    }
+    
+    /**
+     * Initialize settings page hooks
+     */
+    public function init_hooks(): void {
+        add_action('admin_menu', [$this, 'add_menu_page']);
+        add_action('admin_init', [$this, 'register_settings']);
+        
+        // options.php requires manage_options unless the group asks for less
+        add_filter('option_page_capability_' . self::OPTION_GROUP, [$this, 'get_capability']);
+    }
+    
+    /**
+     * Capability needed to view and save the settings
+     * 
+     * @return string
+     */
+    public function get_capability(): string {
+        return 'manage_woocommerce';
+    }
+    
+    /**
+     * Add the settings page under the WooCommerce menu
+     */
+    public function add_menu_page(): void {
+        add_submenu_page(
+            'woocommerce',
+            __('Order Notes Settings', 'wc-admin-order-notes'),
+            __('Order Notes', 'wc-admin-order-notes'),
+            $this->get_capability(),
+            self::PAGE_SLUG,
+            [$this, 'render_page']
+        );
+    }
+    
+    /**
+     * Register settings, sections and fields
+     */
+    public function register_settings(): void {
+        register_setting(self::OPTION_GROUP, SystemNoteClassifier::OPTION_NAME, [
+            'type' => 'array',
+            'sanitize_callback' => [$this, 'sanitize_patterns'],
+        ]);
+        
+        add_settings_section(
+            'wc_admin_order_notes_system_notes',
+            __('System note detection', 'wc-admin-order-notes'),
+            [$this, 'render_system_notes_section'],
+            self::PAGE_SLUG
+        );
+        
+        add_settings_field(
+            SystemNoteClassifier::OPTION_NAME,
+            __('Patterns', 'wc-admin-order-notes'),
+            [$this, 'render_patterns_field'],
+            self::PAGE_SLUG,
+            'wc_admin_order_notes_system_notes',
+            ['label_for' => SystemNoteClassifier::OPTION_NAME]
+        );
+        
+        register_setting(self::OPTION_GROUP, RateLimiter::OPTION_NAME, [
+            'type' => 'array',
+            'sanitize_callback' => [$this->rate_limiter, 'sanitize_limits'],
+        ]);
+        
+        add_settings_section(
+            'wc_admin_order_notes_rate_limits',
+            __('Rate limits', 'wc-admin-order-notes'),
+            [$this, 'render_rate_limits_section'],
+            self::PAGE_SLUG
+        );
+        
+        add_settings_field(
+            RateLimiter::OPTION_NAME,
+            __('Requests per hour', 'wc-admin-order-notes'),
+            [$this, 'render_rate_limits_field'],
+            self::PAGE_SLUG,
+            'wc_admin_order_notes_rate_limits'
+        );
+        
+        register_setting(self::OPTION_GROUP, Capabilities::OPTION_NAME, [
+            'type' => 'array',
+            'sanitize_callback' => [$this->capabilities, 'sanitize_mapping'],
+        ]);
+        
+        add_settings_section(
+            'wc_admin_order_notes_capabilities',
+            __('Permissions', 'wc-admin-order-notes'),
+            [$this, 'render_capabilities_section'],
+            self::PAGE_SLUG
+        );
+        
+        add_settings_field(
+            Capabilities::OPTION_NAME,
+            __('Roles', 'wc-admin-order-notes'),
+            [$this, 'render_capabilities_field'],
+            self::PAGE_SLUG,
+            'wc_admin_order_notes_capabilities'
+        );
+    }
+    
+    /**
+     * Sanitize the patterns textarea into a list of valid regular expressions
+     * 
+     * @param mixed $value
+     * @return string[]
+     */
+    public function sanitize_patterns($value): array {
+        // "Restore defaults" button
+        if (isset($_POST['wc_admin_order_notes_reset_patterns'])) {
+            return $this->classifier->get_default_patterns();
+        }
+        
+        if (is_array($value)) {
+            $lines = $value;
+        } else {
+            $lines = preg_split('/\r\n|\r|\n/', (string) $value) ?: [];
+        }
+        
+        $patterns = [];
+        $invalid = [];
+        
+        foreach ($lines as $line) {
+            // options.php has already unslashed the value; unslashing again would strip regex escapes like \s
+            $pattern = trim((string) $line);
+            if ('' === $pattern) {
+                continue;
+            }
+            
+            if ($this->classifier->is_valid_pattern($pattern)) {
+                $patterns[] = $pattern;
+            } else {
+                $invalid[] = $pattern;
+            }
+        }
+        
+        if (!empty($invalid)) {
+            add_settings_error(
+                SystemNoteClassifier::OPTION_NAME,
+                'invalid_patterns',
+                sprintf(
+                    /* translators: %s: list of rejected patterns */
+                    __('These patterns are not valid regular expressions and were skipped: %s', 'wc-admin-order-notes'),
+                    implode(', ', $invalid)
+                )
+            );
+        }
+        
+        return array_values(array_unique($patterns));
+    }
+    
+    /**
+     * Render the settings page
+     */
+    public function render_page(): void {
+        if (!current_user_can($this->get_capability())) {
+            return;
+        }
+        ?>
+        <div class="wrap">
+            <h1><?php esc_html_e('Order Notes Settings', 'wc-admin-order-notes'); ?></h1>
+            <?php settings_errors(); ?>
+            <form action="options.php" method="post">
+                <?php
+                settings_fields(self::OPTION_GROUP);
+                do_settings_sections(self::PAGE_SLUG);
+                ?>
+                <p class="submit">
+                    <?php submit_button(null, 'primary', 'submit', false); ?>
+                    <?php submit_button(__('Restore defaults', 'wc-admin-order-notes'), 'secondary', 'wc_admin_order_notes_reset_patterns', false); ?>
+                </p>
+            </form>
+            <?php $this->render_pattern_test(); ?>
+        </div>
+        <?php
+    }
+    
+    /**
+     * Render the system notes section description
+     */
+    public function render_system_notes_section(): void {
+        ?>
+        <p>
+            <?php esc_html_e('Notes matching any of these regular expressions are treated as automatic system notes and hidden from the orders list and, unless "Show system notes" is on, from the notes modal.', 'wc-admin-order-notes'); ?>
+        </p>
+        <p>
+            <?php
+            printf(
+                /* translators: %s: filter hook name */
+                esc_html__('Developers can add patterns with the %s filter.', 'wc-admin-order-notes'),
+                '<code>wc_admin_order_notes_system_patterns</code>'
+            );
+            ?>
+        </p>
+        <?php
+    }
+    
+    /**
+     * Render the patterns textarea
+     */
+    public function render_patterns_field(): void {
+        $patterns = $this->classifier->get_configured_patterns();
+        ?>
+        <textarea
+            id="<?php echo esc_attr(SystemNoteClassifier::OPTION_NAME); ?>"
+            name="<?php echo esc_attr(SystemNoteClassifier::OPTION_NAME); ?>"
+            rows="15"
+            class="large-text code"
+        ><?php echo esc_textarea(implode("\n", $patterns)); ?></textarea>
+        <p class="description">
+            <?php esc_html_e('One PHP regular expression per line, including delimiters and flags, e.g. /payment received/i or /Нова Пошта/iu.', 'wc-admin-order-notes'); ?>
+        </p>
+        <?php
+    }
+    
+    /**
+     * Render the rate limits section description
+     */
+    public function render_rate_limits_section(): void {
+        ?>
+        <p>
+            <?php esc_html_e('How many REST requests one user may make within an hour. Reading notes and adding, editing or deleting them are counted separately. Users with several roles get the highest limit among them.', 'wc-admin-order-notes'); ?>
+        </p>
+        <?php
+    }
+    
+    /**
+     * Render the per-role rate limits table
+     */
+    public function render_rate_limits_field(): void {
+        $limits = $this->rate_limiter->get_configured_limits();
+        $name = RateLimiter::OPTION_NAME;
+        $types = [
+            RateLimiter::TYPE_READ => __('Read', 'wc-admin-order-notes'),
+            RateLimiter::TYPE_WRITE => __('Write', 'wc-admin-order-notes'),
+        ];
+        ?>
+        <table class="widefat striped" style="max-width: 600px;">
+            <thead>
+                <tr>
+                    <th><?php esc_html_e('Role', 'wc-admin-order-notes'); ?></th>
+                    <?php foreach ($types as $label) : ?>
+                        <th><?php echo esc_html($label); ?></th>
+                    <?php endforeach; ?>
+                </tr>
+            </thead>
+            <tbody>
+                <tr>
+                    <td><strong><?php esc_html_e('Default', 'wc-admin-order-notes'); ?></strong></td>
+                    <?php foreach ($types as $type => $label) : ?>
+                        <td>
+                            <input type="number" min="0" class="small-text"
+                                name="<?php echo esc_attr("{$name}[default][{$type}]"); ?>"
+                                value="<?php echo esc_attr($limits['default'][$type]); ?>"
+                                aria-label="<?php echo esc_attr(sprintf('%s: %s', __('Default', 'wc-admin-order-notes'), $label)); ?>">
+                        </td>
+                    <?php endforeach; ?>
+                </tr>
+                <?php foreach ($this->capabilities->get_order_roles() as $role => $role_name) : ?>
+                    <tr>
+                        <td><?php echo esc_html($role_name); ?></td>
+                        <?php foreach ($types as $type => $label) : ?>
+                            <td>
+                                <input type="number" min="0" class="small-text"
+                                    name="<?php echo esc_attr("{$name}[roles][{$role}][{$type}]"); ?>"
+                                    value="<?php echo esc_attr($limits['roles'][$role][$type] ?? ''); ?>"
+                                    placeholder="<?php echo esc_attr($limits['default'][$type]); ?>"
+                                    aria-label="<?php echo esc_attr(sprintf('%s: %s', $role_name, $label)); ?>">
+                            </td>
+                        <?php endforeach; ?>
+                    </tr>
+                <?php endforeach; ?>
+            </tbody>
+        </table>
+        <p class="description">
+            <?php esc_html_e('Leave a role empty to use the default limit. 0 means unlimited.', 'wc-admin-order-notes'); ?>
+        </p>
+        <?php
+    }
+    
+    /**
+     * Render the permissions section description
+     */
+    public function render_capabilities_section(): void {
+        ?>
+        <p>
+            <?php esc_html_e('What each role may do with order notes. Roles without "Read notes" see no notes column and no notes modal.', 'wc-admin-order-notes'); ?>
+        </p>
+        <p>
+            <?php
+            printf(
+                /* translators: %s: filter hook name */
+                esc_html__('To limit which orders a user may see notes of, e.g. by shipping zone, use the %s filter.', 'wc-admin-order-notes'),
+                '<code>wc_admin_order_notes_can_access_order</code>'
+            );
+            ?>
+        </p>
+        <?php
+    }
+    
+    /**
+     * Render the role × capability checkboxes
+     */
+    public function render_capabilities_field(): void {
+        $name = Capabilities::OPTION_NAME;
+        $labels = [
+            Capabilities::READ_NOTES => __('Read notes', 'wc-admin-order-notes'),
+            Capabilities::ADD_NOTES => __('Add and edit notes', 'wc-admin-order-notes'),
+            Capabilities::ADD_CUSTOMER_NOTES => __('Add notes to customers', 'wc-admin-order-notes'),
+            Capabilities::DELETE_NOTES => __('Delete notes', 'wc-admin-order-notes'),
+        ];
+        ?>
+        <table class="widefat striped" style="max-width: 800px;">
+            <thead>
+                <tr>
+                    <th><?php esc_html_e('Role', 'wc-admin-order-notes'); ?></th>
+                    <?php foreach ($labels as $capability => $label) : ?>
+                        <th><?php echo esc_html($label); ?><br><code><?php echo esc_html($capability); ?></code></th>
+                    <?php endforeach; ?>
+                </tr>
+            </thead>
+            <tbody>
+                <?php foreach ($this->capabilities->get_order_roles() as $role => $role_name) : ?>
+                    <?php $granted = $this->capabilities->get_role_capabilities($role); ?>
+                    <tr>
+                        <td><?php echo esc_html($role_name); ?></td>
+                        <?php foreach ($labels as $capability => $label) : ?>
+                            <td>
+                                <input type="checkbox"
+                                    name="<?php echo esc_attr("{$name}[{$role}][]"); ?>"
+                                    value="<?php echo esc_attr($capability); ?>"
+                                    aria-label="<?php echo esc_attr(sprintf('%s: %s', $role_name, $label)); ?>"
+                                    <?php checked(in_array($capability, $granted, true)); ?>>
+                            </td>
+                        <?php endforeach; ?>
+                    </tr>
+                <?php endforeach; ?>
+            </tbody>
+        </table>
+        <p class="description">
+            <?php esc_html_e('Editing and pinning notes needs "Add and edit notes". The capabilities are stored on the roles, so role editor plugins show and change them too.', 'wc-admin-order-notes'); ?>
+        </p>
+        <?php
+    }
+    
+    /**
+     * Render the "test against an order" tool
+     */
+    private function render_pattern_test(): void {
+        $order_id = isset($_GET['test_order_id']) ? absint(wp_unslash($_GET['test_order_id'])) : 0;
+        ?>
+        <h2><?php esc_html_e('Test patterns', 'wc-admin-order-notes'); ?></h2>
+        <p><?php esc_html_e('Check how the saved patterns classify the notes of a real order.', 'wc-admin-order-notes'); ?></p>
+        <form method="get">
+            <input type="hidden" name="page" value="<?php echo esc_attr(self::PAGE_SLUG); ?>">
+            <label for="wc-admin-order-notes-test-order"><?php esc_html_e('Order ID', 'wc-admin-order-notes'); ?></label>
+            <input type="number" min="1" id="wc-admin-order-notes-test-order" name="test_order_id" value="<?php echo $order_id ? esc_attr($order_id) : ''; ?>">
+            <?php submit_button(__('Test', 'wc-admin-order-notes'), 'secondary', '', false); ?>
+        </form>
+        <?php
+        if (!$order_id) {
+            return;
+        }
+        
+        $order = wc_get_order($order_id);
+        if (!$order) {
+            printf('<div class="notice notice-error inline"><p>%s</p></div>', esc_html__('Order not found.', 'wc-admin-order-notes'));
+            return;
+        }
+        
+        $notes = wc_get_order_notes([
+            'order_id' => $order_id,
+            'limit' => self::TEST_NOTES_LIMIT,
+            'orderby' => 'date_created',
+            'order' => 'DESC',
+            'type' => '',
+        ]);
+        
+        if (empty($notes)) {
+            printf('<p><em>%s</em></p>', esc_html__('No notes', 'wc-admin-order-notes'));
+            return;
+        }
+        ?>
+        <table class="widefat striped" style="margin-top: 15px;">
+            <thead>
+                <tr>
+                    <th><?php esc_html_e('Date', 'wc-admin-order-notes'); ?></th>
+                    <th><?php esc_html_e('Note', 'wc-admin-order-notes'); ?></th>
+                    <th><?php esc_html_e('Result', 'wc-admin-order-notes'); ?></th>
+                </tr>
+            </thead>
+            <tbody>
+                <?php foreach ($notes as $note) : ?>
+                    <?php $rule = $this->classifier->classify((string) $note->content); ?>
+                    <tr>
+                        <td><?php echo esc_html(date_i18n(get_option('date_format') . ' ' . get_option('time_format'), strtotime($note->date_created))); ?></td>
+                        <td><?php echo esc_html(wp_strip_all_tags($note->content)); ?></td>
+                        <td>
+                            <?php if (null === $rule) : ?>
+                                <strong><?php esc_html_e('Human', 'wc-admin-order-notes'); ?></strong>
+                            <?php else : ?>
+                                <?php esc_html_e('System', 'wc-admin-order-notes'); ?> — <code><?php echo esc_html($rule); ?></code>
+                            <?php endif; ?>
+                        </td>
+                    </tr>
+                <?php endforeach; ?>
+            </tbody>
+        </table>
+        <?php
+    }
+}
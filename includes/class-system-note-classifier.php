@@ -0,0 +1,223 @@
+<?php
+/**
+ * System Note Classifier
+ * 
+ * Decides whether an order note was written by a person or generated automatically
+ * (status changes, emails, payment and shipping events) for the WC Admin Order Notes plugin.
+ * 
+ * @package WCAdminOrderNotes
+ * @since 2.2.1
+ */
+
+namespace WCAdminOrderNotes;
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class SystemNoteClassifier {
+    
+    /**
+     * @var string Option holding the admin-configured patterns
+     */
+    public const OPTION_NAME = 'wc_admin_order_notes_system_patterns';
+    
+    /**
+     * @var int Notes shorter than this are also checked against status keywords
+     */
+    private const SHORT_NOTE_LENGTH = 10;
+    
+    /**
+     * @var string[] Default system note patterns (English and Ukrainian)
+     */
+    private const DEFAULT_PATTERNS = [
+        // Order status changes
+        '/status changed from/i',
+        '/статус замовлення змінено з/iu',
+        '/статус змінено з/iu',
+        
+        // Email notifications
+        '/email sent to/i',
+        '/електронний лист надіслано/iu',
+        '/email надіслано/iu',
+        
+        // Payment systems
+        '/payment complete/i',
+        '/payment received/i',
+        '/payment authorized/i',
+        '/платіж завершено/iu',
+        '/платіж отримано/iu',
+        '/платіж авторизовано/iu',
+        
+        // Shipping and logistics
+        '/shipped via/i',
+        '/tracking number/i',
+        '/відправлено через/iu',
+        '/номер відстеження/iu',
+        
+        // Automatic WooCommerce actions
+        '/refund/i',
+        '/повернення коштів/iu',
+        '/відшкодування/iu',
+        
+        // Other system events
+        '/automatically generated/i',
+        '/автоматично створено/iu',
+        '/system:/i',
+        '/система:/iu',
+    ];
+    
+    /**
+     * @var string[] Status keywords for the short content check
+     */
+    private const STATUS_KEYWORDS = [
+        'pending', 'processing', 'on-hold', 'completed', 'cancelled', 'refunded', 'failed',
+        'очікування', 'обробка', 'утримання', 'завершено', 'скасовано', 'повернено', 'помилка'
+    ];
+    
+    /**
+     * @var string[]|null Resolved patterns for the current request
+     */
+    private $patterns = null;
+    
+    /**
+     * Initialize hooks
+     */
+    public function init_hooks(): void {
+        // Drop resolved patterns when the admin saves new ones
+        add_action('update_option_' . self::OPTION_NAME, [$this, 'reset']);
+        add_action('add_option_' . self::OPTION_NAME, [$this, 'reset']);
+    }
+    
+    /**
+     * Get the built-in patterns
+     * 
+     * @return string[]
+     */
+    public function get_default_patterns(): array {
+        return self::DEFAULT_PATTERNS;
+    }
+    
+    /**
+     * Get the admin-configured patterns, or the defaults if none were saved
+     * 
+     * @return string[]
+     */
+    public function get_configured_patterns(): array {
+        $patterns = get_option(self::OPTION_NAME, null);
+        
+        return is_array($patterns) ? array_values(array_filter($patterns, 'is_string')) : self::DEFAULT_PATTERNS;
+    }
+    
+    /**
+     * Get the active patterns, including those added via the wc_admin_order_notes_system_patterns filter
+     * 
+     * @return string[]
+     */
+    public function get_patterns(): array {
+        if (null === $this->patterns) {
+            $patterns = (array) apply_filters('wc_admin_order_notes_system_patterns', $this->get_configured_patterns());
+            
+            $this->patterns = array_values(array_unique(array_filter($patterns, function ($pattern) {
+                return is_string($pattern) && $this->is_valid_pattern($pattern);
+            })));
+        }
+        
+        return $this->patterns;
+    }
+    
+    /**
+     * Forget the resolved patterns
+     */
+    public function reset(): void {
+        $this->patterns = null;
+    }
+    
+    /**
+     * Get a short hash of the active rules, used to vary cache keys
+     * 
+     * @return string
+     */
+    public function get_version(): string {
+        return substr(md5(implode("\n", $this->get_patterns())), 0, 8);
+    }
+    
+    /**
+     * Check that a string is a usable PCRE pattern
+     * 
+     * @param string $pattern
+     * @return bool
+     */
+    public function is_valid_pattern(string $pattern): bool {
+        if ('' === trim($pattern)) {
+            return false;
+        }
+        
+        // preg_match() emits a warning for broken patterns; we only need the result
+        set_error_handler(static function () {
+            return true;
+        });
+        $result = preg_match($pattern, '');
+        restore_error_handler();
+        
+        return false !== $result;
+    }
+    
+    /**
+     * Classify note content
+     * 
+     * @param string $content
+     * @return string|null The rule that matched, or null for a human note
+     */
+    public function classify(string $content): ?string {
+        $content = trim($content);
+        if ('' === $content) {
+            return null;
+        }
+        
+        foreach ($this->get_patterns() as $pattern) {
+            if (preg_match($pattern, $content)) {
+                return $pattern;
+            }
+        }
+        
+        // Very short notes that only contain a status
+        if (strlen($content) < self::SHORT_NOTE_LENGTH) {
+            $short_content = strtolower($content);
+            
+            foreach (self::STATUS_KEYWORDS as $keyword) {
+                if (strpos($short_content, $keyword) !== false) {
+                    return 'keyword:' . $keyword;
+                }
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Filter out system status change messages from order notes.
+     *
+     * @param array $notes The array of notes to filter.
+     * @return array The filtered array of notes.
+     */
+    public function filter_human_notes(array $notes): array {
+        $filtered_notes = [];
+        
+        foreach ($notes as $note) {
+            $content = $note->content ?? '';
+            
+            // Skip empty content
+            if (empty(trim($content))) {
+                continue;
+            }
+            
+            if (null === $this->classify($content)) {
+                $filtered_notes[] = $note;
+            }
+        }
+        
+        return $filtered_notes;
+    }
+}
@@ -0,0 +1,286 @@
+<?php
+/**
+ * Templates Manager
+ * 
+ * Stores shared and personal note templates and fills their placeholders
+ * for the WC Admin Order Notes plugin.
+ * 
+ * @package WCAdminOrderNotes
+ * @since 2.2.1
+ */
+
+namespace WCAdminOrderNotes;
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class TemplatesManager {
+    
+    /**
+     * @var string Option holding templates shared by all agents
+     */
+    public const SHARED_OPTION = 'wc_admin_order_notes_templates';
+    
+    /**
+     * @var string User meta key holding an agent's personal templates
+     */
+    public const PERSONAL_META_KEY = 'wc_admin_order_notes_templates';
+    
+    /**
+     * @var string Template visible to every agent
+     */
+    public const SCOPE_SHARED = 'shared';
+    
+    /**
+     * @var string Template visible to its owner only
+     */
+    public const SCOPE_PERSONAL = 'personal';
+    
+    /**
+     * @var string Capability needed to manage shared templates
+     */
+    public const SHARED_CAPABILITY = 'manage_woocommerce';
+    
+    /**
+     * @var int Maximum template title length
+     */
+    private const MAX_TITLE_LENGTH = 100;
+    
+    /**
+     * @var SecurityHandler
+     */
+    private $security_handler;
+    
+    /**
+     * Constructor
+     * 
+     * @param SecurityHandler $security_handler
+     */
+    public function __construct(SecurityHandler $security_handler) {
+        $this->security_handler = $security_handler;
+    }
+    
+    /**
+     * Get all templates available to a user, shared ones first
+     * 
+     * @param int $user_id
+     * @return array[] Templates with id, title, content and scope
+     */
+    public function get_templates_for_user(int $user_id): array {
+        return array_merge(
+            $this->get_templates(self::SCOPE_SHARED, $user_id),
+            $this->get_templates(self::SCOPE_PERSONAL, $user_id)
+        );
+    }
+    
+    /**
+     * Get the templates of one scope
+     * 
+     * @param string $scope
+     * @param int $user_id Owner of personal templates
+     * @return array[]
+     */
+    public function get_templates(string $scope, int $user_id): array {
+        if (self::SCOPE_SHARED === $scope) {
+            $templates = get_option(self::SHARED_OPTION, []);
+        } else {
+            $templates = $user_id ? get_user_meta($user_id, self::PERSONAL_META_KEY, true) : [];
+        }
+        
+        if (!is_array($templates)) {
+            return [];
+        }
+        
+        $result = [];
+        foreach ($templates as $template) {
+            if (!is_array($template) || empty($template['id']) || !isset($template['content'])) {
+                continue;
+            }
+            
+            $result[] = [
+                'id' => (string) $template['id'],
+                'title' => (string) ($template['title'] ?? ''),
+                'content' => (string) $template['content'],
+                'scope' => $scope,
+            ];
+        }
+        
+        return $result;
+    }
+    
+    /**
+     * Find a template the user can see
+     * 
+     * @param string $template_id
+     * @param int $user_id
+     * @return array|null
+     */
+    public function find_template(string $template_id, int $user_id): ?array {
+        foreach ($this->get_templates_for_user($user_id) as $template) {
+            if ($template['id'] === $template_id) {
+                return $template;
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Create or update a template
+     * 
+     * @param string $scope
+     * @param int $user_id Owner of personal templates
+     * @param string $title
+     * @param string $content
+     * @param string $template_id Existing template to update; empty to create
+     * @return array|\WP_Error Saved template or error
+     */
+    public function save_template(string $scope, int $user_id, string $title, string $content, string $template_id = '') {
+        $title = mb_substr(sanitize_text_field($title), 0, self::MAX_TITLE_LENGTH);
+        $content = $this->security_handler->sanitize_note_text($content);
+        
+        if ('' === $title || '' === $content) {
+            return new \WP_Error('invalid_template', __('Template title and text are required.', 'wc-admin-order-notes'), ['status' => 400]);
+        }
+        
+        $templates = $this->get_templates($scope, $user_id);
+        $saved = null;
+        
+        foreach ($templates as $index => $template) {
+            if ('' !== $template_id && $template['id'] === $template_id) {
+                $templates[$index]['title'] = $title;
+                $templates[$index]['content'] = $content;
+                $saved = $templates[$index];
+            }
+        }
+        
+        if (null === $saved) {
+            if ('' !== $template_id) {
+                return new \WP_Error('template_not_found', __('Template not found.', 'wc-admin-order-notes'), ['status' => 404]);
+            }
+            
+            $saved = [
+                'id' => wp_generate_uuid4(),
+                'title' => $title,
+                'content' => $content,
+                'scope' => $scope,
+            ];
+            $templates[] = $saved;
+        }
+        
+        $this->store_templates($scope, $user_id, $templates);
+        
+        return $saved;
+    }
+    
+    /**
+     * Delete a template
+     * 
+     * @param string $scope
+     * @param int $user_id Owner of personal templates
+     * @param string $template_id
+     * @return bool Whether a template was deleted
+     */
+    public function delete_template(string $scope, int $user_id, string $template_id): bool {
+        $templates = $this->get_templates($scope, $user_id);
+        $remaining = array_values(array_filter($templates, function ($template) use ($template_id) {
+            return $template['id'] !== $template_id;
+        }));
+        
+        if (count($remaining) === count($templates)) {
+            return false;
+        }
+        
+        $this->store_templates($scope, $user_id, $remaining);
+        
+        return true;
+    }
+    
+    /**
+     * Check whether a user may create, change or delete templates of a scope
+     * 
+     * @param string $scope
+     * @param int $user_id
+     * @return bool
+     */
+    public function can_manage_scope(string $scope, int $user_id): bool {
+        if (self::SCOPE_SHARED === $scope) {
+            return user_can($user_id, self::SHARED_CAPABILITY);
+        }
+        
+        return user_can($user_id, Capabilities::ADD_NOTES);
+    }
+    
+    /**
+     * Get the supported placeholders and their descriptions
+     * 
+     * @return array Map of placeholder => description
+     */
+    public function get_placeholders(): array {
+        return [
+            '{order_number}' => __('Order number', 'wc-admin-order-notes'),
+            '{customer_first_name}' => __('Customer first name', 'wc-admin-order-notes'),
+            '{today}' => __('Today\'s date', 'wc-admin-order-notes'),
+            '{agent_name}' => __('Your display name', 'wc-admin-order-notes'),
+        ];
+    }
+    
+    /**
+     * Fill the placeholders of a template from an order
+     * 
+     * @param string $content
+     * @param \WC_Order $order
+     * @param int $user_id Agent inserting the template
+     * @return string
+     */
+    public function render(string $content, \WC_Order $order, int $user_id): string {
+        if (false === strpos($content, '{')) {
+            return $content;
+        }
+        
+        $agent = get_userdata($user_id);
+        
+        $values = [
+            '{order_number}' => $order->get_order_number(),
+            '{customer_first_name}' => $order->get_billing_first_name() ?: $order->get_shipping_first_name(),
+            '{today}' => date_i18n(get_option('date_format')),
+            '{agent_name}' => $agent ? $agent->display_name : '',
+        ];
+        
+        /**
+         * Filter placeholder values used when a template is inserted
+         * 
+         * @param array $values Map of placeholder => value
+         * @param \WC_Order $order
+         * @param int $user_id
+         */
+        $values = (array) apply_filters('wc_admin_order_notes_template_placeholders', $values, $order, $user_id);
+        
+        return strtr($content, array_map('strval', $values));
+    }
+    
+    /**
+     * Persist the templates of one scope
+     * 
+     * @param string $scope
+     * @param int $user_id
+     * @param array[] $templates
+     */
+    private function store_templates(string $scope, int $user_id, array $templates): void {
+        $templates = array_map(function ($template) {
+            return [
+                'id' => $template['id'],
+                'title' => $template['title'],
+                'content' => $template['content'],
+            ];
+        }, array_values($templates));
+        
+        if (self::SCOPE_SHARED === $scope) {
+            update_option(self::SHARED_OPTION, $templates, false);
+        } else {
+            update_user_meta($user_id, self::PERSONAL_META_KEY, $templates);
+        }
+    }
+}
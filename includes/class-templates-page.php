@@ -0,0 +1,313 @@
+<?php
+/**
+ * Templates Page
+ * 
+ * Handles the WooCommerce → Note Templates screen for the WC Admin Order Notes plugin.
+ * 
+ * @package WCAdminOrderNotes
+ * @since 2.2.1
+ */
+
+namespace WCAdminOrderNotes;
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+class TemplatesPage {
+    
+    /**
+     * @var string Templates page slug
+     */
+    public const PAGE_SLUG = 'wc-admin-order-notes-templates';
+    
+    /**
+     * @var string admin-post action saving a template
+     */
+    private const SAVE_ACTION = 'wc_admin_order_notes_save_template';
+    
+    /**
+     * @var string admin-post action deleting a template
+     */
+    private const DELETE_ACTION = 'wc_admin_order_notes_delete_template';
+    
+    /**
+     * @var TemplatesManager
+     */
+    private $templates_manager;
+    
+    /**
+     * Constructor
+     * 
+     * @param TemplatesManager $templates_manager
+     */
+    public function __construct(TemplatesManager $templates_manager) {
+        $this->templates_manager = $templates_manager;
+    }
+    
+    /**
+     * Initialize templates page hooks
+     */
+    public function init_hooks(): void {
+        add_action('admin_menu', [$this, 'add_menu_page']);
+        add_action('admin_post_' . self::SAVE_ACTION, [$this, 'handle_save']);
+        add_action('admin_post_' . self::DELETE_ACTION, [$this, 'handle_delete']);
+    }
+    
+    /**
+     * Add the templates page under the WooCommerce menu
+     */
+    public function add_menu_page(): void {
+        add_submenu_page(
+            'woocommerce',
+            __('Note Templates', 'wc-admin-order-notes'),
+            __('Note Templates', 'wc-admin-order-notes'),
+            Capabilities::ADD_NOTES,
+            self::PAGE_SLUG,
+            [$this, 'render_page']
+        );
+    }
+    
+    /**
+     * Save a template submitted from the page
+     */
+    public function handle_save(): void {
+        check_admin_referer(self::SAVE_ACTION);
+        
+        $user_id = get_current_user_id();
+        $scope = $this->get_requested_scope();
+        
+        if (!$this->templates_manager->can_manage_scope($scope, $user_id)) {
+            wp_die(esc_html__('You do not have permission to manage these templates.', 'wc-admin-order-notes'), 403);
+        }
+        
+        $result = $this->templates_manager->save_template(
+            $scope,
+            $user_id,
+            isset($_POST['template_title']) ? wp_unslash((string) $_POST['template_title']) : '',
+            isset($_POST['template_content']) ? wp_unslash((string) $_POST['template_content']) : '',
+            isset($_POST['template_id']) ? sanitize_text_field(wp_unslash($_POST['template_id'])) : ''
+        );
+        
+        $this->redirect_back(is_wp_error($result) ? $result->get_error_code() : 'saved');
+    }
+    
+    /**
+     * Delete a template from the page
+     */
+    public function handle_delete(): void {
+        check_admin_referer(self::DELETE_ACTION);
+        
+        $user_id = get_current_user_id();
+        $scope = $this->get_requested_scope();
+        
+        if (!$this->templates_manager->can_manage_scope($scope, $user_id)) {
+            wp_die(esc_html__('You do not have permission to manage these templates.', 'wc-admin-order-notes'), 403);
+        }
+        
+        $template_id = isset($_POST['template_id']) ? sanitize_text_field(wp_unslash($_POST['template_id'])) : '';
+        $deleted = $this->templates_manager->delete_template($scope, $user_id, $template_id);
+        
+        $this->redirect_back($deleted ? 'deleted' : 'template_not_found');
+    }
+    
+    /**
+     * Render the templates page
+     */
+    public function render_page(): void {
+        if (!current_user_can(Capabilities::ADD_NOTES)) {
+            return;
+        }
+        
+        $user_id = get_current_user_id();
+        $editing = null;
+        
+        if (isset($_GET['edit'])) {
+            $editing = $this->templates_manager->find_template(sanitize_text_field(wp_unslash($_GET['edit'])), $user_id);
+            
+            if ($editing && !$this->templates_manager->can_manage_scope($editing['scope'], $user_id)) {
+                $editing = null;
+            }
+        }
+        ?>
+        <div class="wrap">
+            <h1><?php esc_html_e('Note Templates', 'wc-admin-order-notes'); ?></h1>
+            <?php $this->render_message(); ?>
+            <p><?php esc_html_e('Templates appear in the notes modal on the orders list. Shared templates are available to every agent; personal templates only to you.', 'wc-admin-order-notes'); ?></p>
+            
+            <h2><?php esc_html_e('Shared templates', 'wc-admin-order-notes'); ?></h2>
+            <?php $this->render_templates_table(TemplatesManager::SCOPE_SHARED, $user_id); ?>
+            
+            <h2><?php esc_html_e('Personal templates', 'wc-admin-order-notes'); ?></h2>
+            <?php $this->render_templates_table(TemplatesManager::SCOPE_PERSONAL, $user_id); ?>
+            
+            <?php $this->render_form($editing, $user_id); ?>
+        </div>
+        <?php
+    }
+    
+    /**
+     * Render the templates of one scope
+     * 
+     * @param string $scope
+     * @param int $user_id
+     */
+    private function render_templates_table(string $scope, int $user_id): void {
+        $templates = $this->templates_manager->get_templates($scope, $user_id);
+        $can_manage = $this->templates_manager->can_manage_scope($scope, $user_id);
+        
+        if (empty($templates)) {
+            printf('<p><em>%s</em></p>', esc_html__('No templates yet.', 'wc-admin-order-notes'));
+            return;
+        }
+        ?>
+        <table class="widefat striped">
+            <thead>
+                <tr>
+                    <th style="width: 25%;"><?php esc_html_e('Title', 'wc-admin-order-notes'); ?></th>
+                    <th><?php esc_html_e('Text', 'wc-admin-order-notes'); ?></th>
+                    <?php if ($can_manage) : ?>
+                        <th style="width: 15%;"><?php esc_html_e('Actions', 'wc-admin-order-notes'); ?></th>
+                    <?php endif; ?>
+                </tr>
+            </thead>
+            <tbody>
+                <?php foreach ($templates as $template) : ?>
+                    <tr>
+                        <td><strong><?php echo esc_html($template['title']); ?></strong></td>
+                        <td><?php echo nl2br(esc_html($template['content'])); ?></td>
+                        <?php if ($can_manage) : ?>
+                            <td>
+                                <a href="<?php echo esc_url(add_query_arg(['page' => self::PAGE_SLUG, 'edit' => $template['id']], admin_url('admin.php'))); ?>"><?php esc_html_e('Edit', 'wc-admin-order-notes'); ?></a>
+                                |
+                                <form method="post" action="<?php echo esc_url(admin_url('admin-post.php')); ?>" style="display: inline;">
+                                    <input type="hidden" name="action" value="<?php echo esc_attr(self::DELETE_ACTION); ?>">
+                                    <input type="hidden" name="template_id" value="<?php echo esc_attr($template['id']); ?>">
+                                    <input type="hidden" name="template_scope" value="<?php echo esc_attr($scope); ?>">
+                                    <?php wp_nonce_field(self::DELETE_ACTION); ?>
+                                    <button type="submit" class="button-link button-link-delete"><?php esc_html_e('Delete', 'wc-admin-order-notes'); ?></button>
+                                </form>
+                            </td>
+                        <?php endif; ?>
+                    </tr>
+                <?php endforeach; ?>
+            </tbody>
+        </table>
+        <?php
+    }
+    
+    /**
+     * Render the add / edit form
+     * 
+     * @param array|null $editing Template being edited
+     * @param int $user_id
+     */
+    private function render_form(?array $editing, int $user_id): void {
+        $can_manage_shared = $this->templates_manager->can_manage_scope(TemplatesManager::SCOPE_SHARED, $user_id);
+        $scope = $editing['scope'] ?? TemplatesManager::SCOPE_PERSONAL;
+        ?>
+        <h2><?php echo $editing ? esc_html__('Edit template', 'wc-admin-order-notes') : esc_html__('Add template', 'wc-admin-order-notes'); ?></h2>
+        <form method="post" action="<?php echo esc_url(admin_url('admin-post.php')); ?>">
+            <input type="hidden" name="action" value="<?php echo esc_attr(self::SAVE_ACTION); ?>">
+            <input type="hidden" name="template_id" value="<?php echo esc_attr($editing['id'] ?? ''); ?>">
+            <?php wp_nonce_field(self::SAVE_ACTION); ?>
+            <table class="form-table" role="presentation">
+                <tr>
+                    <th scope="row"><label for="wc-admin-order-notes-template-title"><?php esc_html_e('Title', 'wc-admin-order-notes'); ?></label></th>
+                    <td><input type="text" class="regular-text" id="wc-admin-order-notes-template-title" name="template_title" maxlength="100" required value="<?php echo esc_attr($editing['title'] ?? ''); ?>"></td>
+                </tr>
+                <tr>
+                    <th scope="row"><label for="wc-admin-order-notes-template-content"><?php esc_html_e('Text', 'wc-admin-order-notes'); ?></label></th>
+                    <td>
+                        <textarea class="large-text" rows="5" id="wc-admin-order-notes-template-content" name="template_content" maxlength="1000" required><?php echo esc_textarea($editing['content'] ?? ''); ?></textarea>
+                        <p class="description">
+                            <?php esc_html_e('Placeholders are filled from the order when the template is inserted:', 'wc-admin-order-notes'); ?>
+                        </p>
+                        <ul class="ul-disc">
+                            <?php foreach ($this->templates_manager->get_placeholders() as $placeholder => $description) : ?>
+                                <li><code><?php echo esc_html($placeholder); ?></code> — <?php echo esc_html($description); ?></li>
+                            <?php endforeach; ?>
+                        </ul>
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row"><?php esc_html_e('Visible to', 'wc-admin-order-notes'); ?></th>
+                    <td>
+                        <?php if ($editing) : ?>
+                            <input type="hidden" name="template_scope" value="<?php echo esc_attr($scope); ?>">
+                            <?php echo TemplatesManager::SCOPE_SHARED === $scope ? esc_html__('All agents', 'wc-admin-order-notes') : esc_html__('Only me', 'wc-admin-order-notes'); ?>
+                        <?php else : ?>
+                            <label>
+                                <input type="radio" name="template_scope" value="<?php echo esc_attr(TemplatesManager::SCOPE_PERSONAL); ?>" checked>
+                                <?php esc_html_e('Only me', 'wc-admin-order-notes'); ?>
+                            </label>
+                            <?php if ($can_manage_shared) : ?>
+                                <br>
+                                <label>
+                                    <input type="radio" name="template_scope" value="<?php echo esc_attr(TemplatesManager::SCOPE_SHARED); ?>">
+                                    <?php esc_html_e('All agents', 'wc-admin-order-notes'); ?>
+                                </label>
+                            <?php endif; ?>
+                        <?php endif; ?>
+                    </td>
+                </tr>
+            </table>
+            <p class="submit">
+                <?php submit_button($editing ? __('Update template', 'wc-admin-order-notes') : __('Add template', 'wc-admin-order-notes'), 'primary', 'submit', false); ?>
+                <?php if ($editing) : ?>
+                    <a class="button" href="<?php echo esc_url(add_query_arg('page', self::PAGE_SLUG, admin_url('admin.php'))); ?>"><?php esc_html_e('Cancel', 'wc-admin-order-notes'); ?></a>
+                <?php endif; ?>
+            </p>
+        </form>
+        <?php
+    }
+    
+    /**
+     * Render the result of the last save or delete
+     */
+    private function render_message(): void {
+        $message = isset($_GET['message']) ? sanitize_key(wp_unslash($_GET['message'])) : '';
+        
+        $messages = [
+            'saved' => ['success', __('Template saved.', 'wc-admin-order-notes')],
+            'deleted' => ['success', __('Template deleted.', 'wc-admin-order-notes')],
+            'invalid_template' => ['error', __('Template title and text are required.', 'wc-admin-order-notes')],
+            'template_not_found' => ['error', __('Template not found.', 'wc-admin-order-notes')],
+        ];
+        
+        if (!isset($messages[$message])) {
+            return;
+        }
+        
+        printf(
+            '<div class="notice notice-%s is-dismissible"><p>%s</p></div>',
+            esc_attr($messages[$message][0]),
+            esc_html($messages[$message][1])
+        );
+    }
+    
+    /**
+     * Get the template scope from the submitted form
+     * 
+     * @return string
+     */
+    private function get_requested_scope(): string {
+        $scope = isset($_POST['template_scope']) ? sanitize_key(wp_unslash($_POST['template_scope'])) : '';
+        
+        return TemplatesManager::SCOPE_SHARED === $scope ? TemplatesManager::SCOPE_SHARED : TemplatesManager::SCOPE_PERSONAL;
+    }
+    
+    /**
+     * Return to the templates page with a status message
+     * 
+     * @param string $message
+     */
+    private function redirect_back(string $message): void {
+        wp_safe_redirect(add_query_arg([
+            'page' => self::PAGE_SLUG,
+            'message' => $message,
+        ], admin_url('admin.php')));
+        exit;
+    }
+}
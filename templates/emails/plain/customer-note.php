@@ -0,0 +1,59 @@
+<?php
+/**
+ * Customer note email (plain text)
+ * 
+ * WooCommerce's plain-text customer note email, with the note turned from the stored
+ * HTML into text for the WC Admin Order Notes plugin.
+ * 
+ * @package WCAdminOrderNotes
+ * @since 2.2.1
+ * 
+ * @var \WC_Order $order
+ * @var string $email_heading
+ * @var string $customer_note
+ * @var string $additional_content
+ * @var bool $sent_to_admin
+ * @var bool $plain_text
+ * @var \WC_Email $email
+ */
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+$wc_admin_order_notes_components = \WCAdminOrderNotes\Plugin::get_instance()->get_components();
+$wc_admin_order_notes_text = $wc_admin_order_notes_components['security_handler']->get_note_email_text((string) $customer_note);
+
+echo "=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=\n";
+echo esc_html(wp_strip_all_tags($email_heading));
+echo "\n=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=-=\n\n";
+
+/* translators: %s: Customer first name */
+echo sprintf(esc_html__('Hi %s,', 'woocommerce'), esc_html($order->get_billing_first_name())) . "\n\n";
+echo esc_html__('The following note has been added to your order:', 'woocommerce') . "\n\n";
+
+echo "----------\n\n";
+
+echo esc_html(wptexturize($wc_admin_order_notes_text)) . "\n\n";
+
+echo "----------\n\n";
+
+echo esc_html__('As a reminder, here are your order details:', 'woocommerce') . "\n\n";
+
+do_action('woocommerce_email_order_details', $order, $sent_to_admin, $plain_text, $email);
+
+echo "\n----------------------------------------\n\n";
+
+do_action('woocommerce_email_order_meta', $order, $sent_to_admin, $plain_text, $email);
+
+do_action('woocommerce_email_customer_details', $order, $sent_to_admin, $plain_text, $email);
+
+echo "\n\n----------------------------------------\n\n";
+
+if (!empty($additional_content)) {
+    echo esc_html(wp_strip_all_tags(wptexturize($additional_content)));
+    echo "\n\n----------------------------------------\n\n";
+}
+
+echo wp_kses_post(apply_filters('woocommerce_email_footer_text', get_option('woocommerce_email_footer_text')));
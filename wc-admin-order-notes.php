@@ -54,11 +54,28 @@ if (!defined('WC_ADMIN_ORDER_NOTES_FILTER_SYSTEM')) {
 }
 
 // Load required classes
+require_once WC_ADMIN_ORDER_NOTES_PLUGIN_PATH . 'includes/class-capabilities.php';
+require_once WC_ADMIN_ORDER_NOTES_PLUGIN_PATH . 'includes/class-system-note-classifier.php';
+require_once WC_ADMIN_ORDER_NOTES_PLUGIN_PATH . 'includes/class-pinned-notes.php';
+require_once WC_ADMIN_ORDER_NOTES_PLUGIN_PATH . 'includes/class-note-attachments.php';
+require_once WC_ADMIN_ORDER_NOTES_PLUGIN_PATH . 'includes/class-note-reminders.php';
+require_once WC_ADMIN_ORDER_NOTES_PLUGIN_PATH . 'includes/class-order-notes-index.php';
 require_once WC_ADMIN_ORDER_NOTES_PLUGIN_PATH . 'includes/class-cache-manager.php';
 require_once WC_ADMIN_ORDER_NOTES_PLUGIN_PATH . 'includes/class-security-handler.php';
 require_once WC_ADMIN_ORDER_NOTES_PLUGIN_PATH . 'includes/class-notes-manager.php';
+require_once WC_ADMIN_ORDER_NOTES_PLUGIN_PATH . 'includes/class-templates-manager.php';
+require_once WC_ADMIN_ORDER_NOTES_PLUGIN_PATH . 'includes/class-mentions-handler.php';
+require_once WC_ADMIN_ORDER_NOTES_PLUGIN_PATH . 'includes/class-notes-exporter.php';
+require_once WC_ADMIN_ORDER_NOTES_PLUGIN_PATH . 'includes/class-rate-limiter.php';
+require_once WC_ADMIN_ORDER_NOTES_PLUGIN_PATH . 'includes/class-audit-log.php';
 require_once WC_ADMIN_ORDER_NOTES_PLUGIN_PATH . 'includes/class-rest-api-handler.php';
+require_once WC_ADMIN_ORDER_NOTES_PLUGIN_PATH . 'includes/class-notes-panel.php';
 require_once WC_ADMIN_ORDER_NOTES_PLUGIN_PATH . 'includes/class-admin-interface-handler.php';
+require_once WC_ADMIN_ORDER_NOTES_PLUGIN_PATH . 'includes/class-order-list-filters.php';
+require_once WC_ADMIN_ORDER_NOTES_PLUGIN_PATH . 'includes/class-settings-page.php';
+require_once WC_ADMIN_ORDER_NOTES_PLUGIN_PATH . 'includes/class-templates-page.php';
+require_once WC_ADMIN_ORDER_NOTES_PLUGIN_PATH . 'includes/class-audit-report-page.php';
+require_once WC_ADMIN_ORDER_NOTES_PLUGIN_PATH . 'includes/class-live-updates-handler.php';
 require_once WC_ADMIN_ORDER_NOTES_PLUGIN_PATH . 'includes/class-plugin.php';
 
 // Initialize the plugin
@@ -68,6 +85,12 @@ add_action('plugins_loaded', function() {
 
 // Activation hook
 register_activation_hook(WC_ADMIN_ORDER_NOTES_PLUGIN_FILE, function() {
+    // Create the audit log table
+    (new AuditLog())->maybe_install();
+    
+    // Grant the note capabilities to roles that can edit orders
+    (new Capabilities())->maybe_install();
+    
     // Flush rewrite rules for REST API
     flush_rewrite_rules();
 });
@@ -77,6 +100,16 @@ register_deactivation_hook(WC_ADMIN_ORDER_NOTES_PLUGIN_FILE, function() {
     // Clear all cached data
     wp_cache_flush();
     
+    // Stop the cleanup of abandoned attachment uploads
+    wp_clear_scheduled_hook(NoteAttachments::CLEANUP_HOOK);
+    
+    // Notes added while the plugin is inactive are not indexed, so rebuild the index on return
+    wp_clear_scheduled_hook(OrderNotesIndex::REINDEX_HOOK);
+    if (function_exists('as_unschedule_all_actions')) {
+        as_unschedule_all_actions(OrderNotesIndex::REINDEX_HOOK);
+    }
+    delete_option(OrderNotesIndex::VERSION_OPTION);
+    
     // Flush rewrite rules
     flush_rewrite_rules();
 }); 
\ No newline at end of file